@@ -0,0 +1,124 @@
+const express = require('express');
+const { createClient } = require('@supabase/supabase-js');
+const rateLimit = require('express-rate-limit');
+const { deleteAccount, getAccountDeletionStatus } = require('./account_deletion_service');
+const { getAuditContext } = require('../audit/audit_log_service');
+
+const router = express.Router();
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY,
+  {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false
+    }
+  }
+);
+
+// Rate limiting for account deletion
+const accountDeletionLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // limit each IP to 5 account deletion attempts per hour
+  message: { error: 'Too many account deletion attempts, please try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Authentication middleware
+const authenticateUser = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({ error: 'Missing or invalid authorization header' });
+    }
+
+    const token = authHeader.split(' ')[1];
+
+    // Verify token with Supabase
+    const { data: { user }, error } = await supabase.auth.getUser(token);
+
+    if (error || !user) {
+      console.log('Authentication error:', error?.message);
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('Auth middleware error:', error);
+    res.status(401).json({ error: 'Authentication failed' });
+  }
+};
+
+/**
+ * @route   DELETE /api/account
+ * @desc    Permanently delete the current user's account and all their data. Posts, comments,
+ *          likes, saves, follows, sent and received photo collections, chat messages and images,
+ *          featured items, data exports, the profile and the login are removed; payment records are anonymized.
+ *          If a previous attempt stopped part way, the same request resumes it.
+ * @access  Private
+ * @body    { confirm: true }
+ */
+router.delete('/', accountDeletionLimiter, authenticateUser, async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    if (req.body?.confirm !== true) {
+      return res.status(400).json({
+        success: false,
+        error: 'Account deletion cannot be undone. Send { "confirm": true } to proceed.'
+      });
+    }
+
+    const outcome = await deleteAccount({ userId, auditContext: getAuditContext(req) });
+
+    if (!outcome.success) {
+      return res.status(outcome.status || 500).json({
+        success: false,
+        error: outcome.error,
+        report: outcome.report
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Your account and data have been deleted',
+      report: outcome.report
+    });
+
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error during account deletion'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/account/deletion
+ * @desc    Status of the current user's latest account deletion (e.g. one that needs resuming)
+ * @access  Private
+ */
+router.get('/deletion', authenticateUser, async (req, res) => {
+  try {
+    const report = await getAccountDeletionStatus(req.user.id);
+
+    res.json({
+      success: true,
+      report: report
+    });
+
+  } catch (error) {
+    console.error('Get account deletion status error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error fetching account deletion status'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,632 @@
+// Account deletion (right to be forgotten). Removes everything a user owns, step by step,
+// and records progress in account_deletion_requests so a failed run can be resumed:
+// every step is idempotent and completed steps are skipped on the next run.
+// Payment records are anonymized rather than removed; the Supabase auth user goes last.
+const { createClient } = require('@supabase/supabase-js');
+const { deletePostWithRelatedData } = require('../delete/post_deletion_service');
+const { enqueueCloudinaryDeletion } = require('../delete/cloudinary_deletion_queue');
+const { storage } = require('../storage/storage');
+const { deleteImagesWithFiles } = require('../delete/delete_sent');
+const { deleteCommentThread, setCommentLike } = require('../comments/comments');
+const { syncFollowCounts } = require('../follows/follows');
+const { recordAuditEvent } = require('../audit/audit_log_service');
+const { deleteUserExports } = require('../exports/data_export_service');
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY,
+  {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false
+    }
+  }
+);
+
+const BATCH_SIZE = 50;
+// A run that has not reported progress for this long is treated as crashed and can be resumed
+const STALE_RUN_MINUTES = 15;
+
+// Helper function to fetch the next batch of rows for a step; throws so the step fails
+const fetchBatch = async (query, description) => {
+  const { data, error } = await query.limit(BATCH_SIZE);
+
+  if (error) {
+    throw new Error(`Failed to fetch ${description}: ${error.message}`);
+  }
+  return data || [];
+};
+
+// Helper function to run a delete/update and throw on error
+const runOrThrow = async (query, description) => {
+  const { error } = await query;
+
+  if (error) {
+    throw new Error(`Failed to ${description}: ${error.message}`);
+  }
+};
+
+// Each step returns { count, cloudinaryJobIds? } and must be safe to run again
+const STEPS = [
+  {
+    name: 'posts',
+    // Live and trashed posts, with their comments, likes, saves and images
+    run: async ({ userId, auditContext }) => {
+      let count = 0;
+      const cloudinaryJobIds = [];
+
+      while (true) {
+        const posts = await fetchBatch(
+          supabase.from('posts').select('*').eq('user_id', userId),
+          'posts'
+        );
+
+        if (posts.length === 0) {
+          return { count, cloudinaryJobIds };
+        }
+
+        for (const post of posts) {
+          const deletion = await deletePostWithRelatedData(post, { requestedBy: userId, auditContext });
+
+          if (!deletion.success) {
+            throw new Error(`Failed to delete post ${post.id}: ${deletion.error}`);
+          }
+          count++;
+          if (deletion.details.cloudinary_job_id) {
+            cloudinaryJobIds.push(deletion.details.cloudinary_job_id);
+          }
+        }
+      }
+    }
+  },
+  {
+    name: 'comments',
+    // Comments on other people's posts, with the replies under them
+    run: async ({ userId }) => {
+      let count = 0;
+
+      while (true) {
+        const comments = await fetchBatch(
+          supabase.from('comments').select('id, post_id').eq('user_id', userId),
+          'comments'
+        );
+
+        if (comments.length === 0) {
+          return { count };
+        }
+
+        for (const comment of comments) {
+          const deletion = await deleteCommentThread(comment.post_id, comment.id);
+
+          if (!deletion.success) {
+            throw new Error(`Failed to delete comment ${comment.id}: ${deletion.error}`);
+          }
+          count++;
+        }
+      }
+    }
+  },
+  {
+    name: 'comment_likes',
+    // set_comment_like keeps likes_count on the liked comments in step
+    run: async ({ userId }) => {
+      let count = 0;
+
+      while (true) {
+        const likes = await fetchBatch(
+          supabase.from('comment_likes').select('comment_id').eq('user_id', userId),
+          'comment likes'
+        );
+
+        if (likes.length === 0) {
+          return { count };
+        }
+
+        for (const like of likes) {
+          const result = await setCommentLike(like.comment_id, userId, false);
+
+          // The comment went away in the meantime - its likes went with it
+          if (result.notFound) {
+            await runOrThrow(
+              supabase.from('comment_likes').delete().eq('user_id', userId).eq('comment_id', like.comment_id),
+              'delete comment like'
+            );
+          }
+          count++;
+        }
+      }
+    }
+  },
+  {
+    name: 'post_likes',
+    // set_post_like keeps likes_count on the liked posts in step
+    run: async ({ userId }) => {
+      let count = 0;
+
+      while (true) {
+        const likes = await fetchBatch(
+          supabase.from('post_likes').select('post_id').eq('user_id', userId),
+          'post likes'
+        );
+
+        if (likes.length === 0) {
+          return { count };
+        }
+
+        for (const like of likes) {
+          await runOrThrow(
+            supabase.rpc('set_post_like', { p_post_id: like.post_id, p_user_id: userId, p_liked: false }),
+            `remove like on post ${like.post_id}`
+          );
+          count++;
+        }
+      }
+    }
+  },
+  {
+    name: 'saved_posts',
+    run: async ({ userId }) => {
+      const { count: savedCount } = await supabase
+        .from('saved_posts')
+        .select('*', { count: 'exact', head: true })
+        .eq('user_id', userId);
+
+      await runOrThrow(supabase.from('saved_collection_posts').delete().eq('user_id', userId), 'delete saved collection posts');
+      await runOrThrow(supabase.from('saved_collections').delete().eq('user_id', userId), 'delete saved collections');
+      await runOrThrow(supabase.from('saved_posts').delete().eq('user_id', userId), 'delete saved posts');
+
+      return { count: savedCount || 0 };
+    }
+  },
+  {
+    name: 'follows',
+    // Recount followers/following on the other side of every removed follow
+    run: async ({ userId }) => {
+      let count = 0;
+
+      while (true) {
+        const follows = await fetchBatch(
+          supabase.from('follows').select('follower_id, following_id').or(`follower_id.eq.${userId},following_id.eq.${userId}`),
+          'follows'
+        );
+
+        if (follows.length === 0) {
+          return { count };
+        }
+
+        const followingIds = follows.filter(follow => follow.follower_id === userId).map(follow => follow.following_id);
+        const followerIds = follows.filter(follow => follow.follower_id !== userId).map(follow => follow.follower_id);
+
+        if (followingIds.length > 0) {
+          await runOrThrow(
+            supabase.from('follows').delete().eq('follower_id', userId).in('following_id', followingIds),
+            'delete follows'
+          );
+        }
+        if (followerIds.length > 0) {
+          await runOrThrow(
+            supabase.from('follows').delete().eq('following_id', userId).in('follower_id', followerIds),
+            'delete followers'
+          );
+        }
+
+        for (const followingId of followingIds) {
+          await syncFollowCounts(userId, followingId);
+        }
+        for (const followerId of followerIds) {
+          await syncFollowCounts(followerId, userId);
+        }
+        count += follows.length;
+      }
+    }
+  },
+  {
+    name: 'photo_collections',
+    // Sent and received photo collections with their images
+    run: async ({ userId, auditContext }) => {
+      let images = 0;
+      let collections = 0;
+      const cloudinaryJobIds = [];
+
+      while (true) {
+        const photos = await fetchBatch(
+          supabase.from('photos').select('id').or(`sender_id.eq.${userId},recipient_id.eq.${userId}`),
+          'photo collections'
+        );
+
+        if (photos.length === 0) {
+          return { count: collections, images, cloudinaryJobIds };
+        }
+
+        const collectionIds = photos.map(photo => photo.id);
+        const { data: collectionImages, error } = await supabase
+          .from('images')
+          .select('id, image_url, photo_collection_id, photos!inner(sender_id, recipient_id)')
+          .in('photo_collection_id', collectionIds);
+
+        if (error) {
+          throw new Error(`Failed to fetch collection images: ${error.message}`);
+        }
+
+        if (collectionImages && collectionImages.length > 0) {
+          const deletion = await deleteImagesWithFiles(collectionImages, userId, { auditContext });
+
+          if (!deletion.success) {
+            throw new Error(deletion.error);
+          }
+          images += deletion.deletedIds.length;
+          if (deletion.cloudinary_job_id) {
+            cloudinaryJobIds.push(deletion.cloudinary_job_id);
+          }
+        }
+
+        await runOrThrow(supabase.from('photos').delete().in('id', collectionIds), 'delete photo collections');
+        collections += collectionIds.length;
+      }
+    }
+  },
+  {
+    name: 'chat_messages',
+    // Messages the user sent; any stored images in them are queued for deletion
+    run: async ({ userId }) => {
+      let count = 0;
+      const cloudinaryJobIds = [];
+
+      while (true) {
+        const messages = await fetchBatch(
+          supabase.from('messages').select('*').eq('sender_id', userId),
+          'messages'
+        );
+
+        if (messages.length === 0) {
+          return { count, cloudinaryJobIds };
+        }
+
+        const imageUrls = messages.flatMap(message => JSON.stringify(message).match(storage.urlPattern) || []);
+        const cloudinaryJob = await enqueueCloudinaryDeletion({
+          imageUrls: imageUrls,
+          source: 'chat_image',
+          sourceId: userId,
+          requestedBy: userId
+        });
+
+        if (!cloudinaryJob.success) {
+          throw new Error(cloudinaryJob.error);
+        }
+        if (cloudinaryJob.jobId) {
+          cloudinaryJobIds.push(cloudinaryJob.jobId);
+        }
+
+        await runOrThrow(
+          supabase.from('messages').delete().in('id', messages.map(message => message.id)),
+          'delete messages'
+        );
+        count += messages.length;
+      }
+    }
+  },
+  {
+    name: 'featured_items',
+    run: async ({ userId }) => {
+      const { data: items, error } = await supabase
+        .from('featured_items')
+        .select('id, image_url')
+        .eq('created_by', userId);
+
+      if (error) {
+        throw new Error(`Failed to fetch featured items: ${error.message}`);
+      }
+
+      if (!items || items.length === 0) {
+        return { count: 0 };
+      }
+
+      const cloudinaryJob = await enqueueCloudinaryDeletion({
+        imageUrls: items.map(item => item.image_url),
+        source: 'featured_item',
+        sourceId: userId,
+        requestedBy: userId
+      });
+
+      if (!cloudinaryJob.success) {
+        throw new Error(cloudinaryJob.error);
+      }
+
+      await runOrThrow(
+        supabase.from('featured_items').delete().in('id', items.map(item => item.id)),
+        'delete featured items'
+      );
+
+      return { count: items.length, cloudinaryJobIds: cloudinaryJob.jobId ? [cloudinaryJob.jobId] : [] };
+    }
+  },
+  {
+    name: 'payments',
+    // Kept for bookkeeping with everything that identifies the user removed
+    run: async ({ userId }) => {
+      const { data: anonymized, error } = await supabase
+        .from('mpesa_transactions')
+        .update({
+          user_id: null,
+          phone_number: null,
+          callback_data: null,
+          anonymized_at: new Date().toISOString(),
+          updated_at: new Date().toISOString()
+        })
+        .eq('user_id', userId)
+        .select('transaction_id');
+
+      if (error) {
+        throw new Error(`Failed to anonymize payment records: ${error.message}`);
+      }
+
+      return { count: (anonymized || []).length };
+    }
+  },
+  {
+    name: 'data_exports',
+    // Archives on disk and their rows; the rows would otherwise cascade with the auth user
+    run: async ({ userId }) => ({ count: await deleteUserExports(userId) })
+  },
+  {
+    name: 'image_assets',
+    // Upload records with their EXIF and shared locations; the auth user going would only
+    // clear uploaded_by and leave them behind. Runs after every step that looks them up.
+    run: async ({ userId }) => {
+      const { count, error } = await supabase
+        .from('image_assets')
+        .delete({ count: 'exact' })
+        .eq('uploaded_by', userId);
+
+      if (error) {
+        throw new Error(`Failed to delete image assets: ${error.message}`);
+      }
+
+      return { count: count || 0 };
+    }
+  },
+  {
+    name: 'profile',
+    // Avatar image, then the profile row
+    run: async ({ userId }) => {
+      const { data: profile, error } = await supabase
+        .from('profiles')
+        .select('id, avatar_url')
+        .eq('id', userId)
+        .maybeSingle();
+
+      if (error) {
+        throw new Error(`Failed to fetch profile: ${error.message}`);
+      }
+
+      if (!profile) {
+        return { count: 0 };
+      }
+
+      const cloudinaryJob = await enqueueCloudinaryDeletion({
+        imageUrls: profile.avatar_url ? [profile.avatar_url] : [],
+        source: 'avatar',
+        sourceId: userId,
+        requestedBy: userId
+      });
+
+      if (!cloudinaryJob.success) {
+        throw new Error(cloudinaryJob.error);
+      }
+
+      await runOrThrow(supabase.from('profiles').delete().eq('id', userId), 'delete profile');
+
+      return { count: 1, cloudinaryJobIds: cloudinaryJob.jobId ? [cloudinaryJob.jobId] : [] };
+    }
+  },
+  {
+    name: 'auth_user',
+    run: async ({ userId }) => {
+      const { error } = await supabase.auth.admin.deleteUser(userId);
+
+      // Already gone counts as done, so a resumed run can finish
+      if (error && error.status !== 404) {
+        throw new Error(`Failed to delete auth user: ${error.message}`);
+      }
+
+      return { count: error ? 0 : 1 };
+    }
+  }
+];
+
+const STEP_NAMES = STEPS.map(step => step.name);
+
+// Helper function to turn a request row into the status report returned to the user
+const buildStatusReport = (request) => {
+  const steps = request.steps || {};
+
+  return {
+    requestId: request.id,
+    status: request.status,
+    startedAt: request.started_at,
+    completedAt: request.completed_at || null,
+    lastError: request.last_error || null,
+    steps: STEP_NAMES.map(name => ({
+      step: name,
+      status: steps[name]?.status || 'pending',
+      count: steps[name]?.count ?? null,
+      ...(steps[name]?.images !== undefined ? { images: steps[name].images } : {}),
+      error: steps[name]?.error || null,
+      completedAt: steps[name]?.completedAt || null
+    })),
+    cloudinaryJobIds: STEP_NAMES.flatMap(name => steps[name]?.cloudinaryJobIds || []),
+    paymentsAnonymized: steps.payments?.count ?? 0
+  };
+};
+
+// Helper function to save progress on a request
+const saveRequest = async (requestId, update) => {
+  const { data, error } = await supabase
+    .from('account_deletion_requests')
+    .update({ ...update, updated_at: new Date().toISOString() })
+    .eq('id', requestId)
+    .select('*')
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to save account deletion progress: ${error.message}`);
+  }
+  return data;
+};
+
+// Helper function to find the user's unfinished request, or start a new one
+const getOrCreateRequest = async (userId, auditContext) => {
+  const { data: existing, error } = await supabase
+    .from('account_deletion_requests')
+    .select('*')
+    .eq('user_id', userId)
+    .neq('status', 'completed')
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to look up account deletion: ${error.message}`);
+  }
+
+  if (existing) {
+    return existing;
+  }
+
+  const now = new Date().toISOString();
+  const { data: created, error: createError } = await supabase
+    .from('account_deletion_requests')
+    .insert([{
+      user_id: userId,
+      status: 'pending',
+      steps: {},
+      attempts: 0,
+      ip_address: auditContext.ipAddress || null,
+      request_id: auditContext.requestId || null,
+      started_at: now,
+      created_at: now,
+      updated_at: now
+    }])
+    .select('*')
+    .single();
+
+  if (createError) {
+    throw new Error(`Failed to start account deletion: ${createError.message}`);
+  }
+  return created;
+};
+
+/**
+ * Delete a user's account and everything they own, resuming an earlier failed run if there is one.
+ * @param {Object} params
+ * @param {string} params.userId
+ * @param {Object} [params.auditContext] - From getAuditContext(req)
+ * @returns {Promise<{ success: boolean, status?: number, error?: string, report?: Object }>}
+ */
+const deleteAccount = async ({ userId, auditContext = {} }) => {
+  let request = await getOrCreateRequest(userId, auditContext);
+
+  const staleBefore = Date.now() - STALE_RUN_MINUTES * 60 * 1000;
+  if (request.status === 'running' && new Date(request.updated_at).getTime() > staleBefore) {
+    return {
+      success: false,
+      status: 409,
+      error: 'Account deletion is already in progress',
+      report: buildStatusReport(request)
+    };
+  }
+
+  const resumed = request.attempts > 0;
+  request = await saveRequest(request.id, {
+    status: 'running',
+    attempts: (request.attempts || 0) + 1,
+    last_error: null
+  });
+
+  console.log(`🧨 ${resumed ? 'Resuming' : 'Starting'} account deletion ${request.id} for user: ${userId}`);
+
+  const steps = { ...(request.steps || {}) };
+
+  for (const step of STEPS) {
+    if (steps[step.name]?.status === 'completed') {
+      continue;
+    }
+
+    try {
+      const result = await step.run({ userId, auditContext });
+
+      steps[step.name] = {
+        ...result,
+        status: 'completed',
+        completedAt: new Date().toISOString()
+      };
+      request = await saveRequest(request.id, { steps, current_step: step.name });
+
+      console.log(`✅ Account deletion ${request.id} - ${step.name}: ${result.count}`);
+    } catch (error) {
+      console.error(`❌ Account deletion ${request.id} failed at ${step.name}:`, error.message);
+
+      steps[step.name] = { status: 'failed', error: error.message };
+      request = await saveRequest(request.id, {
+        steps,
+        current_step: step.name,
+        status: 'failed',
+        last_error: `${step.name}: ${error.message}`
+      });
+
+      return {
+        success: false,
+        status: 500,
+        error: 'Account deletion did not finish. Send the request again to resume where it stopped.',
+        report: buildStatusReport(request)
+      };
+    }
+  }
+
+  request = await saveRequest(request.id, {
+    status: 'completed',
+    current_step: null,
+    completed_at: new Date().toISOString()
+  });
+
+  const report = buildStatusReport(request);
+
+  await recordAuditEvent({
+    actorId: userId,
+    action: 'account.delete',
+    targetType: 'account',
+    targetId: userId,
+    before: null,
+    after: null,
+    metadata: { deletion_request_id: request.id, attempts: request.attempts, steps: report.steps },
+    context: auditContext
+  });
+
+  console.log(`✅ Account deletion ${request.id} completed for user: ${userId}`);
+
+  return { success: true, report };
+};
+
+// Latest deletion request for a user, as a status report (null when there is none)
+const getAccountDeletionStatus = async (userId) => {
+  const { data: request, error } = await supabase
+    .from('account_deletion_requests')
+    .select('*')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to fetch account deletion status: ${error.message}`);
+  }
+
+  return request ? buildStatusReport(request) : null;
+};
+
+module.exports = {
+  STEP_NAMES,
+  deleteAccount,
+  getAccountDeletionStatus
+};
@@ -0,0 +1,105 @@
+// Audit log (table: audit_logs) for destructive and privileged actions - deletes, admin
+// overrides, featured image changes, profile updates and M-Pesa status transitions.
+// Writing an entry never throws: a failed audit insert is logged and the action goes ahead.
+const { createClient } = require('@supabase/supabase-js');
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY,
+  {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false
+    }
+  }
+);
+
+// Helper function to pull the request details every entry records
+const getAuditContext = (req) => {
+  if (!req) {
+    return {};
+  }
+
+  return {
+    ipAddress: req.ip || null,
+    requestId: req.requestId || req.get?.('X-Request-Id') || null,
+    userAgent: req.get?.('User-Agent') || null
+  };
+};
+
+// Helper function to build an audit_logs row
+const buildAuditRow = ({
+  actorId = null,
+  action,
+  targetType,
+  targetId = null,
+  before = null,
+  after = null,
+  isAdminOverride = false,
+  metadata = null,
+  context = {}
+}) => ({
+  actor_id: actorId,
+  actor_type: actorId ? 'user' : 'system',
+  action: action,
+  target_type: targetType,
+  target_id: targetId !== null && targetId !== undefined ? String(targetId) : null,
+  before_snapshot: before,
+  after_snapshot: after,
+  is_admin_override: !!isAdminOverride,
+  metadata: metadata,
+  ip_address: context.ipAddress || null,
+  request_id: context.requestId || null,
+  user_agent: context.userAgent || null,
+  created_at: new Date().toISOString()
+});
+
+/**
+ * Record several audit entries in one insert.
+ * @param {Object[]} entries - See recordAuditEvent
+ * @returns {Promise<boolean>} Whether the entries were written
+ */
+const recordAuditEvents = async (entries) => {
+  if (!entries || entries.length === 0) {
+    return true;
+  }
+
+  try {
+    const { error } = await supabase
+      .from('audit_logs')
+      .insert(entries.map(buildAuditRow));
+
+    if (error) {
+      console.error(`⚠️ Failed to write ${entries.length} audit entr${entries.length === 1 ? 'y' : 'ies'} (${entries[0].action}):`, error.message);
+      return false;
+    }
+
+    return true;
+  } catch (error) {
+    console.error('⚠️ Audit log error:', error.message);
+    return false;
+  }
+};
+
+/**
+ * Record one audit entry.
+ * @param {Object} entry
+ * @param {string|null} entry.actorId - User who acted, null for system jobs
+ * @param {string} entry.action - Dotted action name, e.g. 'post.trash', 'payment.status_change'
+ * @param {string} entry.targetType - e.g. 'post', 'image', 'profile', 'featured_item', 'mpesa_transaction'
+ * @param {string} [entry.targetId]
+ * @param {Object} [entry.before] - Snapshot of the target before the action
+ * @param {Object} [entry.after] - Snapshot of the target after the action
+ * @param {boolean} [entry.isAdminOverride] - An admin acted on someone else's resource
+ * @param {Object} [entry.metadata] - Anything else worth keeping
+ * @param {Object} [entry.context] - From getAuditContext(req)
+ * @returns {Promise<boolean>} Whether the entry was written
+ */
+const recordAuditEvent = (entry) => recordAuditEvents([entry]);
+
+module.exports = {
+  getAuditContext,
+  recordAuditEvent,
+  recordAuditEvents
+};
@@ -0,0 +1,274 @@
+const express = require('express');
+const { createClient } = require('@supabase/supabase-js');
+
+const router = express.Router();
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY,
+  {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false
+    }
+  }
+);
+
+const EXPORT_PAGE_SIZE = 1000;
+const MAX_EXPORT_ROWS = 10000;
+const CSV_COLUMNS = [
+  'id',
+  'created_at',
+  'actor_id',
+  'actor_type',
+  'action',
+  'target_type',
+  'target_id',
+  'is_admin_override',
+  'ip_address',
+  'request_id',
+  'user_agent',
+  'before_snapshot',
+  'after_snapshot',
+  'metadata'
+];
+
+// Authentication middleware
+const authenticateUser = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({ error: 'Missing or invalid authorization header' });
+    }
+
+    const token = authHeader.split(' ')[1];
+
+    // Verify token with Supabase
+    const { data: { user }, error } = await supabase.auth.getUser(token);
+
+    if (error || !user) {
+      console.log('Authentication error:', error?.message);
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('Auth middleware error:', error);
+    res.status(401).json({ error: 'Authentication failed' });
+  }
+};
+
+// Helper function to check if user is admin
+const isUserAdmin = async (userId) => {
+  try {
+    const { data: profile } = await supabase
+      .from('profiles')
+      .select('user_type')
+      .eq('id', userId)
+      .single();
+
+    return profile?.user_type === 'admin';
+  } catch (error) {
+    console.error('Error checking admin status:', error);
+    return false;
+  }
+};
+
+// Admin-only middleware (must run after authenticateUser)
+const requireAdmin = async (req, res, next) => {
+  if (!(await isUserAdmin(req.user.id))) {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  next();
+};
+
+// Helper function to validate the shared query filters. Returns { error } or { filters }.
+const parseFilters = (query) => {
+  const { actorId, action, targetType, targetId, requestId, adminOverride, from, to } = query;
+
+  for (const [name, value] of Object.entries({ from, to })) {
+    if (value && isNaN(Date.parse(value))) {
+      return { error: `${name} must be a valid date` };
+    }
+  }
+
+  if (adminOverride !== undefined && !['true', 'false'].includes(adminOverride)) {
+    return { error: 'adminOverride must be true or false' };
+  }
+
+  return {
+    filters: { actorId, action, targetType, targetId, requestId, adminOverride, from, to }
+  };
+};
+
+// Helper function to apply the filters to an audit_logs query.
+// action accepts an exact name ('post.trash') or a prefix ending in '.*' ('post.*').
+const applyFilters = (query, filters) => {
+  if (filters.actorId) {
+    query = filters.actorId === 'system' ? query.is('actor_id', null) : query.eq('actor_id', filters.actorId);
+  }
+  if (filters.action) {
+    query = filters.action.endsWith('.*')
+      ? query.like('action', `${filters.action.slice(0, -1)}%`)
+      : query.eq('action', filters.action);
+  }
+  if (filters.targetType) {
+    query = query.eq('target_type', filters.targetType);
+  }
+  if (filters.targetId) {
+    query = query.eq('target_id', filters.targetId);
+  }
+  if (filters.requestId) {
+    query = query.eq('request_id', filters.requestId);
+  }
+  if (filters.adminOverride !== undefined) {
+    query = query.eq('is_admin_override', filters.adminOverride === 'true');
+  }
+  if (filters.from) {
+    query = query.gte('created_at', new Date(filters.from).toISOString());
+  }
+  if (filters.to) {
+    query = query.lte('created_at', new Date(filters.to).toISOString());
+  }
+  return query;
+};
+
+// Helper function to transform an audit_logs row into the app format
+const formatEntry = (entry) => ({
+  id: entry.id,
+  createdAt: entry.created_at,
+  actorId: entry.actor_id,
+  actorType: entry.actor_type,
+  action: entry.action,
+  targetType: entry.target_type,
+  targetId: entry.target_id,
+  isAdminOverride: entry.is_admin_override,
+  before: entry.before_snapshot,
+  after: entry.after_snapshot,
+  metadata: entry.metadata,
+  ipAddress: entry.ip_address,
+  requestId: entry.request_id,
+  userAgent: entry.user_agent
+});
+
+// Helper function to quote a value for CSV; objects are written as JSON.
+// Values a spreadsheet would run as a formula get a leading ' (user agents and metadata are user input).
+const toCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * @route   GET /api/audit-logs
+ * @desc    Query the audit log, newest first
+ * @access  Private (Admin only)
+ * @query   { actorId?: string|'system', action?: string (exact or 'prefix.*'), targetType?: string, targetId?: string,
+ *            requestId?: string, adminOverride?: 'true'|'false', from?: date, to?: date, page?: number, limit?: number }
+ */
+router.get('/', authenticateUser, requireAdmin, async (req, res) => {
+  try {
+    const { error: filterError, filters } = parseFilters(req.query);
+
+    if (filterError) {
+      return res.status(400).json({ error: filterError });
+    }
+
+    const pageNumber = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const offset = (pageNumber - 1) * limit;
+
+    const query = applyFilters(
+      supabase.from('audit_logs').select('*', { count: 'exact' }),
+      filters
+    )
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    const { data: entries, error, count } = await query;
+
+    if (error) {
+      console.error('Error fetching audit log:', error);
+      return res.status(500).json({ error: 'Failed to fetch audit log' });
+    }
+
+    res.json({
+      success: true,
+      entries: (entries || []).map(formatEntry),
+      pagination: {
+        page: pageNumber,
+        limit: limit,
+        total: count || 0,
+        hasMore: offset + limit < (count || 0)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({ error: 'Server error fetching audit log' });
+  }
+});
+
+/**
+ * @route   GET /api/audit-logs/export
+ * @desc    Download the audit log as CSV (same filters as GET /api/audit-logs, newest first)
+ * @access  Private (Admin only)
+ * @query   Same filters as GET /api/audit-logs; at most 10,000 rows per export
+ */
+router.get('/export', authenticateUser, requireAdmin, async (req, res) => {
+  try {
+    const { error: filterError, filters } = parseFilters(req.query);
+
+    if (filterError) {
+      return res.status(400).json({ error: filterError });
+    }
+
+    const rows = [];
+
+    for (let offset = 0; offset < MAX_EXPORT_ROWS; offset += EXPORT_PAGE_SIZE) {
+      const { data: page, error } = await applyFilters(
+        supabase.from('audit_logs').select(CSV_COLUMNS.join(', ')),
+        filters
+      )
+        .order('created_at', { ascending: false })
+        .range(offset, offset + EXPORT_PAGE_SIZE - 1);
+
+      if (error) {
+        console.error('Error exporting audit log:', error);
+        return res.status(500).json({ error: 'Failed to export audit log' });
+      }
+
+      rows.push(...(page || []));
+
+      if (!page || page.length < EXPORT_PAGE_SIZE) {
+        break;
+      }
+    }
+
+    const csv = [
+      CSV_COLUMNS.join(','),
+      ...rows.map(row => CSV_COLUMNS.map(column => toCsvValue(row[column])).join(','))
+    ].join('\r\n');
+
+    console.log(`📤 Admin ${req.user.id} exported ${rows.length} audit log entries`);
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.csv"`);
+    res.set('X-Truncated', rows.length >= MAX_EXPORT_ROWS ? 'true' : 'false');
+    res.send(csv);
+
+  } catch (error) {
+    console.error('Export audit log error:', error);
+    res.status(500).json({ error: 'Server error exporting audit log' });
+  }
+});
+
+module.exports = router;
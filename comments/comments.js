@@ -0,0 +1,661 @@
+const express = require('express');
+const { createClient } = require('@supabase/supabase-js');
+const rateLimit = require('express-rate-limit');
+
+const router = express.Router();
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY,
+  {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false
+    }
+  }
+);
+
+// Rate limiting for comment creation
+const commentLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30, // limit to 30 comments per 15 minutes
+  message: { error: 'Too many comments, please try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+const MAX_COMMENT_LENGTH = 1000;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+// Cursor parts go into an .or() filter string, so they must match these exactly
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})?$/;
+
+// Authentication middleware
+const authenticateUser = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({ error: 'Missing or invalid authorization header' });
+    }
+
+    const token = authHeader.split(' ')[1];
+
+    // Verify token with Supabase
+    const { data: { user }, error } = await supabase.auth.getUser(token);
+
+    if (error || !user) {
+      console.log('Authentication error:', error?.message);
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('Auth middleware error:', error);
+    res.status(401).json({ error: 'Authentication failed' });
+  }
+};
+
+// Optional authentication - sets req.user when a valid token is present, never rejects
+const optionalAuthenticateUser = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+      const token = authHeader.split(' ')[1];
+      const { data: { user } } = await supabase.auth.getUser(token);
+      if (user) {
+        req.user = user;
+      }
+    }
+  } catch (error) {
+    console.log('Optional auth failed, continuing anonymously:', error.message);
+  }
+  next();
+};
+
+// Helper function to check if user is admin
+const isUserAdmin = async (userId) => {
+  try {
+    const { data: profile } = await supabase
+      .from('profiles')
+      .select('user_type')
+      .eq('id', userId)
+      .single();
+
+    return profile && profile.user_type === 'admin';
+  } catch (error) {
+    console.error('Error checking admin status:', error);
+    return false;
+  }
+};
+
+/**
+ * Encode an opaque pagination cursor from the last comment of a page
+ * @param {object} comment - Comment row with created_at and id
+ * @returns {string} - Base64url encoded cursor
+ */
+const encodeCursor = (comment) => {
+  return Buffer.from(JSON.stringify({ c: comment.created_at, i: comment.id })).toString('base64url');
+};
+
+/**
+ * Decode a pagination cursor
+ * @param {string} cursor - Cursor from a previous response
+ * @returns {object|null} - { createdAt, id } or null if invalid
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!TIMESTAMP_PATTERN.test(decoded.c) || isNaN(Date.parse(decoded.c)) || !UUID_PATTERN.test(decoded.i)) {
+      return null;
+    }
+    return { createdAt: decoded.c, id: decoded.i };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Helper function to parse the page size from the query string
+const parseLimit = (limit) => {
+  const parsed = parseInt(limit) || DEFAULT_PAGE_SIZE;
+  return Math.min(Math.max(parsed, 1), MAX_PAGE_SIZE);
+};
+
+// Helper function to check that a post is live - not in the trash, hidden by a moderator
+// or by a hidden author - the same check GET /api/posts/:postId makes
+const isPostVisible = async (postId) => {
+  const { data: post, error } = await supabase
+    .from('posts_with_users')
+    .select('id')
+    .eq('id', postId)
+    .eq('is_hidden', false)
+    .eq('author_is_hidden', false)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to fetch post: ${error.message}`);
+  }
+
+  return !!post;
+};
+
+// Helper function to add to (or subtract from) the post's comment count in the database,
+// so concurrent comments and deletions cannot overwrite each other's totals
+const adjustCommentsCount = async (postId, delta) => {
+  const { data, error } = await supabase.rpc('adjust_post_comments_count', { p_post_id: postId, p_delta: delta });
+
+  if (error) {
+    console.error('⚠️ Failed to update comment count:', error.message);
+    return null;
+  }
+
+  return data || 0;
+};
+
+// Helper function to like or unlike a comment atomically - desired is true, false or 'toggle'.
+// The set_comment_like / toggle_comment_like database functions lock the comment row,
+// insert or delete the comment_likes row and adjust likes_count in the same transaction.
+const setCommentLike = async (commentId, userId, desired) => {
+  const { data, error } = desired === 'toggle'
+    ? await supabase.rpc('toggle_comment_like', { p_comment_id: commentId, p_user_id: userId })
+    : await supabase.rpc('set_comment_like', { p_comment_id: commentId, p_user_id: userId, p_liked: desired });
+
+  if (error) {
+    // P0002 is raised by the functions when the comment does not exist
+    if (error.code === 'P0002') {
+      return { notFound: true };
+    }
+    throw new Error(`Failed to update comment like: ${error.message}`);
+  }
+
+  return {
+    liked: data.liked,
+    likesCount: data.likes_count || 0,
+    changed: data.changed
+  };
+};
+
+// Helper function to fetch a comment that belongs to the given post
+const getPostComment = async (postId, commentId) => {
+  const { data: comment, error } = await supabase
+    .from('comments')
+    .select('id, post_id, user_id, parent_id, content, likes_count, created_at, updated_at, edited_at')
+    .eq('id', commentId)
+    .eq('post_id', postId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to fetch comment: ${error.message}`);
+  }
+
+  return comment;
+};
+
+// Helper function to collect the ids of all replies below a comment
+const collectDescendantIds = async (commentId) => {
+  const descendantIds = [];
+  let frontier = [commentId];
+
+  while (frontier.length > 0) {
+    const { data: children, error } = await supabase
+      .from('comments')
+      .select('id')
+      .in('parent_id', frontier);
+
+    if (error) {
+      throw new Error(`Failed to fetch replies: ${error.message}`);
+    }
+
+    frontier = (children || []).map(child => child.id);
+    descendantIds.push(...frontier);
+  }
+
+  return descendantIds;
+};
+
+// Helper function to delete a comment, all of its replies and their likes,
+// then take the deleted comments off the post's comment count
+const deleteCommentThread = async (postId, commentId) => {
+  const descendantIds = await collectDescendantIds(commentId);
+  const idsToDelete = [commentId, ...descendantIds];
+
+  const { error: likesError } = await supabase
+    .from('comment_likes')
+    .delete()
+    .in('comment_id', idsToDelete);
+
+  if (likesError) {
+    console.error('Error deleting comment likes:', likesError);
+    return { success: false, error: 'Failed to delete comment likes' };
+  }
+
+  // Delete deepest replies first so parent_id references never dangle.
+  // Only rows this call actually removed come off the count.
+  let deletedCount = 0;
+  for (const id of [...idsToDelete].reverse()) {
+    const { data: deletedRows, error: deleteError } = await supabase
+      .from('comments')
+      .delete()
+      .eq('id', id)
+      .select('id');
+
+    if (deleteError) {
+      console.error('Error deleting comment:', deleteError);
+      if (deletedCount > 0) {
+        await adjustCommentsCount(postId, -deletedCount);
+      }
+      return { success: false, error: 'Failed to delete comment' };
+    }
+
+    deletedCount += (deletedRows || []).length;
+  }
+
+  const commentsCount = await adjustCommentsCount(postId, -deletedCount);
+
+  return { success: true, idsToDelete, descendantIds, commentsCount };
+};
+
+// Helper function to transform comment rows into the Flutter app format
+const formatComments = async (comments, viewerId) => {
+  if (comments.length === 0) {
+    return [];
+  }
+
+  const commentIds = comments.map(comment => comment.id);
+  const userIds = [...new Set(comments.map(comment => comment.user_id))];
+
+  const [profilesResult, repliesResult, likesResult] = await Promise.all([
+    supabase
+      .from('profiles')
+      .select('id, username, display_name, avatar_url, is_verified')
+      .in('id', userIds),
+    supabase
+      .from('comments')
+      .select('parent_id')
+      .in('parent_id', commentIds),
+    viewerId
+      ? supabase
+        .from('comment_likes')
+        .select('comment_id')
+        .eq('user_id', viewerId)
+        .in('comment_id', commentIds)
+      : Promise.resolve({ data: [] })
+  ]);
+
+  if (profilesResult.error) {
+    console.error('Error fetching comment author profiles:', profilesResult.error);
+  }
+
+  const userMap = {};
+  (profilesResult.data || []).forEach(profile => {
+    userMap[profile.id] = profile;
+  });
+
+  const replyCounts = {};
+  (repliesResult.data || []).forEach(reply => {
+    replyCounts[reply.parent_id] = (replyCounts[reply.parent_id] || 0) + 1;
+  });
+
+  const likedIds = new Set((likesResult.data || []).map(like => like.comment_id));
+
+  return comments.map(comment => {
+    const author = userMap[comment.user_id] || {};
+
+    return {
+      id: comment.id,
+      postId: comment.post_id,
+      parentId: comment.parent_id || null,
+      userId: comment.user_id,
+      userName: author.username || author.display_name || 'Anonymous', // USERNAME FIRST
+      avatarUrl: author.avatar_url || null,
+      isVerified: author.is_verified || false,
+      content: comment.content,
+      likes: comment.likes_count || 0,
+      replyCount: replyCounts[comment.id] || 0,
+      isLiked: likedIds.has(comment.id),
+      createdAt: comment.created_at,
+      editedAt: comment.edited_at || null
+    };
+  });
+};
+
+// Helper function to list one page of comments under a post or a parent comment
+const listComments = async (req, res, parentId) => {
+  const { postId } = req.params;
+  const limit = parseLimit(req.query.limit);
+
+  let cursor = null;
+  if (req.query.cursor) {
+    cursor = decodeCursor(req.query.cursor);
+    if (!cursor) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+  }
+
+  // Oldest first so threads read as a conversation
+  let query = supabase
+    .from('comments')
+    .select('id, post_id, user_id, parent_id, content, likes_count, created_at, edited_at')
+    .eq('post_id', postId)
+    .eq('is_hidden', false) // hidden by a moderator
+    .order('created_at', { ascending: true })
+    .order('id', { ascending: true })
+    .limit(limit + 1);
+
+  query = parentId ? query.eq('parent_id', parentId) : query.is('parent_id', null);
+
+  if (cursor) {
+    query = query.or(
+      `created_at.gt."${cursor.createdAt}",and(created_at.eq."${cursor.createdAt}",id.gt.${cursor.id})`
+    );
+  }
+
+  const { data: rows, error } = await query;
+
+  if (error) {
+    console.error('Error fetching comments:', error);
+    return res.status(500).json({ error: 'Failed to fetch comments' });
+  }
+
+  const hasMore = rows.length > limit;
+  const pageRows = hasMore ? rows.slice(0, limit) : rows;
+  const comments = await formatComments(pageRows, req.user?.id);
+
+  res.json({
+    success: true,
+    comments: comments,
+    pagination: {
+      limit: limit,
+      hasMore: hasMore,
+      nextCursor: hasMore ? encodeCursor(pageRows[pageRows.length - 1]) : null
+    }
+  });
+};
+
+/**
+ * @route   GET /api/posts/:postId/comments
+ * @desc    List top-level comments on a post (cursor paginated)
+ * @access  Public (isLiked is filled in when a bearer token is sent)
+ * @query   { cursor?: string, limit?: number }
+ */
+router.get('/:postId/comments', optionalAuthenticateUser, async (req, res) => {
+  try {
+    if (!(await isPostVisible(req.params.postId))) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    await listComments(req, res, null);
+  } catch (error) {
+    console.error('List comments error:', error);
+    res.status(500).json({ error: 'Server error fetching comments' });
+  }
+});
+
+/**
+ * @route   GET /api/posts/:postId/comments/:commentId/replies
+ * @desc    List direct replies to a comment (cursor paginated)
+ * @access  Public (isLiked is filled in when a bearer token is sent)
+ * @query   { cursor?: string, limit?: number }
+ */
+router.get('/:postId/comments/:commentId/replies', optionalAuthenticateUser, async (req, res) => {
+  try {
+    const { postId, commentId } = req.params;
+
+    if (!(await isPostVisible(postId))) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    const parent = await getPostComment(postId, commentId);
+    if (!parent) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    await listComments(req, res, commentId);
+  } catch (error) {
+    console.error('List replies error:', error);
+    res.status(500).json({ error: 'Server error fetching replies' });
+  }
+});
+
+/**
+ * @route   POST /api/posts/:postId/comments
+ * @desc    Add a comment, or a reply when parentId is given
+ * @access  Private
+ * @body    { content: string, parentId?: string }
+ */
+router.post('/:postId/comments', commentLimiter, authenticateUser, async (req, res) => {
+  try {
+    const { postId } = req.params;
+    const { content, parentId } = req.body;
+    const userId = req.user.id;
+
+    // Validation
+    if (!content || typeof content !== 'string' || content.trim().length === 0) {
+      return res.status(400).json({ error: 'Comment content is required' });
+    }
+
+    if (content.trim().length > MAX_COMMENT_LENGTH) {
+      return res.status(400).json({ error: `Comment is too long (max ${MAX_COMMENT_LENGTH} characters)` });
+    }
+
+    if (!(await isPostVisible(postId))) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    // Replies must point at a comment on the same post
+    if (parentId) {
+      const parent = await getPostComment(postId, parentId);
+      if (!parent) {
+        return res.status(404).json({ error: 'Parent comment not found' });
+      }
+    }
+
+    console.log(`💬 New comment on post: ${postId} by user: ${userId}${parentId ? ` (reply to ${parentId})` : ''}`);
+
+    const now = new Date().toISOString();
+    const { data: comment, error } = await supabase
+      .from('comments')
+      .insert([{
+        post_id: postId,
+        user_id: userId,
+        parent_id: parentId || null,
+        content: content.trim(),
+        likes_count: 0,
+        created_at: now,
+        updated_at: now
+      }])
+      .select('id, post_id, user_id, parent_id, content, likes_count, created_at, edited_at')
+      .single();
+
+    if (error) {
+      console.error('Database error creating comment:', error);
+      return res.status(500).json({ error: 'Failed to create comment' });
+    }
+
+    const commentsCount = await adjustCommentsCount(postId, 1);
+    const [formattedComment] = await formatComments([comment], userId);
+
+    console.log(`✅ Comment created: ${comment.id}, Total comments: ${commentsCount}`);
+
+    res.status(201).json({
+      success: true,
+      comment: formattedComment,
+      commentCount: commentsCount,
+      message: 'Comment added'
+    });
+
+  } catch (error) {
+    console.error('Create comment error:', error);
+    res.status(500).json({ error: 'Server error creating comment' });
+  }
+});
+
+/**
+ * @route   PATCH /api/posts/:postId/comments/:commentId
+ * @desc    Edit the text of a comment
+ * @access  Private (comment author only)
+ * @body    { content: string }
+ */
+router.patch('/:postId/comments/:commentId', authenticateUser, async (req, res) => {
+  try {
+    const { postId, commentId } = req.params;
+    const { content } = req.body;
+    const userId = req.user.id;
+
+    if (!content || typeof content !== 'string' || content.trim().length === 0) {
+      return res.status(400).json({ error: 'Comment content is required' });
+    }
+
+    if (content.trim().length > MAX_COMMENT_LENGTH) {
+      return res.status(400).json({ error: `Comment is too long (max ${MAX_COMMENT_LENGTH} characters)` });
+    }
+
+    const comment = await getPostComment(postId, commentId);
+    if (!comment) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    if (comment.user_id !== userId) {
+      return res.status(403).json({ error: 'You can only edit your own comments' });
+    }
+
+    const now = new Date().toISOString();
+    const { data: updatedComment, error } = await supabase
+      .from('comments')
+      .update({
+        content: content.trim(),
+        edited_at: now,
+        updated_at: now
+      })
+      .eq('id', commentId)
+      .select('id, post_id, user_id, parent_id, content, likes_count, created_at, edited_at')
+      .single();
+
+    if (error) {
+      console.error('Database error updating comment:', error);
+      return res.status(500).json({ error: 'Failed to update comment' });
+    }
+
+    const [formattedComment] = await formatComments([updatedComment], userId);
+
+    console.log(`✏️ Comment ${commentId} edited by user: ${userId}`);
+
+    res.json({
+      success: true,
+      comment: formattedComment,
+      message: 'Comment updated'
+    });
+
+  } catch (error) {
+    console.error('Update comment error:', error);
+    res.status(500).json({ error: 'Server error updating comment' });
+  }
+});
+
+/**
+ * @route   DELETE /api/posts/:postId/comments/:commentId
+ * @desc    Delete a comment together with its replies and likes
+ * @access  Private (comment author or admin)
+ */
+router.delete('/:postId/comments/:commentId', authenticateUser, async (req, res) => {
+  try {
+    const { postId, commentId } = req.params;
+    const userId = req.user.id;
+
+    const comment = await getPostComment(postId, commentId);
+    if (!comment) {
+      return res.status(404).json({ success: false, error: 'Comment not found' });
+    }
+
+    const isAuthor = comment.user_id === userId;
+    const isAdmin = isAuthor ? false : await isUserAdmin(userId);
+
+    if (!isAuthor && !isAdmin) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to delete this comment'
+      });
+    }
+
+    console.log(`🗑️ Deleting comment ${commentId} (Author: ${isAuthor}, Admin: ${isAdmin})`);
+
+    const deletion = await deleteCommentThread(postId, commentId);
+
+    if (!deletion.success) {
+      return res.status(500).json({ success: false, error: deletion.error });
+    }
+
+    const { idsToDelete, descendantIds, commentsCount } = deletion;
+
+    console.log(`✅ Deleted ${idsToDelete.length} comment(s), Total comments: ${commentsCount}`);
+
+    res.json({
+      success: true,
+      message: 'Comment deleted successfully',
+      details: {
+        comment_id: commentId,
+        deleted_replies: descendantIds.length,
+        is_admin_delete: isAdmin
+      },
+      commentCount: commentsCount
+    });
+
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error deleting comment'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/posts/:postId/comments/:commentId/like
+ * @desc    Toggle the current user's like on a comment
+ * @access  Private
+ */
+router.post('/:postId/comments/:commentId/like', authenticateUser, async (req, res) => {
+  try {
+    const { postId, commentId } = req.params;
+    const userId = req.user.id;
+
+    if (!(await isPostVisible(postId))) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    const comment = await getPostComment(postId, commentId);
+    if (!comment) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    console.log(`👍 Toggle like for comment: ${commentId} by user: ${userId}`);
+
+    const result = await setCommentLike(commentId, userId, 'toggle');
+
+    if (result.notFound) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    const liked = result.liked;
+    const likesCount = result.likesCount;
+
+    console.log(`✅ Comment like toggled - Liked: ${liked}, Total likes: ${likesCount}`);
+
+    res.json({
+      success: true,
+      liked: liked,
+      likes: likesCount,
+      message: liked ? 'Comment liked' : 'Comment unliked'
+    });
+
+  } catch (error) {
+    console.error('Toggle comment like error:', error);
+    res.status(500).json({ error: 'Server error toggling comment like' });
+  }
+});
+
+module.exports = router;
+module.exports.deleteCommentThread = deleteCommentThread;
+module.exports.setCommentLike = setCommentLike;
@@ -0,0 +1,30 @@
+-- Post editing (posts/edit_post.js): edited_at marker and edit history
+-- Run in the Supabase SQL editor
+
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS edited_at TIMESTAMPTZ;
+
+CREATE TABLE IF NOT EXISTS post_edits (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  post_id UUID NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+  editor_id UUID NOT NULL REFERENCES auth.users(id),
+  changed_fields TEXT[] NOT NULL,
+  previous_values JSONB NOT NULL,
+  new_values JSONB NOT NULL,
+  is_admin_edit BOOLEAN NOT NULL DEFAULT FALSE,
+  edited_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_post_edits_post_id ON post_edits (post_id, edited_at DESC);
+
+-- Recreate the view so it exposes the new posts column
+DROP VIEW IF EXISTS posts_with_users;
+CREATE VIEW posts_with_users AS
+SELECT
+  p.*,
+  pr.username,
+  pr.display_name,
+  pr.avatar_url,
+  pr.is_verified,
+  pr.user_type
+FROM posts p
+LEFT JOIN profiles pr ON pr.id = p.user_id;
@@ -0,0 +1,5 @@
+-- Keyset pagination for GET /api/posts orders by (created_at, id)
+-- Run in the Supabase SQL editor
+
+CREATE INDEX IF NOT EXISTS idx_posts_created_at_id ON posts (created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_posts_user_created_at_id ON posts (user_id, created_at DESC, id DESC);
@@ -0,0 +1,10 @@
+-- Indexes backing GET /api/search/posts (search/search.js)
+-- Run in the Supabase SQL editor
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE INDEX IF NOT EXISTS idx_posts_caption_trgm ON posts USING gin (caption gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_posts_location_trgm ON posts USING gin (location gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_posts_tags ON posts USING gin (tags);
+CREATE INDEX IF NOT EXISTS idx_profiles_username_trgm ON profiles USING gin (username gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_profiles_display_name_trgm ON profiles USING gin (display_name gin_trgm_ops);
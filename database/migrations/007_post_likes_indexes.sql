@@ -0,0 +1,5 @@
+-- Per-viewer like state and likers list (GET /api/posts, GET /api/posts/:postId/likes)
+-- Run in the Supabase SQL editor
+
+CREATE INDEX IF NOT EXISTS idx_post_likes_user_post ON post_likes (user_id, post_id);
+CREATE INDEX IF NOT EXISTS idx_post_likes_post_created ON post_likes (post_id, created_at DESC, id DESC);
@@ -0,0 +1,111 @@
+-- Atomic, idempotent post likes (server.js like endpoints) and counter reconciliation
+-- Run in the Supabase SQL editor
+
+-- Remove duplicate likes left by the old read-count-write handler, then enforce uniqueness
+DELETE FROM post_likes a
+USING post_likes b
+WHERE a.post_id = b.post_id
+  AND a.user_id = b.user_id
+  AND a.ctid > b.ctid;
+
+CREATE UNIQUE INDEX IF NOT EXISTS post_likes_post_user_unique ON post_likes (post_id, user_id);
+
+-- Set the like state of (post, user). Returns { liked, likes_count, changed }.
+CREATE OR REPLACE FUNCTION set_post_like(p_post_id UUID, p_user_id UUID, p_liked BOOLEAN)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_rows INTEGER;
+  v_count INTEGER;
+BEGIN
+  -- Lock the post so concurrent like/unlike calls on it run one after another
+  PERFORM 1 FROM posts WHERE id = p_post_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Post % not found', p_post_id USING ERRCODE = 'P0002';
+  END IF;
+
+  IF p_liked THEN
+    INSERT INTO post_likes (post_id, user_id, created_at)
+    VALUES (p_post_id, p_user_id, NOW())
+    ON CONFLICT (post_id, user_id) DO NOTHING;
+  ELSE
+    DELETE FROM post_likes WHERE post_id = p_post_id AND user_id = p_user_id;
+  END IF;
+
+  GET DIAGNOSTICS v_rows = ROW_COUNT;
+
+  UPDATE posts
+  SET likes_count = GREATEST(
+    COALESCE(likes_count, 0) + CASE WHEN v_rows = 0 THEN 0 WHEN p_liked THEN 1 ELSE -1 END,
+    0
+  )
+  WHERE id = p_post_id
+  RETURNING likes_count INTO v_count;
+
+  RETURN jsonb_build_object('liked', p_liked, 'likes_count', v_count, 'changed', v_rows > 0);
+END;
+$$;
+
+-- Flip the like state of (post, user). Returns the same shape as set_post_like.
+CREATE OR REPLACE FUNCTION toggle_post_like(p_post_id UUID, p_user_id UUID)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_exists BOOLEAN;
+BEGIN
+  PERFORM 1 FROM posts WHERE id = p_post_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Post % not found', p_post_id USING ERRCODE = 'P0002';
+  END IF;
+
+  SELECT EXISTS (
+    SELECT 1 FROM post_likes WHERE post_id = p_post_id AND user_id = p_user_id
+  ) INTO v_exists;
+
+  RETURN set_post_like(p_post_id, p_user_id, NOT v_exists);
+END;
+$$;
+
+-- Recompute likes_count and comments_count for every post from the source tables.
+-- Returns how many posts had a drifted counter.
+CREATE OR REPLACE FUNCTION reconcile_post_counters()
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_likes_fixed INTEGER;
+  v_comments_fixed INTEGER;
+BEGIN
+  WITH actual AS (
+    SELECT p.id, COUNT(l.post_id)::INTEGER AS total
+    FROM posts p
+    LEFT JOIN post_likes l ON l.post_id = p.id
+    GROUP BY p.id
+  )
+  UPDATE posts
+  SET likes_count = actual.total
+  FROM actual
+  WHERE posts.id = actual.id
+    AND posts.likes_count IS DISTINCT FROM actual.total;
+
+  GET DIAGNOSTICS v_likes_fixed = ROW_COUNT;
+
+  WITH actual AS (
+    SELECT p.id, COUNT(c.post_id)::INTEGER AS total
+    FROM posts p
+    LEFT JOIN comments c ON c.post_id = p.id
+    GROUP BY p.id
+  )
+  UPDATE posts
+  SET comments_count = actual.total
+  FROM actual
+  WHERE posts.id = actual.id
+    AND posts.comments_count IS DISTINCT FROM actual.total;
+
+  GET DIAGNOSTICS v_comments_fixed = ROW_COUNT;
+
+  RETURN jsonb_build_object('likes_fixed', v_likes_fixed, 'comments_fixed', v_comments_fixed);
+END;
+$$;
@@ -0,0 +1,66 @@
+-- Content reporting and the admin moderation queue (moderation/reports.js)
+-- Run in the Supabase SQL editor
+
+-- Content a moderator hid stays in the database but drops out of every listing
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS is_hidden BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS is_hidden BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE images ADD COLUMN IF NOT EXISTS is_hidden BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS is_hidden BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE TABLE IF NOT EXISTS reports (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  reporter_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  target_type TEXT NOT NULL CHECK (target_type IN ('post', 'comment', 'profile', 'image')),
+  target_id UUID NOT NULL,
+  target_owner_id UUID,
+  reason TEXT NOT NULL CHECK (reason IN (
+    'spam', 'nudity', 'harassment', 'hate_speech', 'violence',
+    'copyright', 'impersonation', 'other'
+  )),
+  details TEXT,
+  status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'resolved')),
+  assigned_to UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  assigned_at TIMESTAMPTZ,
+  resolution TEXT CHECK (resolution IN ('dismiss', 'hide', 'delete')),
+  resolution_reason TEXT,
+  resolved_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  resolved_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- One open report per reporter and target
+CREATE UNIQUE INDEX IF NOT EXISTS idx_reports_open_unique
+  ON reports (reporter_id, target_type, target_id)
+  WHERE status = 'open';
+
+CREATE INDEX IF NOT EXISTS idx_reports_queue ON reports (status, created_at);
+CREATE INDEX IF NOT EXISTS idx_reports_target ON reports (target_type, target_id);
+
+-- Every moderator action (assign, dismiss, hide, delete) is recorded here
+CREATE TABLE IF NOT EXISTS moderation_actions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  report_id UUID REFERENCES reports(id) ON DELETE SET NULL,
+  moderator_id UUID NOT NULL REFERENCES auth.users(id),
+  action TEXT NOT NULL CHECK (action IN ('assign', 'dismiss', 'hide', 'delete')),
+  target_type TEXT NOT NULL,
+  target_id UUID NOT NULL,
+  reason TEXT,
+  details JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_moderation_actions_report ON moderation_actions (report_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_moderation_actions_moderator ON moderation_actions (moderator_id, created_at DESC);
+
+-- Recreate the view so it exposes posts.is_hidden
+DROP VIEW IF EXISTS posts_with_users;
+CREATE VIEW posts_with_users AS
+SELECT
+  p.*,
+  pr.username,
+  pr.display_name,
+  pr.avatar_url,
+  pr.is_verified,
+  pr.user_type
+FROM posts p
+LEFT JOIN profiles pr ON pr.id = p.user_id;
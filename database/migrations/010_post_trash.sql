@@ -0,0 +1,23 @@
+-- Soft delete for posts (delete/delete_post.js trash routes, scripts/purge_trash.js)
+-- Run in the Supabase SQL editor
+
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS deleted_by UUID REFERENCES auth.users(id) ON DELETE SET NULL;
+
+-- Trash listing per user and the purge job's expiry scan
+CREATE INDEX IF NOT EXISTS idx_posts_trash ON posts (user_id, deleted_at DESC) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_posts_deleted_at ON posts (deleted_at) WHERE deleted_at IS NOT NULL;
+
+-- Recreate the view so trashed posts drop out of every feed that reads it
+DROP VIEW IF EXISTS posts_with_users;
+CREATE VIEW posts_with_users AS
+SELECT
+  p.*,
+  pr.username,
+  pr.display_name,
+  pr.avatar_url,
+  pr.is_verified,
+  pr.user_type
+FROM posts p
+LEFT JOIN profiles pr ON pr.id = p.user_id
+WHERE p.deleted_at IS NULL;
@@ -0,0 +1,55 @@
+-- Persistent queue for Cloudinary deletions (delete/cloudinary_deletion_queue.js)
+-- Run in the Supabase SQL editor
+
+CREATE TABLE IF NOT EXISTS cloudinary_deletion_jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  public_ids TEXT[] NOT NULL,
+  deleted_public_ids TEXT[] NOT NULL DEFAULT '{}',
+  source TEXT NOT NULL,
+  source_id TEXT,
+  requested_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  -- pending -> processing -> completed, or back to pending with a backoff;
+  -- 'dead' is the dead-letter list once max_attempts is used up
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'completed', 'dead')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 6,
+  next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  locked_at TIMESTAMPTZ,
+  last_error TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_cloudinary_deletion_jobs_due
+  ON cloudinary_deletion_jobs (next_attempt_at)
+  WHERE status = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_cloudinary_deletion_jobs_status
+  ON cloudinary_deletion_jobs (status, updated_at DESC);
+
+-- Claim due jobs for a worker. SKIP LOCKED lets several server instances poll at once;
+-- jobs stuck in 'processing' (worker crashed) are picked up again after lock_timeout_seconds.
+CREATE OR REPLACE FUNCTION claim_cloudinary_deletion_jobs(batch_size INTEGER, lock_timeout_seconds INTEGER DEFAULT 600)
+RETURNS SETOF cloudinary_deletion_jobs
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RETURN QUERY
+  UPDATE cloudinary_deletion_jobs j
+  SET status = 'processing',
+      locked_at = NOW(),
+      attempts = j.attempts + 1,
+      updated_at = NOW()
+  WHERE j.id IN (
+    SELECT c.id
+    FROM cloudinary_deletion_jobs c
+    WHERE (c.status = 'pending' AND c.next_attempt_at <= NOW())
+       OR (c.status = 'processing' AND c.locked_at < NOW() - make_interval(secs => lock_timeout_seconds))
+    ORDER BY c.next_attempt_at
+    LIMIT batch_size
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING j.*;
+END;
+$$;
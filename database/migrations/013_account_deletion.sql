@@ -0,0 +1,38 @@
+-- Account deletion (account/account_deletion_service.js)
+-- Run in the Supabase SQL editor
+
+-- One row per DELETE /api/account run; steps holds per-step progress so a failed run can resume.
+-- user_id has no foreign key: the row must outlive the auth user it describes.
+CREATE TABLE IF NOT EXISTS account_deletion_requests (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'failed', 'completed')),
+  steps JSONB NOT NULL DEFAULT '{}',
+  current_step TEXT,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  ip_address TEXT,
+  request_id TEXT,
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_account_deletion_requests_user ON account_deletion_requests (user_id, created_at DESC);
+
+-- Payment records are kept for bookkeeping but stripped of the user
+ALTER TABLE mpesa_transactions ALTER COLUMN user_id DROP NOT NULL;
+ALTER TABLE mpesa_transactions ALTER COLUMN phone_number DROP NOT NULL;
+ALTER TABLE mpesa_transactions ADD COLUMN IF NOT EXISTS anonymized_at TIMESTAMPTZ;
+
+-- These references would otherwise block deleting the auth user
+ALTER TABLE post_edits ALTER COLUMN editor_id DROP NOT NULL;
+ALTER TABLE post_edits DROP CONSTRAINT IF EXISTS post_edits_editor_id_fkey;
+ALTER TABLE post_edits
+  ADD CONSTRAINT post_edits_editor_id_fkey FOREIGN KEY (editor_id) REFERENCES auth.users(id) ON DELETE SET NULL;
+
+ALTER TABLE moderation_actions ALTER COLUMN moderator_id DROP NOT NULL;
+ALTER TABLE moderation_actions DROP CONSTRAINT IF EXISTS moderation_actions_moderator_id_fkey;
+ALTER TABLE moderation_actions
+  ADD CONSTRAINT moderation_actions_moderator_id_fkey FOREIGN KEY (moderator_id) REFERENCES auth.users(id) ON DELETE SET NULL;
@@ -0,0 +1,19 @@
+-- Personal data export archives (exports/data_export_service.js)
+-- Run in the Supabase SQL editor
+
+CREATE TABLE IF NOT EXISTS data_exports (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'ready', 'failed', 'expired')),
+  file_size BIGINT,
+  counts JSONB,
+  error TEXT,
+  completed_at TIMESTAMPTZ,
+  -- The download link works until this time; the archive is deleted afterwards
+  expires_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_data_exports_user ON data_exports (user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_data_exports_expiry ON data_exports (expires_at) WHERE status = 'ready';
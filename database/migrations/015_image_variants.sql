@@ -0,0 +1,41 @@
+-- Image dimensions for responsive variants (storage/image_assets.js)
+-- Run in the Supabase SQL editor
+
+-- One row per uploaded file, written by the upload routes. Posts are created from URLs
+-- uploaded earlier, so this is where their dimensions are looked up.
+CREATE TABLE IF NOT EXISTS image_assets (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  public_id TEXT NOT NULL UNIQUE,
+  url TEXT NOT NULL,
+  folder TEXT NOT NULL,
+  provider TEXT NOT NULL,
+  uploaded_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  width INTEGER,
+  height INTEGER,
+  bytes BIGINT,
+  format TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_image_assets_url ON image_assets (url);
+CREATE INDEX IF NOT EXISTS idx_image_assets_uploaded_by ON image_assets (uploaded_by, created_at DESC);
+
+-- [{ url, width, height }] for the URLs in posts.images; older posts keep an empty list
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS image_metadata JSONB NOT NULL DEFAULT '[]';
+
+ALTER TABLE images ADD COLUMN IF NOT EXISTS width INTEGER;
+ALTER TABLE images ADD COLUMN IF NOT EXISTS height INTEGER;
+
+-- Recreate the view so it picks up posts.image_metadata
+DROP VIEW IF EXISTS posts_with_users;
+CREATE VIEW posts_with_users AS
+SELECT
+  p.*,
+  pr.username,
+  pr.display_name,
+  pr.avatar_url,
+  pr.is_verified,
+  pr.user_type
+FROM posts p
+LEFT JOIN profiles pr ON pr.id = p.user_id
+WHERE p.deleted_at IS NULL;
@@ -0,0 +1,27 @@
+-- EXIF camera and exposure details (storage/exif.js, GET /api/posts ?camera= and ?lens=)
+-- Run in the Supabase SQL editor
+
+-- { camera, cameraMake, lens, lensMake, focalLength, aperture, shutterSpeed, iso, capturedAt }
+ALTER TABLE image_assets ADD COLUMN IF NOT EXISTS exif JSONB;
+
+-- Lower-cased camera/lens names (and their makes) across a post's images, for the feed filters.
+-- The per-image details live in posts.image_metadata.
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS exif_cameras TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS exif_lenses TEXT[] NOT NULL DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS idx_posts_exif_cameras ON posts USING GIN (exif_cameras);
+CREATE INDEX IF NOT EXISTS idx_posts_exif_lenses ON posts USING GIN (exif_lenses);
+
+-- Recreate the view so it picks up the new posts columns
+DROP VIEW IF EXISTS posts_with_users;
+CREATE VIEW posts_with_users AS
+SELECT
+  p.*,
+  pr.username,
+  pr.display_name,
+  pr.avatar_url,
+  pr.is_verified,
+  pr.user_type
+FROM posts p
+LEFT JOIN profiles pr ON pr.id = p.user_id
+WHERE p.deleted_at IS NULL;
@@ -0,0 +1,6 @@
+-- Opt-in photo locations (storage/image_privacy.js, POST /api/upload-images share_location)
+-- Run in the Supabase SQL editor
+
+-- { latitude, longitude, place } for uploads whose owner chose to share where the photo was
+-- taken. NULL otherwise - GPS metadata is stripped from every stored file either way.
+ALTER TABLE image_assets ADD COLUMN IF NOT EXISTS location JSONB;
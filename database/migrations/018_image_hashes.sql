@@ -0,0 +1,78 @@
+-- Perceptual hashes for duplicate detection (storage/perceptual_hash.js, storage/duplicate_images.js)
+-- Run in the Supabase SQL editor
+
+-- 64-bit difference hash as 16 hex characters; NULL for formats that are not hashed (WebP, HEIC)
+ALTER TABLE image_assets ADD COLUMN IF NOT EXISTS phash TEXT;
+
+-- One entry per posts.images entry (same order, NULL when unhashed), for duplicate checks
+-- against a user's earlier posts and the cross-account repost report
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS image_hashes TEXT[] NOT NULL DEFAULT '{}';
+
+-- Recreate the view so it picks up the new posts column
+DROP VIEW IF EXISTS posts_with_users;
+CREATE VIEW posts_with_users AS
+SELECT
+  p.*,
+  pr.username,
+  pr.display_name,
+  pr.avatar_url,
+  pr.is_verified,
+  pr.user_type
+FROM posts p
+LEFT JOIN profiles pr ON pr.id = p.user_id
+WHERE p.deleted_at IS NULL;
+
+-- Post images that reappear in a later post by a different account (GET /api/reposts).
+-- Comparing every pair would be quadratic, so hashes are split into eight 8-bit bands and only
+-- pairs sharing a band are compared: two hashes within 7 bits of each other always share one,
+-- which is why max_distance is capped at 7.
+CREATE OR REPLACE FUNCTION find_reposted_images(max_distance INTEGER DEFAULT 6, result_limit INTEGER DEFAULT 50, result_offset INTEGER DEFAULT 0)
+RETURNS TABLE (
+  original_post_id UUID,
+  original_user_id UUID,
+  original_image_url TEXT,
+  original_created_at TIMESTAMPTZ,
+  repost_post_id UUID,
+  repost_user_id UUID,
+  repost_image_url TEXT,
+  repost_created_at TIMESTAMPTZ,
+  distance INTEGER
+)
+LANGUAGE sql
+STABLE
+AS $$
+  WITH hashed AS (
+    SELECT p.id AS post_id, p.user_id, p.created_at, i.url, i.phash
+    FROM posts p
+    CROSS JOIN LATERAL unnest(p.images, p.image_hashes) AS i(url, phash)
+    WHERE p.deleted_at IS NULL
+      AND i.phash IS NOT NULL
+  ),
+  bands AS (
+    SELECT h.*, b.n AS band_number, substr(h.phash, b.n * 2 + 1, 2) AS band
+    FROM hashed h
+    CROSS JOIN generate_series(0, 7) AS b(n)
+  ),
+  candidates AS (
+    SELECT DISTINCT
+      o.post_id AS original_post_id, o.user_id AS original_user_id, o.url AS original_image_url,
+      o.created_at AS original_created_at, o.phash AS original_phash,
+      r.post_id AS repost_post_id, r.user_id AS repost_user_id, r.url AS repost_image_url,
+      r.created_at AS repost_created_at, r.phash AS repost_phash
+    FROM bands o
+    JOIN bands r
+      ON r.band_number = o.band_number
+     AND r.band = o.band
+     AND r.user_id <> o.user_id
+     AND r.created_at > o.created_at
+  )
+  SELECT
+    c.original_post_id, c.original_user_id, c.original_image_url, c.original_created_at,
+    c.repost_post_id, c.repost_user_id, c.repost_image_url, c.repost_created_at,
+    bit_count(('x' || c.original_phash)::bit(64) # ('x' || c.repost_phash)::bit(64))::INTEGER AS distance
+  FROM candidates c
+  WHERE bit_count(('x' || c.original_phash)::bit(64) # ('x' || c.repost_phash)::bit(64)) <= LEAST(max_distance, 7)
+  ORDER BY c.repost_created_at DESC, distance
+  LIMIT result_limit
+  OFFSET result_offset;
+$$;
@@ -0,0 +1,29 @@
+-- Following feed query (follows/following_feed.js)
+-- Run in the Supabase SQL editor
+
+-- One page of post ids from the accounts a user follows, newest first. The followed ids stay in
+-- the database instead of being sent back as a (max-rows capped, URL-length limited) .in() list.
+-- Pass the created_at and id of the last post of the previous page to continue after it.
+CREATE OR REPLACE FUNCTION get_following_feed_post_ids(
+  p_user_id UUID,
+  p_limit INTEGER,
+  p_cursor_created_at TIMESTAMPTZ DEFAULT NULL,
+  p_cursor_id UUID DEFAULT NULL
+)
+RETURNS TABLE (id UUID, created_at TIMESTAMPTZ)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT p.id, p.created_at
+  FROM posts p
+  WHERE p.user_id IN (SELECT f.following_id FROM follows f WHERE f.follower_id = p_user_id)
+    AND p.deleted_at IS NULL
+    AND p.is_hidden = false
+    AND (p_cursor_created_at IS NULL OR (p.created_at, p.id) < (p_cursor_created_at, p_cursor_id))
+  ORDER BY p.created_at DESC, p.id DESC
+  LIMIT p_limit;
+$$;
+
+-- Server-side only: p_user_id is trusted, so keep it off the public /rpc endpoint
+REVOKE EXECUTE ON FUNCTION get_following_feed_post_ids(UUID, INTEGER, TIMESTAMPTZ, UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION get_following_feed_post_ids(UUID, INTEGER, TIMESTAMPTZ, UUID) TO service_role;
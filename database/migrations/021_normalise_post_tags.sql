@@ -0,0 +1,20 @@
+-- Lowercase post tags (server.js and posts/edit_post.js now store them this way)
+-- Run in the Supabase SQL editor
+
+-- Strip '#', trim and lowercase every tag, dropping blanks and keeping the first of any duplicates
+UPDATE posts p
+SET tags = normalised.tags
+FROM (
+  SELECT id, COALESCE(array_agg(tag ORDER BY position), '{}') AS tags
+  FROM (
+    SELECT DISTINCT ON (posts.id, key) posts.id, key AS tag, t.position
+    FROM posts
+    CROSS JOIN LATERAL unnest(posts.tags) WITH ORDINALITY AS t(raw, position)
+    CROSS JOIN LATERAL (SELECT lower(btrim(regexp_replace(t.raw, '^\s*#', ''))) AS key) k
+    WHERE key <> ''
+    ORDER BY posts.id, key, t.position
+  ) keys
+  GROUP BY id
+) normalised
+WHERE p.id = normalised.id
+  AND p.tags IS DISTINCT FROM normalised.tags;
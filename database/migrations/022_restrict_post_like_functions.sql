@@ -0,0 +1,12 @@
+-- Restrict the post like functions of 008_atomic_post_likes.sql to the server
+-- Run in the Supabase SQL editor
+
+-- Functions are executable by PUBLIC by default, which exposes them at /rest/v1/rpc to anyone
+-- holding the anon key. p_user_id is trusted, so keep them server-side only.
+REVOKE EXECUTE ON FUNCTION set_post_like(UUID, UUID, BOOLEAN) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION toggle_post_like(UUID, UUID) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION reconcile_post_counters() FROM PUBLIC, anon, authenticated;
+
+GRANT EXECUTE ON FUNCTION set_post_like(UUID, UUID, BOOLEAN) TO service_role;
+GRANT EXECUTE ON FUNCTION toggle_post_like(UUID, UUID) TO service_role;
+GRANT EXECUTE ON FUNCTION reconcile_post_counters() TO service_role;
@@ -0,0 +1,139 @@
+-- Keep posts by moderator-hidden profiles out of public listings (moderation/reports.js 'hide')
+-- Run in the Supabase SQL editor
+
+-- Recreate the view so it exposes whether the author's profile is hidden. Owners still read
+-- their own posts through it, so the listings filter on author_is_hidden instead of the view.
+DROP VIEW IF EXISTS posts_with_users;
+CREATE VIEW posts_with_users AS
+SELECT
+  p.*,
+  pr.username,
+  pr.display_name,
+  pr.avatar_url,
+  pr.is_verified,
+  pr.user_type,
+  COALESCE(pr.is_hidden, false) AS author_is_hidden
+FROM posts p
+LEFT JOIN profiles pr ON pr.id = p.user_id
+WHERE p.deleted_at IS NULL;
+
+-- Following feed (019_following_feed.sql), now skipping hidden authors
+CREATE OR REPLACE FUNCTION get_following_feed_post_ids(
+  p_user_id UUID,
+  p_limit INTEGER,
+  p_cursor_created_at TIMESTAMPTZ DEFAULT NULL,
+  p_cursor_id UUID DEFAULT NULL
+)
+RETURNS TABLE (id UUID, created_at TIMESTAMPTZ)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT p.id, p.created_at
+  FROM posts p
+  WHERE p.user_id IN (
+      SELECT f.following_id
+      FROM follows f
+      JOIN profiles pr ON pr.id = f.following_id
+      WHERE f.follower_id = p_user_id
+        AND pr.is_hidden = false
+    )
+    AND p.deleted_at IS NULL
+    AND p.is_hidden = false
+    AND (p_cursor_created_at IS NULL OR (p.created_at, p.id) < (p_cursor_created_at, p_cursor_id))
+  ORDER BY p.created_at DESC, p.id DESC
+  LIMIT p_limit;
+$$;
+
+-- Post search (020_search_posts.sql), now skipping hidden authors
+CREATE OR REPLACE FUNCTION search_posts(
+  p_terms TEXT[],
+  p_tags TEXT[] DEFAULT '{}',
+  p_tag_mode TEXT DEFAULT 'all',
+  p_from TIMESTAMPTZ DEFAULT NULL,
+  p_to TIMESTAMPTZ DEFAULT NULL,
+  p_featured_only BOOLEAN DEFAULT false,
+  p_limit INTEGER DEFAULT 10,
+  p_offset INTEGER DEFAULT 0
+)
+RETURNS TABLE (id UUID, relevance INTEGER, score DOUBLE PRECISION, total_count BIGINT)
+LANGUAGE plpgsql
+STABLE
+AS $$
+DECLARE
+  v_post_match TEXT;
+  v_profile_match TEXT;
+  v_candidates TEXT;
+BEGIN
+  IF cardinality(p_terms) > 0 THEN
+    SELECT
+      string_agg(format('p.caption ILIKE %1$L OR p.location ILIKE %1$L OR p.tags @> ARRAY[%2$L]', pattern, term), ' OR '),
+      string_agg(format('pr.username ILIKE %1$L OR pr.display_name ILIKE %1$L', pattern), ' OR ')
+    INTO v_post_match, v_profile_match
+    FROM (
+      SELECT term, '%' || replace(replace(replace(term, '\', '\\'), '%', '\%'), '_', '\_') || '%' AS pattern
+      FROM unnest(p_terms) AS term
+    ) terms;
+
+    v_candidates := format(
+      'SELECT p.id FROM posts p WHERE %s
+       UNION
+       SELECT p.id FROM posts p JOIN profiles pr ON pr.id = p.user_id WHERE %s',
+      v_post_match,
+      v_profile_match
+    );
+  ELSE
+    v_candidates := 'SELECT p.id FROM posts p';
+  END IF;
+
+  RETURN QUERY EXECUTE format($query$
+    WITH candidates AS (%s),
+    scored AS (
+      SELECT
+        p.id,
+        p.created_at,
+        COALESCE((
+          SELECT SUM(
+            CASE
+              WHEN lower(pr.username) = t OR lower(pr.display_name) = t THEN 8
+              WHEN strpos(lower(pr.username), t) > 0 OR strpos(lower(pr.display_name), t) > 0 THEN 4
+              ELSE 0
+            END
+            + CASE
+              WHEN t = ANY (SELECT lower(tag) FROM unnest(p.tags) AS tag) THEN 6
+              WHEN EXISTS (SELECT 1 FROM unnest(p.tags) AS tag WHERE strpos(lower(tag), t) > 0) THEN 3
+              ELSE 0
+            END
+            + CASE
+              WHEN lower(p.caption) ~ ('\m' || regexp_replace(t, '([^[:alnum:]_])', '\\\1', 'g') || '\M') THEN 3
+              WHEN strpos(lower(p.caption), t) > 0 THEN 2
+              ELSE 0
+            END
+            + CASE WHEN strpos(lower(p.location), t) > 0 THEN 2 ELSE 0 END
+          )
+          FROM unnest($1) AS t
+        ), 0)::INTEGER AS relevance
+      FROM candidates c
+      JOIN posts p ON p.id = c.id
+      LEFT JOIN profiles pr ON pr.id = p.user_id
+      WHERE p.deleted_at IS NULL
+        AND p.is_hidden = false
+        AND COALESCE(pr.is_hidden, false) = false
+        AND (cardinality($2) = 0 OR CASE WHEN $3 = 'any' THEN p.tags && $2 ELSE p.tags @> $2 END)
+        AND ($4 IS NULL OR p.created_at >= $4)
+        AND ($5 IS NULL OR p.created_at <= $5)
+        AND (NOT $6 OR p.is_featured)
+    )
+    SELECT
+      s.id,
+      s.relevance,
+      (s.relevance + 3 * power(0.5, GREATEST(EXTRACT(EPOCH FROM now() - s.created_at), 0) / 86400 / 30))::DOUBLE PRECISION AS score,
+      COUNT(*) OVER () AS total_count
+    FROM scored s
+    WHERE cardinality($1) = 0 OR s.relevance > 0
+    ORDER BY score DESC, s.created_at DESC
+    LIMIT $7
+    OFFSET $8
+  $query$, v_candidates)
+  USING p_terms, p_tags, p_tag_mode, p_from, p_to, p_featured_only, p_limit, p_offset;
+END;
+$$;
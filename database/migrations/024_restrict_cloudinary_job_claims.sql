@@ -0,0 +1,6 @@
+-- Restrict claim_cloudinary_deletion_jobs (011_cloudinary_deletion_jobs.sql) to the server
+-- Run in the Supabase SQL editor
+
+-- Anyone holding the anon key could otherwise claim jobs through /rest/v1/rpc and stall deletions
+REVOKE EXECUTE ON FUNCTION claim_cloudinary_deletion_jobs(INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION claim_cloudinary_deletion_jobs(INTEGER, INTEGER) TO service_role;
@@ -0,0 +1,32 @@
+-- Brand keys for the EXIF camera/lens filters (storage/exif.js normaliseMake)
+-- Run in the Supabase SQL editor
+
+-- Makes used to be stored as written ("nikon corporation"), so ?camera=nikon missed them.
+-- Rebuild each post's keys from posts.image_metadata with company suffixes stripped from the
+-- makes; the pattern is MAKE_SUFFIX_PATTERN in storage/exif.js.
+UPDATE posts p
+SET exif_cameras = k.cameras,
+    exif_lenses = k.lenses
+FROM (
+  SELECT
+    m.id,
+    COALESCE(array_agg(DISTINCT m.key) FILTER (WHERE m.kind = 'camera'), '{}') AS cameras,
+    COALESCE(array_agg(DISTINCT m.key) FILTER (WHERE m.kind = 'lens'), '{}') AS lenses
+  FROM (
+    SELECT posts.id, v.kind, v.key
+    FROM posts
+    CROSS JOIN LATERAL jsonb_array_elements(posts.image_metadata) AS e(entry)
+    CROSS JOIN LATERAL (
+      VALUES
+        ('camera', lower(e.entry->'exif'->>'camera')),
+        ('camera', btrim(regexp_replace(lower(e.entry->'exif'->>'cameraMake'), '([[:space:],.]+(corporation|corp|co|ltd|limited|inc|company|imaging|camera|optical|ag|gmbh))+[[:space:],.]*$', ''))),
+        ('lens', lower(e.entry->'exif'->>'lens')),
+        ('lens', btrim(regexp_replace(lower(e.entry->'exif'->>'lensMake'), '([[:space:],.]+(corporation|corp|co|ltd|limited|inc|company|imaging|camera|optical|ag|gmbh))+[[:space:],.]*$', '')))
+    ) AS v(kind, key)
+    WHERE v.key IS NOT NULL
+      AND v.key <> ''
+  ) m
+  GROUP BY m.id
+) k
+WHERE p.id = k.id
+  AND (p.exif_cameras, p.exif_lenses) IS DISTINCT FROM (k.cameras, k.lenses);
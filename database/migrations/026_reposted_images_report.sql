@@ -0,0 +1,43 @@
+-- Precomputed repost report (GET /api/reposts, storage/duplicate_images.js)
+-- Run in the Supabase SQL editor
+
+-- find_reposted_images (018_image_hashes.sql) compares every pair of images sharing a band, which
+-- grows with the square of the post count. Keep it off the public /rpc endpoint and run it from
+-- refresh_reposted_images only; the report reads the stored result.
+REVOKE EXECUTE ON FUNCTION find_reposted_images(INTEGER, INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION find_reposted_images(INTEGER, INTEGER, INTEGER) TO service_role;
+
+-- Materialized view refreshes run with a restricted search_path (Postgres 17+), so pin it
+ALTER FUNCTION find_reposted_images(INTEGER, INTEGER, INTEGER) SET search_path = public;
+
+-- Every pair within the largest supported distance (7); the report filters by distance.
+-- A NULL result_limit means no limit.
+CREATE MATERIALIZED VIEW IF NOT EXISTS reposted_images AS
+SELECT r.*, NOW() AS computed_at
+FROM find_reposted_images(7, NULL, 0) AS r;
+
+-- Needed for REFRESH ... CONCURRENTLY, which keeps the report readable while it is rebuilt
+CREATE UNIQUE INDEX IF NOT EXISTS idx_reposted_images_pair
+  ON reposted_images (original_post_id, original_image_url, repost_post_id, repost_image_url);
+
+CREATE INDEX IF NOT EXISTS idx_reposted_images_recent
+  ON reposted_images (repost_created_at DESC, distance);
+
+REVOKE ALL ON reposted_images FROM PUBLIC, anon, authenticated;
+GRANT SELECT ON reposted_images TO service_role;
+
+-- Rebuild the report (server.js runs this on a schedule). Refreshing needs the view's owner,
+-- hence SECURITY DEFINER.
+CREATE OR REPLACE FUNCTION refresh_reposted_images()
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  REFRESH MATERIALIZED VIEW CONCURRENTLY reposted_images;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION refresh_reposted_images() FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION refresh_reposted_images() TO service_role;
@@ -0,0 +1,93 @@
+-- Atomic comment likes and comment counters (comments/comments.js), like 008_atomic_post_likes.sql
+-- Run in the Supabase SQL editor
+
+-- Set the like state of (comment, user). Returns { liked, likes_count, changed }.
+CREATE OR REPLACE FUNCTION set_comment_like(p_comment_id UUID, p_user_id UUID, p_liked BOOLEAN)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_rows INTEGER;
+  v_count INTEGER;
+BEGIN
+  -- Lock the comment so concurrent like/unlike calls on it run one after another
+  PERFORM 1 FROM comments WHERE id = p_comment_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Comment % not found', p_comment_id USING ERRCODE = 'P0002';
+  END IF;
+
+  IF p_liked THEN
+    INSERT INTO comment_likes (comment_id, user_id, created_at)
+    VALUES (p_comment_id, p_user_id, NOW())
+    ON CONFLICT (comment_id, user_id) DO NOTHING;
+  ELSE
+    DELETE FROM comment_likes WHERE comment_id = p_comment_id AND user_id = p_user_id;
+  END IF;
+
+  GET DIAGNOSTICS v_rows = ROW_COUNT;
+
+  UPDATE comments
+  SET likes_count = GREATEST(
+    COALESCE(likes_count, 0) + CASE WHEN v_rows = 0 THEN 0 WHEN p_liked THEN 1 ELSE -1 END,
+    0
+  )
+  WHERE id = p_comment_id
+  RETURNING likes_count INTO v_count;
+
+  RETURN jsonb_build_object('liked', p_liked, 'likes_count', v_count, 'changed', v_rows > 0);
+END;
+$$;
+
+-- Flip the like state of (comment, user). Returns the same shape as set_comment_like.
+CREATE OR REPLACE FUNCTION toggle_comment_like(p_comment_id UUID, p_user_id UUID)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_exists BOOLEAN;
+BEGIN
+  PERFORM 1 FROM comments WHERE id = p_comment_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Comment % not found', p_comment_id USING ERRCODE = 'P0002';
+  END IF;
+
+  SELECT EXISTS (
+    SELECT 1 FROM comment_likes WHERE comment_id = p_comment_id AND user_id = p_user_id
+  ) INTO v_exists;
+
+  RETURN set_comment_like(p_comment_id, p_user_id, NOT v_exists);
+END;
+$$;
+
+-- Add p_delta (negative when comments were deleted) to a post's comments_count in place.
+-- Returns the new count, or NULL when the post no longer exists.
+CREATE OR REPLACE FUNCTION adjust_post_comments_count(p_post_id UUID, p_delta INTEGER)
+RETURNS INTEGER
+LANGUAGE sql
+AS $$
+  UPDATE posts
+  SET comments_count = GREATEST(COALESCE(comments_count, 0) + p_delta, 0)
+  WHERE id = p_post_id
+  RETURNING comments_count;
+$$;
+
+-- p_user_id is trusted, so keep them server-side only
+REVOKE EXECUTE ON FUNCTION set_comment_like(UUID, UUID, BOOLEAN) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION toggle_comment_like(UUID, UUID) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION adjust_post_comments_count(UUID, INTEGER) FROM PUBLIC, anon, authenticated;
+
+GRANT EXECUTE ON FUNCTION set_comment_like(UUID, UUID, BOOLEAN) TO service_role;
+GRANT EXECUTE ON FUNCTION toggle_comment_like(UUID, UUID) TO service_role;
+GRANT EXECUTE ON FUNCTION adjust_post_comments_count(UUID, INTEGER) TO service_role;
+
+-- Bring comment like counts written by the old recount-then-write handler back in line
+UPDATE comments c
+SET likes_count = actual.total
+FROM (
+  SELECT c2.id, COUNT(l.comment_id)::INTEGER AS total
+  FROM comments c2
+  LEFT JOIN comment_likes l ON l.comment_id = c2.id
+  GROUP BY c2.id
+) actual
+WHERE c.id = actual.id
+  AND c.likes_count IS DISTINCT FROM actual.total;
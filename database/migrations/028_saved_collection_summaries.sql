@@ -0,0 +1,29 @@
+-- Post counts and covers for GET /api/saved/collections (saved/saved_posts.js)
+-- Run in the Supabase SQL editor
+
+-- One row per collection of the user: how many posts it holds and the latest one added (the cover)
+CREATE OR REPLACE FUNCTION get_saved_collection_summaries(p_user_id UUID)
+RETURNS TABLE (collection_id UUID, post_count INTEGER, cover_post_id UUID)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT
+    c.id,
+    (
+      SELECT COUNT(*)::INTEGER
+      FROM saved_collection_posts i
+      WHERE i.collection_id = c.id
+    ),
+    (
+      SELECT i.post_id
+      FROM saved_collection_posts i
+      WHERE i.collection_id = c.id
+      ORDER BY i.created_at DESC, i.id DESC
+      LIMIT 1
+    )
+  FROM saved_collections c
+  WHERE c.user_id = p_user_id;
+$$;
+
+REVOKE EXECUTE ON FUNCTION get_saved_collection_summaries(UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION get_saved_collection_summaries(UUID) TO service_role;
@@ -0,0 +1,95 @@
+// Confirmation tokens for bulk deletions. A dry run returns a token bound to the actor,
+// the operation and the exact set of items it would delete; the real call must echo it
+// back before it expires. If the selection has changed in between, the token no longer
+// matches and the caller has to preview again.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const CONFIRMATION_TTL_SECONDS = parseInt(process.env.BULK_DELETE_CONFIRMATION_TTL_SECONDS) || 300;
+const TOKEN_SECRET = process.env.BULK_DELETE_TOKEN_SECRET || process.env.SUPABASE_SERVICE_KEY;
+
+// Helper function to fingerprint a set of item ids independent of their order
+const hashItemIds = (itemIds) => {
+  return crypto
+    .createHash('sha256')
+    .update([...new Set(itemIds.map(String))].sort().join(','))
+    .digest('hex');
+};
+
+/**
+ * Issue a confirmation token for a previewed bulk deletion.
+ * @param {Object} params
+ * @param {string} params.operation - e.g. 'posts.bulk_delete', 'posts.user_delete', 'images.bulk_delete'
+ * @param {string} params.actorId - User who will run the deletion
+ * @param {string[]} params.itemIds - Ids the deletion would remove
+ * @param {string} [params.scope] - Extra binding, e.g. the user id for /bulk/:userId
+ * @returns {{ confirmationToken: string, expiresAt: string }}
+ */
+const createConfirmationToken = ({ operation, actorId, itemIds, scope = null }) => {
+  const confirmationToken = jwt.sign(
+    { op: operation, scope: scope, items: hashItemIds(itemIds) },
+    TOKEN_SECRET,
+    { subject: actorId, expiresIn: CONFIRMATION_TTL_SECONDS }
+  );
+
+  return {
+    confirmationToken: confirmationToken,
+    expiresAt: new Date(Date.now() + CONFIRMATION_TTL_SECONDS * 1000).toISOString()
+  };
+};
+
+/**
+ * Check a confirmation token against the deletion about to run.
+ * @returns {{ valid: true } | { valid: false, status: number, code: string, error: string }}
+ */
+const verifyConfirmationToken = (token, { operation, actorId, itemIds, scope = null }) => {
+  if (!token || typeof token !== 'string') {
+    return {
+      valid: false,
+      status: 428,
+      code: 'confirmation_required',
+      error: 'Run this request with dryRun=true first and send back its confirmationToken'
+    };
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, TOKEN_SECRET, { subject: actorId });
+  } catch (error) {
+    const expired = error.name === 'TokenExpiredError';
+    return {
+      valid: false,
+      status: 400,
+      code: expired ? 'confirmation_expired' : 'confirmation_invalid',
+      error: expired
+        ? 'Confirmation token has expired, run the dry run again'
+        : 'Invalid confirmation token'
+    };
+  }
+
+  if (payload.op !== operation || payload.scope !== scope) {
+    return {
+      valid: false,
+      status: 400,
+      code: 'confirmation_invalid',
+      error: 'Confirmation token was issued for a different operation'
+    };
+  }
+
+  if (payload.items !== hashItemIds(itemIds)) {
+    return {
+      valid: false,
+      status: 409,
+      code: 'confirmation_mismatch',
+      error: 'The items to delete have changed since the dry run, run it again'
+    };
+  }
+
+  return { valid: true };
+};
+
+module.exports = {
+  CONFIRMATION_TTL_SECONDS,
+  createConfirmationToken,
+  verifyConfirmationToken
+};
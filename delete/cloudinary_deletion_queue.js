@@ -0,0 +1,267 @@
+// Persistent queue for image deletions (table: cloudinary_deletion_jobs - named before
+// storage became pluggable; jobs go to whichever provider storage/storage.js selected).
+// Delete routes enqueue the assets and respond straight away; the worker started by
+// server.js destroys them in the background, retrying with exponential backoff.
+// Jobs that keep failing end up in the dead-letter list (status 'dead') for admins.
+const { createClient } = require('@supabase/supabase-js');
+const { storage } = require('../storage/storage');
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY,
+  {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false
+    }
+  }
+);
+
+const MAX_ATTEMPTS = parseInt(process.env.CLOUDINARY_DELETION_MAX_ATTEMPTS) || 6;
+const BASE_BACKOFF_SECONDS = 30; // 30s, 1m, 2m, 4m, ... between attempts
+const MAX_BACKOFF_SECONDS = 60 * 60;
+const BATCH_SIZE = 10;
+const DESTROY_TIMEOUT_MS = 15000;
+
+// Set while this process is working through a batch so runs never overlap
+let workerBusy = false;
+
+// Helper function to extract the public_id from an image URL.
+// Returns null for URLs that did not come from the configured storage provider.
+const extractPublicIdFromUrl = (imageUrl) => storage.extractPublicId(imageUrl);
+
+// Helper function to work out when a failed job should be tried again
+const getNextAttemptAt = (attempts) => {
+  const delaySeconds = Math.min(BASE_BACKOFF_SECONDS * Math.pow(2, Math.max(attempts - 1, 0)), MAX_BACKOFF_SECONDS);
+  return new Date(Date.now() + delaySeconds * 1000).toISOString();
+};
+
+// Helper function to destroy one asset, treating 'not found' as already deleted
+const destroyAsset = async (publicId) => {
+  try {
+    return await Promise.race([
+      storage.delete(publicId),
+      new Promise((resolve, reject) => setTimeout(() => reject(new Error('Storage request timed out')), DESTROY_TIMEOUT_MS))
+    ]);
+  } catch (error) {
+    return { success: false, error: error.message || String(error) };
+  }
+};
+
+/**
+ * Queue stored images for deletion.
+ * @param {Object} job
+ * @param {string[]} [job.imageUrls] - Image URLs (URLs from other hosts are skipped)
+ * @param {string[]} [job.publicIds] - Public IDs, when the caller already has them
+ * @param {string} job.source - What was deleted, e.g. 'post', 'sent_image', 'chat_image'
+ * @param {string} [job.sourceId] - Id of the deleted record
+ * @param {string} [job.requestedBy] - User who triggered the deletion
+ * @returns {Promise<{success: boolean, jobId: string|null, queued: number, error?: string}>}
+ */
+const enqueueCloudinaryDeletion = async ({ imageUrls = [], publicIds = [], source, sourceId = null, requestedBy = null }) => {
+  const ids = [...new Set([
+    ...publicIds.filter(Boolean),
+    ...imageUrls.map(extractPublicIdFromUrl).filter(Boolean)
+  ])];
+
+  if (ids.length === 0) {
+    return { success: true, jobId: null, queued: 0 };
+  }
+
+  const now = new Date().toISOString();
+
+  const { data: job, error } = await supabase
+    .from('cloudinary_deletion_jobs')
+    .insert([{
+      public_ids: ids,
+      deleted_public_ids: [],
+      source: source,
+      source_id: sourceId ? String(sourceId) : null,
+      requested_by: requestedBy,
+      status: 'pending',
+      attempts: 0,
+      max_attempts: MAX_ATTEMPTS,
+      next_attempt_at: now,
+      created_at: now,
+      updated_at: now
+    }])
+    .select('id')
+    .single();
+
+  if (error) {
+    console.error('❌ Failed to queue Cloudinary deletion:', error);
+    return { success: false, jobId: null, queued: 0, error: 'Failed to queue image deletion' };
+  }
+
+  console.log(`📥 Queued Cloudinary deletion job ${job.id} (${ids.length} asset(s), source: ${source})`);
+
+  // Start on it right away instead of waiting for the next worker tick
+  setImmediate(() => {
+    processCloudinaryDeletionJobs().catch(workerError => {
+      console.error('⚠️ Cloudinary deletion worker failed:', workerError.message);
+    });
+  });
+
+  return { success: true, jobId: job.id, queued: ids.length };
+};
+
+// Work through one claimed job; assets deleted on earlier attempts are not retried
+const processJob = async (job) => {
+  const deleted = [...(job.deleted_public_ids || [])];
+  const errors = [];
+
+  for (const publicId of job.public_ids) {
+    if (deleted.includes(publicId)) {
+      continue;
+    }
+
+    const result = await destroyAsset(publicId);
+    if (result.success) {
+      deleted.push(publicId);
+    } else {
+      errors.push(`${publicId}: ${result.error}`);
+    }
+  }
+
+  const now = new Date().toISOString();
+  const update = {
+    deleted_public_ids: deleted,
+    locked_at: null,
+    updated_at: now
+  };
+
+  if (errors.length === 0) {
+    update.status = 'completed';
+    update.completed_at = now;
+    update.last_error = null;
+  } else if (job.attempts >= job.max_attempts) {
+    update.status = 'dead';
+    update.last_error = errors.join('; ');
+  } else {
+    update.status = 'pending';
+    update.next_attempt_at = getNextAttemptAt(job.attempts);
+    update.last_error = errors.join('; ');
+  }
+
+  const { error } = await supabase
+    .from('cloudinary_deletion_jobs')
+    .update(update)
+    .eq('id', job.id);
+
+  if (error) {
+    console.error(`❌ Failed to update Cloudinary deletion job ${job.id}:`, error);
+  }
+
+  // Deleted files no longer need their upload records
+  const newlyDeleted = deleted.filter(publicId => !(job.deleted_public_ids || []).includes(publicId));
+  if (newlyDeleted.length > 0) {
+    const { error: assetsError } = await supabase
+      .from('image_assets')
+      .delete()
+      .in('public_id', newlyDeleted);
+
+    if (assetsError) {
+      console.error(`⚠️ Failed to remove image asset records for job ${job.id}:`, assetsError.message);
+    }
+  }
+
+  if (update.status === 'dead') {
+    console.error(`☠️ Cloudinary deletion job ${job.id} moved to dead-letter list after ${job.attempts} attempts`);
+  } else if (update.status === 'pending') {
+    console.warn(`⚠️ Cloudinary deletion job ${job.id} failed attempt ${job.attempts}, retrying at ${update.next_attempt_at}`);
+  }
+
+  return update.status;
+};
+
+// Claim due jobs (claim_cloudinary_deletion_jobs locks rows so several server
+// instances can run the worker) and process them
+const processCloudinaryDeletionJobs = async () => {
+  if (workerBusy) {
+    return { processed: 0, skipped: true };
+  }
+
+  workerBusy = true;
+  const summary = { processed: 0, completed: 0, retrying: 0, dead: 0 };
+
+  try {
+    const { data: jobs, error } = await supabase.rpc('claim_cloudinary_deletion_jobs', {
+      batch_size: BATCH_SIZE
+    });
+
+    if (error) {
+      throw new Error(`Failed to claim Cloudinary deletion jobs: ${error.message}`);
+    }
+
+    for (const job of jobs || []) {
+      const status = await processJob(job);
+      summary.processed++;
+      if (status === 'completed') summary.completed++;
+      if (status === 'pending') summary.retrying++;
+      if (status === 'dead') summary.dead++;
+    }
+
+    if (summary.processed > 0) {
+      console.log(`🧾 Cloudinary deletion worker - processed: ${summary.processed}, completed: ${summary.completed}, retrying: ${summary.retrying}, dead: ${summary.dead}`);
+    }
+
+    return summary;
+  } finally {
+    workerBusy = false;
+  }
+};
+
+// Poll for due jobs every intervalSeconds
+const startCloudinaryDeletionWorker = (intervalSeconds) => {
+  const timer = setInterval(() => {
+    processCloudinaryDeletionJobs().catch(error => {
+      console.error('⚠️ Cloudinary deletion worker failed:', error.message);
+    });
+  }, intervalSeconds * 1000);
+
+  timer.unref();
+  return timer;
+};
+
+// Put dead-letter jobs back in the queue with a fresh set of attempts
+const requeueDeadJobs = async (jobIds = null) => {
+  let query = supabase
+    .from('cloudinary_deletion_jobs')
+    .update({
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: new Date().toISOString(),
+      locked_at: null,
+      updated_at: new Date().toISOString()
+    })
+    .eq('status', 'dead');
+
+  if (jobIds) {
+    query = query.in('id', jobIds);
+  }
+
+  const { data: jobs, error } = await query.select('id');
+
+  if (error) {
+    throw new Error(`Failed to requeue dead jobs: ${error.message}`);
+  }
+
+  if (jobs.length > 0) {
+    setImmediate(() => {
+      processCloudinaryDeletionJobs().catch(workerError => {
+        console.error('⚠️ Cloudinary deletion worker failed:', workerError.message);
+      });
+    });
+  }
+
+  return jobs.map(job => job.id);
+};
+
+module.exports = {
+  extractPublicIdFromUrl,
+  enqueueCloudinaryDeletion,
+  processCloudinaryDeletionJobs,
+  startCloudinaryDeletionWorker,
+  requeueDeadJobs
+};
@@ -1,6 +1,20 @@
 const express = require('express');
 const { createClient } = require('@supabase/supabase-js');
-const cloudinary = require('cloudinary').v2;
+const rateLimit = require('express-rate-limit');
+const {
+  TRASH_RETENTION_DAYS,
+  isUserAdmin,
+  getRestoreDeadline,
+  checkPostPermissions,
+  previewPostDeletion,
+  getUserPostIdsForDeletion,
+  trashPosts,
+  trashUserPosts,
+  purgeTrashedPost
+} = require('./post_deletion_service');
+const { CONFIRMATION_TTL_SECONDS, createConfirmationToken, verifyConfirmationToken } = require('./bulk_delete_confirmation');
+const { getAuditContext, recordAuditEvent } = require('../audit/audit_log_service');
+const { STORAGE_PROVIDER } = require('../storage/storage');
 const router = express.Router();
 
 // Initialize Supabase client
@@ -15,6 +29,15 @@ const supabase = createClient(
   }
 );
 
+// Rate limiting for delete operations
+const deletePostLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30, // limit each IP to 30 delete requests per windowMs
+  message: { error: 'Too many delete attempts, please try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 // Authentication middleware
 const authenticateUser = async (req, res, next) => {
   try {
@@ -40,409 +63,399 @@ const authenticateUser = async (req, res, next) => {
   }
 };
 
-// Helper function to check if user is admin
-const isUserAdmin = async (userId) => {
-  try {
-    const { data: profile } = await supabase
-      .from('profiles')
-      .select('user_type')
-      .eq('id', userId)
-      .single();
-
-    return profile && profile.user_type === 'admin';
-  } catch (error) {
-    console.error('Error checking admin status:', error);
-    return false;
-  }
+// HTTP status for a post that could not be deleted
+const DELETION_ERROR_STATUS = {
+  not_found: 404,
+  forbidden: 403,
+  failed: 500
 };
 
-// Helper function to delete image from Cloudinary
-const deleteFromCloudinary = async (imageUrl) => {
-  try {
-    if (!imageUrl || !imageUrl.includes('cloudinary.com')) {
-      return { success: true, result: 'not_cloudinary' };
-    }
-
-    // Extract public_id from Cloudinary URL
-    const urlParts = imageUrl.split('/');
-    const uploadIndex = urlParts.indexOf('upload');
-    
-    if (uploadIndex === -1) {
-      return { success: false, error: 'Invalid Cloudinary URL format' };
-    }
-
-    // Get public_id (skip version if present)
-    let startIndex = uploadIndex + 1;
-    if (urlParts[startIndex] && urlParts[startIndex].startsWith('v')) {
-      startIndex++;
-    }
-    
-    const publicIdParts = urlParts.slice(startIndex);
-    let publicId = publicIdParts.join('/');
-    publicId = publicId.replace(/\.[^/.]+$/, ''); // Remove file extension
-
-    console.log(`🗑️ Deleting from Cloudinary: ${publicId}`);
+// Helper function to send a deletion service outcome. Every deletion route responds with
+// { success, message | error, results } where results has the same fields everywhere.
+const sendDeletionResponse = (res, outcome, message, { single = false } = {}) => {
+  const { results } = outcome;
 
-    const result = await cloudinary.uploader.destroy(publicId, {
-      resource_type: 'image'
+  if (!outcome.success || (single && results.successCount === 0)) {
+    const firstError = results.errors[0];
+    return res.status(outcome.status || DELETION_ERROR_STATUS[firstError?.code] || 500).json({
+      success: false,
+      error: outcome.error || firstError?.error || 'Post deletion failed',
+      results: results
     });
-
-    if (result.result === 'ok') {
-      console.log(`✅ Cloudinary deletion successful: ${publicId}`);
-      return { success: true, result };
-    } else if (result.result === 'not found') {
-      console.log(`ℹ️ Image not found in Cloudinary: ${publicId}`);
-      return { success: true, result: 'not_found' };
-    } else {
-      console.log(`⚠️ Cloudinary deletion failed: ${publicId} - ${result.result}`);
-      return { success: false, error: `Cloudinary deletion failed: ${result.result}` };
-    }
-  } catch (error) {
-    console.error('Cloudinary deletion error:', error);
-    return { success: false, error: error.message };
   }
-};
 
-// Helper function to delete all images associated with a post from Cloudinary
-const deletePostImagesFromCloudinary = async (images) => {
-  const results = {
-    total: images.length,
-    successful: 0,
-    failed: 0,
-    errors: []
-  };
+  res.json({
+    success: true,
+    message: message,
+    results: results
+  });
+};
 
-  for (let i = 0; i < images.length; i++) {
-    const imageUrl = images[i];
-    console.log(`🖼️ Processing image ${i + 1}/${images.length}: ${imageUrl}`);
+// Helper function to read the dryRun flag from the body or the query string
+const isDryRun = (req) => {
+  const dryRun = req.body?.dryRun ?? req.query.dryRun;
+  return dryRun === true || dryRun === 'true';
+};
 
-    const cloudinaryResult = await deleteFromCloudinary(imageUrl);
-    
-    if (cloudinaryResult.success) {
-      results.successful++;
-      if (cloudinaryResult.result !== 'not_cloudinary' && cloudinaryResult.result !== 'not_found') {
-        console.log(`✅ Image ${i + 1} deleted from Cloudinary`);
-      }
-    } else {
-      results.failed++;
-      results.errors.push(`Image ${i + 1}: ${cloudinaryResult.error}`);
-      console.error(`❌ Failed to delete image ${i + 1}: ${cloudinaryResult.error}`);
-    }
-  }
+// Helper function to send a dry run preview with its confirmation token
+const sendDryRunResponse = (res, preview, confirmation, extra = {}) => {
+  res.json({
+    success: true,
+    dryRun: true,
+    ...extra,
+    preview: preview,
+    confirmationToken: confirmation.confirmationToken,
+    confirmationExpiresAt: confirmation.expiresAt,
+    confirmationTtlSeconds: CONFIRMATION_TTL_SECONDS,
+    message: 'Nothing was deleted. Repeat the request with this confirmationToken to delete the allowed items.'
+  });
+};
 
-  return results;
+// Helper function to reject a bulk deletion whose confirmation token does not check out
+const sendConfirmationError = (res, confirmation) => {
+  res.status(confirmation.status).json({
+    success: false,
+    error: confirmation.error,
+    code: confirmation.code
+  });
 };
 
-// DELETE /api/posts/:postId - Delete a post with all its images and related data
-router.delete('/:postId', authenticateUser, async (req, res) => {
+// DELETE /api/posts/:postId - Move a post to the trash (owner or admin)
+router.delete('/:postId', deletePostLimiter, authenticateUser, async (req, res) => {
   try {
     const { postId } = req.params;
     const userId = req.user.id;
 
     console.log(`🗑️ Delete request for post: ${postId} by user: ${userId}`);
 
-    // Check if user is admin
-    const isAdmin = await isUserAdmin(userId);
-    console.log(`👤 User ${userId} is admin: ${isAdmin}`);
+    const outcome = await trashPosts({ postIds: [postId], actorId: userId, auditContext: getAuditContext(req) });
+    sendDeletionResponse(res, outcome, 'Post moved to trash', { single: true });
 
-    // Get post data including images
-    const { data: postData, error: fetchError } = await supabase
-      .from('posts')
-      .select('id, user_id, caption, images')
-      .eq('id', postId)
-      .single();
+  } catch (error) {
+    console.error('Delete post error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error during post deletion',
+      details: error.message
+    });
+  }
+});
 
-    if (fetchError || !postData) {
-      console.log(`❌ Post not found: ${postId}`);
-      return res.status(404).json({
+// POST /api/posts/bulk-delete - Move multiple posts to the trash
+// Body { postIds, dryRun: true } previews the deletion; the real call must send
+// { postIds, confirmationToken } with the token from the preview.
+router.post('/bulk-delete', deletePostLimiter, authenticateUser, async (req, res) => {
+  try {
+    const { postIds, confirmationToken } = req.body;
+    const userId = req.user.id;
+
+    if (!postIds || !Array.isArray(postIds) || postIds.length === 0) {
+      return res.status(400).json({
         success: false,
-        error: 'Post not found'
+        error: 'No post IDs provided'
       });
     }
 
-    console.log(`📝 Post found - Owner: ${postData.user_id}, Images: ${postData.images?.length || 0}`);
+    const uniquePostIds = [...new Set(postIds)];
+    const operation = 'posts.bulk_delete';
 
-    // Check if user owns this post or is admin
-    const isOwner = postData.user_id === userId;
-    const canDelete = isOwner || isAdmin;
+    if (isDryRun(req)) {
+      const dryRun = await previewPostDeletion({ postIds: uniquePostIds, actorId: userId });
 
-    if (!canDelete) {
-      console.log(`🚫 Permission denied - User ${userId} cannot delete post owned by ${postData.user_id}`);
-      return res.status(403).json({ 
-        success: false,
-        error: 'You do not have permission to delete this post' 
-      });
-    }
+      if (!dryRun.success) {
+        return res.status(500).json({ success: false, error: dryRun.error });
+      }
 
-    console.log(`✅ User authorized to delete post (Owner: ${isOwner}, Admin: ${isAdmin})`);
+      console.log(`🔍 Bulk delete dry run for ${uniquePostIds.length} posts by user: ${userId}`);
 
-    // Step 1: Count related records before deletion
-    const [commentsResult, likesResult] = await Promise.all([
-      supabase.from('comments').select('id', { count: 'exact' }).eq('post_id', postId),
-      supabase.from('post_likes').select('id', { count: 'exact' }).eq('post_id', postId)
-    ]);
+      return sendDryRunResponse(res, dryRun.preview, createConfirmationToken({
+        operation,
+        actorId: userId,
+        itemIds: dryRun.allowedIds
+      }));
+    }
 
-    const commentsCount = commentsResult.count || 0;
-    const likesCount = likesResult.count || 0;
+    const permissions = await checkPostPermissions(uniquePostIds, userId);
 
-    console.log(`📊 Related records - Comments: ${commentsCount}, Likes: ${likesCount}`);
+    if (!permissions.success) {
+      return res.status(500).json({ success: false, error: permissions.error });
+    }
 
-    // Step 2: Delete images from Cloudinary
-    let cloudinaryResults = { total: 0, successful: 0, failed: 0, errors: [] };
-    
-    if (postData.images && postData.images.length > 0) {
-      console.log(`🖼️ Deleting ${postData.images.length} images from Cloudinary...`);
-      cloudinaryResults = await deletePostImagesFromCloudinary(postData.images);
-      
-      console.log(`📈 Cloudinary deletion results: ${cloudinaryResults.successful}/${cloudinaryResults.total} successful`);
-      if (cloudinaryResults.errors.length > 0) {
-        console.log(`⚠️ Cloudinary errors:`, cloudinaryResults.errors);
-      }
+    const confirmation = verifyConfirmationToken(confirmationToken, {
+      operation,
+      actorId: userId,
+      itemIds: permissions.verdicts.filter(verdict => verdict.allowed).map(verdict => verdict.postId)
+    });
+
+    if (!confirmation.valid) {
+      return sendConfirmationError(res, confirmation);
     }
 
-    // Step 3: Delete related records from database (comments and likes)
-    console.log(`🗄️ Deleting related database records...`);
-
-    // Delete comment likes first (if any comments exist)
-    if (commentsCount > 0) {
-      const { error: commentLikesError } = await supabase
-        .from('comment_likes')
-        .delete()
-        .in('comment_id', 
-          supabase.from('comments').select('id').eq('post_id', postId)
-        );
-
-      if (commentLikesError) {
-        console.error('Error deleting comment likes:', commentLikesError);
-      } else {
-        console.log('✅ Comment likes deleted');
-      }
+    console.log(`🗑️ Bulk delete request for ${postIds.length} posts by user: ${userId}`);
+
+    const outcome = await trashPosts({
+      postIds: uniquePostIds,
+      actorId: userId,
+      auditContext: getAuditContext(req)
+    });
+
+    console.log(`📊 Bulk delete completed: ${outcome.results.successCount}/${outcome.results.totalCount} posts moved to trash`);
+
+    sendDeletionResponse(res, outcome, 'Bulk deletion completed');
+
+  } catch (error) {
+    console.error('Bulk delete error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error during bulk deletion'
+    });
+  }
+});
+
+// DELETE /api/posts/bulk/:userId - Move all of a user's posts to the trash (that user or an admin)
+// ?dryRun=true previews the deletion; the real call must send the preview's confirmationToken
+// (in the body or as ?confirmationToken=).
+router.delete('/bulk/:userId', deletePostLimiter, authenticateUser, async (req, res) => {
+  try {
+    const { userId: targetUserId } = req.params;
+    const currentUserId = req.user.id;
+    const operation = 'posts.user_delete';
+
+    const userPosts = await getUserPostIdsForDeletion({ userId: targetUserId, actorId: currentUserId });
+
+    if (!userPosts.success) {
+      return res.status(userPosts.status || 500).json({ success: false, error: userPosts.error });
     }
 
-    // Delete comments
-    const { error: commentsError } = await supabase
-      .from('comments')
-      .delete()
-      .eq('post_id', postId);
+    if (isDryRun(req)) {
+      const [dryRun, { data: targetUser }] = await Promise.all([
+        previewPostDeletion({ postIds: userPosts.postIds, actorId: currentUserId }),
+        supabase
+          .from('profiles')
+          .select('id, username, display_name')
+          .eq('id', targetUserId)
+          .maybeSingle()
+      ]);
+
+      if (!dryRun.success) {
+        return res.status(500).json({ success: false, error: dryRun.error });
+      }
 
-    if (commentsError) {
-      console.error('Error deleting comments:', commentsError);
-      return res.status(500).json({
-        success: false,
-        error: 'Failed to delete post comments'
+      console.log(`🔍 Bulk delete dry run for user: ${targetUserId} by: ${currentUserId}`);
+
+      return sendDryRunResponse(res, dryRun.preview, createConfirmationToken({
+        operation,
+        actorId: currentUserId,
+        itemIds: dryRun.allowedIds,
+        scope: targetUserId
+      }), {
+        targetUser: targetUser
+          ? { id: targetUser.id, username: targetUser.username, displayName: targetUser.display_name }
+          : null
       });
     }
 
-    console.log(`✅ Deleted ${commentsCount} comments`);
-
-    // Delete post likes
-    const { error: likesError } = await supabase
-      .from('post_likes')
-      .delete()
-      .eq('post_id', postId);
+    const confirmation = verifyConfirmationToken(req.body?.confirmationToken || req.query.confirmationToken, {
+      operation,
+      actorId: currentUserId,
+      itemIds: userPosts.postIds,
+      scope: targetUserId
+    });
 
-    if (likesError) {
-      console.error('Error deleting likes:', likesError);
-      return res.status(500).json({
-        success: false,
-        error: 'Failed to delete post likes'
-      });
+    if (!confirmation.valid) {
+      return sendConfirmationError(res, confirmation);
     }
 
-    console.log(`✅ Deleted ${likesCount} likes`);
+    console.log(`🗑️ Bulk delete request for user: ${targetUserId} by: ${currentUserId}`);
 
-    // Step 4: Delete the post itself
-    console.log(`🗑️ Deleting post from database...`);
+    const outcome = await trashUserPosts({
+      userId: targetUserId,
+      actorId: currentUserId,
+      auditContext: getAuditContext(req)
+    });
+    const message = outcome.results.totalCount === 0
+      ? 'No posts found to delete'
+      : `Successfully moved ${outcome.results.successCount} posts to trash`;
 
-    const { error: postDeleteError } = await supabase
-      .from('posts')
-      .delete()
-      .eq('id', postId)
-      // Add user check only if not admin (RLS policy should handle admin permissions)
-      .eq(isAdmin ? 'id' : 'user_id', isAdmin ? postId : userId);
+    sendDeletionResponse(res, outcome, message);
 
-    if (postDeleteError) {
-      console.error('Database post deletion error:', postDeleteError);
-      return res.status(500).json({
-        success: false,
-        error: 'Failed to delete post from database',
-        details: postDeleteError.message
-      });
-    }
+  } catch (error) {
+    console.error('Bulk delete error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error during bulk deletion'
+    });
+  }
+});
 
-    // Step 5: Verify deletion
-    console.log(`🔍 Verifying post deletion...`);
-    
-    // Small delay to ensure database consistency
-    await new Promise(resolve => setTimeout(resolve, 500));
-    
-    const { data: verifyPost } = await supabase
-      .from('posts')
-      .select('id')
-      .eq('id', postId)
-      .single();
+// GET /api/posts/trash - List the current user's trashed posts
+router.get('/trash', authenticateUser, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
 
-    if (verifyPost) {
-      console.error('❌ Post still exists after deletion attempt!');
+    const { data: posts, error } = await supabase
+      .from('posts')
+      .select('id, caption, images, created_at, deleted_at, likes_count, comments_count')
+      .eq('user_id', userId)
+      .not('deleted_at', 'is', null)
+      .order('deleted_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      console.error('Error fetching trash:', error);
       return res.status(500).json({
         success: false,
-        error: 'Post deletion verification failed - post still exists'
+        error: 'Failed to fetch trash'
       });
     }
 
-    console.log(`✅ Post deletion verified - post ${postId} successfully removed`);
-
-    // Prepare response
-    const response = {
+    res.json({
       success: true,
-      message: 'Post deleted successfully',
-      details: {
-        post_id: postId,
-        deleted_comments: commentsCount,
-        deleted_likes: likesCount,
-        cloudinary_results: cloudinaryResults,
-        is_admin_delete: isAdmin && !isOwner
-      }
-    };
-
-    // Add warnings if there were Cloudinary issues
-    if (cloudinaryResults.failed > 0) {
-      response.warnings = cloudinaryResults.errors;
-    }
-
-    res.json(response);
+      retentionDays: TRASH_RETENTION_DAYS,
+      posts: posts.map(post => ({
+        id: post.id,
+        caption: post.caption || '',
+        imageUrl: post.images?.[0] || '',
+        images: post.images || [],
+        likes: post.likes_count || 0,
+        commentCount: post.comments_count || 0,
+        createdAt: post.created_at,
+        deletedAt: post.deleted_at,
+        restoreUntil: getRestoreDeadline(post.deleted_at)
+      }))
+    });
 
   } catch (error) {
-    console.error('Delete post error:', error);
+    console.error('Get trash error:', error);
     res.status(500).json({
       success: false,
-      error: 'Server error during post deletion',
-      details: error.message
+      error: 'Server error fetching trash'
     });
   }
 });
 
-// POST /api/posts/bulk-delete - Delete multiple posts
-router.post('/bulk-delete', authenticateUser, async (req, res) => {
+// POST /api/posts/:postId/restore - Restore a trashed post within the retention window
+router.post('/:postId/restore', authenticateUser, async (req, res) => {
   try {
-    const { postIds } = req.body;
+    const { postId } = req.params;
     const userId = req.user.id;
 
-    if (!postIds || !Array.isArray(postIds) || postIds.length === 0) {
-      return res.status(400).json({
+    const { data: postData } = await supabase
+      .from('posts')
+      .select('id, user_id, deleted_at, deleted_by')
+      .eq('id', postId)
+      .not('deleted_at', 'is', null)
+      .maybeSingle();
+
+    if (!postData) {
+      return res.status(404).json({
         success: false,
-        error: 'No post IDs provided'
+        error: 'Post not found in trash'
       });
     }
 
-    console.log(`🗑️ Bulk delete request for ${postIds.length} posts by user: ${userId}`);
-
     const isAdmin = await isUserAdmin(userId);
-    const results = {
-      totalCount: postIds.length,
-      successCount: 0,
-      failedCount: 0,
-      errors: [],
-      cloudinaryResults: {
-        totalImages: 0,
-        deletedImages: 0,
-        failedImages: 0
-      }
-    };
+    const isOwner = postData.user_id === userId;
 
-    // Get all posts with images
-    const { data: postsData, error: fetchError } = await supabase
-      .from('posts')
-      .select('id, user_id, images')
-      .in('id', postIds);
+    if (!isOwner && !isAdmin) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to restore this post'
+      });
+    }
 
-    if (fetchError) {
-      return res.status(500).json({
+    // Posts an admin removed can only be brought back by an admin
+    if (!isAdmin && postData.deleted_by && postData.deleted_by !== postData.user_id) {
+      return res.status(403).json({
         success: false,
-        error: 'Failed to fetch posts'
+        error: 'This post was removed by a moderator and cannot be restored'
       });
     }
 
-    for (const postId of postIds) {
-      try {
-        const postData = postsData.find(post => post.id === postId);
-
-        if (!postData) {
-          results.failedCount++;
-          results.errors.push(`${postId}: Post not found`);
-          continue;
-        }
-
-        // Check ownership
-        const isOwner = postData.user_id === userId;
-        const canDelete = isOwner || isAdmin;
-
-        if (!canDelete) {
-          results.failedCount++;
-          results.errors.push(`${postId}: Permission denied`);
-          continue;
-        }
-
-        // Delete images from Cloudinary
-        if (postData.images && postData.images.length > 0) {
-          const cloudinaryResult = await deletePostImagesFromCloudinary(postData.images);
-          results.cloudinaryResults.totalImages += cloudinaryResult.total;
-          results.cloudinaryResults.deletedImages += cloudinaryResult.successful;
-          results.cloudinaryResults.failedImages += cloudinaryResult.failed;
-        }
-
-        // Delete related records and post
-        await Promise.all([
-          // Delete comment likes
-          supabase.from('comment_likes').delete()
-            .in('comment_id', 
-              supabase.from('comments').select('id').eq('post_id', postId)
-            ),
-          // Delete comments
-          supabase.from('comments').delete().eq('post_id', postId),
-          // Delete likes
-          supabase.from('post_likes').delete().eq('post_id', postId)
-        ]);
-
-        // Delete post
-        const { error: deleteError } = await supabase
-          .from('posts')
-          .delete()
-          .eq('id', postId)
-          .eq(isAdmin ? 'id' : 'user_id', isAdmin ? postId : userId);
-
-        if (deleteError) {
-          results.failedCount++;
-          results.errors.push(`${postId}: Database deletion failed`);
-          continue;
-        }
-
-        results.successCount++;
-
-      } catch (error) {
-        results.failedCount++;
-        results.errors.push(`${postId}: ${error.message}`);
-      }
+    if (new Date(getRestoreDeadline(postData.deleted_at)) < new Date()) {
+      return res.status(410).json({
+        success: false,
+        error: `The ${TRASH_RETENTION_DAYS} day restore window for this post has expired`
+      });
+    }
+
+    const { error: restoreError } = await supabase
+      .from('posts')
+      .update({ deleted_at: null, deleted_by: null })
+      .eq('id', postId);
+
+    if (restoreError) {
+      console.error('Error restoring post:', restoreError);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to restore post'
+      });
     }
 
-    console.log(`📊 Bulk delete completed: ${results.successCount}/${results.totalCount} posts deleted`);
-    console.log(`🖼️ Cloudinary: ${results.cloudinaryResults.deletedImages}/${results.cloudinaryResults.totalImages} images deleted`);
+    console.log(`♻️ Post ${postId} restored by user: ${userId}`);
+
+    await recordAuditEvent({
+      actorId: userId,
+      action: 'post.restore',
+      targetType: 'post',
+      targetId: postId,
+      before: { deleted_at: postData.deleted_at, deleted_by: postData.deleted_by },
+      after: { deleted_at: null, deleted_by: null },
+      isAdminOverride: !isOwner,
+      context: getAuditContext(req)
+    });
 
     res.json({
       success: true,
-      message: 'Bulk deletion completed',
-      results: results
+      message: 'Post restored',
+      postId: postId
     });
 
   } catch (error) {
-    console.error('Bulk delete error:', error);
+    console.error('Restore post error:', error);
     res.status(500).json({
       success: false,
-      error: 'Server error during bulk deletion'
+      error: 'Server error restoring post'
     });
   }
 });
 
+// DELETE /api/posts/trash/:postId - Permanently delete a trashed post right away
+router.delete('/trash/:postId', deletePostLimiter, authenticateUser, async (req, res) => {
+  try {
+    const { postId } = req.params;
+    const userId = req.user.id;
+
+    console.log(`🗑️ Permanent delete request for trashed post: ${postId} by user: ${userId}`);
+
+    const outcome = await purgeTrashedPost({ postId, actorId: userId, auditContext: getAuditContext(req) });
+    sendDeletionResponse(res, outcome, 'Post permanently deleted', { single: true });
+
+  } catch (error) {
+    console.error('Permanent delete error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error during post deletion'
+    });
+  }
+});
+
+// GET /api/posts/health - Health check for the post deletion module
+router.get('/health', (req, res) => {
+  res.json({
+    success: true,
+    message: 'Delete posts module is healthy',
+    trashRetentionDays: TRASH_RETENTION_DAYS,
+    storageProvider: STORAGE_PROVIDER,
+    cloudinaryConfig: {
+      cloudName: process.env.CLOUDINARY_CLOUD_NAME ? 'configured' : 'missing',
+      apiKey: process.env.CLOUDINARY_API_KEY ? 'configured' : 'missing',
+      apiSecret: process.env.CLOUDINARY_API_SECRET ? 'configured' : 'missing'
+    }
+  });
+});
+
 // GET /api/posts/:postId/can-delete - Check if user can delete a specific post
 router.get('/:postId/can-delete', authenticateUser, async (req, res) => {
   try {
@@ -456,6 +469,7 @@ router.get('/:postId/can-delete', authenticateUser, async (req, res) => {
       .from('posts')
       .select('id, user_id')
       .eq('id', postId)
+      .is('deleted_at', null)
       .single();
 
     const isOwner = postData ? postData.user_id === userId : false;
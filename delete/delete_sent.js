@@ -1,6 +1,8 @@
 const express = require('express');
 const { createClient } = require('@supabase/supabase-js');
-const cloudinary = require('cloudinary').v2;
+const { enqueueCloudinaryDeletion, extractPublicIdFromUrl } = require('./cloudinary_deletion_queue');
+const { CONFIRMATION_TTL_SECONDS, createConfirmationToken, verifyConfirmationToken } = require('./bulk_delete_confirmation');
+const { getAuditContext, recordAuditEvents } = require('../audit/audit_log_service');
 const router = express.Router();
 
 // Initialize Supabase client
@@ -56,48 +58,93 @@ const isUserAdmin = async (userId) => {
   }
 };
 
-// Helper function to delete image from Cloudinary
-const deleteFromCloudinary = async (imageUrl) => {
-  try {
-    if (!imageUrl || !imageUrl.includes('cloudinary.com')) {
-      return { success: true, result: 'not_cloudinary' };
-    }
+// Helper function to delete images from the database and queue their files for deletion
+// from Cloudinary. Callers must have already checked that the user is the sender, recipient or an admin.
+const deleteImagesWithFiles = async (images, requestedBy = null, { auditContext = {} } = {}) => {
+  const imageIds = images.map(image => image.id);
 
-    // Extract public_id from Cloudinary URL
-    const urlParts = imageUrl.split('/');
-    const uploadIndex = urlParts.indexOf('upload');
-    
-    if (uploadIndex === -1) {
-      return { success: false, error: 'Invalid Cloudinary URL format' };
-    }
+  const { data: deletedRows, error: dbError } = await supabase
+    .from('images')
+    .delete()
+    .in('id', imageIds)
+    .select('*');
 
-    // Get public_id (skip version if present)
-    let startIndex = uploadIndex + 1;
-    if (urlParts[startIndex] && urlParts[startIndex].startsWith('v')) {
-      startIndex++;
-    }
-    
-    const publicIdParts = urlParts.slice(startIndex);
-    let publicId = publicIdParts.join('/');
-    publicId = publicId.replace(/\.[^/.]+$/, ''); // Remove file extension
+  if (dbError) {
+    console.error('Database deletion error:', dbError);
+    return { success: false, error: 'Failed to delete image from database' };
+  }
+
+  const cloudinaryJob = await enqueueCloudinaryDeletion({
+    imageUrls: deletedRows.map(row => row.image_url),
+    source: 'sent_image',
+    sourceId: imageIds.length === 1 ? imageIds[0] : null,
+    requestedBy: requestedBy
+  });
+
+  console.log(`Deleted ${deletedRows.length} image(s), Cloudinary job: ${cloudinaryJob.jobId}`);
+
+  await recordAuditEvents(deletedRows.map(row => {
+    const photos = images.find(image => image.id === row.id)?.photos;
+
+    return {
+      actorId: requestedBy,
+      action: 'image.delete',
+      targetType: 'image',
+      targetId: row.id,
+      before: row,
+      after: null,
+      isAdminOverride: !!photos && photos.sender_id !== requestedBy && photos.recipient_id !== requestedBy,
+      metadata: { cloudinary_job_id: cloudinaryJob.jobId, bulk: images.length > 1 },
+      context: auditContext
+    };
+  }));
 
-    console.log(`Deleting from Cloudinary: ${publicId}`);
+  return {
+    success: true,
+    deletedIds: deletedRows.map(row => row.id),
+    cloudinary_job_id: cloudinaryJob.jobId
+  };
+};
 
-    const result = await cloudinary.uploader.destroy(publicId, {
-      resource_type: 'image'
-    });
+// Helper function to decide per image whether the user may delete it (sender, recipient or admin).
+// Returns { success, verdicts: [{ imageId, image, allowed, reason }] }.
+const checkImagePermissions = async (imageIds, userId) => {
+  const isAdmin = await isUserAdmin(userId);
+
+  // Get all images with photo collection info
+  const { data: imagesData, error: fetchError } = await supabase
+    .from('images')
+    .select(`
+      id,
+      image_url,
+      photo_collection_id,
+      photos!inner(sender_id, recipient_id)
+    `)
+    .in('id', imageIds);
+
+  if (fetchError) {
+    return { success: false, error: 'Failed to fetch images' };
+  }
 
-    if (result.result === 'ok') {
-      return { success: true, result };
-    } else if (result.result === 'not found') {
-      return { success: true, result: 'not_found' };
-    } else {
-      return { success: false, error: `Cloudinary deletion failed: ${result.result}` };
+  const verdicts = imageIds.map(imageId => {
+    const image = imagesData.find(img => img.id === imageId) || null;
+
+    if (!image) {
+      return { imageId, image, allowed: false, reason: 'Image not found' };
     }
-  } catch (error) {
-    console.error('Cloudinary deletion error:', error);
-    return { success: false, error: error.message };
-  }
+
+    // Check ownership - user can be either sender or recipient
+    const isSender = image.photos.sender_id === userId;
+    const isRecipient = image.photos.recipient_id === userId;
+
+    if (!isSender && !isRecipient && !isAdmin) {
+      return { imageId, image, allowed: false, reason: 'Permission denied' };
+    }
+
+    return { imageId, image, allowed: true, reason: null, isAdminOverride: !isSender && !isRecipient };
+  });
+
+  return { success: true, verdicts };
 };
 
 // DELETE /api/images/:imageId - Delete a single image
@@ -142,38 +189,19 @@ router.delete('/:imageId', authenticateUser, async (req, res) => {
       });
     }
 
-    // Delete from Cloudinary first
-    const cloudinaryResult = await deleteFromCloudinary(imageData.image_url);
-    
-    let cloudinarySuccess = cloudinaryResult.success;
-    let cloudinaryError = null;
-
-    if (!cloudinaryResult.success) {
-      cloudinaryError = cloudinaryResult.error;
-      console.warn(`Cloudinary deletion failed but continuing: ${cloudinaryError}`);
-    }
+    const deletion = await deleteImagesWithFiles([imageData], userId, { auditContext: getAuditContext(req) });
 
-    // Delete from database (RLS will handle permission check)
-    const { error: dbError } = await supabase
-      .from('images')
-      .delete()
-      .eq('id', imageId);
-
-    if (dbError) {
-      console.error('Database deletion error:', dbError);
+    if (!deletion.success) {
       return res.status(500).json({
         success: false,
-        error: 'Failed to delete image from database'
+        error: deletion.error
       });
     }
 
-    console.log(`Image deleted successfully: ${imageId}`);
-
     res.json({
       success: true,
       message: 'Image deleted successfully',
-      cloudinary_deleted: cloudinarySuccess,
-      cloudinary_error: cloudinaryError
+      cloudinary_job_id: deletion.cloudinary_job_id
     });
 
   } catch (error) {
@@ -186,10 +214,13 @@ router.delete('/:imageId', authenticateUser, async (req, res) => {
 });
 
 // POST /api/images/bulk-delete - Delete multiple images
+// Body { imageIds, dryRun: true } previews the deletion; the real call must send
+// { imageIds, confirmationToken } with the token from the preview.
 router.post('/bulk-delete', authenticateUser, async (req, res) => {
   try {
-    const { imageIds } = req.body;
+    const { imageIds, dryRun, confirmationToken } = req.body;
     const userId = req.user.id;
+    const operation = 'images.bulk_delete';
 
     if (!imageIds || !Array.isArray(imageIds) || imageIds.length === 0) {
       return res.status(400).json({
@@ -198,80 +229,106 @@ router.post('/bulk-delete', authenticateUser, async (req, res) => {
       });
     }
 
-    console.log(`Bulk delete request for ${imageIds.length} images by user: ${userId}`);
+    const uniqueImageIds = [...new Set(imageIds)];
+    const permissions = await checkImagePermissions(uniqueImageIds, userId);
 
-    const isAdmin = await isUserAdmin(userId);
-    const results = {
-      totalCount: imageIds.length,
-      successCount: 0,
-      failedCount: 0,
-      errors: [],
-      cloudinaryErrors: []
-    };
-
-    // Get all images with photo collection info
-    const { data: imagesData, error: fetchError } = await supabase
-      .from('images')
-      .select(`
-        id,
-        image_url,
-        photo_collection_id,
-        photos!inner(sender_id, recipient_id)
-      `)
-      .in('id', imageIds);
-
-    if (fetchError) {
+    if (!permissions.success) {
       return res.status(500).json({
         success: false,
-        error: 'Failed to fetch images'
+        error: permissions.error
       });
     }
 
-    for (const imageId of imageIds) {
-      try {
-        const imageData = imagesData.find(img => img.id === imageId);
+    const allowedImages = permissions.verdicts.filter(verdict => verdict.allowed).map(verdict => verdict.image);
+
+    if (dryRun === true || dryRun === 'true') {
+      const items = permissions.verdicts.map(({ imageId, image, allowed, reason, isAdminOverride }) => ({
+        imageId: imageId,
+        verdict: allowed ? 'allowed' : (image ? 'forbidden' : 'not_found'),
+        reason: reason,
+        isAdminOverride: !!isAdminOverride,
+        photoCollectionId: allowed ? image.photo_collection_id : undefined,
+        imageUrl: allowed ? image.image_url : undefined,
+        cloudinaryPublicIds: allowed ? [extractPublicIdFromUrl(image.image_url)].filter(Boolean) : undefined
+      }));
+      const confirmation = createConfirmationToken({
+        operation,
+        actorId: userId,
+        itemIds: allowedImages.map(image => image.id)
+      });
 
-        if (!imageData) {
-          results.failedCount++;
-          results.errors.push(`${imageId}: Image not found`);
-          continue;
-        }
+      console.log(`🔍 Bulk delete dry run for ${uniqueImageIds.length} images by user: ${userId}`);
+
+      return res.json({
+        success: true,
+        dryRun: true,
+        preview: {
+          permanent: true,
+          items: items,
+          totals: {
+            requested: uniqueImageIds.length,
+            images: allowedImages.length,
+            denied: uniqueImageIds.length - allowedImages.length,
+            cloudinaryPublicIds: items.reduce((sum, item) => sum + (item.cloudinaryPublicIds?.length || 0), 0)
+          }
+        },
+        confirmationToken: confirmation.confirmationToken,
+        confirmationExpiresAt: confirmation.expiresAt,
+        confirmationTtlSeconds: CONFIRMATION_TTL_SECONDS,
+        message: 'Nothing was deleted. Repeat the request with this confirmationToken to delete the allowed images.'
+      });
+    }
+
+    const confirmation = verifyConfirmationToken(confirmationToken, {
+      operation,
+      actorId: userId,
+      itemIds: allowedImages.map(image => image.id)
+    });
 
-        // Check ownership - user can be either sender or recipient
-        const isSender = imageData.photos.sender_id === userId;
-        const isRecipient = imageData.photos.recipient_id === userId;
-        const canDelete = isSender || isRecipient;
+    if (!confirmation.valid) {
+      return res.status(confirmation.status).json({
+        success: false,
+        error: confirmation.error,
+        code: confirmation.code
+      });
+    }
 
-        if (!canDelete && !isAdmin) {
-          results.failedCount++;
-          results.errors.push(`${imageId}: Permission denied`);
-          continue;
-        }
-
-        // Delete from Cloudinary
-        const cloudinaryResult = await deleteFromCloudinary(imageData.image_url);
-        
-        if (!cloudinaryResult.success) {
-          results.cloudinaryErrors.push(`${imageId}: ${cloudinaryResult.error}`);
-        }
-
-        // Delete from database
-        const { error: dbError } = await supabase
-          .from('images')
-          .delete()
-          .eq('id', imageId);
-
-        if (dbError) {
-          results.failedCount++;
-          results.errors.push(`${imageId}: Database deletion failed`);
-          continue;
-        }
+    console.log(`Bulk delete request for ${uniqueImageIds.length} images by user: ${userId}`);
 
-        results.successCount++;
+    const results = {
+      totalCount: uniqueImageIds.length,
+      successCount: 0,
+      failedCount: 0,
+      errors: [],
+      cloudinaryJobId: null
+    };
 
-      } catch (error) {
+    permissions.verdicts
+      .filter(verdict => !verdict.allowed)
+      .forEach(verdict => {
         results.failedCount++;
-        results.errors.push(`${imageId}: ${error.message}`);
+        results.errors.push(`${verdict.imageId}: ${verdict.reason}`);
+      });
+
+    if (allowedImages.length > 0) {
+      const deletion = await deleteImagesWithFiles(allowedImages, userId, { auditContext: getAuditContext(req) });
+
+      if (!deletion.success) {
+        allowedImages.forEach(image => {
+          results.failedCount++;
+          results.errors.push(`${image.id}: Database deletion failed`);
+        });
+      } else {
+        results.successCount = deletion.deletedIds.length;
+        results.cloudinaryJobId = deletion.cloudinary_job_id;
+
+        // Deleted by someone else in the meantime
+        allowedImages
+          .filter(image => !deletion.deletedIds.includes(image.id))
+          .forEach(image => {
+            results.failedCount++;
+            results.errors.push(`${image.id}: Image not found`);
+          });
       }
     }
 
@@ -331,4 +388,5 @@ router.get('/:imageId/ownership', authenticateUser, async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
+module.exports.deleteImagesWithFiles = deleteImagesWithFiles;
\ No newline at end of file
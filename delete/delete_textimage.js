@@ -1,8 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const { createClient } = require('@supabase/supabase-js');
-const cloudinary = require('cloudinary').v2;
 const rateLimit = require('express-rate-limit');
+const { extractPublicIdFromUrl, enqueueCloudinaryDeletion } = require('./cloudinary_deletion_queue');
+const { STORAGE_PROVIDER } = require('../storage/storage');
+const { filterOwnedImageUrls } = require('../storage/image_assets');
+const { getAuditContext, recordAuditEvent } = require('../audit/audit_log_service');
 
 // Initialize Supabase client
 const supabase = createClient(
@@ -51,65 +54,6 @@ const authenticateUser = async (req, res, next) => {
   }
 };
 
-/**
- * Extract Cloudinary public ID from URL
- * @param {string} imageUrl - Full Cloudinary image URL
- * @returns {string|null} - Public ID or null if invalid
- */
-const extractPublicId = (imageUrl) => {
-  try {
-    if (!imageUrl || typeof imageUrl !== 'string') {
-      return null;
-    }
-
-    // Cloudinary URL format: https://res.cloudinary.com/{cloud_name}/image/upload/v{version}/{folder}/{public_id}.{format}
-    const urlPattern = /\/v\d+\/(.+)\.\w+$/;
-    const match = imageUrl.match(urlPattern);
-    
-    if (match && match[1]) {
-      // Returns something like: chat_images/chat_userId_timestamp_random
-      return match[1];
-    }
-
-    // Alternative pattern without version number
-    const altPattern = /\/upload\/(.+)\.\w+$/;
-    const altMatch = imageUrl.match(altPattern);
-    
-    if (altMatch && altMatch[1]) {
-      return altMatch[1];
-    }
-
-    console.log(`Failed to extract public_id from URL: ${imageUrl}`);
-    return null;
-  } catch (error) {
-    console.error('Error extracting public ID:', error);
-    return null;
-  }
-};
-
-/**
- * Delete a single image from Cloudinary
- * @param {string} publicId - Cloudinary public ID
- * @returns {Promise<boolean>} - Success status
- */
-const deleteImageFromCloudinary = async (publicId) => {
-  return new Promise((resolve) => {
-    cloudinary.uploader.destroy(publicId, { invalidate: true }, (error, result) => {
-      if (error) {
-        console.error(`Failed to delete image ${publicId}:`, error);
-        resolve(false);
-      } else if (result.result === 'ok' || result.result === 'not found') {
-        // 'not found' is acceptable - image might already be deleted
-        console.log(`Image ${publicId} deleted successfully:`, result.result);
-        resolve(true);
-      } else {
-        console.log(`Unexpected result deleting ${publicId}:`, result);
-        resolve(false);
-      }
-    });
-  });
-};
-
 /**
  * Verify message ownership
  * @param {string} messageId - Message UUID
@@ -136,10 +80,31 @@ const verifyMessageOwnership = async (messageId, userId) => {
   }
 };
 
+/**
+ * Keep the image URLs the user uploaded themselves: an image_assets row of theirs, or a chat
+ * image stored under their public id prefix (chat_images/chat_<userId>_).
+ * @param {string[]} imageUrls
+ * @param {string} userId
+ * @returns {Promise<Set<string>>} The owned URLs
+ */
+const getOwnedChatImageUrls = async (imageUrls, userId) => {
+  const ownedUrls = new Set(await filterOwnedImageUrls(imageUrls, userId));
+  const chatPrefix = `chat_images/chat_${userId}_`;
+
+  imageUrls.forEach(url => {
+    const publicId = extractPublicIdFromUrl(url);
+    if (publicId && publicId.startsWith(chatPrefix)) {
+      ownedUrls.add(url);
+    }
+  });
+
+  return ownedUrls;
+};
+
 /**
  * @route   POST /api/images/delete-chat-images
- * @desc    Delete chat message images from Cloudinary
- * @access  Private (requires authentication and message ownership)
+ * @desc    Queue chat message images for deletion from Cloudinary (poll GET /api/deletion-jobs/:jobId)
+ * @access  Private (requires authentication and message ownership; only images the user uploaded are deleted)
  * @body    { messageId: string, imageUrls: string[] }
  */
 router.post('/delete-chat-images',
@@ -180,61 +145,63 @@ router.post('/delete-chat-images',
 
       console.log(`✅ Message ownership verified`);
 
-      // Extract public IDs from URLs
-      const publicIds = imageUrls
-        .map(url => extractPublicId(url))
-        .filter(id => id !== null);
+      // Extract public IDs from URLs, keeping only images this user uploaded
+      const ownedUrls = await getOwnedChatImageUrls(imageUrls, userId);
+      const publicIds = imageUrls.map(url => ownedUrls.has(url) ? extractPublicIdFromUrl(url) : null);
+      const validCount = publicIds.filter(id => id !== null).length;
 
-      if (publicIds.length === 0) {
+      if (validCount === 0) {
         return res.status(400).json({
           success: false,
-          error: 'No valid Cloudinary URLs provided'
+          error: 'No valid image URLs provided'
         });
       }
 
-      console.log(`📝 Extracted ${publicIds.length} valid public IDs`);
+      console.log(`📝 Extracted ${validCount} valid public IDs`);
 
-      // Delete images from Cloudinary in parallel with timeout
-      const DELETION_TIMEOUT = 10000; // 10 seconds per image
-      const deletionPromises = publicIds.map(publicId => 
-        Promise.race([
-          deleteImageFromCloudinary(publicId),
-          new Promise(resolve => setTimeout(() => {
-            console.log(`⏰ Deletion timeout for ${publicId}`);
-            resolve(false);
-          }, DELETION_TIMEOUT))
-        ])
-      );
+      // Queue the deletion; the worker retries failed Cloudinary calls in the background
+      const cloudinaryJob = await enqueueCloudinaryDeletion({
+        publicIds: publicIds.filter(id => id !== null),
+        source: 'chat_image',
+        sourceId: messageId,
+        requestedBy: userId
+      });
 
-      const results = await Promise.all(deletionPromises);
+      if (!cloudinaryJob.success) {
+        return res.status(500).json({
+          success: false,
+          error: cloudinaryJob.error
+        });
+      }
 
-      // Calculate statistics
-      const deletedCount = results.filter(success => success).length;
-      const failedCount = results.length - deletedCount;
+      await recordAuditEvent({
+        actorId: userId,
+        action: 'chat_image.delete',
+        targetType: 'message',
+        targetId: messageId,
+        before: { image_urls: imageUrls },
+        after: null,
+        metadata: { cloudinary_job_id: cloudinaryJob.jobId, queued: validCount },
+        context: getAuditContext(req)
+      });
 
       // Create detailed results array
       const detailedResults = imageUrls.map((url, index) => ({
         url: url,
-        deleted: publicIds[index] ? results[index] : false,
-        reason: !publicIds[index] ? 'Invalid URL format' : 
-                results[index] ? 'Success' : 'Cloudinary deletion failed'
+        queued: publicIds[index] !== null,
+        reason: publicIds[index]
+          ? 'Queued for deletion'
+          : (extractPublicIdFromUrl(url) ? 'Not an image you uploaded' : 'Invalid URL format')
       }));
 
-      console.log(`✅ Deletion complete: ${deletedCount} succeeded, ${failedCount} failed`);
-
-      // Determine overall success
-      const overallSuccess = deletedCount > 0;
-      const statusCode = failedCount === 0 ? 200 : (deletedCount > 0 ? 207 : 500);
-
-      res.status(statusCode).json({
-        success: overallSuccess,
-        deletedCount: deletedCount,
-        failedCount: failedCount,
+      res.status(202).json({
+        success: true,
+        jobId: cloudinaryJob.jobId,
+        queuedCount: validCount,
+        failedCount: imageUrls.length - validCount,
         totalCount: imageUrls.length,
         results: detailedResults,
-        message: failedCount === 0 
-          ? `All ${deletedCount} image(s) deleted successfully`
-          : `${deletedCount} image(s) deleted, ${failedCount} failed`
+        message: `${validCount} image(s) queued for deletion`
       });
 
     } catch (error) {
@@ -257,6 +224,7 @@ router.get('/delete-health', (req, res) => {
     status: 'OK',
     service: 'Chat Image Deletion',
     timestamp: new Date().toISOString(),
+    storage_provider: STORAGE_PROVIDER,
     cloudinary_configured: !!process.env.CLOUDINARY_CLOUD_NAME
   });
 });
@@ -0,0 +1,237 @@
+const express = require('express');
+const { createClient } = require('@supabase/supabase-js');
+const { requeueDeadJobs } = require('./cloudinary_deletion_queue');
+
+const router = express.Router();
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY,
+  {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false
+    }
+  }
+);
+
+const JOB_STATUSES = ['pending', 'processing', 'completed', 'dead'];
+
+// Authentication middleware
+const authenticateUser = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({ error: 'Missing or invalid authorization header' });
+    }
+
+    const token = authHeader.split(' ')[1];
+
+    // Verify token with Supabase
+    const { data: { user }, error } = await supabase.auth.getUser(token);
+
+    if (error || !user) {
+      console.log('Authentication error:', error?.message);
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('Auth middleware error:', error);
+    res.status(401).json({ error: 'Authentication failed' });
+  }
+};
+
+// Helper function to check if user is admin
+const isUserAdmin = async (userId) => {
+  try {
+    const { data: profile } = await supabase
+      .from('profiles')
+      .select('user_type')
+      .eq('id', userId)
+      .single();
+
+    return profile?.user_type === 'admin';
+  } catch (error) {
+    console.error('Error checking admin status:', error);
+    return false;
+  }
+};
+
+// Admin-only middleware (must run after authenticateUser)
+const requireAdmin = async (req, res, next) => {
+  if (!(await isUserAdmin(req.user.id))) {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  next();
+};
+
+// Helper function to transform a job row into the app format
+const formatJob = (job, { includeAssets = false } = {}) => {
+  const formatted = {
+    id: job.id,
+    status: job.status,
+    source: job.source,
+    sourceId: job.source_id,
+    requestedBy: job.requested_by,
+    totalAssets: job.public_ids?.length || 0,
+    deletedAssets: job.deleted_public_ids?.length || 0,
+    attempts: job.attempts,
+    maxAttempts: job.max_attempts,
+    nextAttemptAt: job.status === 'pending' ? job.next_attempt_at : null,
+    lastError: job.last_error || null,
+    createdAt: job.created_at,
+    updatedAt: job.updated_at,
+    completedAt: job.completed_at || null
+  };
+
+  if (includeAssets) {
+    formatted.publicIds = job.public_ids || [];
+    formatted.deletedPublicIds = job.deleted_public_ids || [];
+  }
+
+  return formatted;
+};
+
+/**
+ * @route   GET /api/deletion-jobs
+ * @desc    List Cloudinary deletion jobs, the dead-letter list by default
+ * @access  Private (Admin only)
+ * @query   { status?: 'pending'|'processing'|'completed'|'dead'|'all' (default dead), source?: string, page?: number, limit?: number }
+ */
+router.get('/', authenticateUser, requireAdmin, async (req, res) => {
+  try {
+    const { status = 'dead', source, page = 1 } = req.query;
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const offset = (pageNumber - 1) * limit;
+
+    if (status !== 'all' && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${JOB_STATUSES.join(', ')}, all` });
+    }
+
+    let query = supabase
+      .from('cloudinary_deletion_jobs')
+      .select('*', { count: 'exact' })
+      .order('updated_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (status !== 'all') {
+      query = query.eq('status', status);
+    }
+    if (source) {
+      query = query.eq('source', source);
+    }
+
+    const { data: jobs, error, count } = await query;
+
+    if (error) {
+      console.error('Error fetching deletion jobs:', error);
+      return res.status(500).json({ error: 'Failed to fetch deletion jobs' });
+    }
+
+    res.json({
+      success: true,
+      jobs: (jobs || []).map(job => formatJob(job, { includeAssets: true })),
+      pagination: {
+        page: pageNumber,
+        limit: limit,
+        total: count || 0,
+        hasMore: offset + limit < (count || 0)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get deletion jobs error:', error);
+    res.status(500).json({ error: 'Server error fetching deletion jobs' });
+  }
+});
+
+/**
+ * @route   POST /api/deletion-jobs/retry-dead
+ * @desc    Re-run every job in the dead-letter list
+ * @access  Private (Admin only)
+ */
+router.post('/retry-dead', authenticateUser, requireAdmin, async (req, res) => {
+  try {
+    const jobIds = await requeueDeadJobs();
+
+    console.log(`🔁 Admin ${req.user.id} requeued ${jobIds.length} dead deletion job(s)`);
+
+    res.json({
+      success: true,
+      requeued: jobIds.length,
+      jobIds: jobIds,
+      message: `${jobIds.length} job(s) requeued`
+    });
+
+  } catch (error) {
+    console.error('Retry dead jobs error:', error);
+    res.status(500).json({ error: 'Server error requeueing dead jobs' });
+  }
+});
+
+/**
+ * @route   GET /api/deletion-jobs/:jobId
+ * @desc    Status of a deletion job (the user who started it, or an admin)
+ * @access  Private
+ */
+router.get('/:jobId', authenticateUser, async (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    const { data: job } = await supabase
+      .from('cloudinary_deletion_jobs')
+      .select('*')
+      .eq('id', jobId)
+      .maybeSingle();
+
+    const isAdmin = job && job.requested_by !== req.user.id ? await isUserAdmin(req.user.id) : false;
+
+    if (!job || (job.requested_by !== req.user.id && !isAdmin)) {
+      return res.status(404).json({ error: 'Deletion job not found' });
+    }
+
+    res.json({
+      success: true,
+      job: formatJob(job, { includeAssets: isAdmin })
+    });
+
+  } catch (error) {
+    console.error('Get deletion job error:', error);
+    res.status(500).json({ error: 'Server error fetching deletion job' });
+  }
+});
+
+/**
+ * @route   POST /api/deletion-jobs/:jobId/retry
+ * @desc    Re-run a job from the dead-letter list
+ * @access  Private (Admin only)
+ */
+router.post('/:jobId/retry', authenticateUser, requireAdmin, async (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    const jobIds = await requeueDeadJobs([jobId]);
+
+    if (jobIds.length === 0) {
+      return res.status(404).json({ error: 'No dead-letter job with this id' });
+    }
+
+    console.log(`🔁 Admin ${req.user.id} requeued deletion job ${jobId}`);
+
+    res.json({
+      success: true,
+      jobId: jobId,
+      message: 'Job requeued'
+    });
+
+  } catch (error) {
+    console.error('Retry deletion job error:', error);
+    res.status(500).json({ error: 'Server error requeueing deletion job' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,534 @@
+// Post deletion service - the one place posts are trashed, restored and purged.
+// Used by the delete routes (single, /bulk-delete, /bulk/:userId, admin deletes),
+// the moderation queue and the trash purge job.
+const { createClient } = require('@supabase/supabase-js');
+const { enqueueCloudinaryDeletion, extractPublicIdFromUrl } = require('./cloudinary_deletion_queue');
+const { recordAuditEvent, recordAuditEvents } = require('../audit/audit_log_service');
+const { getDeletablePostImageUrls } = require('../storage/image_assets');
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY,
+  {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false
+    }
+  }
+);
+
+// Deleted posts stay in the trash for this many days before they are purged
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// Keeps .in() filters short enough for the PostgREST URL when working on many posts
+const ID_CHUNK_SIZE = 100;
+
+// Post ids are read this many at a time, below the PostgREST max-rows cap
+const ID_PAGE_SIZE = 1000;
+
+// Helper function to check if user is admin
+const isUserAdmin = async (userId) => {
+  try {
+    const { data: profile } = await supabase
+      .from('profiles')
+      .select('user_type')
+      .eq('id', userId)
+      .single();
+
+    return profile?.user_type === 'admin';
+  } catch (error) {
+    console.error('Error checking admin status:', error);
+    return false;
+  }
+};
+
+// Helper function to work out until when a trashed post can be restored
+const getRestoreDeadline = (deletedAt) => {
+  return new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+};
+
+// Helper function to build the result object every deletion route responds with
+const createDeletionResults = (totalCount, isAdmin) => ({
+  totalCount: totalCount,
+  successCount: 0,
+  failedCount: 0,
+  deletedIds: [],
+  errors: [], // [{ postId, code: 'not_found'|'forbidden'|'failed', error }]
+  permanent: false,
+  restoreUntil: null,
+  isAdminDelete: isAdmin,
+  cloudinaryJobId: null
+});
+
+// Helper function to record a failed post in a results object
+const addDeletionError = (results, postId, code, error) => {
+  results.failedCount++;
+  results.errors.push({ postId, code, error });
+};
+
+// Helper function to read rows where column is in ids, a chunk of ids at a time
+const selectInChunks = async (table, columns, column, ids) => {
+  const rows = [];
+
+  for (let i = 0; i < ids.length; i += ID_CHUNK_SIZE) {
+    const { data, error } = await supabase
+      .from(table)
+      .select(columns)
+      .in(column, ids.slice(i, i + ID_CHUNK_SIZE));
+
+    if (error) {
+      throw new Error(`Failed to read ${table}: ${error.message}`);
+    }
+    rows.push(...(data || []));
+  }
+
+  return rows;
+};
+
+// Move posts to the trash, a chunk of ids at a time. Nothing is removed until the purge job runs.
+// Callers must have already checked that the user owns the posts or is an admin.
+// If a chunk fails, trashedIds still lists the posts moved before it.
+const movePostsToTrash = async (postIds, deletedBy) => {
+  const deletedAt = new Date().toISOString();
+  const trashedIds = [];
+  let failed = false;
+
+  for (let i = 0; i < postIds.length; i += ID_CHUNK_SIZE) {
+    const { data: trashedPosts, error } = await supabase
+      .from('posts')
+      .update({ deleted_at: deletedAt, deleted_by: deletedBy })
+      .in('id', postIds.slice(i, i + ID_CHUNK_SIZE))
+      .is('deleted_at', null)
+      .select('id');
+
+    if (error) {
+      console.error('Error moving posts to trash:', error);
+      failed = true;
+      break;
+    }
+    trashedIds.push(...trashedPosts.map(post => post.id));
+  }
+
+  console.log(`🗑️ Moved ${trashedIds.length} post(s) to trash, restorable until ${getRestoreDeadline(deletedAt)}`);
+
+  return {
+    success: !failed,
+    error: failed ? 'Failed to move posts to trash' : null,
+    trashedIds: trashedIds,
+    deletedAt: deletedAt,
+    restoreUntil: getRestoreDeadline(deletedAt)
+  };
+};
+
+// Permanently delete a post: comment likes, comments, post likes, saves and finally the
+// post row, then verify it is gone and queue its images for deletion from Cloudinary.
+// Callers must have already checked that the user owns the post or is an admin.
+// requestedBy is null for the purge job, which is audited as a system action.
+const deletePostWithRelatedData = async (postData, { requestedBy = null, auditContext = {} } = {}) => {
+  const postId = postData.id;
+
+  // Step 1: Count related records before deletion
+  const [commentsResult, likesResult] = await Promise.all([
+    supabase.from('comments').select('id').eq('post_id', postId),
+    supabase.from('post_likes').select('id', { count: 'exact', head: true }).eq('post_id', postId)
+  ]);
+
+  const commentIds = (commentsResult.data || []).map(comment => comment.id);
+  const likesCount = likesResult.count || 0;
+
+  console.log(`📊 Related records - Comments: ${commentIds.length}, Likes: ${likesCount}`);
+
+  // Step 2: Delete related records, children before parents
+  if (commentIds.length > 0) {
+    const { error: commentLikesError } = await supabase
+      .from('comment_likes')
+      .delete()
+      .in('comment_id', commentIds);
+
+    if (commentLikesError) {
+      console.error('Error deleting comment likes:', commentLikesError);
+      return { success: false, error: 'Failed to delete comment likes' };
+    }
+
+    const { error: commentsError } = await supabase
+      .from('comments')
+      .delete()
+      .eq('post_id', postId);
+
+    if (commentsError) {
+      console.error('Error deleting comments:', commentsError);
+      return { success: false, error: 'Failed to delete post comments' };
+    }
+  }
+
+  const relatedDeletes = await Promise.all([
+    supabase.from('post_likes').delete().eq('post_id', postId),
+    supabase.from('saved_collection_posts').delete().eq('post_id', postId),
+    supabase.from('saved_posts').delete().eq('post_id', postId)
+  ]);
+
+  const relatedError = relatedDeletes.find(result => result.error)?.error;
+  if (relatedError) {
+    console.error('Error deleting post likes or saves:', relatedError);
+    return { success: false, error: 'Failed to delete post likes' };
+  }
+
+  // Step 3: Delete the post itself
+  const { error: postDeleteError } = await supabase
+    .from('posts')
+    .delete()
+    .eq('id', postId);
+
+  if (postDeleteError) {
+    console.error('Database post deletion error:', postDeleteError);
+    return {
+      success: false,
+      error: 'Failed to delete post from database',
+      details: postDeleteError.message
+    };
+  }
+
+  // Step 4: Verify deletion
+  const { data: verifyPost } = await supabase
+    .from('posts')
+    .select('id')
+    .eq('id', postId)
+    .maybeSingle();
+
+  if (verifyPost) {
+    console.error('❌ Post still exists after deletion attempt!');
+    return { success: false, error: 'Post deletion verification failed - post still exists' };
+  }
+
+  console.log(`✅ Post ${postId} permanently deleted`);
+
+  // Step 5: Queue the author's own images that no other post shows; the worker retries until
+  // Cloudinary confirms the deletion. Anything else is left to the orphaned asset collector.
+  let deletableImages = [];
+  try {
+    deletableImages = await getDeletablePostImageUrls(postData.images || [], postData.user_id, postId);
+  } catch (error) {
+    console.error('⚠️ Skipping image deletion for purged post:', error.message);
+  }
+
+  const cloudinaryJob = await enqueueCloudinaryDeletion({
+    imageUrls: deletableImages,
+    source: 'post',
+    sourceId: postId,
+    requestedBy: requestedBy
+  });
+
+  const details = {
+    post_id: postId,
+    deleted_comments: commentIds.length,
+    deleted_likes: likesCount,
+    cloudinary_job_id: cloudinaryJob.jobId
+  };
+
+  await recordAuditEvent({
+    actorId: requestedBy,
+    action: 'post.delete_permanent',
+    targetType: 'post',
+    targetId: postId,
+    before: postData,
+    after: null,
+    isAdminOverride: !!requestedBy && !!postData.user_id && postData.user_id !== requestedBy,
+    metadata: details,
+    context: auditContext
+  });
+
+  return {
+    success: true,
+    details: details
+  };
+};
+
+// Helper function to decide per post whether the actor may delete it.
+// Admins may delete anyone's posts. Returns { success, verdicts: [{ postId, post, allowed, code, error }] }.
+const checkPostPermissions = async (postIds, actorId) => {
+  const isAdmin = await isUserAdmin(actorId);
+
+  let posts;
+  try {
+    posts = await selectInChunks('posts', '*', 'id', postIds);
+  } catch (error) {
+    console.error('Error fetching posts for deletion:', error.message);
+    return { success: false, error: 'Failed to fetch posts' };
+  }
+
+  // Posts already in the trash count as not found
+  const postsById = new Map(posts.filter(post => !post.deleted_at).map(post => [post.id, post]));
+
+  const verdicts = postIds.map(postId => {
+    const post = postsById.get(postId) || null;
+
+    if (!post) {
+      return { postId, post, allowed: false, code: 'not_found', error: 'Post not found' };
+    }
+    if (post.user_id !== actorId && !isAdmin) {
+      return { postId, post, allowed: false, code: 'forbidden', error: 'You do not have permission to delete this post' };
+    }
+    return { postId, post, allowed: true, code: null, error: null };
+  });
+
+  return { success: true, verdicts };
+};
+
+// Helper function to count rows per value of column
+const countBy = (rows, column) => {
+  return rows.reduce((counts, row) => {
+    counts[row[column]] = (counts[row[column]] || 0) + 1;
+    return counts;
+  }, {});
+};
+
+// Work out what trashing these posts would remove, without changing anything.
+// Comments, likes, saves and images go when the post is purged from the trash.
+const previewPostDeletion = async ({ postIds, actorId }) => {
+  const permissions = await checkPostPermissions(postIds, actorId);
+
+  if (!permissions.success) {
+    return { success: false, error: permissions.error };
+  }
+
+  const allowedIds = permissions.verdicts.filter(verdict => verdict.allowed).map(verdict => verdict.postId);
+
+  const [comments, postLikes, saves] = await Promise.all([
+    selectInChunks('comments', 'id, post_id', 'post_id', allowedIds),
+    selectInChunks('post_likes', 'post_id', 'post_id', allowedIds),
+    selectInChunks('saved_posts', 'post_id', 'post_id', allowedIds)
+  ]);
+
+  const commentLikes = await selectInChunks('comment_likes', 'comment_id', 'comment_id', comments.map(comment => comment.id));
+
+  const commentPostIds = {};
+  comments.forEach(comment => {
+    commentPostIds[comment.id] = comment.post_id;
+  });
+
+  const commentsPerPost = countBy(comments, 'post_id');
+  const likesPerPost = countBy(postLikes, 'post_id');
+  const savesPerPost = countBy(saves, 'post_id');
+  const commentLikesPerPost = countBy(commentLikes.map(like => ({ post_id: commentPostIds[like.comment_id] })), 'post_id');
+
+  const items = permissions.verdicts.map(({ postId, post, allowed, code, error }) => {
+    const item = {
+      postId: postId,
+      verdict: allowed ? 'allowed' : code,
+      reason: error,
+      isAdminOverride: allowed && post.user_id !== actorId
+    };
+
+    if (!allowed) {
+      return item;
+    }
+
+    const images = Array.isArray(post.images) ? post.images : [];
+    return {
+      ...item,
+      ownerId: post.user_id,
+      caption: post.caption || '',
+      createdAt: post.created_at,
+      images: images,
+      cloudinaryPublicIds: images.map(extractPublicIdFromUrl).filter(Boolean),
+      comments: commentsPerPost[postId] || 0,
+      commentLikes: commentLikesPerPost[postId] || 0,
+      likes: likesPerPost[postId] || 0,
+      saves: savesPerPost[postId] || 0
+    };
+  });
+
+  const allowedItems = items.filter(item => item.verdict === 'allowed');
+
+  return {
+    success: true,
+    allowedIds: allowedIds,
+    preview: {
+      permanent: false,
+      restoreUntil: getRestoreDeadline(new Date().toISOString()),
+      items: items,
+      totals: {
+        requested: postIds.length,
+        posts: allowedItems.length,
+        denied: items.length - allowedItems.length,
+        comments: comments.length,
+        commentLikes: commentLikes.length,
+        likes: postLikes.length,
+        saves: saves.length,
+        cloudinaryPublicIds: allowedItems.reduce((sum, item) => sum + item.cloudinaryPublicIds.length, 0)
+      }
+    }
+  };
+};
+
+// Move posts to the trash on behalf of a user, checking ownership per post.
+// Admins may delete anyone's posts.
+const trashPosts = async ({ postIds, actorId, auditContext = {} }) => {
+  const results = createDeletionResults(postIds.length, false);
+  const permissions = await checkPostPermissions(postIds, actorId);
+
+  if (!permissions.success) {
+    return { success: false, error: permissions.error, results };
+  }
+
+  const posts = permissions.verdicts.filter(verdict => verdict.post).map(verdict => verdict.post);
+  const allowedIds = [];
+
+  permissions.verdicts.forEach(({ postId, post, allowed, code, error }) => {
+    if (!allowed) {
+      addDeletionError(results, postId, code, error);
+      return;
+    }
+
+    allowedIds.push(postId);
+    if (post.user_id !== actorId) {
+      results.isAdminDelete = true;
+    }
+  });
+
+  if (allowedIds.length > 0) {
+    const trash = await movePostsToTrash(allowedIds, actorId);
+    const trashedIds = new Set(trash.trashedIds);
+
+    results.successCount = trash.trashedIds.length;
+    results.deletedIds = trash.trashedIds;
+    results.restoreUntil = trash.restoreUntil;
+
+    // The rest failed to move, or another request trashed them in the meantime
+    allowedIds
+      .filter(postId => !trashedIds.has(postId))
+      .forEach(postId => trash.success
+        ? addDeletionError(results, postId, 'not_found', 'Post not found')
+        : addDeletionError(results, postId, 'failed', trash.error));
+
+    await recordAuditEvents(posts
+      .filter(post => trashedIds.has(post.id))
+      .map(post => ({
+        actorId: actorId,
+        action: 'post.trash',
+        targetType: 'post',
+        targetId: post.id,
+        before: post,
+        after: { ...post, deleted_at: trash.deletedAt, deleted_by: actorId },
+        isAdminOverride: post.user_id !== actorId,
+        metadata: { restore_until: trash.restoreUntil, bulk: postIds.length > 1 },
+        context: auditContext
+      })));
+
+    if (!trash.success) {
+      return { success: false, error: trash.error, results };
+    }
+  }
+
+  return { success: true, results };
+};
+
+// Helper function to list a user's live post ids, if the actor may delete them
+// (the user themselves or an admin)
+const getUserPostIdsForDeletion = async ({ userId, actorId }) => {
+  if (userId !== actorId && !(await isUserAdmin(actorId))) {
+    return { success: false, status: 403, error: 'You can only delete your own posts' };
+  }
+
+  // Page through by id so users with more posts than max-rows are read in full
+  const postIds = [];
+  let lastId = null;
+
+  while (true) {
+    let query = supabase
+      .from('posts')
+      .select('id')
+      .eq('user_id', userId)
+      .is('deleted_at', null)
+      .order('id', { ascending: true })
+      .limit(ID_PAGE_SIZE);
+
+    if (lastId) {
+      query = query.gt('id', lastId);
+    }
+
+    const { data: posts, error: fetchError } = await query;
+
+    if (fetchError) {
+      console.error('Error fetching user posts for deletion:', fetchError);
+      return { success: false, error: 'Failed to fetch posts' };
+    }
+
+    postIds.push(...posts.map(post => post.id));
+
+    if (posts.length < ID_PAGE_SIZE) {
+      break;
+    }
+    lastId = posts[posts.length - 1].id;
+  }
+
+  return { success: true, postIds: postIds };
+};
+
+// Move every live post of a user to the trash (the user themselves or an admin)
+const trashUserPosts = async ({ userId, actorId, auditContext = {} }) => {
+  const userPosts = await getUserPostIdsForDeletion({ userId, actorId });
+
+  if (!userPosts.success) {
+    return { ...userPosts, results: createDeletionResults(0, false) };
+  }
+
+  if (userPosts.postIds.length === 0) {
+    return { success: true, results: createDeletionResults(0, userId !== actorId) };
+  }
+
+  return trashPosts({ postIds: userPosts.postIds, actorId, auditContext });
+};
+
+// Permanently delete a post that is already in the trash (owner or admin)
+const purgeTrashedPost = async ({ postId, actorId, auditContext = {} }) => {
+  const results = createDeletionResults(1, false);
+  results.permanent = true;
+
+  const { data: post } = await supabase
+    .from('posts')
+    .select('*')
+    .eq('id', postId)
+    .not('deleted_at', 'is', null)
+    .maybeSingle();
+
+  if (!post) {
+    addDeletionError(results, postId, 'not_found', 'Post not found in trash');
+    return { success: false, results };
+  }
+
+  if (post.user_id !== actorId) {
+    if (!(await isUserAdmin(actorId))) {
+      addDeletionError(results, postId, 'forbidden', 'You do not have permission to delete this post');
+      return { success: false, results };
+    }
+    results.isAdminDelete = true;
+  }
+
+  const deletion = await deletePostWithRelatedData(post, { requestedBy: actorId, auditContext });
+
+  if (!deletion.success) {
+    addDeletionError(results, postId, 'failed', deletion.error);
+    return { success: false, results };
+  }
+
+  results.successCount = 1;
+  results.deletedIds = [postId];
+  results.cloudinaryJobId = deletion.details.cloudinary_job_id;
+  return { success: true, results };
+};
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  isUserAdmin,
+  getRestoreDeadline,
+  movePostsToTrash,
+  deletePostWithRelatedData,
+  checkPostPermissions,
+  previewPostDeletion,
+  getUserPostIdsForDeletion,
+  trashPosts,
+  trashUserPosts,
+  purgeTrashedPost
+};
@@ -0,0 +1,275 @@
+// Direct-to-storage uploads. Instead of streaming files through this server, a client asks for
+// signed upload fields (createUploadTickets), sends each file straight to the storage provider
+// and then calls finalize with the upload tokens it was given. Where the provider supports it
+// (Cloudinary) the signed fields carry the purpose's resize and metadata removal, so only the
+// processed copy is ever stored and the EXIF details come from what the provider read on upload.
+// Finalize fetches the stored files one at a time and runs them through the same checks as
+// multer uploads - file signature and format allowlist, dimensions, the privacy pass and
+// perceptual hashing - before the route attaches them to a post, photo collection, avatar or
+// chat message. Rejected files are queued for deletion so they never stay in storage; uploads
+// that are never finalized are removed by scripts/collect_orphaned_assets.js once they are
+// past its grace period.
+const jwt = require('jsonwebtoken');
+const { createClient } = require('@supabase/supabase-js');
+const { storage } = require('../storage/storage');
+const { checkImageFile } = require('../storage/upload_validation');
+const { uploadImageAsset } = require('../storage/image_assets');
+const { hashUploadedFiles } = require('../storage/duplicate_images');
+const { enqueueCloudinaryDeletion } = require('../delete/cloudinary_deletion_queue');
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY,
+  {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false
+    }
+  }
+);
+
+const TOKEN_SECRET = process.env.DIRECT_UPLOAD_TOKEN_SECRET || process.env.SUPABASE_SERVICE_KEY;
+const UPLOAD_TTL_MINUTES = parseInt(process.env.DIRECT_UPLOAD_TTL_MINUTES) || 10;
+// How long after the upload window closes finalize still accepts the upload tokens
+const FINALIZE_GRACE_MINUTES = 30;
+
+// What each kind of upload may contain and how it is stored - the same limits and resize
+// options as the matching multer routes
+const UPLOAD_PURPOSES = {
+  post: {
+    folder: 'posts',
+    prefix: 'post',
+    maxFiles: 5,
+    maxBytes: 10 * 1024 * 1024,
+    formats: ['jpeg', 'png', 'webp', 'heic'],
+    options: { resize: { width: 1200, height: 1200, crop: 'limit' } }
+  },
+  collection: {
+    folder: 'sent_images',
+    prefix: 'sent',
+    maxFiles: 10,
+    maxBytes: 10 * 1024 * 1024,
+    formats: ['jpeg', 'png', 'webp', 'heic'],
+    options: { resize: { width: 1920, height: 1920, crop: 'limit' } }
+  },
+  chat: {
+    folder: 'chat_images',
+    prefix: 'chat',
+    maxFiles: 5,
+    maxBytes: 10 * 1024 * 1024,
+    formats: ['jpeg', 'png', 'webp', 'heic'],
+    options: { resize: { width: 1200, height: 1200, crop: 'limit' } }
+  },
+  avatar: {
+    folder: 'profiles',
+    prefix: 'profile',
+    maxFiles: 1,
+    maxBytes: 5 * 1024 * 1024,
+    formats: ['jpeg', 'png', 'webp'],
+    options: { resize: { width: 400, height: 400, crop: 'fill', gravity: 'face' }, circle: true }
+  }
+};
+
+/**
+ * Issue signed upload fields for up to maxFiles files of one purpose.
+ * Each upload is scoped to the purpose's folder and a public id starting with <prefix>_<userId>_.
+ * @param {string} userId
+ * @param {string} purpose - Key of UPLOAD_PURPOSES
+ * @param {number} count
+ * @returns {{expiresAt: string, maxBytes: number, allowedFormats: string[], uploads: Object[]}}
+ *          uploads: [{ uploadToken, publicId, url, method, fileField, fields }]
+ */
+const createUploadTickets = (userId, purpose, count) => {
+  const config = UPLOAD_PURPOSES[purpose];
+  const expiresAt = new Date(Date.now() + UPLOAD_TTL_MINUTES * 60 * 1000);
+
+  const uploads = Array.from({ length: count }, () => {
+    const name = `${config.prefix}_${userId}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const publicId = `${config.folder}/${name}`;
+    const signed = storage.createSignedUpload({
+      folder: config.folder,
+      publicId: name,
+      expiresAt: expiresAt,
+      maxBytes: config.maxBytes,
+      allowedFormats: config.formats,
+      resize: config.options.resize,
+      circle: config.options.circle
+    });
+
+    return {
+      uploadToken: jwt.sign({ purpose: purpose, public_id: publicId }, TOKEN_SECRET, {
+        subject: userId,
+        expiresIn: (UPLOAD_TTL_MINUTES + FINALIZE_GRACE_MINUTES) * 60
+      }),
+      publicId: publicId,
+      url: signed.url,
+      method: signed.method,
+      fileField: signed.fileField,
+      fields: signed.fields
+    };
+  });
+
+  return {
+    expiresAt: expiresAt.toISOString(),
+    maxBytes: config.maxBytes,
+    allowedFormats: config.formats,
+    uploads: uploads
+  };
+};
+
+// Check an upload token; returns the public id it was issued for, or null
+const verifyUploadToken = (token, userId, purpose) => {
+  const config = UPLOAD_PURPOSES[purpose];
+
+  try {
+    const payload = jwt.verify(token, TOKEN_SECRET);
+    const ownsPublicId = typeof payload.public_id === 'string' &&
+      payload.public_id.startsWith(`${config.folder}/${config.prefix}_${userId}_`);
+
+    return payload.sub === userId && payload.purpose === purpose && ownsPublicId ? payload.public_id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Helper function to find an upload that an earlier finalize call already processed
+const getRecordedAsset = async (publicId) => {
+  const { data, error } = await supabase
+    .from('image_assets')
+    .select('public_id, url, width, height, bytes, format, exif, location, phash')
+    .eq('public_id', publicId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to look up image asset: ${error.message}`);
+  }
+
+  return data;
+};
+
+// Helper function to queue rejected uploads for deletion
+const discardUploads = async (publicIds, userId) => {
+  if (publicIds.length === 0) return;
+
+  const result = await enqueueCloudinaryDeletion({
+    publicIds: publicIds,
+    source: 'direct_upload',
+    requestedBy: userId
+  });
+
+  if (!result.success) {
+    console.error('⚠️ Failed to queue rejected direct uploads for deletion:', result.error);
+  }
+};
+
+/**
+ * Check and record the files behind a list of upload tokens, one file at a time.
+ * Calling it again with the same tokens reuses the recorded assets, so a client can retry.
+ * @param {string} userId
+ * @param {string} purpose - Key of UPLOAD_PURPOSES
+ * @param {string[]} uploadTokens
+ * @param {Object} [options]
+ * @param {boolean} [options.keepLocation=false] - Record where the photos were taken (see uploadImageAsset)
+ * @returns {Promise<{results: Object[], files: Object[], rejected: Object[]}>}
+ *          results: uploadImageAsset results in token order (null where rejected);
+ *          files: { originalname, phash } per accepted file, for the duplicate checks;
+ *          rejected: [{ file, index, code, message }]
+ */
+const finalizeDirectUploads = async (userId, purpose, uploadTokens, { keepLocation = false } = {}) => {
+  const config = UPLOAD_PURPOSES[purpose];
+  const results = [];
+  const files = [];
+  const rejected = [];
+  const discarded = [];
+
+  for (const [index, token] of uploadTokens.entries()) {
+    const reject = (file, code, message) => {
+      results.push(null);
+      rejected.push({ file, index, code, message });
+    };
+
+    const publicId = verifyUploadToken(token, userId, purpose);
+    if (!publicId) {
+      reject(null, 'INVALID_TOKEN', 'Upload token is invalid or has expired');
+      continue;
+    }
+
+    const name = publicId.slice(config.folder.length + 1);
+    const recorded = await getRecordedAsset(publicId);
+
+    if (recorded) {
+      results.push({
+        url: recorded.url,
+        publicId: recorded.public_id,
+        bytes: recorded.bytes,
+        format: recorded.format,
+        width: recorded.width,
+        height: recorded.height,
+        originalFilename: name,
+        exif: recorded.exif,
+        location: recorded.location,
+        phash: recorded.phash
+      });
+      files.push({ originalname: name, phash: recorded.phash });
+      continue;
+    }
+
+    const asset = await storage.fetchAsset(publicId, { maxBytes: config.maxBytes });
+    if (!asset) {
+      reject(publicId, 'UPLOAD_NOT_FOUND', 'No file was uploaded for this token');
+      continue;
+    }
+    if (!asset.buffer) {
+      discarded.push(publicId);
+      reject(publicId, 'FILE_TOO_LARGE', `File too large. Maximum size is ${config.maxBytes / 1024 / 1024}MB.`);
+      continue;
+    }
+
+    const { buffer, ...storedAsset } = asset;
+    const file = {
+      buffer: buffer,
+      originalname: asset.originalFilename || name,
+      fieldname: 'file',
+      mimetype: asset.format ? `image/${asset.format}` : 'application/octet-stream'
+    };
+
+    const rejection = checkImageFile(file, config.formats);
+    if (rejection) {
+      discarded.push(publicId);
+      reject(publicId, rejection.code, rejection.message);
+      continue;
+    }
+
+    await hashUploadedFiles([file]);
+
+    try {
+      const result = await uploadImageAsset(file, {
+        folder: config.folder,
+        publicId: name,
+        ...config.options,
+        uploadedBy: userId,
+        keepLocation: keepLocation,
+        storedAsset: storedAsset
+      });
+
+      results.push(result);
+      files.push({ originalname: file.originalname, phash: result.phash });
+    } catch (error) {
+      if (error.status !== 422) throw error;
+
+      discarded.push(publicId);
+      reject(publicId, 'METADATA_NOT_REMOVABLE', error.message);
+    }
+  }
+
+  await discardUploads(discarded, userId);
+
+  return { results, files, rejected };
+};
+
+module.exports = {
+  UPLOAD_PURPOSES,
+  createUploadTickets,
+  finalizeDirectUploads
+};
@@ -0,0 +1,402 @@
+const express = require('express');
+const multer = require('multer');
+const { createClient } = require('@supabase/supabase-js');
+const rateLimit = require('express-rate-limit');
+const { storage } = require('../storage/storage');
+const {
+  findDuplicatesWithinUpload,
+  findDuplicatesInUserPosts,
+  shouldRejectDuplicates
+} = require('../storage/duplicate_images');
+const { enqueueCloudinaryDeletion } = require('../delete/cloudinary_deletion_queue');
+const { createPhotoCollection } = require('../imagesend/photo_collections');
+const { getAuditContext, recordAuditEvent } = require('../audit/audit_log_service');
+const { UPLOAD_PURPOSES, createUploadTickets, finalizeDirectUploads } = require('./direct_upload_service');
+
+const router = express.Router();
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY,
+  {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false
+    }
+  }
+);
+
+// Rate limiting for signed upload requests
+const signUploadLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30, // limit each IP to 30 signing requests per 15 minutes
+  message: { error: 'Too many upload attempts, please try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Configure multer for local storage direct uploads (the signed fields set the real limit)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: Math.max(...Object.values(UPLOAD_PURPOSES).map(config => config.maxBytes)),
+    files: 1
+  }
+});
+
+// Authentication middleware
+const authenticateUser = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({ error: 'Missing or invalid authorization header' });
+    }
+
+    const token = authHeader.split(' ')[1];
+
+    // Verify token with Supabase
+    const { data: { user }, error } = await supabase.auth.getUser(token);
+
+    if (error || !user) {
+      console.log('Authentication error:', error?.message);
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('Auth middleware error:', error);
+    res.status(401).json({ error: 'Authentication failed' });
+  }
+};
+
+// Helper function to validate the purpose in a request body
+const getPurpose = (req, res) => {
+  const { purpose } = req.body;
+
+  if (!UPLOAD_PURPOSES[purpose]) {
+    res.status(400).json({
+      error: `purpose must be one of: ${Object.keys(UPLOAD_PURPOSES).join(', ')}`
+    });
+    return null;
+  }
+
+  return purpose;
+};
+
+// Helper function to check the recipient of a photo collection before any file is processed
+const validateRecipient = async (senderId, recipientId) => {
+  if (!recipientId) {
+    return { valid: false, status: 400, error: 'Recipient ID is required' };
+  }
+  if (senderId === recipientId) {
+    return { valid: false, status: 400, error: 'Cannot send images to yourself' };
+  }
+
+  const { data: recipient, error } = await supabase
+    .from('profiles')
+    .select('id, username, display_name')
+    .eq('id', recipientId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to look up recipient: ${error.message}`);
+  }
+  if (!recipient) {
+    return { valid: false, status: 404, error: 'Recipient not found' };
+  }
+
+  return { valid: true, recipient };
+};
+
+// Helper function to make a finalized upload the user's avatar (same steps as POST /api/profile/upload)
+const replaceAvatar = async (req, newImageUrl) => {
+  const userId = req.user.id;
+
+  const { data: currentProfile, error: profileError } = await supabase
+    .from('profiles')
+    .select('avatar_url')
+    .eq('id', userId)
+    .maybeSingle();
+
+  if (profileError) {
+    throw new Error(`Failed to fetch current profile: ${profileError.message}`);
+  }
+
+  const currentAvatarUrl = currentProfile?.avatar_url || null;
+
+  // Finalizing the same upload twice keeps the avatar as it is
+  if (currentAvatarUrl === newImageUrl) {
+    return { success: true, replacedImage: false };
+  }
+
+  const { error: updateError } = await supabase
+    .from('profiles')
+    .upsert({
+      id: userId,
+      avatar_url: newImageUrl,
+      updated_at: new Date().toISOString()
+    }, {
+      onConflict: 'id'
+    });
+
+  if (updateError) {
+    console.error('❌ Error updating profile with new avatar URL:', updateError);
+    return { success: false, error: 'Failed to update profile with new avatar' };
+  }
+
+  if (currentAvatarUrl) {
+    const deletionResult = await enqueueCloudinaryDeletion({
+      imageUrls: [currentAvatarUrl],
+      source: 'avatar',
+      sourceId: userId,
+      requestedBy: userId
+    });
+
+    if (!deletionResult.success) {
+      console.warn('⚠️ Failed to queue old profile image deletion:', deletionResult.error);
+    }
+  }
+
+  await recordAuditEvent({
+    actorId: userId,
+    action: 'profile.avatar_replace',
+    targetType: 'profile',
+    targetId: userId,
+    before: { avatar_url: currentAvatarUrl },
+    after: { avatar_url: newImageUrl },
+    context: getAuditContext(req)
+  });
+
+  return { success: true, replacedImage: !!currentAvatarUrl };
+};
+
+/**
+ * @route   POST /api/direct-uploads/sign
+ * @desc    Get short-lived signed parameters to upload files straight to storage. Each upload is
+ *          limited to one public id in the purpose's folder; send the file with the returned
+ *          fields, then call /finalize with the upload tokens
+ * @access  Private
+ * @body    { purpose: 'post' | 'collection' | 'chat' | 'avatar', count?: number (default 1) }
+ */
+router.post('/sign', signUploadLimiter, authenticateUser, (req, res) => {
+  try {
+    const purpose = getPurpose(req, res);
+    if (!purpose) return;
+
+    const maxFiles = UPLOAD_PURPOSES[purpose].maxFiles;
+    const count = req.body.count === undefined ? 1 : parseInt(req.body.count);
+
+    if (isNaN(count) || count < 1 || count > maxFiles) {
+      return res.status(400).json({ error: `count must be a number from 1 to ${maxFiles}` });
+    }
+
+    const tickets = createUploadTickets(req.user.id, purpose, count);
+    console.log(`✍️ Signed ${count} direct ${purpose} upload(s) for user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      purpose: purpose,
+      ...tickets
+    });
+
+  } catch (error) {
+    console.error('Sign direct upload error:', error);
+    res.status(500).json({ error: 'Server error signing upload' });
+  }
+});
+
+/**
+ * @route   POST /api/direct-uploads/finalize
+ * @desc    Verify files uploaded with /sign and attach them: returns image URLs for a post or chat
+ *          message, creates a photo collection, or replaces the avatar. Files that fail the
+ *          upload checks are rejected with 422 and removed from storage
+ * @access  Private
+ * @body    { purpose, uploadTokens: string[], allow_duplicates?: boolean, share_location?: boolean (post only),
+ *            recipient_id?, title?, description?, is_payment_required? (collection only) }
+ */
+router.post('/finalize', authenticateUser, async (req, res) => {
+  try {
+    const purpose = getPurpose(req, res);
+    if (!purpose) return;
+
+    const userId = req.user.id;
+    const { uploadTokens, allow_duplicates } = req.body;
+    const maxFiles = UPLOAD_PURPOSES[purpose].maxFiles;
+
+    if (!Array.isArray(uploadTokens) || uploadTokens.length === 0 || uploadTokens.length > maxFiles) {
+      return res.status(400).json({ error: `uploadTokens must be a list of 1 to ${maxFiles} upload tokens` });
+    }
+    if (new Set(uploadTokens).size !== uploadTokens.length) {
+      return res.status(400).json({ error: 'Each upload token can only be finalized once per request' });
+    }
+
+    let recipientValidation = null;
+    if (purpose === 'collection') {
+      recipientValidation = await validateRecipient(userId, req.body.recipient_id);
+      if (!recipientValidation.valid) {
+        return res.status(recipientValidation.status).json({ error: recipientValidation.error });
+      }
+    }
+
+    const shareLocation = purpose === 'post' && (req.body.share_location === true || req.body.share_location === 'true');
+    const { results, files, rejected } = await finalizeDirectUploads(userId, purpose, uploadTokens, {
+      keepLocation: shareLocation
+    });
+
+    if (rejected.length > 0) {
+      return res.status(422).json({
+        success: false,
+        error: 'One or more uploads could not be accepted',
+        allowedFormats: UPLOAD_PURPOSES[purpose].formats,
+        rejected: rejected
+      });
+    }
+
+    const duplicates = findDuplicatesWithinUpload(files);
+    if (purpose === 'post') {
+      duplicates.push(...await findDuplicatesInUserPosts(userId, files));
+    }
+
+    if (duplicates.length > 0 && shouldRejectDuplicates(allow_duplicates)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Some of these images have already been uploaded. Send allow_duplicates=true to upload them anyway.',
+        duplicates: duplicates
+      });
+    }
+
+    const imageUrls = results.map(result => result.url);
+    console.log(`✅ Finalized ${imageUrls.length} direct ${purpose} upload(s) for user ${userId}`);
+
+    if (purpose === 'avatar') {
+      const avatarResult = await replaceAvatar(req, imageUrls[0]);
+      if (!avatarResult.success) {
+        return res.status(500).json({ error: avatarResult.error });
+      }
+
+      return res.json({
+        success: true,
+        avatarUrl: imageUrls[0],
+        message: 'Profile image uploaded successfully',
+        replacedImage: avatarResult.replacedImage
+      });
+    }
+
+    if (purpose === 'collection') {
+      const { data: existingImages } = await supabase
+        .from('images')
+        .select('photo_collection_id')
+        .in('image_url', imageUrls)
+        .limit(1);
+
+      if (existingImages?.length > 0) {
+        return res.status(409).json({
+          error: 'These uploads have already been sent',
+          photo_collection_id: existingImages[0].photo_collection_id
+        });
+      }
+
+      const collection = await createPhotoCollection({
+        senderId: userId,
+        recipientId: req.body.recipient_id,
+        title: req.body.title,
+        description: req.body.description,
+        isPaymentRequired: req.body.is_payment_required,
+        uploadResults: results
+      });
+
+      if (!collection.success) {
+        return res.status(500).json({ error: collection.error });
+      }
+
+      const recipient = recipientValidation.recipient;
+      return res.status(201).json({
+        success: true,
+        message: `${collection.insertedImages.length} images sent successfully to ${recipient.display_name || recipient.username || 'Unknown'}`,
+        data: {
+          photo_collection_id: collection.photoRecord.id,
+          recipient_id: recipient.id,
+          images_count: collection.insertedImages.length,
+          is_payment_required: collection.photoRecord.is_payment_required,
+          images: collection.insertedImages
+        },
+        duplicates: duplicates
+      });
+    }
+
+    const response = {
+      success: true,
+      imageUrls: imageUrls,
+      message: `${imageUrls.length} image(s) uploaded successfully`,
+      duplicates: duplicates
+    };
+
+    // Only present when the uploader opted in; null for images without GPS data
+    if (shareLocation) {
+      response.locations = results.map(result => result.location);
+    }
+
+    res.json(response);
+
+  } catch (error) {
+    console.error('Finalize direct upload error:', error);
+    res.status(500).json({ error: 'Server error finalizing upload' });
+  }
+});
+
+/**
+ * @route   POST /api/direct-uploads/local
+ * @desc    Upload target for the local storage provider (Cloudinary uploads go to Cloudinary).
+ *          Authorized by the signed fields from /sign rather than a bearer token
+ * @access  Public (signed)
+ * @body    multipart: the signed fields plus the file in 'file'
+ */
+router.post('/local', (req, res, next) => {
+  if (!storage.receiveSignedUpload) {
+    return res.status(404).json({ error: 'Direct uploads go to the storage provider, not this server' });
+  }
+  next();
+}, upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file provided' });
+    }
+
+    const result = await storage.receiveSignedUpload(req.body, req.file);
+
+    res.status(201).json({
+      success: true,
+      publicId: result.publicId,
+      url: result.url
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error('Local direct upload error:', error);
+    res.status(500).json({ error: 'Server error storing upload' });
+  }
+});
+
+// Error handling middleware for multer
+router.use((error, req, res, next) => {
+  if (error instanceof multer.MulterError) {
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        error: 'File too large. Maximum size is 10MB.',
+        success: false
+      });
+    }
+    return res.status(400).json({
+      error: 'File upload error: ' + error.message,
+      success: false
+    });
+  }
+  next(error);
+});
+
+module.exports = router;
@@ -0,0 +1,499 @@
+// Personal data export. Builds a ZIP of everything a user has on the platform - profile,
+// posts with their images, comments, likes, sent and received photo collections and
+// M-Pesa history (JSON and CSV) - and tracks it in data_exports. Archives are written to
+// DATA_EXPORT_DIR and deleted once their download link expires.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const archiver = require('archiver');
+const jwt = require('jsonwebtoken');
+const { createClient } = require('@supabase/supabase-js');
+const { storage } = require('../storage/storage');
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY,
+  {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false
+    }
+  }
+);
+
+const EXPORT_DIR = process.env.DATA_EXPORT_DIR || path.join(os.tmpdir(), 'fineback-exports');
+const EXPORT_TTL_HOURS = parseInt(process.env.DATA_EXPORT_TTL_HOURS) || 48;
+const TOKEN_SECRET = process.env.DATA_EXPORT_TOKEN_SECRET || process.env.SUPABASE_SERVICE_KEY;
+const PAGE_SIZE = 1000;
+const IMAGE_TIMEOUT_MS = 30000;
+// Uploads are capped at 10 MB; anything much larger is not one of our images
+const MAX_IMAGE_BYTES = 25 * 1024 * 1024;
+// An export not updated for this long was interrupted (e.g. by a restart)
+const STALE_EXPORT_MINUTES = 30;
+// A running build refreshes updated_at at most this often while it writes entries
+const HEARTBEAT_INTERVAL_MS = 60 * 1000;
+
+// Helper function to read every row of a query in pages
+const fetchAll = async (buildQuery, description) => {
+  const rows = [];
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      throw new Error(`Failed to fetch ${description}: ${error.message}`);
+    }
+
+    rows.push(...(data || []));
+
+    if (!data || data.length < PAGE_SIZE) {
+      return rows;
+    }
+  }
+};
+
+// Helper function to quote a value for CSV; objects are written as JSON.
+// Captions and comments that a spreadsheet would run as a formula get a leading '.
+const toCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Helper function to turn rows into CSV, with a column for every key seen
+const toCsv = (rows) => {
+  const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+
+  return [
+    columns.join(','),
+    ...rows.map(row => columns.map(column => toCsvValue(row[column])).join(','))
+  ].join('\r\n');
+};
+
+// Helper function to pick a file extension from an image URL
+const getImageExtension = (imageUrl) => {
+  const match = imageUrl.split('?')[0].match(/\.([a-z0-9]{2,5})$/i);
+  return match ? match[1].toLowerCase() : 'jpg';
+};
+
+// Helper function to add an entry and wait until archiver has written it, so image
+// buffers are not all held in memory at once
+const appendEntry = (archive, source, name) => {
+  return new Promise((resolve, reject) => {
+    const onEntry = (entry) => {
+      if (entry.name === name) {
+        archive.off('entry', onEntry);
+        archive.off('error', onError);
+        resolve();
+      }
+    };
+    const onError = (error) => {
+      archive.off('entry', onEntry);
+      reject(error);
+    };
+
+    archive.on('entry', onEntry);
+    archive.once('error', onError);
+    archive.append(source, { name });
+  });
+};
+
+// Helper function to add JSON and CSV copies of a data set
+const appendDataSet = async (archive, baseName, rows) => {
+  await appendEntry(archive, JSON.stringify(rows, null, 2), `${baseName}.json`);
+  await appendEntry(archive, toCsv(rows), `${baseName}.csv`);
+};
+
+// Helper function to download an image into the archive. Failures are collected rather
+// than failing the export, since one missing file should not cost the user the rest.
+// Only URLs on the configured storage provider are fetched - older posts may hold any URL.
+const appendImage = async (archive, imageUrl, name, missingFiles) => {
+  if (!storage.extractPublicId(imageUrl)) {
+    missingFiles.push({ file: name, url: imageUrl, error: 'Not a stored image URL' });
+    return;
+  }
+
+  try {
+    const response = await axios.get(imageUrl, {
+      responseType: 'arraybuffer',
+      timeout: IMAGE_TIMEOUT_MS,
+      maxContentLength: MAX_IMAGE_BYTES,
+      maxRedirects: 0
+    });
+    await appendEntry(archive, Buffer.from(response.data), name);
+  } catch (error) {
+    missingFiles.push({ file: name, url: imageUrl, error: error.message });
+  }
+};
+
+// Helper function to collect everything that goes into the archive
+const collectUserData = async (userId) => {
+  const [{ data: profile }, { data: authData }] = await Promise.all([
+    supabase.from('profiles').select('*').eq('id', userId).maybeSingle(),
+    supabase.auth.admin.getUserById(userId)
+  ]);
+
+  const [posts, comments, postLikes, commentLikes, sentCollections, receivedCollections, transactions] = await Promise.all([
+    fetchAll(() => supabase.from('posts').select('*').eq('user_id', userId).order('created_at', { ascending: true }), 'posts'),
+    fetchAll(() => supabase.from('comments').select('*').eq('user_id', userId).order('created_at', { ascending: true }), 'comments'),
+    fetchAll(() => supabase.from('post_likes').select('post_id, created_at').eq('user_id', userId).order('created_at', { ascending: true }), 'post likes'),
+    fetchAll(() => supabase.from('comment_likes').select('comment_id, created_at').eq('user_id', userId).order('created_at', { ascending: true }), 'comment likes'),
+    fetchAll(() => supabase.from('photos').select('*').eq('sender_id', userId).order('created_at', { ascending: true }), 'sent photo collections'),
+    fetchAll(() => supabase.from('photos').select('*').eq('recipient_id', userId).order('created_at', { ascending: true }), 'received photo collections'),
+    fetchAll(() => supabase.from('mpesa_transactions').select('*').eq('user_id', userId).order('created_at', { ascending: true }), 'M-Pesa transactions')
+  ]);
+
+  const collectionIds = [...sentCollections, ...receivedCollections].map(collection => collection.id);
+  const collectionImages = collectionIds.length > 0
+    ? await fetchAll(() => supabase.from('images').select('*').in('photo_collection_id', collectionIds).order('order_index', { ascending: true }), 'collection images')
+    : [];
+
+  return {
+    account: {
+      id: userId,
+      email: authData?.user?.email || null,
+      phone: authData?.user?.phone || null,
+      created_at: authData?.user?.created_at || null,
+      last_sign_in_at: authData?.user?.last_sign_in_at || null
+    },
+    profile: profile || null,
+    posts,
+    comments,
+    likes: [
+      ...postLikes.map(like => ({ type: 'post', target_id: like.post_id, created_at: like.created_at })),
+      ...commentLikes.map(like => ({ type: 'comment', target_id: like.comment_id, created_at: like.created_at }))
+    ],
+    sentCollections,
+    receivedCollections,
+    collectionImages,
+    transactions
+  };
+};
+
+// Helper function to count what went into an archive
+const countExportedData = (data, missingFiles) => ({
+  posts: data.posts.length,
+  comments: data.comments.length,
+  likes: data.likes.length,
+  sent_collections: data.sentCollections.length,
+  received_collections: data.receivedCollections.length,
+  collection_images: data.collectionImages.length,
+  mpesa_transactions: data.transactions.length,
+  missing_files: missingFiles.length
+});
+
+// Helper function to add every file of the export to the archive
+const writeArchiveEntries = async (archive, data, exportId, userId, missingFiles) => {
+  await appendEntry(archive, JSON.stringify({ account: data.account, profile: data.profile }, null, 2), 'profile.json');
+
+  // Posts, with every image in its original upload
+  await appendDataSet(archive, 'posts/posts', data.posts);
+  for (const post of data.posts) {
+    const images = Array.isArray(post.images) ? post.images : [];
+    for (let i = 0; i < images.length; i++) {
+      await appendImage(archive, images[i], `posts/images/${post.id}/${i + 1}.${getImageExtension(images[i])}`, missingFiles);
+    }
+  }
+
+  await appendDataSet(archive, 'comments', data.comments);
+  await appendDataSet(archive, 'likes', data.likes);
+
+  // Photo collections: one row per image. Received images are only included as files once
+  // they are paid for (or free), the same as in the app.
+  for (const [direction, collections] of [['sent', data.sentCollections], ['received', data.receivedCollections]]) {
+    const rows = [];
+
+    for (const collection of collections) {
+      const images = data.collectionImages.filter(image => image.photo_collection_id === collection.id);
+
+      for (const image of images) {
+        const unlocked = direction === 'sent' || image.status === 'paid' || !collection.is_payment_required;
+        const file = unlocked
+          ? `photo_collections/${direction}/${collection.id}/${image.id}.${getImageExtension(image.image_url || '')}`
+          : null;
+
+        rows.push({
+          collection_id: collection.id,
+          collection_title: collection.title,
+          sender_id: collection.sender_id,
+          recipient_id: collection.recipient_id,
+          is_payment_required: collection.is_payment_required,
+          collection_created_at: collection.created_at,
+          image_id: image.id,
+          file_name: image.file_name,
+          file_size: image.file_size,
+          status: image.status,
+          order_index: image.order_index,
+          image_created_at: image.created_at,
+          archive_file: file
+        });
+
+        if (file && image.image_url) {
+          await appendImage(archive, image.image_url, file, missingFiles);
+        }
+      }
+    }
+
+    await appendDataSet(archive, `photo_collections/${direction}`, rows);
+  }
+
+  await appendDataSet(archive, 'payments/mpesa_transactions', data.transactions);
+
+  await appendEntry(archive, JSON.stringify({
+    export_id: exportId,
+    user_id: userId,
+    generated_at: new Date().toISOString(),
+    counts: countExportedData(data, missingFiles),
+    missing_files: missingFiles
+  }, null, 2), 'manifest.json');
+};
+
+// Helper function to write the archive for an export to disk
+const buildArchive = async (exportId, userId) => {
+  const data = await collectUserData(userId);
+  const missingFiles = [];
+
+  await fs.promises.mkdir(EXPORT_DIR, { recursive: true });
+  const filePath = path.join(EXPORT_DIR, `${exportId}.zip`);
+  const output = fs.createWriteStream(filePath);
+  const archive = archiver('zip', { zlib: { level: 6 } });
+
+  const finished = new Promise((resolve, reject) => {
+    output.on('close', resolve);
+    output.on('error', reject);
+    archive.on('error', reject);
+  });
+  // Awaited below; this only stops an early failure from becoming an unhandled rejection
+  finished.catch(() => {});
+  archive.pipe(output);
+
+  // Keep updated_at fresh so a long build is not taken for an interrupted one
+  let lastHeartbeat = Date.now();
+  archive.on('entry', () => {
+    if (Date.now() - lastHeartbeat < HEARTBEAT_INTERVAL_MS) {
+      return;
+    }
+    lastHeartbeat = Date.now();
+
+    supabase
+      .from('data_exports')
+      .update({ updated_at: new Date().toISOString() })
+      .eq('id', exportId)
+      .eq('status', 'processing')
+      .then(({ error }) => {
+        if (error) {
+          console.error(`⚠️ Failed to refresh data export ${exportId}:`, error.message);
+        }
+      });
+  });
+
+  try {
+    await writeArchiveEntries(archive, data, exportId, userId, missingFiles);
+    await archive.finalize();
+    await finished;
+  } catch (error) {
+    archive.abort();
+    output.destroy();
+    throw error;
+  }
+
+  const { size } = await fs.promises.stat(filePath);
+  return { filePath, fileSize: size, counts: countExportedData(data, missingFiles) };
+};
+
+// Helper function to mark an export as failed and remove any partial file
+const failExport = async (exportId, message) => {
+  await fs.promises.rm(path.join(EXPORT_DIR, `${exportId}.zip`), { force: true }).catch(() => {});
+
+  await supabase
+    .from('data_exports')
+    .update({ status: 'failed', error: message, updated_at: new Date().toISOString() })
+    .eq('id', exportId);
+};
+
+// Build a requested export; the row tells the user how it went
+const processDataExport = async (exportId, userId) => {
+  console.log(`📦 Building data export ${exportId} for user: ${userId}`);
+
+  await supabase
+    .from('data_exports')
+    .update({ status: 'processing', updated_at: new Date().toISOString() })
+    .eq('id', exportId);
+
+  try {
+    const { filePath, fileSize, counts } = await buildArchive(exportId, userId);
+    const completedAt = new Date();
+
+    // Only a build that is still 'processing' may finish; the row may have been failed meanwhile
+    const { data: readyRows, error: readyError } = await supabase
+      .from('data_exports')
+      .update({
+        status: 'ready',
+        file_size: fileSize,
+        counts: counts,
+        completed_at: completedAt.toISOString(),
+        expires_at: new Date(completedAt.getTime() + EXPORT_TTL_HOURS * 60 * 60 * 1000).toISOString(),
+        updated_at: completedAt.toISOString()
+      })
+      .eq('id', exportId)
+      .eq('status', 'processing')
+      .select('id');
+
+    if (readyError) {
+      throw new Error(`Failed to mark export ready: ${readyError.message}`);
+    }
+
+    if (readyRows.length === 0) {
+      await fs.promises.rm(filePath, { force: true }).catch(() => {});
+      console.log(`⚠️ Data export ${exportId} was no longer processing, discarded its archive`);
+      return;
+    }
+
+    console.log(`✅ Data export ${exportId} ready (${(fileSize / (1024 * 1024)).toFixed(1)} MB)`);
+  } catch (error) {
+    console.error(`❌ Data export ${exportId} failed:`, error.message);
+    await failExport(exportId, error.message);
+  }
+};
+
+/**
+ * Start a data export for a user unless one is already being built.
+ * @returns {Promise<{ success: boolean, status?: number, error?: string, export?: Object }>}
+ */
+const requestDataExport = async (userId) => {
+  const { data: active, error: activeError } = await supabase
+    .from('data_exports')
+    .select('*')
+    .eq('user_id', userId)
+    .in('status', ['pending', 'processing'])
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (activeError) {
+    throw new Error(`Failed to check existing exports: ${activeError.message}`);
+  }
+
+  if (active) {
+    const staleBefore = Date.now() - STALE_EXPORT_MINUTES * 60 * 1000;
+
+    if (new Date(active.updated_at).getTime() > staleBefore) {
+      return { success: false, status: 409, error: 'An export is already being prepared', export: active };
+    }
+    await failExport(active.id, 'Export was interrupted');
+  }
+
+  const now = new Date().toISOString();
+  const { data: created, error } = await supabase
+    .from('data_exports')
+    .insert([{ user_id: userId, status: 'pending', created_at: now, updated_at: now }])
+    .select('*')
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to create export: ${error.message}`);
+  }
+
+  setImmediate(() => {
+    processDataExport(created.id, userId).catch(exportError => {
+      console.error('⚠️ Data export failed:', exportError.message);
+    });
+  });
+
+  return { success: true, export: created };
+};
+
+// Signed download link that stops working when the export expires
+const createDownloadToken = (dataExport) => {
+  const secondsLeft = Math.floor((new Date(dataExport.expires_at).getTime() - Date.now()) / 1000);
+
+  return jwt.sign({ export_id: dataExport.id }, TOKEN_SECRET, {
+    subject: dataExport.user_id,
+    expiresIn: Math.max(secondsLeft, 1)
+  });
+};
+
+// Check a download token; returns the export id it was issued for, or null
+const verifyDownloadToken = (token, exportId) => {
+  try {
+    const payload = jwt.verify(token, TOKEN_SECRET);
+    return payload.export_id === exportId ? payload : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const getExportFilePath = (exportId) => path.join(EXPORT_DIR, `${exportId}.zip`);
+
+// Delete archives past their expiry and mark them expired
+const purgeExpiredExports = async () => {
+  const { data: expired, error } = await supabase
+    .from('data_exports')
+    .select('id')
+    .eq('status', 'ready')
+    .lt('expires_at', new Date().toISOString());
+
+  if (error) {
+    throw new Error(`Failed to fetch expired exports: ${error.message}`);
+  }
+
+  for (const dataExport of expired || []) {
+    await fs.promises.rm(getExportFilePath(dataExport.id), { force: true });
+  }
+
+  if (expired && expired.length > 0) {
+    await supabase
+      .from('data_exports')
+      .update({ status: 'expired', updated_at: new Date().toISOString() })
+      .in('id', expired.map(dataExport => dataExport.id));
+
+    console.log(`🧹 Removed ${expired.length} expired data export(s)`);
+  }
+
+  return { expired: (expired || []).length };
+};
+
+// Remove every export a user has (used by account deletion)
+const deleteUserExports = async (userId) => {
+  const { data: exports, error } = await supabase
+    .from('data_exports')
+    .select('id')
+    .eq('user_id', userId);
+
+  if (error) {
+    throw new Error(`Failed to fetch data exports: ${error.message}`);
+  }
+
+  for (const dataExport of exports || []) {
+    await fs.promises.rm(getExportFilePath(dataExport.id), { force: true });
+  }
+
+  const { error: deleteError } = await supabase
+    .from('data_exports')
+    .delete()
+    .eq('user_id', userId);
+
+  if (deleteError) {
+    throw new Error(`Failed to delete data exports: ${deleteError.message}`);
+  }
+
+  return (exports || []).length;
+};
+
+module.exports = {
+  EXPORT_TTL_HOURS,
+  requestDataExport,
+  createDownloadToken,
+  verifyDownloadToken,
+  getExportFilePath,
+  purgeExpiredExports,
+  deleteUserExports
+};
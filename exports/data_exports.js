@@ -0,0 +1,214 @@
+const express = require('express');
+const fs = require('fs');
+const { createClient } = require('@supabase/supabase-js');
+const rateLimit = require('express-rate-limit');
+const {
+  EXPORT_TTL_HOURS,
+  requestDataExport,
+  createDownloadToken,
+  verifyDownloadToken,
+  getExportFilePath
+} = require('./data_export_service');
+
+const router = express.Router();
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY,
+  {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false
+    }
+  }
+);
+
+// Rate limiting for export requests - each one downloads every image the user has
+const exportRequestLimiter = rateLimit({
+  windowMs: 24 * 60 * 60 * 1000, // 24 hours
+  max: 5, // limit each IP to 5 export requests per day
+  message: { error: 'Too many data export requests, please try again tomorrow.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Authentication middleware
+const authenticateUser = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({ error: 'Missing or invalid authorization header' });
+    }
+
+    const token = authHeader.split(' ')[1];
+
+    // Verify token with Supabase
+    const { data: { user }, error } = await supabase.auth.getUser(token);
+
+    if (error || !user) {
+      console.log('Authentication error:', error?.message);
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('Auth middleware error:', error);
+    res.status(401).json({ error: 'Authentication failed' });
+  }
+};
+
+// Helper function to transform a data_exports row into the app format
+const formatExport = (req, dataExport) => {
+  const isReady = dataExport.status === 'ready' && new Date(dataExport.expires_at) > new Date();
+
+  return {
+    id: dataExport.id,
+    status: isReady || dataExport.status !== 'ready' ? dataExport.status : 'expired',
+    createdAt: dataExport.created_at,
+    completedAt: dataExport.completed_at || null,
+    expiresAt: dataExport.expires_at || null,
+    fileSize: dataExport.file_size || null,
+    counts: dataExport.counts || null,
+    error: dataExport.status === 'failed' ? dataExport.error : null,
+    downloadUrl: isReady
+      ? `${req.protocol}://${req.get('host')}/api/exports/${dataExport.id}/download?token=${createDownloadToken(dataExport)}`
+      : null
+  };
+};
+
+/**
+ * @route   POST /api/exports
+ * @desc    Start building a ZIP of the user's data (poll GET /api/exports/:exportId for the link)
+ * @access  Private
+ */
+router.post('/', exportRequestLimiter, authenticateUser, async (req, res) => {
+  try {
+    const outcome = await requestDataExport(req.user.id);
+
+    if (!outcome.success) {
+      return res.status(outcome.status || 500).json({
+        success: false,
+        error: outcome.error,
+        export: outcome.export ? formatExport(req, outcome.export) : undefined
+      });
+    }
+
+    console.log(`📦 Data export ${outcome.export.id} requested by user: ${req.user.id}`);
+
+    res.status(202).json({
+      success: true,
+      export: formatExport(req, outcome.export),
+      message: `Your export is being prepared. The download link stays valid for ${EXPORT_TTL_HOURS} hours once it is ready.`
+    });
+
+  } catch (error) {
+    console.error('Request data export error:', error);
+    res.status(500).json({ success: false, error: 'Server error requesting data export' });
+  }
+});
+
+/**
+ * @route   GET /api/exports
+ * @desc    The user's recent data exports
+ * @access  Private
+ */
+router.get('/', authenticateUser, async (req, res) => {
+  try {
+    const { data: exports, error } = await supabase
+      .from('data_exports')
+      .select('*')
+      .eq('user_id', req.user.id)
+      .order('created_at', { ascending: false })
+      .limit(10);
+
+    if (error) {
+      console.error('Error fetching data exports:', error);
+      return res.status(500).json({ success: false, error: 'Failed to fetch data exports' });
+    }
+
+    res.json({
+      success: true,
+      exports: (exports || []).map(dataExport => formatExport(req, dataExport))
+    });
+
+  } catch (error) {
+    console.error('Get data exports error:', error);
+    res.status(500).json({ success: false, error: 'Server error fetching data exports' });
+  }
+});
+
+/**
+ * @route   GET /api/exports/:exportId
+ * @desc    Status of a data export, with a download link once it is ready
+ * @access  Private (owner only)
+ */
+router.get('/:exportId', authenticateUser, async (req, res) => {
+  try {
+    const { data: dataExport } = await supabase
+      .from('data_exports')
+      .select('*')
+      .eq('id', req.params.exportId)
+      .eq('user_id', req.user.id)
+      .maybeSingle();
+
+    if (!dataExport) {
+      return res.status(404).json({ success: false, error: 'Export not found' });
+    }
+
+    res.json({
+      success: true,
+      export: formatExport(req, dataExport)
+    });
+
+  } catch (error) {
+    console.error('Get data export error:', error);
+    res.status(500).json({ success: false, error: 'Server error fetching data export' });
+  }
+});
+
+/**
+ * @route   GET /api/exports/:exportId/download
+ * @desc    Download the export ZIP. The signed link from the status endpoint is the credential,
+ *          so it can be opened directly in a browser; it stops working when the export expires.
+ * @access  Public (signed link)
+ * @query   { token: string }
+ */
+router.get('/:exportId/download', async (req, res) => {
+  try {
+    const { exportId } = req.params;
+    const payload = verifyDownloadToken(req.query.token, exportId);
+
+    if (!payload) {
+      return res.status(403).json({ success: false, error: 'Download link is invalid or has expired' });
+    }
+
+    const { data: dataExport } = await supabase
+      .from('data_exports')
+      .select('*')
+      .eq('id', exportId)
+      .eq('user_id', payload.sub)
+      .maybeSingle();
+
+    if (!dataExport || dataExport.status !== 'ready' || new Date(dataExport.expires_at) <= new Date()) {
+      return res.status(410).json({ success: false, error: 'This export is no longer available, request a new one' });
+    }
+
+    const filePath = getExportFilePath(exportId);
+
+    if (!fs.existsSync(filePath)) {
+      return res.status(410).json({ success: false, error: 'This export is no longer available, request a new one' });
+    }
+
+    console.log(`📥 Data export ${exportId} downloaded`);
+
+    res.download(filePath, `data-export-${dataExport.completed_at.slice(0, 10)}.zip`);
+
+  } catch (error) {
+    console.error('Download data export error:', error);
+    res.status(500).json({ success: false, error: 'Server error downloading data export' });
+  }
+});
+
+module.exports = router;
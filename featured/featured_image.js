@@ -1,8 +1,12 @@
 const express = require('express');
 const multer = require('multer');
 const { createClient } = require('@supabase/supabase-js');
-const cloudinary = require('cloudinary').v2;
 const rateLimit = require('express-rate-limit');
+const { storage: imageStorage } = require('../storage/storage');
+const { uploadImageAsset } = require('../storage/image_assets');
+const { validateImageUploads } = require('../storage/upload_validation');
+const { enqueueCloudinaryDeletion } = require('../delete/cloudinary_deletion_queue');
+const { getAuditContext, recordAuditEvent } = require('../audit/audit_log_service');
 
 const router = express.Router();
 
@@ -25,13 +29,7 @@ const upload = multer({
   limits: {
     fileSize: 10 * 1024 * 1024, // 10MB limit
   },
-  fileFilter: (req, file, cb) => {
-    if (file.mimetype.startsWith('image/')) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only image files are allowed!'), false);
-    }
-  },
+  // File types are checked from the file contents by validateImageUploads
 });
 
 // Rate limiting for featured image uploads
@@ -69,25 +67,32 @@ const authenticateUser = async (req, res, next) => {
   }
 };
 
-// Helper function to delete all existing featured images from Cloudinary
+// Helper function to delete all existing featured images from storage
 const deleteExistingFeaturedImages = async () => {
   try {
-    console.log('🗑️ Deleting existing featured images from Cloudinary...');
+    console.log('🗑️ Deleting existing featured images from storage...');
     
     // Get all images in the featured_image folder
-    const { resources } = await cloudinary.search
-      .expression('folder:featured_image')
-      .execute();
+    const resources = [];
+    let nextCursor = null;
+    do {
+      const page = await imageStorage.list({ prefix: 'featured_image/', cursor: nextCursor });
+      resources.push(...page.assets);
+      nextCursor = page.nextCursor;
+    } while (nextCursor);
     
-    if (resources && resources.length > 0) {
+    if (resources.length > 0) {
       console.log(`📁 Found ${resources.length} existing featured images to delete`);
       
       // Delete all found images
-      const publicIds = resources.map(resource => resource.public_id);
-      const deleteResult = await cloudinary.api.delete_resources(publicIds);
+      let deletedCount = 0;
+      for (const resource of resources) {
+        const deleteResult = await imageStorage.delete(resource.publicId);
+        if (deleteResult.success) deletedCount++;
+      }
       
-      console.log(`✅ Deleted ${Object.keys(deleteResult.deleted).length} images from Cloudinary`);
-      return { success: true, deletedCount: Object.keys(deleteResult.deleted).length };
+      console.log(`✅ Deleted ${deletedCount} images from storage`);
+      return { success: true, deletedCount: deletedCount };
     } else {
       console.log('📭 No existing featured images found to delete');
       return { success: true, deletedCount: 0 };
@@ -98,39 +103,22 @@ const deleteExistingFeaturedImages = async () => {
   }
 };
 
-// Helper function to upload featured image to Cloudinary
-const uploadFeaturedImageToCloudinary = (buffer, originalName) => {
-  return new Promise((resolve, reject) => {
-    const uploadStream = cloudinary.uploader.upload_stream(
-      {
-        folder: 'featured_image', // Specific folder for featured images
-        resource_type: 'image',
-        transformation: [
-          { quality: 'auto:good' },
-          { fetch_format: 'auto' },
-          { width: 1200, height: 1200, crop: 'limit' }
-        ],
-        public_id: `featured_${Date.now()}`, // Simple naming for featured image
-        overwrite: true, // Allow overwriting
-        unique_filename: false // Use our custom public_id
-      },
-      (error, result) => {
-        if (error) {
-          console.error('Cloudinary upload error:', error);
-          reject(error);
-        } else {
-          console.log(`✅ Featured image uploaded to Cloudinary: ${result.secure_url}`);
-          resolve(result.secure_url);
-        }
-      }
-    );
-    
-    uploadStream.end(buffer);
+// Helper function to upload featured image to storage
+const uploadFeaturedImage = async (file, userId) => {
+  const result = await uploadImageAsset(file, {
+    folder: 'featured_image', // Specific folder for featured images
+    publicId: `featured_${Date.now()}`, // Simple naming for featured image
+    resize: { width: 1200, height: 1200, crop: 'limit' },
+    overwrite: true, // Allow overwriting
+    uploadedBy: userId
   });
+
+  console.log(`✅ Featured image uploaded to storage: ${result.url}`);
+  return result.url;
 };
 
 // Upload featured image endpoint
-router.post('/upload', featuredImageLimiter, authenticateUser, upload.single('image'), async (req, res) => {
+router.post('/upload', featuredImageLimiter, authenticateUser, upload.single('image'), validateImageUploads(['jpeg', 'png', 'webp']), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No image provided' });
@@ -140,9 +128,16 @@ router.post('/upload', featuredImageLimiter, authenticateUser, upload.single('im
     console.log(`📁 File size: ${req.file.size} bytes`);
     console.log(`📄 File type: ${req.file.mimetype}`);
 
-    // Step 1: Delete all existing featured images from Cloudinary
+    // Snapshot the featured items being replaced for the audit log
+    const { data: previousItems } = await supabase
+      .from('featured_items')
+      .select('*')
+      .eq('is_active', true);
+
+    // Step 1: Delete all existing featured images from storage
+    let storageCleanup = null;
     try {
-      await deleteExistingFeaturedImages();
+      storageCleanup = await deleteExistingFeaturedImages();
     } catch (deleteError) {
       console.error('⚠️ Warning: Failed to delete existing images, but continuing with upload:', deleteError.message);
       // Continue with upload even if deletion fails
@@ -151,9 +146,9 @@ router.post('/upload', featuredImageLimiter, authenticateUser, upload.single('im
     // Step 2: Upload the new featured image
     let imageUrl;
     try {
-      imageUrl = await uploadFeaturedImageToCloudinary(req.file.buffer, req.file.originalname);
+      imageUrl = await uploadFeaturedImage(req.file, req.user.id);
     } catch (uploadError) {
-      console.error('❌ Failed to upload image to Cloudinary:', uploadError);
+      console.error('❌ Failed to upload image to storage:', uploadError);
       return res.status(500).json({ error: 'Failed to upload image to cloud storage' });
     }
 
@@ -174,6 +169,16 @@ router.post('/upload', featuredImageLimiter, authenticateUser, upload.single('im
 
     console.log(`✅ Featured image upload completed: ${imageUrl}`);
 
+    await recordAuditEvent({
+      actorId: req.user.id,
+      action: 'featured.image_replace',
+      targetType: 'featured_item',
+      before: { active_items: previousItems || [] },
+      after: { image_url: imageUrl, active_items: [] },
+      metadata: { deleted_stored_images: storageCleanup?.deletedCount ?? null },
+      context: getAuditContext(req)
+    });
+
     res.json({
       success: true,
       imageUrl: imageUrl,
@@ -249,6 +254,12 @@ router.put('/update', authenticateUser, async (req, res) => {
 
     console.log(`📝 Updating featured item for user: ${req.user.id}`);
 
+    // Snapshot the active item for the audit log
+    const { data: previousItems } = await supabase
+      .from('featured_items')
+      .select('*')
+      .eq('is_active', true);
+
     // First, deactivate all existing featured items
     const { error: deactivateError } = await supabase
       .from('featured_items')
@@ -274,7 +285,7 @@ router.put('/update', authenticateUser, async (req, res) => {
     // Check if there's an existing item with the same image_url
     const { data: existingItem, error: checkError } = await supabase
       .from('featured_items')
-      .select('id')
+      .select('*')
       .eq('image_url', image_url)
       .single();
 
@@ -312,6 +323,17 @@ router.put('/update', authenticateUser, async (req, res) => {
 
     console.log(`✅ Featured item saved successfully: ${result.data.id}`);
 
+    await recordAuditEvent({
+      actorId: req.user.id,
+      action: existingItem && !checkError ? 'featured.update' : 'featured.create',
+      targetType: 'featured_item',
+      targetId: result.data.id,
+      before: existingItem && !checkError ? existingItem : null,
+      after: result.data,
+      metadata: { deactivated_item_ids: (previousItems || []).map(item => item.id) },
+      context: getAuditContext(req)
+    });
+
     res.json({
       success: true,
       featuredItem: result.data,
@@ -334,7 +356,7 @@ router.delete('/delete/:id', authenticateUser, async (req, res) => {
     // First get the item to get the image URL for Cloudinary deletion
     const { data: itemToDelete, error: fetchError } = await supabase
       .from('featured_items')
-      .select('image_url')
+      .select('*')
       .eq('id', id)
       .single();
 
@@ -353,27 +375,31 @@ router.delete('/delete/:id', authenticateUser, async (req, res) => {
       return res.status(500).json({ error: 'Failed to delete featured item from database' });
     }
 
-    // Try to delete from Cloudinary (but don't fail if this doesn't work)
-    try {
-      if (itemToDelete.image_url && itemToDelete.image_url.includes('cloudinary.com')) {
-        // Extract public_id from Cloudinary URL
-        const urlParts = itemToDelete.image_url.split('/');
-        const publicIdWithExtension = urlParts[urlParts.length - 1];
-        const publicId = `featured_image/${publicIdWithExtension.split('.')[0]}`;
-        
-        await cloudinary.uploader.destroy(publicId);
-        console.log(`🗑️ Deleted image from Cloudinary: ${publicId}`);
-      }
-    } catch (cloudinaryError) {
-      console.error('⚠️ Warning: Failed to delete image from Cloudinary:', cloudinaryError.message);
-      // Don't fail the request if Cloudinary deletion fails
-    }
+    // Queue the Cloudinary deletion (retried in the background, never fails the request)
+    const cloudinaryJob = await enqueueCloudinaryDeletion({
+      imageUrls: itemToDelete.image_url ? [itemToDelete.image_url] : [],
+      source: 'featured_item',
+      sourceId: id,
+      requestedBy: req.user.id
+    });
 
     console.log(`✅ Featured item deleted successfully: ${id}`);
 
+    await recordAuditEvent({
+      actorId: req.user.id,
+      action: 'featured.delete',
+      targetType: 'featured_item',
+      targetId: id,
+      before: itemToDelete,
+      after: null,
+      metadata: { cloudinary_job_id: cloudinaryJob.jobId },
+      context: getAuditContext(req)
+    });
+
     res.json({
       success: true,
-      message: 'Featured item deleted successfully'
+      message: 'Featured item deleted successfully',
+      cloudinaryJobId: cloudinaryJob.jobId
     });
 
   } catch (error) {
@@ -0,0 +1,193 @@
+const express = require('express');
+const { createClient } = require('@supabase/supabase-js');
+const { buildPostImages } = require('../storage/image_assets');
+
+const router = express.Router();
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY,
+  {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false
+    }
+  }
+);
+
+// Authentication middleware
+const authenticateUser = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({ error: 'Missing or invalid authorization header' });
+    }
+
+    const token = authHeader.split(' ')[1];
+
+    // Verify token with Supabase
+    const { data: { user }, error } = await supabase.auth.getUser(token);
+
+    if (error || !user) {
+      console.log('Authentication error:', error?.message);
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('Auth middleware error:', error);
+    res.status(401).json({ error: 'Authentication failed' });
+  }
+};
+
+// Cursor parts are passed to get_following_feed_post_ids as a timestamp and a UUID
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})?$/;
+
+// Helper function to encode an opaque feed cursor from the last post of a page
+const encodePostCursor = (post) => {
+  return Buffer.from(JSON.stringify({ c: post.created_at, i: post.id })).toString('base64url');
+};
+
+// Helper function to decode a feed cursor - returns null if it was tampered with
+const decodePostCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!TIMESTAMP_PATTERN.test(decoded.c) || isNaN(Date.parse(decoded.c)) || !UUID_PATTERN.test(decoded.i)) {
+      return null;
+    }
+    return { createdAt: decoded.c, id: decoded.i };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Transform a posts_with_users row into the Flutter app post format (same as GET /api/posts)
+const formatPost = (post) => ({
+  id: post.id,
+  userId: post.user_id,
+  userName: post.username || post.display_name || 'Anonymous', // USERNAME FIRST
+  imageUrl: post.images?.[0] || '',
+  images: buildPostImages(post),
+  caption: post.caption || '',
+  location: post.location,
+  tags: post.tags || [],
+  createdAt: post.created_at,
+  editedAt: post.edited_at || null,
+  isVerified: post.is_verified || false,
+  userType: post.user_type || 'Photography Enthusiast',
+  likes: post.likes_count || 0,
+  commentCount: post.comments_count || 0,
+  isFeatured: post.is_featured || false
+});
+
+/**
+ * @route   GET /api/feed/following
+ * @desc    Posts from accounts the current user follows, newest first
+ * @access  Private
+ * @query   { cursor?: string, limit?: number }
+ */
+router.get('/following', authenticateUser, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+
+    let cursor = null;
+    if (req.query.cursor) {
+      cursor = decodePostCursor(req.query.cursor);
+      if (!cursor) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+    }
+
+    console.log(`📥 Fetching following feed for user: ${userId}, Limit: ${limit}`);
+
+    // One extra row tells us if there is more
+    const { data: pageIds, error: pageError } = await supabase.rpc('get_following_feed_post_ids', {
+      p_user_id: userId,
+      p_limit: limit + 1,
+      p_cursor_created_at: cursor ? cursor.createdAt : null,
+      p_cursor_id: cursor ? cursor.id : null
+    });
+
+    if (pageError) {
+      console.error('Error fetching following feed:', pageError);
+      return res.status(500).json({ error: 'Failed to fetch following feed' });
+    }
+
+    if (pageIds.length === 0 && !cursor) {
+      const { count: followingCount } = await supabase
+        .from('follows')
+        .select('id', { count: 'exact', head: true })
+        .eq('follower_id', userId);
+
+      if (!followingCount) {
+        return res.json({
+          success: true,
+          posts: [],
+          pagination: { limit: limit, hasMore: false, nextCursor: null },
+          message: 'Follow photographers to fill your feed'
+        });
+      }
+    }
+
+    let postRows = [];
+    if (pageIds.length > 0) {
+      const { data, error } = await supabase
+        .from('posts_with_users')
+        .select(`
+          id,
+          user_id,
+          caption,
+          location,
+          tags,
+          images,
+          image_metadata,
+          created_at,
+          edited_at,
+          likes_count,
+          comments_count,
+          is_featured,
+          username,
+          display_name,
+          avatar_url,
+          is_verified,
+          user_type
+        `)
+        .in('id', pageIds.map(row => row.id));
+
+      if (error) {
+        console.error('Error fetching following feed:', error);
+        return res.status(500).json({ error: 'Failed to fetch following feed' });
+      }
+      postRows = data || [];
+    }
+
+    // Keep the order of the id page
+    const postsById = new Map(postRows.map(post => [post.id, post]));
+    const rows = pageIds.map(row => postsById.get(row.id)).filter(Boolean);
+
+    const hasMore = pageIds.length > limit;
+    const posts = rows.slice(0, limit);
+
+    console.log(`✅ Following feed: ${posts.length} posts`);
+
+    res.json({
+      success: true,
+      posts: posts.map(formatPost),
+      pagination: {
+        limit: limit,
+        hasMore: hasMore,
+        nextCursor: hasMore ? encodePostCursor(pageIds[limit - 1]) : null
+      }
+    });
+
+  } catch (error) {
+    console.error('Get following feed error:', error);
+    res.status(500).json({ error: 'Server error fetching following feed' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,374 @@
+const express = require('express');
+const { createClient } = require('@supabase/supabase-js');
+const rateLimit = require('express-rate-limit');
+
+const router = express.Router();
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY,
+  {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false
+    }
+  }
+);
+
+// Cursor parts go into an .or() filter string, so they must match these exactly
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})?$/;
+
+// Rate limiting for follow/unfollow actions
+const followLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 60, // limit to 60 follow changes per 15 minutes
+  message: { error: 'Too many follow requests, please try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Authentication middleware
+const authenticateUser = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({ error: 'Missing or invalid authorization header' });
+    }
+
+    const token = authHeader.split(' ')[1];
+
+    // Verify token with Supabase
+    const { data: { user }, error } = await supabase.auth.getUser(token);
+
+    if (error || !user) {
+      console.log('Authentication error:', error?.message);
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('Auth middleware error:', error);
+    res.status(401).json({ error: 'Authentication failed' });
+  }
+};
+
+// Helper function to encode an opaque cursor from the last follow row of a page
+const encodeCursor = (row) => {
+  return Buffer.from(JSON.stringify({ c: row.created_at, i: row.id })).toString('base64url');
+};
+
+// Helper function to decode a cursor - returns null if it was tampered with
+const decodeCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!TIMESTAMP_PATTERN.test(decoded.c) || isNaN(Date.parse(decoded.c)) || !UUID_PATTERN.test(decoded.i)) {
+      return null;
+    }
+    return { createdAt: decoded.c, id: decoded.i };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Helper function to recount followers/following and store them on both profiles
+const syncFollowCounts = async (followerId, followingId) => {
+  const [followersResult, followingResult] = await Promise.all([
+    supabase
+      .from('follows')
+      .select('*', { count: 'exact', head: true })
+      .eq('following_id', followingId),
+    supabase
+      .from('follows')
+      .select('*', { count: 'exact', head: true })
+      .eq('follower_id', followerId)
+  ]);
+
+  const followersCount = followersResult.count || 0;
+  const followingCount = followingResult.count || 0;
+
+  await Promise.all([
+    supabase.from('profiles').update({ followers_count: followersCount }).eq('id', followingId),
+    supabase.from('profiles').update({ following_count: followingCount }).eq('id', followerId)
+  ]);
+
+  return { followersCount, followingCount };
+};
+
+// Helper function to check a profile exists
+const profileExists = async (userId) => {
+  const { data: profile } = await supabase
+    .from('profiles')
+    .select('id')
+    .eq('id', userId)
+    .maybeSingle();
+
+  return !!profile;
+};
+
+// Helper function to list followers or followed accounts of a user
+const listFollowConnections = async (req, res, direction) => {
+  const { userId } = req.params;
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+
+  // followers: rows where the user is followed; following: rows where the user follows
+  const matchColumn = direction === 'followers' ? 'following_id' : 'follower_id';
+  const otherColumn = direction === 'followers' ? 'follower_id' : 'following_id';
+
+  let cursor = null;
+  if (req.query.cursor) {
+    cursor = decodeCursor(req.query.cursor);
+    if (!cursor) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+  }
+
+  let query = supabase
+    .from('follows')
+    .select(`id, ${otherColumn}, created_at`)
+    .eq(matchColumn, userId)
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false })
+    .limit(limit + 1);
+
+  if (cursor) {
+    query = query.or(
+      `created_at.lt."${cursor.createdAt}",and(created_at.eq."${cursor.createdAt}",id.lt.${cursor.id})`
+    );
+  }
+
+  const { data: rows, error } = await query;
+
+  if (error) {
+    console.error(`Error fetching ${direction}:`, error);
+    return res.status(500).json({ error: `Failed to fetch ${direction}` });
+  }
+
+  const hasMore = rows.length > limit;
+  const pageRows = hasMore ? rows.slice(0, limit) : rows;
+  const userIds = pageRows.map(row => row[otherColumn]);
+
+  let profiles = [];
+  if (userIds.length > 0) {
+    const { data, error: profilesError } = await supabase
+      .from('profiles')
+      .select('id, username, display_name, avatar_url, is_verified, user_type, is_hidden')
+      .in('id', userIds);
+
+    if (profilesError) {
+      console.error('Error fetching follow profiles:', profilesError);
+    }
+    profiles = data || [];
+  }
+
+  const profileMap = {};
+  profiles.forEach(profile => {
+    profileMap[profile.id] = profile;
+  });
+
+  // Profiles hidden by a moderator are left out; the cursor still moves past them
+  const visibleRows = pageRows.filter(row => !profileMap[row[otherColumn]]?.is_hidden);
+
+  const users = visibleRows.map(row => {
+    const profile = profileMap[row[otherColumn]] || {};
+    return {
+      userId: row[otherColumn],
+      userName: profile.username || profile.display_name || 'Anonymous', // USERNAME FIRST
+      displayName: profile.display_name || null,
+      avatarUrl: profile.avatar_url || null,
+      isVerified: profile.is_verified || false,
+      userType: profile.user_type || 'Photography Enthusiast',
+      followedAt: row.created_at
+    };
+  });
+
+  res.json({
+    success: true,
+    [direction]: users,
+    pagination: {
+      limit: limit,
+      hasMore: hasMore,
+      nextCursor: hasMore ? encodeCursor(pageRows[pageRows.length - 1]) : null
+    }
+  });
+};
+
+/**
+ * @route   POST /api/profile/:userId/follow
+ * @desc    Follow a user
+ * @access  Private
+ */
+router.post('/:userId/follow', followLimiter, authenticateUser, async (req, res) => {
+  try {
+    const { userId: followingId } = req.params;
+    const followerId = req.user.id;
+
+    if (followerId === followingId) {
+      return res.status(400).json({ error: 'You cannot follow yourself' });
+    }
+
+    if (!(await profileExists(followingId))) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    console.log(`➕ User ${followerId} follows ${followingId}`);
+
+    const { data: existingFollow } = await supabase
+      .from('follows')
+      .select('id')
+      .eq('follower_id', followerId)
+      .eq('following_id', followingId)
+      .maybeSingle();
+
+    if (!existingFollow) {
+      const { error: followError } = await supabase
+        .from('follows')
+        .insert([{
+          follower_id: followerId,
+          following_id: followingId,
+          created_at: new Date().toISOString()
+        }]);
+
+      // 23505 = unique violation, a concurrent request already created the row
+      if (followError && followError.code !== '23505') {
+        console.error('Error following user:', followError);
+        return res.status(500).json({ error: 'Failed to follow user' });
+      }
+    }
+
+    const counts = await syncFollowCounts(followerId, followingId);
+
+    res.json({
+      success: true,
+      following: true,
+      followersCount: counts.followersCount,
+      message: 'User followed'
+    });
+
+  } catch (error) {
+    console.error('Follow user error:', error);
+    res.status(500).json({ error: 'Server error following user' });
+  }
+});
+
+/**
+ * @route   DELETE /api/profile/:userId/follow
+ * @desc    Unfollow a user
+ * @access  Private
+ */
+router.delete('/:userId/follow', followLimiter, authenticateUser, async (req, res) => {
+  try {
+    const { userId: followingId } = req.params;
+    const followerId = req.user.id;
+
+    console.log(`➖ User ${followerId} unfollows ${followingId}`);
+
+    const { error: unfollowError } = await supabase
+      .from('follows')
+      .delete()
+      .eq('follower_id', followerId)
+      .eq('following_id', followingId);
+
+    if (unfollowError) {
+      console.error('Error unfollowing user:', unfollowError);
+      return res.status(500).json({ error: 'Failed to unfollow user' });
+    }
+
+    const counts = await syncFollowCounts(followerId, followingId);
+
+    res.json({
+      success: true,
+      following: false,
+      followersCount: counts.followersCount,
+      message: 'User unfollowed'
+    });
+
+  } catch (error) {
+    console.error('Unfollow user error:', error);
+    res.status(500).json({ error: 'Server error unfollowing user' });
+  }
+});
+
+/**
+ * @route   GET /api/profile/:userId/follow-status
+ * @desc    Follower/following counts and whether the current user follows this user
+ * @access  Private
+ */
+router.get('/:userId/follow-status', authenticateUser, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const viewerId = req.user.id;
+
+    const [profileResult, followResult, followsBackResult] = await Promise.all([
+      supabase
+        .from('profiles')
+        .select('id, followers_count, following_count')
+        .eq('id', userId)
+        .maybeSingle(),
+      supabase
+        .from('follows')
+        .select('id')
+        .eq('follower_id', viewerId)
+        .eq('following_id', userId)
+        .maybeSingle(),
+      supabase
+        .from('follows')
+        .select('id')
+        .eq('follower_id', userId)
+        .eq('following_id', viewerId)
+        .maybeSingle()
+    ]);
+
+    if (!profileResult.data) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+
+    res.json({
+      success: true,
+      userId: userId,
+      followersCount: profileResult.data.followers_count || 0,
+      followingCount: profileResult.data.following_count || 0,
+      isFollowing: !!followResult.data,
+      followsYou: !!followsBackResult.data
+    });
+
+  } catch (error) {
+    console.error('Get follow status error:', error);
+    res.status(500).json({ error: 'Server error fetching follow status' });
+  }
+});
+
+/**
+ * @route   GET /api/profile/:userId/followers
+ * @desc    Accounts following a user (cursor paginated)
+ * @access  Public
+ * @query   { cursor?: string, limit?: number }
+ */
+router.get('/:userId/followers', async (req, res) => {
+  try {
+    await listFollowConnections(req, res, 'followers');
+  } catch (error) {
+    console.error('Get followers error:', error);
+    res.status(500).json({ error: 'Server error fetching followers' });
+  }
+});
+
+/**
+ * @route   GET /api/profile/:userId/following
+ * @desc    Accounts a user follows (cursor paginated)
+ * @access  Public
+ * @query   { cursor?: string, limit?: number }
+ */
+router.get('/:userId/following', async (req, res) => {
+  try {
+    await listFollowConnections(req, res, 'following');
+  } catch (error) {
+    console.error('Get following error:', error);
+    res.status(500).json({ error: 'Server error fetching following' });
+  }
+});
+
+module.exports = router;
+module.exports.syncFollowCounts = syncFollowCounts;
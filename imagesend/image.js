@@ -1,9 +1,12 @@
 const express = require('express');
 const multer = require('multer');
 const { createClient } = require('@supabase/supabase-js');
-const cloudinary = require('cloudinary').v2;
 const rateLimit = require('express-rate-limit');
 require('dotenv').config();
+const { uploadImageAsset, buildImageSet } = require('../storage/image_assets');
+const { validateImageUploads } = require('../storage/upload_validation');
+const { hashUploadedFiles, findDuplicatesWithinUpload, shouldRejectDuplicates } = require('../storage/duplicate_images');
+const { createPhotoCollection } = require('./photo_collections');
 
 const router = express.Router();
 
@@ -19,13 +22,6 @@ const supabase = createClient(
   }
 );
 
-// Configure Cloudinary (same as main server)
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
-});
-
 // Rate limiting for image sending - FIXED for proxy environment
 const imageSendLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -47,13 +43,7 @@ const upload = multer({
     fileSize: 10 * 1024 * 1024, // 10MB per file
     files: 10 // Max 10 files
   },
-  fileFilter: (req, file, cb) => {
-    if (file.mimetype.startsWith('image/')) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only image files are allowed!'), false);
-    }
-  },
+  // File types are checked from the file contents by validateImageUploads
 });
 
 // Authentication middleware (same logic as main server)
@@ -82,31 +72,13 @@ const authenticateUser = async (req, res, next) => {
   }
 };
 
-// Helper function to upload image to Cloudinary
-const uploadImageToCloudinary = (buffer, originalName, senderId, recipientId) => {
-  return new Promise((resolve, reject) => {
-    const uploadStream = cloudinary.uploader.upload_stream(
-      {
-        folder: 'sent_images',
-        resource_type: 'image',
-        transformation: [
-          { quality: 'auto:good' },
-          { fetch_format: 'auto' },
-          { width: 1920, height: 1920, crop: 'limit' }
-        ],
-        public_id: `sent_${senderId}_to_${recipientId}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
-      },
-      (error, result) => {
-        if (error) {
-          console.error('Cloudinary upload error:', error);
-          reject(error);
-        } else {
-          resolve(result);
-        }
-      }
-    );
-    
-    uploadStream.end(buffer);
+// Helper function to upload image to storage
+const uploadSentImage = (file, senderId, recipientId) => {
+  return uploadImageAsset(file, {
+    folder: 'sent_images',
+    publicId: `sent_${senderId}_to_${recipientId}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    resize: { width: 1920, height: 1920, crop: 'limit' },
+    uploadedBy: senderId
   });
 };
 
@@ -131,9 +103,9 @@ const validateUserExists = async (userId) => {
 };
 
 // Main endpoint to send images - Updated for new schema
-router.post('/send', imageSendLimiter, authenticateUser, upload.array('images', 10), async (req, res) => {
+router.post('/send', imageSendLimiter, authenticateUser, upload.array('images', 10), validateImageUploads(['jpeg', 'png', 'webp', 'heic']), async (req, res) => {
   try {
-    const { recipient_id, title, description, is_payment_required } = req.body;
+    const { recipient_id, title, description, is_payment_required, allow_duplicates } = req.body;
     const senderId = req.user.id;
 
     console.log(`📤 Image send request: ${req.files?.length || 0} images from ${senderId} to ${recipient_id}`);
@@ -161,70 +133,48 @@ router.post('/send', imageSendLimiter, authenticateUser, upload.array('images',
       return res.status(404).json({ error: 'Recipient user not found' });
     }
 
+    // The same frame twice in one collection is almost always a mistake
+    await hashUploadedFiles(req.files);
+    const duplicates = findDuplicatesWithinUpload(req.files);
+
+    if (duplicates.length > 0 && shouldRejectDuplicates(allow_duplicates)) {
+      return res.status(409).json({
+        error: 'Some images in this collection look like duplicates. Send allow_duplicates=true to send them anyway.',
+        duplicates: duplicates
+      });
+    }
+
     console.log(`✅ Sending ${req.files.length} images to: ${recipientValidation.user.display_name || recipientValidation.user.username || 'Unknown'}`);
 
-    // Upload images to Cloudinary
-    const uploadPromises = req.files.map(file => 
-      uploadImageToCloudinary(file.buffer, file.originalname, senderId, recipient_id)
-    );
+    // Upload images to storage
+    const uploadPromises = req.files.map(file => uploadSentImage(file, senderId, recipient_id));
 
     let uploadResults;
     try {
       uploadResults = await Promise.all(uploadPromises);
-      console.log(`📁 Successfully uploaded ${uploadResults.length} images to Cloudinary`);
+      console.log(`📁 Successfully uploaded ${uploadResults.length} images to storage`);
     } catch (uploadError) {
       console.error('Failed to upload images:', uploadError);
+      if (uploadError.status === 422) {
+        return res.status(422).json({ error: uploadError.message });
+      }
       return res.status(500).json({ error: 'Failed to upload images to cloud storage' });
     }
 
-    // Step 1: Create photo collection record
-    const { data: photoRecord, error: photoError } = await supabase
-      .from('photos')
-      .insert([{
-        sender_id: senderId,
-        recipient_id: recipient_id,
-        title: title || null,
-        description: description || null,
-        is_payment_required: is_payment_required === 'true' || is_payment_required === true,
-        created_at: new Date().toISOString(),
-        updated_at: new Date().toISOString()
-      }])
-      .select()
-      .single();
-
-    if (photoError) {
-      console.error('Failed to create photos record:', photoError);
-      return res.status(500).json({ error: 'Failed to create photo collection' });
-    }
-
-    console.log(`📝 Created photo collection: ${photoRecord.id}`);
-
-    // Step 2: Create individual image records
-    const imageRecords = uploadResults.map((result, index) => ({
-      photo_collection_id: photoRecord.id,
-      image_url: result.secure_url,
-      file_name: result.original_filename || `image_${index + 1}`,
-      file_size: result.bytes,
-      mime_type: result.format ? `image/${result.format}` : 'image/jpeg',
-      status: photoRecord.is_payment_required ? 'unpaid' : 'paid',
-      order_index: index,
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString()
-    }));
-
-    const { data: insertedImages, error: imagesError } = await supabase
-      .from('images')
-      .insert(imageRecords)
-      .select();
+    const collection = await createPhotoCollection({
+      senderId: senderId,
+      recipientId: recipient_id,
+      title: title,
+      description: description,
+      isPaymentRequired: is_payment_required,
+      uploadResults: uploadResults
+    });
 
-    if (imagesError) {
-      console.error('Failed to create image records:', imagesError);
-      // Clean up: delete the photo record if image insertion failed
-      await supabase.from('photos').delete().eq('id', photoRecord.id);
-      return res.status(500).json({ error: 'Failed to save images to database' });
+    if (!collection.success) {
+      return res.status(500).json({ error: collection.error });
     }
 
-    console.log(`📝 Created ${insertedImages.length} image records`);
+    const { photoRecord, insertedImages } = collection;
 
     // Get sender profile for response
     const { data: senderProfile } = await supabase
@@ -260,7 +210,9 @@ router.post('/send', imageSendLimiter, authenticateUser, upload.array('images',
           status: img.status,
           order_index: img.order_index
         }))
-      }
+      },
+      // Near-duplicate frames in this collection (sent anyway under the 'warn' policy)
+      duplicates: duplicates
     });
 
   } catch (error) {
@@ -388,8 +340,9 @@ router.get('/received', authenticateUser, async (req, res) => {
     const photoIds = receivedPhotos.map(photo => photo.id);
     const { data: allImages } = await supabase
       .from('images')
-      .select('photo_collection_id, image_url, status, order_index')
+      .select('photo_collection_id, image_url, width, height, status, order_index')
       .in('photo_collection_id', photoIds)
+      .eq('is_hidden', false)
       .order('order_index', { ascending: true });
 
     // Group images by photo collection
@@ -401,7 +354,7 @@ router.get('/received', authenticateUser, async (req, res) => {
         imagesMap[img.photo_collection_id] = { paid: [], unpaid: [] };
         countsMap[img.photo_collection_id] = { paid: 0, unpaid: 0, total: 0 };
       }
-      imagesMap[img.photo_collection_id][img.status].push(img.image_url);
+      imagesMap[img.photo_collection_id][img.status].push(buildImageSet(img.image_url, img));
       countsMap[img.photo_collection_id][img.status]++;
       countsMap[img.photo_collection_id].total++;
     });
@@ -419,7 +372,7 @@ router.get('/received', authenticateUser, async (req, res) => {
       is_payment_required: photo.is_payment_required,
       created_at: photo.created_at,
       updated_at: photo.updated_at,
-      // Only show paid images URLs, keep unpaid images hidden
+      // Only show paid images (URL, dimensions and variants), keep unpaid images hidden
       paid_images: imagesMap[photo.id]?.paid || [],
       has_unpaid_images: (countsMap[photo.id]?.unpaid || 0) > 0
     }));
@@ -478,8 +431,9 @@ router.get('/collection/:id', authenticateUser, async (req, res) => {
     // Get images in the collection
     const { data: images, error: imagesError } = await supabase
       .from('images')
-      .select('id, image_url, file_name, file_size, status, order_index, created_at')
+      .select('id, image_url, width, height, file_name, file_size, status, order_index, created_at')
       .eq('photo_collection_id', collectionId)
+      .eq('is_hidden', false)
       .order('order_index', { ascending: true });
 
     if (imagesError) {
@@ -513,7 +467,15 @@ router.get('/collection/:id', authenticateUser, async (req, res) => {
         paid_images_count: images.filter(img => img.status === 'paid').length,
         unpaid_images_count: images.filter(img => img.status === 'unpaid').length,
         visible_images: visibleImages.length,
-        images: visibleImages
+        images: visibleImages.map(img => ({
+          id: img.id,
+          image: buildImageSet(img.image_url, img),
+          file_name: img.file_name,
+          file_size: img.file_size,
+          status: img.status,
+          order_index: img.order_index,
+          created_at: img.created_at
+        }))
       }
     });
 
@@ -2,8 +2,10 @@ const express = require('express');
 const router = express.Router();
 const multer = require('multer');
 const { createClient } = require('@supabase/supabase-js');
-const cloudinary = require('cloudinary').v2;
 const rateLimit = require('express-rate-limit');
+const { STORAGE_PROVIDER } = require('../storage/storage');
+const { uploadImageAsset } = require('../storage/image_assets');
+const { validateImageUploads } = require('../storage/upload_validation');
 
 // Initialize Supabase client
 const supabase = createClient(
@@ -25,14 +27,7 @@ const upload = multer({
     fileSize: 10 * 1024 * 1024, // 10MB limit per file
     files: 5, // Maximum 5 images per message
   },
-  fileFilter: (req, file, cb) => {
-    // Simple check - just verify it starts with 'image/'
-    if (file.mimetype.startsWith('image/')) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only image files are allowed!'), false);
-    }
-  },
+  // File types are checked from the file contents by validateImageUploads
 });
 
 // Rate limiting for chat image uploads
@@ -70,32 +65,16 @@ const authenticateUser = async (req, res, next) => {
   }
 };
 
-// Helper function to upload chat images to Cloudinary
-const uploadChatImageToCloudinary = (buffer, originalName, userId) => {
-  return new Promise((resolve, reject) => {
-    const uploadStream = cloudinary.uploader.upload_stream(
-      {
-        folder: 'chat_images',
-        resource_type: 'image',
-        transformation: [
-          { quality: 'auto:good' },
-          { fetch_format: 'auto' },
-          { width: 1200, height: 1200, crop: 'limit' }
-        ],
-        public_id: `chat_${userId}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
-      },
-      (error, result) => {
-        if (error) {
-          console.error('Cloudinary upload error:', error);
-          reject(error);
-        } else {
-          resolve(result.secure_url);
-        }
-      }
-    );
-    
-    uploadStream.end(buffer);
+// Helper function to upload chat images to storage
+const uploadChatImage = async (file, userId) => {
+  const result = await uploadImageAsset(file, {
+    folder: 'chat_images',
+    publicId: `chat_${userId}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    resize: { width: 1200, height: 1200, crop: 'limit' },
+    uploadedBy: userId
   });
+
+  return result.url;
 };
 
 /**
@@ -107,6 +86,7 @@ router.post('/upload-text',
   chatImageUploadLimiter, 
   authenticateUser, 
   upload.array('images', 5), 
+  validateImageUploads(['jpeg', 'png', 'webp', 'heic']),
   async (req, res) => {
     try {
       // Validate that images were provided
@@ -123,17 +103,13 @@ router.post('/upload-text',
       const imageUrls = [];
       const uploadErrors = [];
       
-      // Upload each image to Cloudinary
+      // Upload each image to storage
       for (let i = 0; i < req.files.length; i++) {
         const file = req.files[i];
         try {
           console.log(`⬆️ Uploading image ${i + 1}/${req.files.length}: ${file.originalname}`);
           
-          const imageUrl = await uploadChatImageToCloudinary(
-            file.buffer, 
-            file.originalname,
-            userId
-          );
+          const imageUrl = await uploadChatImage(file, userId);
           
           imageUrls.push(imageUrl);
           console.log(`✅ Image ${i + 1} uploaded successfully: ${imageUrl}`);
@@ -196,6 +172,7 @@ router.get('/health', (req, res) => {
     status: 'OK',
     service: 'Chat Image Upload',
     timestamp: new Date().toISOString(),
+    storage_provider: STORAGE_PROVIDER,
     cloudinary_configured: !!process.env.CLOUDINARY_CLOUD_NAME
   });
 });
@@ -0,0 +1,85 @@
+// Photo collection creation, shared by POST /api/images/send (multer uploads) and
+// POST /api/direct-uploads/finalize (files uploaded straight to storage).
+const { createClient } = require('@supabase/supabase-js');
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY,
+  {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false
+    }
+  }
+);
+
+/**
+ * Create a photos record and one images row per stored image.
+ * @param {Object} collection
+ * @param {string} collection.senderId
+ * @param {string} collection.recipientId
+ * @param {string} [collection.title]
+ * @param {string} [collection.description]
+ * @param {boolean} [collection.isPaymentRequired]
+ * @param {Object[]} collection.uploadResults - uploadImageAsset results, in display order
+ * @returns {Promise<{success: boolean, photoRecord?: Object, insertedImages?: Object[], error?: string}>}
+ */
+const createPhotoCollection = async ({ senderId, recipientId, title, description, isPaymentRequired, uploadResults }) => {
+  // Step 1: Create photo collection record
+  const { data: photoRecord, error: photoError } = await supabase
+    .from('photos')
+    .insert([{
+      sender_id: senderId,
+      recipient_id: recipientId,
+      title: title || null,
+      description: description || null,
+      is_payment_required: isPaymentRequired === 'true' || isPaymentRequired === true,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    }])
+    .select()
+    .single();
+
+  if (photoError) {
+    console.error('Failed to create photos record:', photoError);
+    return { success: false, error: 'Failed to create photo collection' };
+  }
+
+  console.log(`📝 Created photo collection: ${photoRecord.id}`);
+
+  // Step 2: Create individual image records
+  const imageRecords = uploadResults.map((result, index) => ({
+    photo_collection_id: photoRecord.id,
+    image_url: result.url,
+    file_name: result.originalFilename || `image_${index + 1}`,
+    file_size: result.bytes,
+    mime_type: result.format ? `image/${result.format}` : 'image/jpeg',
+    width: result.width || null,
+    height: result.height || null,
+    status: photoRecord.is_payment_required ? 'unpaid' : 'paid',
+    order_index: index,
+    created_at: new Date().toISOString(),
+    updated_at: new Date().toISOString()
+  }));
+
+  const { data: insertedImages, error: imagesError } = await supabase
+    .from('images')
+    .insert(imageRecords)
+    .select();
+
+  if (imagesError) {
+    console.error('Failed to create image records:', imagesError);
+    // Clean up: delete the photo record if image insertion failed
+    await supabase.from('photos').delete().eq('id', photoRecord.id);
+    return { success: false, error: 'Failed to save images to database' };
+  }
+
+  console.log(`📝 Created ${insertedImages.length} image records`);
+
+  return { success: true, photoRecord, insertedImages };
+};
+
+module.exports = {
+  createPhotoCollection
+};
@@ -0,0 +1,688 @@
+const express = require('express');
+const { createClient } = require('@supabase/supabase-js');
+const rateLimit = require('express-rate-limit');
+const { deletePostWithRelatedData } = require('../delete/post_deletion_service');
+const { deleteImagesWithFiles } = require('../delete/delete_sent');
+const { deleteCommentThread } = require('../comments/comments');
+const { getAuditContext, recordAuditEvent } = require('../audit/audit_log_service');
+
+const router = express.Router();
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY,
+  {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false
+    }
+  }
+);
+
+// Rate limiting for submitting reports
+const reportLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20, // limit to 20 reports per 15 minutes
+  message: { error: 'Too many reports, please try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+const TARGET_TYPES = ['post', 'comment', 'profile', 'image'];
+const REASONS = ['spam', 'nudity', 'harassment', 'hate_speech', 'violence', 'copyright', 'impersonation', 'other'];
+const RESOLUTIONS = ['dismiss', 'hide', 'delete'];
+const MAX_DETAILS_LENGTH = 1000;
+
+// Table holding each reportable target type (used when hiding content)
+const TARGET_TABLES = {
+  post: 'posts',
+  comment: 'comments',
+  profile: 'profiles',
+  image: 'images'
+};
+
+// Authentication middleware
+const authenticateUser = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({ error: 'Missing or invalid authorization header' });
+    }
+
+    const token = authHeader.split(' ')[1];
+
+    // Verify token with Supabase
+    const { data: { user }, error } = await supabase.auth.getUser(token);
+
+    if (error || !user) {
+      console.log('Authentication error:', error?.message);
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('Auth middleware error:', error);
+    res.status(401).json({ error: 'Authentication failed' });
+  }
+};
+
+// Helper function to check if user is admin
+const isUserAdmin = async (userId) => {
+  try {
+    const { data: profile } = await supabase
+      .from('profiles')
+      .select('user_type')
+      .eq('id', userId)
+      .single();
+
+    return profile?.user_type === 'admin';
+  } catch (error) {
+    console.error('Error checking admin status:', error);
+    return false;
+  }
+};
+
+// Admin-only middleware (must run after authenticateUser)
+const requireAdmin = async (req, res, next) => {
+  if (!(await isUserAdmin(req.user.id))) {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  next();
+};
+
+// Helper function to load a reported target and work out who owns it.
+// Returns null when the target does not exist.
+const fetchReportTarget = async (targetType, targetId) => {
+  if (targetType === 'post') {
+    const { data } = await supabase
+      .from('posts')
+      .select('id, user_id, images, is_hidden')
+      .eq('id', targetId)
+      .maybeSingle();
+    return data ? { ownerId: data.user_id, row: data } : null;
+  }
+
+  if (targetType === 'comment') {
+    const { data } = await supabase
+      .from('comments')
+      .select('id, post_id, user_id, content, is_hidden')
+      .eq('id', targetId)
+      .maybeSingle();
+    return data ? { ownerId: data.user_id, row: data } : null;
+  }
+
+  if (targetType === 'profile') {
+    const { data } = await supabase
+      .from('profiles')
+      .select('id, username, is_hidden')
+      .eq('id', targetId)
+      .maybeSingle();
+    return data ? { ownerId: data.id, row: data } : null;
+  }
+
+  // Sent photos are private, so only the sender and the recipient can see them
+  const { data } = await supabase
+    .from('images')
+    .select(`
+      id,
+      image_url,
+      photo_collection_id,
+      is_hidden,
+      photos!inner(sender_id, recipient_id)
+    `)
+    .eq('id', targetId)
+    .maybeSingle();
+  return data ? { ownerId: data.photos.sender_id, row: data } : null;
+};
+
+// Helper function to write a row to the moderation action log
+const recordModerationAction = async ({ reportId, moderatorId, action, targetType, targetId, reason, details }) => {
+  const { error } = await supabase
+    .from('moderation_actions')
+    .insert([{
+      report_id: reportId,
+      moderator_id: moderatorId,
+      action: action,
+      target_type: targetType,
+      target_id: targetId,
+      reason: reason || null,
+      details: details || null,
+      created_at: new Date().toISOString()
+    }]);
+
+  if (error) {
+    console.error('Error recording moderation action:', error);
+  }
+};
+
+// Helper function to transform a report row into the app format
+const formatReport = (report, profileMap = {}) => ({
+  id: report.id,
+  reporterId: report.reporter_id,
+  reporterName: profileMap[report.reporter_id]?.username || null,
+  targetType: report.target_type,
+  targetId: report.target_id,
+  targetOwnerId: report.target_owner_id,
+  targetOwnerName: profileMap[report.target_owner_id]?.username || null,
+  reason: report.reason,
+  details: report.details || null,
+  status: report.status,
+  assignedTo: report.assigned_to || null,
+  assignedAt: report.assigned_at || null,
+  resolution: report.resolution || null,
+  resolutionReason: report.resolution_reason || null,
+  resolvedBy: report.resolved_by || null,
+  resolvedAt: report.resolved_at || null,
+  createdAt: report.created_at
+});
+
+// Helper function to fetch usernames for the reporters and owners in a list of reports
+const fetchReportProfiles = async (reports) => {
+  const userIds = [...new Set(
+    reports.flatMap(report => [report.reporter_id, report.target_owner_id]).filter(Boolean)
+  )];
+
+  if (userIds.length === 0) {
+    return {};
+  }
+
+  const { data: profiles } = await supabase
+    .from('profiles')
+    .select('id, username')
+    .in('id', userIds);
+
+  const profileMap = {};
+  (profiles || []).forEach(profile => {
+    profileMap[profile.id] = profile;
+  });
+  return profileMap;
+};
+
+// Helper function to delete a reported target through the existing deletion paths
+const deleteReportTarget = async (targetType, target, moderatorId, auditContext) => {
+  if (targetType === 'post') {
+    return deletePostWithRelatedData(target.row, { requestedBy: moderatorId, auditContext });
+  }
+
+  if (targetType === 'comment') {
+    const deletion = await deleteCommentThread(target.row.post_id, target.row.id);
+    return deletion.success
+      ? { success: true, details: { comment_id: target.row.id, deleted_replies: deletion.descendantIds.length } }
+      : deletion;
+  }
+
+  const deletion = await deleteImagesWithFiles([target.row], moderatorId, { auditContext });
+  return deletion.success
+    ? { success: true, details: { image_id: target.row.id, cloudinary_job_id: deletion.cloudinary_job_id } }
+    : deletion;
+};
+
+/**
+ * @route   POST /api/reports
+ * @desc    Report a post, comment, profile or sent photo
+ * @access  Private
+ * @body    { targetType: 'post'|'comment'|'profile'|'image', targetId: string, reason: string, details?: string }
+ */
+router.post('/', reportLimiter, authenticateUser, async (req, res) => {
+  try {
+    const { targetType, targetId, reason, details } = req.body;
+    const userId = req.user.id;
+
+    if (!TARGET_TYPES.includes(targetType)) {
+      return res.status(400).json({ error: `targetType must be one of: ${TARGET_TYPES.join(', ')}` });
+    }
+
+    if (!targetId || typeof targetId !== 'string') {
+      return res.status(400).json({ error: 'targetId is required' });
+    }
+
+    if (!REASONS.includes(reason)) {
+      return res.status(400).json({ error: `reason must be one of: ${REASONS.join(', ')}` });
+    }
+
+    if (details && (typeof details !== 'string' || details.length > MAX_DETAILS_LENGTH)) {
+      return res.status(400).json({ error: `details must be text of at most ${MAX_DETAILS_LENGTH} characters` });
+    }
+
+    if (reason === 'other' && !details?.trim()) {
+      return res.status(400).json({ error: "Please describe the problem when the reason is 'other'" });
+    }
+
+    const target = await fetchReportTarget(targetType, targetId);
+
+    // Sent photos can only be reported by someone who can see them
+    const canSeeImage = targetType !== 'image' || (target &&
+      (target.row.photos.sender_id === userId || target.row.photos.recipient_id === userId));
+
+    if (!target || !canSeeImage) {
+      return res.status(404).json({ error: 'Reported content not found' });
+    }
+
+    if (target.ownerId === userId) {
+      return res.status(400).json({ error: 'You cannot report your own content' });
+    }
+
+    console.log(`🚩 User ${userId} reports ${targetType} ${targetId} for ${reason}`);
+
+    const { data: existingReport } = await supabase
+      .from('reports')
+      .select('*')
+      .eq('reporter_id', userId)
+      .eq('target_type', targetType)
+      .eq('target_id', targetId)
+      .eq('status', 'open')
+      .maybeSingle();
+
+    if (existingReport) {
+      return res.json({
+        success: true,
+        alreadyReported: true,
+        report: formatReport(existingReport),
+        message: 'You have already reported this content'
+      });
+    }
+
+    const { data: report, error } = await supabase
+      .from('reports')
+      .insert([{
+        reporter_id: userId,
+        target_type: targetType,
+        target_id: targetId,
+        target_owner_id: target.ownerId,
+        reason: reason,
+        details: details?.trim() || null,
+        status: 'open',
+        created_at: new Date().toISOString()
+      }])
+      .select('*')
+      .single();
+
+    // 23505 = unique violation, a concurrent request already filed this report
+    if (error?.code === '23505') {
+      return res.json({
+        success: true,
+        alreadyReported: true,
+        message: 'You have already reported this content'
+      });
+    }
+
+    if (error) {
+      console.error('Error creating report:', error);
+      return res.status(500).json({ error: 'Failed to submit report' });
+    }
+
+    res.status(201).json({
+      success: true,
+      alreadyReported: false,
+      report: formatReport(report),
+      message: 'Thanks, our moderators will review this report'
+    });
+
+  } catch (error) {
+    console.error('Create report error:', error);
+    res.status(500).json({ error: 'Server error submitting report' });
+  }
+});
+
+/**
+ * @route   GET /api/reports
+ * @desc    Moderation queue, oldest open reports first
+ * @access  Private (Admin only)
+ * @query   {
+ *            status?: 'open'|'resolved'|'all' (default open),
+ *            target_type?: string, reason?: string,
+ *            assigned_to?: 'me'|'none'|userId,
+ *            page?: number, limit?: number
+ *          }
+ */
+router.get('/', authenticateUser, requireAdmin, async (req, res) => {
+  try {
+    const { status = 'open', target_type, reason, assigned_to, page = 1 } = req.query;
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const offset = (pageNumber - 1) * limit;
+
+    if (!['open', 'resolved', 'all'].includes(status)) {
+      return res.status(400).json({ error: "status must be 'open', 'resolved' or 'all'" });
+    }
+
+    if (target_type && !TARGET_TYPES.includes(target_type)) {
+      return res.status(400).json({ error: `target_type must be one of: ${TARGET_TYPES.join(', ')}` });
+    }
+
+    if (reason && !REASONS.includes(reason)) {
+      return res.status(400).json({ error: `reason must be one of: ${REASONS.join(', ')}` });
+    }
+
+    let query = supabase
+      .from('reports')
+      .select('*', { count: 'exact' })
+      .order('created_at', { ascending: status === 'open' })
+      .range(offset, offset + limit - 1);
+
+    if (status !== 'all') {
+      query = query.eq('status', status);
+    }
+    if (target_type) {
+      query = query.eq('target_type', target_type);
+    }
+    if (reason) {
+      query = query.eq('reason', reason);
+    }
+    if (assigned_to === 'me') {
+      query = query.eq('assigned_to', req.user.id);
+    } else if (assigned_to === 'none') {
+      query = query.is('assigned_to', null);
+    } else if (assigned_to) {
+      query = query.eq('assigned_to', assigned_to);
+    }
+
+    const { data: reports, error, count } = await query;
+
+    if (error) {
+      console.error('Error fetching reports:', error);
+      return res.status(500).json({ error: 'Failed to fetch reports' });
+    }
+
+    // How many open reports each target has, so moderators can triage
+    const targetIds = [...new Set((reports || []).map(report => report.target_id))];
+    const openCounts = {};
+    if (targetIds.length > 0) {
+      const { data: openReports } = await supabase
+        .from('reports')
+        .select('target_type, target_id')
+        .in('target_id', targetIds)
+        .eq('status', 'open');
+
+      (openReports || []).forEach(row => {
+        const key = `${row.target_type}:${row.target_id}`;
+        openCounts[key] = (openCounts[key] || 0) + 1;
+      });
+    }
+
+    const profileMap = await fetchReportProfiles(reports || []);
+
+    res.json({
+      success: true,
+      reports: (reports || []).map(report => ({
+        ...formatReport(report, profileMap),
+        openReportsOnTarget: openCounts[`${report.target_type}:${report.target_id}`] || 0
+      })),
+      pagination: {
+        page: pageNumber,
+        limit: limit,
+        total: count || 0,
+        hasMore: offset + limit < (count || 0)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get reports error:', error);
+    res.status(500).json({ error: 'Server error fetching reports' });
+  }
+});
+
+/**
+ * @route   GET /api/reports/:reportId
+ * @desc    A single report with the moderation actions taken on it
+ * @access  Private (Admin only)
+ */
+router.get('/:reportId', authenticateUser, requireAdmin, async (req, res) => {
+  try {
+    const { reportId } = req.params;
+
+    const { data: report } = await supabase
+      .from('reports')
+      .select('*')
+      .eq('id', reportId)
+      .maybeSingle();
+
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    const [{ data: actions }, target, profileMap] = await Promise.all([
+      supabase
+        .from('moderation_actions')
+        .select('id, moderator_id, action, reason, details, created_at')
+        .eq('report_id', reportId)
+        .order('created_at', { ascending: true }),
+      fetchReportTarget(report.target_type, report.target_id),
+      fetchReportProfiles([report])
+    ]);
+
+    res.json({
+      success: true,
+      report: formatReport(report, profileMap),
+      targetExists: !!target,
+      targetHidden: target?.row.is_hidden || false,
+      actions: (actions || []).map(action => ({
+        id: action.id,
+        moderatorId: action.moderator_id,
+        action: action.action,
+        reason: action.reason,
+        details: action.details,
+        createdAt: action.created_at
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get report error:', error);
+    res.status(500).json({ error: 'Server error fetching report' });
+  }
+});
+
+/**
+ * @route   POST /api/reports/:reportId/assign
+ * @desc    Assign an open report to a moderator (defaults to the caller)
+ * @access  Private (Admin only)
+ * @body    { moderatorId?: string }
+ */
+router.post('/:reportId/assign', authenticateUser, requireAdmin, async (req, res) => {
+  try {
+    const { reportId } = req.params;
+    const moderatorId = req.body.moderatorId || req.user.id;
+
+    if (moderatorId !== req.user.id && !(await isUserAdmin(moderatorId))) {
+      return res.status(400).json({ error: 'Reports can only be assigned to admins' });
+    }
+
+    const { data: report } = await supabase
+      .from('reports')
+      .select('id, status, target_type, target_id, assigned_to')
+      .eq('id', reportId)
+      .maybeSingle();
+
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    if (report.status !== 'open') {
+      return res.status(409).json({ error: 'Report has already been resolved' });
+    }
+
+    const { data: updatedReport, error } = await supabase
+      .from('reports')
+      .update({
+        assigned_to: moderatorId,
+        assigned_at: new Date().toISOString()
+      })
+      .eq('id', reportId)
+      .select('*')
+      .single();
+
+    if (error) {
+      console.error('Error assigning report:', error);
+      return res.status(500).json({ error: 'Failed to assign report' });
+    }
+
+    await recordModerationAction({
+      reportId: reportId,
+      moderatorId: req.user.id,
+      action: 'assign',
+      targetType: report.target_type,
+      targetId: report.target_id,
+      details: { assigned_to: moderatorId, previously_assigned_to: report.assigned_to || null }
+    });
+
+    console.log(`👮 Report ${reportId} assigned to ${moderatorId} by ${req.user.id}`);
+
+    res.json({
+      success: true,
+      report: formatReport(updatedReport),
+      message: 'Report assigned'
+    });
+
+  } catch (error) {
+    console.error('Assign report error:', error);
+    res.status(500).json({ error: 'Server error assigning report' });
+  }
+});
+
+/**
+ * @route   POST /api/reports/:reportId/resolve
+ * @desc    Resolve a report by dismissing it, hiding the content or deleting it.
+ *          Every other open report on the same target is resolved with it.
+ * @access  Private (Admin only)
+ * @body    { action: 'dismiss'|'hide'|'delete', reason: string }
+ */
+router.post('/:reportId/resolve', authenticateUser, requireAdmin, async (req, res) => {
+  try {
+    const { reportId } = req.params;
+    const { action, reason } = req.body;
+    const moderatorId = req.user.id;
+
+    if (!RESOLUTIONS.includes(action)) {
+      return res.status(400).json({ error: `action must be one of: ${RESOLUTIONS.join(', ')}` });
+    }
+
+    if (!reason || typeof reason !== 'string' || !reason.trim()) {
+      return res.status(400).json({ error: 'A reason is required to resolve a report' });
+    }
+
+    if (reason.length > MAX_DETAILS_LENGTH) {
+      return res.status(400).json({ error: `reason must be at most ${MAX_DETAILS_LENGTH} characters` });
+    }
+
+    const { data: report } = await supabase
+      .from('reports')
+      .select('*')
+      .eq('id', reportId)
+      .maybeSingle();
+
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    if (report.status !== 'open') {
+      return res.status(409).json({ error: 'Report has already been resolved' });
+    }
+
+    if (action === 'delete' && report.target_type === 'profile') {
+      return res.status(400).json({ error: 'Profiles cannot be deleted from the moderation queue, hide the profile instead' });
+    }
+
+    console.log(`👮 Resolving report ${reportId} (${report.target_type} ${report.target_id}) with '${action}' by ${moderatorId}`);
+
+    const target = action === 'dismiss' ? null : await fetchReportTarget(report.target_type, report.target_id);
+    let actionDetails = {};
+
+    if (action === 'hide') {
+      if (!target) {
+        return res.status(404).json({ error: 'Reported content no longer exists, dismiss the report instead' });
+      }
+
+      const { error: hideError } = await supabase
+        .from(TARGET_TABLES[report.target_type])
+        .update({ is_hidden: true })
+        .eq('id', report.target_id);
+
+      if (hideError) {
+        console.error('Error hiding reported content:', hideError);
+        return res.status(500).json({ error: 'Failed to hide reported content' });
+      }
+    }
+
+    if (action === 'delete') {
+      if (target) {
+        const deletion = await deleteReportTarget(report.target_type, target, moderatorId, getAuditContext(req));
+
+        if (!deletion.success) {
+          return res.status(500).json({
+            error: deletion.error || 'Failed to delete reported content',
+            details: deletion.details
+          });
+        }
+        actionDetails = deletion.details;
+      } else {
+        // Already removed by its owner; the report still needs closing
+        actionDetails = { already_removed: true };
+      }
+    }
+
+    const resolvedAt = new Date().toISOString();
+
+    const { data: resolvedReports, error: resolveError } = await supabase
+      .from('reports')
+      .update({
+        status: 'resolved',
+        resolution: action,
+        resolution_reason: reason.trim(),
+        resolved_by: moderatorId,
+        resolved_at: resolvedAt
+      })
+      .eq('target_type', report.target_type)
+      .eq('target_id', report.target_id)
+      .eq('status', 'open')
+      .select('id');
+
+    if (resolveError) {
+      console.error('Error resolving reports:', resolveError);
+      return res.status(500).json({ error: 'Content was moderated but the reports could not be closed' });
+    }
+
+    const resolvedIds = (resolvedReports || []).map(row => row.id);
+
+    await recordModerationAction({
+      reportId: reportId,
+      moderatorId: moderatorId,
+      action: action,
+      targetType: report.target_type,
+      targetId: report.target_id,
+      reason: reason.trim(),
+      details: { ...actionDetails, resolved_report_ids: resolvedIds }
+    });
+
+    await recordAuditEvent({
+      actorId: moderatorId,
+      action: `moderation.${action}`,
+      targetType: report.target_type,
+      targetId: report.target_id,
+      before: target ? target.row : null,
+      after: action === 'hide' ? { ...target.row, is_hidden: true } : null,
+      isAdminOverride: action !== 'dismiss',
+      metadata: { report_id: reportId, reason: reason.trim(), resolved_report_ids: resolvedIds, ...actionDetails },
+      context: getAuditContext(req)
+    });
+
+    console.log(`✅ Report ${reportId} resolved, ${resolvedIds.length} report(s) closed`);
+
+    res.json({
+      success: true,
+      action: action,
+      targetType: report.target_type,
+      targetId: report.target_id,
+      resolvedReports: resolvedIds.length,
+      details: actionDetails,
+      message: `Report resolved (${action})`
+    });
+
+  } catch (error) {
+    console.error('Resolve report error:', error);
+    res.status(500).json({ error: 'Server error resolving report' });
+  }
+});
+
+module.exports = router;
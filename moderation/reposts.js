@@ -0,0 +1,142 @@
+const express = require('express');
+const { createClient } = require('@supabase/supabase-js');
+const { DUPLICATE_MAX_DISTANCE, getRepostedImages } = require('../storage/duplicate_images');
+
+const router = express.Router();
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY,
+  {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false
+    }
+  }
+);
+
+// Authentication middleware
+const authenticateUser = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({ error: 'Missing or invalid authorization header' });
+    }
+
+    const token = authHeader.split(' ')[1];
+
+    // Verify token with Supabase
+    const { data: { user }, error } = await supabase.auth.getUser(token);
+
+    if (error || !user) {
+      console.log('Authentication error:', error?.message);
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('Auth middleware error:', error);
+    res.status(401).json({ error: 'Authentication failed' });
+  }
+};
+
+// Helper function to check if user is admin
+const isUserAdmin = async (userId) => {
+  try {
+    const { data: profile } = await supabase
+      .from('profiles')
+      .select('user_type')
+      .eq('id', userId)
+      .single();
+
+    return profile?.user_type === 'admin';
+  } catch (error) {
+    console.error('Error checking admin status:', error);
+    return false;
+  }
+};
+
+// Admin-only middleware (must run after authenticateUser)
+const requireAdmin = async (req, res, next) => {
+  if (!(await isUserAdmin(req.user.id))) {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  next();
+};
+
+// Helper function to describe one side of a repost pair
+const formatRepostSide = (postId, userId, imageUrl, createdAt, profilesById) => ({
+  postId: postId,
+  imageUrl: imageUrl,
+  createdAt: createdAt,
+  user: {
+    id: userId,
+    username: profilesById.get(userId)?.username || null,
+    displayName: profilesById.get(userId)?.display_name || null
+  }
+});
+
+/**
+ * @route   GET /api/reposts
+ * @desc    Post images that reappear in a later post by a different account (possible stolen work),
+ *          newest reposts first. Served from a report rebuilt every REPOST_REPORT_INTERVAL_HOURS.
+ * @access  Private (Admin only)
+ * @query   { maxDistance?: number (0-7, default DUPLICATE_IMAGE_MAX_DISTANCE), page?: number, limit?: number }
+ */
+router.get('/', authenticateUser, requireAdmin, async (req, res) => {
+  try {
+    const pageNumber = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const offset = (pageNumber - 1) * limit;
+    const maxDistance = req.query.maxDistance !== undefined ? parseInt(req.query.maxDistance) : Math.min(DUPLICATE_MAX_DISTANCE, 7);
+
+    if (isNaN(maxDistance) || maxDistance < 0 || maxDistance > 7) {
+      return res.status(400).json({ error: 'maxDistance must be a number from 0 to 7' });
+    }
+
+    // One extra row tells us whether there is another page
+    const rows = await getRepostedImages({ maxDistance, limit: limit + 1, offset });
+    const pageRows = rows.slice(0, limit);
+
+    const userIds = [...new Set(pageRows.flatMap(row => [row.original_user_id, row.repost_user_id]))];
+    let profiles = [];
+
+    if (userIds.length > 0) {
+      const { data, error: profilesError } = await supabase
+        .from('profiles')
+        .select('id, username, display_name')
+        .in('id', userIds);
+
+      if (profilesError) {
+        console.error('Error fetching repost profiles:', profilesError);
+      }
+      profiles = data || [];
+    }
+
+    const profilesById = new Map(profiles.map(profile => [profile.id, profile]));
+
+    res.json({
+      success: true,
+      reposts: pageRows.map(row => ({
+        original: formatRepostSide(row.original_post_id, row.original_user_id, row.original_image_url, row.original_created_at, profilesById),
+        repost: formatRepostSide(row.repost_post_id, row.repost_user_id, row.repost_image_url, row.repost_created_at, profilesById),
+        distance: row.distance
+      })),
+      maxDistance: maxDistance,
+      computedAt: rows[0]?.computed_at || null,
+      pagination: {
+        page: pageNumber,
+        limit: limit,
+        hasMore: rows.length > limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Get reposts error:', error);
+    res.status(500).json({ error: 'Server error fetching reposted images' });
+  }
+});
+
+module.exports = router;
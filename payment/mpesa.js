@@ -3,6 +3,7 @@ const axios = require('axios');
 const { createClient } = require('@supabase/supabase-js');
 const crypto = require('crypto');
 require('dotenv').config();
+const { getAuditContext, recordAuditEvent } = require('../audit/audit_log_service');
 
 const router = express.Router();
 
@@ -52,6 +53,21 @@ const authenticateUser = async (req, res, next) => {
   }
 };
 
+// Helper function to audit a transaction status change. actorId is null for
+// changes driven by Safaricom callbacks.
+const auditTransactionStatus = (req, { transactionId, actorId, fromStatus, toStatus, details = {}, source }) => {
+  return recordAuditEvent({
+    actorId: actorId,
+    action: 'payment.status_change',
+    targetType: 'mpesa_transaction',
+    targetId: transactionId,
+    before: fromStatus ? { status: fromStatus } : null,
+    after: { status: toStatus, ...details },
+    metadata: { source: source },
+    context: getAuditContext(req)
+  });
+};
+
 // SANDBOX M-Pesa Configuration
 const MPESA_CONFIG = {
   consumer_key: 'RKNVKZX9aQ1pkfAAA0gM0fadRoJH5ocEjNK0sQmyYB7qln6o',
@@ -234,6 +250,15 @@ router.post('/mpesa/stk-push', async (req, res) => {
       });
     }
 
+    await auditTransactionStatus(req, {
+      transactionId: transactionId,
+      actorId: user_id,
+      fromStatus: null,
+      toStatus: 'initiated',
+      details: { amount: numAmount, photo_ids: photo_ids },
+      source: 'stk_push'
+    });
+
     // Prepare STK Push data
     const stkPushData = {
       BusinessShortCode: 174379,
@@ -285,6 +310,15 @@ router.post('/mpesa/stk-push', async (req, res) => {
       console.log('Database update result:', updateResult);
       console.log('SANDBOX STK Push successful!');
 
+      await auditTransactionStatus(req, {
+        transactionId: transactionId,
+        actorId: user_id,
+        fromStatus: 'initiated',
+        toStatus: 'pending',
+        details: { checkout_request_id: stkResponse.data.CheckoutRequestID },
+        source: 'stk_push'
+      });
+
       res.json({
         success: true,
         message: 'STK Push sent successfully to your phone',
@@ -305,6 +339,15 @@ router.post('/mpesa/stk-push', async (req, res) => {
 
       console.log('SANDBOX STK Push failed:', stkResponse.data.ResponseDescription);
 
+      await auditTransactionStatus(req, {
+        transactionId: transactionId,
+        actorId: user_id,
+        fromStatus: 'initiated',
+        toStatus: 'failed',
+        details: { error_message: stkResponse.data.ResponseDescription },
+        source: 'stk_push'
+      });
+
       res.status(400).json({
         success: false,
         error: stkResponse.data.ResponseDescription || 'STK Push failed'
@@ -388,8 +431,18 @@ router.post('/mpesa/callback', async (req, res) => {
         console.error('Failed to update transaction:', updateError);
       } else {
         console.log('Transaction updated successfully:', updatedTransaction);
+
+        await auditTransactionStatus(req, {
+          transactionId: transaction.transaction_id,
+          actorId: null,
+          fromStatus: transaction.status,
+          toStatus: 'completed',
+          details: { mpesa_receipt_number: mpesaReceiptNumber, amount_paid: parseFloat(amountPaid) },
+          source: 'mpesa_callback'
+        });
+
         // Process the photo payment
-        await processPhotoPayment({ ...transaction, status: 'completed' });
+        await processPhotoPayment({ ...transaction, status: 'completed', mpesa_receipt_number: mpesaReceiptNumber }, req);
       }
 
     } else {
@@ -409,6 +462,15 @@ router.post('/mpesa/callback', async (req, res) => {
 
       if (failError) {
         console.error('Failed to update failed transaction:', failError);
+      } else {
+        await auditTransactionStatus(req, {
+          transactionId: transaction.transaction_id,
+          actorId: null,
+          fromStatus: transaction.status,
+          toStatus: 'failed',
+          details: { error_message: resultDesc },
+          source: 'mpesa_callback'
+        });
       }
     }
 
@@ -422,7 +484,7 @@ router.post('/mpesa/callback', async (req, res) => {
 });
 
 // Process photo payment function
-async function processPhotoPayment(transaction) {
+async function processPhotoPayment(transaction, req) {
   try {
     const imageIds = transaction.photo_ids;
     const userId = transaction.user_id;
@@ -490,6 +552,17 @@ async function processPhotoPayment(transaction) {
 
     console.log(`Successfully updated ${updatedImages.length} images to paid status`);
 
+    await recordAuditEvent({
+      actorId: null,
+      action: 'payment.photos_unlocked',
+      targetType: 'mpesa_transaction',
+      targetId: transaction.transaction_id,
+      before: { image_ids: imageIdsToUpdate, status: 'unpaid' },
+      after: { image_ids: updatedImages.map(img => img.id), status: 'paid' },
+      metadata: { user_id: userId, requested_count: numberOfPhotosRequested },
+      context: getAuditContext(req)
+    });
+
     // Group by photo collections for summary
     const photoCollections = {};
     updatedImages.forEach(img => {
@@ -0,0 +1,366 @@
+const express = require('express');
+const { createClient } = require('@supabase/supabase-js');
+const rateLimit = require('express-rate-limit');
+const { enqueueCloudinaryDeletion } = require('../delete/cloudinary_deletion_queue');
+const { storage } = require('../storage/storage');
+const { getPostImageFields, buildPostImages, filterOwnedImageUrls, getDeletablePostImageUrls } = require('../storage/image_assets');
+
+const router = express.Router();
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY,
+  {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false
+    }
+  }
+);
+
+// Rate limiting for post edits
+const editPostLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20, // limit to 20 edits per 15 minutes
+  message: { error: 'Too many edit attempts, please try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Authentication middleware
+const authenticateUser = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({ error: 'Missing or invalid authorization header' });
+    }
+
+    const token = authHeader.split(' ')[1];
+
+    // Verify token with Supabase
+    const { data: { user }, error } = await supabase.auth.getUser(token);
+
+    if (error || !user) {
+      console.log('Authentication error:', error?.message);
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('Auth middleware error:', error);
+    res.status(401).json({ error: 'Authentication failed' });
+  }
+};
+
+// Helper function to check if user is admin
+const isUserAdmin = async (userId) => {
+  try {
+    const { data: profile } = await supabase
+      .from('profiles')
+      .select('user_type')
+      .eq('id', userId)
+      .single();
+
+    return profile && profile.user_type === 'admin';
+  } catch (error) {
+    console.error('Error checking admin status:', error);
+    return false;
+  }
+};
+
+// Helper function to normalise a tags payload the same way POST /api/posts does
+// (#Sunset and sunset are stored as the same tag, so tag pages and ?tag= match either)
+const normaliseTags = (tags) => {
+  if (!Array.isArray(tags)) return [];
+  const keys = tags
+    .filter(tag => typeof tag === 'string')
+    .map(tag => tag.trim().replace(/^#/, '').trim().toLowerCase())
+    .filter(Boolean);
+  return [...new Set(keys)];
+};
+
+// Helper function to compare two arrays element by element
+const sameArray = (a = [], b = []) => {
+  return a.length === b.length && a.every((value, index) => value === b[index]);
+};
+
+// PATCH /api/posts/:postId - Edit caption, tags, location and images of a post
+router.patch('/:postId', editPostLimiter, authenticateUser, async (req, res) => {
+  try {
+    const { postId } = req.params;
+    const userId = req.user.id;
+    const { content, tags, location, images } = req.body;
+
+    console.log(`✏️ Edit request for post: ${postId} by user: ${userId}`);
+
+    const { data: post, error: fetchError } = await supabase
+      .from('posts')
+      .select('id, user_id, caption, location, tags, images, image_metadata')
+      .eq('id', postId)
+      .is('deleted_at', null)
+      .single();
+
+    if (fetchError || !post) {
+      return res.status(404).json({ success: false, error: 'Post not found' });
+    }
+
+    const isOwner = post.user_id === userId;
+    const isAdmin = isOwner ? false : await isUserAdmin(userId);
+
+    if (!isOwner && !isAdmin) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to edit this post'
+      });
+    }
+
+    const updates = {};
+
+    // Caption - same validation as POST /api/posts
+    if (content !== undefined) {
+      if (typeof content !== 'string' || content.trim().length === 0) {
+        return res.status(400).json({ success: false, error: 'Caption/content is required' });
+      }
+      if (content.trim().length > 2200) {
+        return res.status(400).json({ success: false, error: 'Caption is too long (max 2200 characters)' });
+      }
+      if (content.trim() !== post.caption) {
+        updates.caption = content.trim();
+      }
+    }
+
+    if (tags !== undefined) {
+      if (!Array.isArray(tags)) {
+        return res.status(400).json({ success: false, error: 'Tags must be an array' });
+      }
+      const newTags = normaliseTags(tags);
+      if (!sameArray(newTags, post.tags || [])) {
+        updates.tags = newTags;
+      }
+    }
+
+    if (location !== undefined) {
+      const newLocation = typeof location === 'string' && location.trim() ? location.trim() : null;
+      if (newLocation !== post.location) {
+        updates.location = newLocation;
+      }
+    }
+
+    // Images - the payload is the complete, ordered list. Existing URLs can be
+    // kept or dropped, new URLs must be images the post's author uploaded.
+    let removedImages = [];
+    if (images !== undefined) {
+      if (!Array.isArray(images) || images.length === 0) {
+        return res.status(400).json({ success: false, error: 'At least one image is required' });
+      }
+
+      const invalidImage = images.find(url => typeof url !== 'string' || (!url.startsWith('https://') && !storage.extractPublicId(url)));
+      if (invalidImage !== undefined) {
+        return res.status(400).json({ success: false, error: 'Images must be uploaded image URLs' });
+      }
+
+      if (new Set(images).size !== images.length) {
+        return res.status(400).json({ success: false, error: 'Duplicate images are not allowed' });
+      }
+
+      const addedImages = images.filter(url => !(post.images || []).includes(url));
+      const ownedAddedImages = await filterOwnedImageUrls(addedImages, post.user_id);
+      if (ownedAddedImages.length !== addedImages.length) {
+        return res.status(400).json({ success: false, error: 'Images must be uploaded image URLs' });
+      }
+
+      if (!sameArray(images, post.images || [])) {
+        updates.images = images;
+        removedImages = (post.images || []).filter(url => !images.includes(url));
+      }
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ success: false, error: 'No changes provided' });
+    }
+
+    const editedAt = new Date().toISOString();
+
+    // Step 1: Record the previous values in the edit history
+    const previous = {};
+    Object.keys(updates).forEach(field => {
+      previous[field] = post[field];
+    });
+
+    const { data: historyEntry, error: historyError } = await supabase
+      .from('post_edits')
+      .insert([{
+        post_id: postId,
+        editor_id: userId,
+        changed_fields: Object.keys(updates),
+        previous_values: previous,
+        new_values: updates,
+        is_admin_edit: isAdmin,
+        edited_at: editedAt
+      }])
+      .select('id')
+      .single();
+
+    if (historyError) {
+      console.error('Error recording post edit history:', historyError);
+      return res.status(500).json({ success: false, error: 'Failed to record edit history' });
+    }
+
+    // Step 2: Apply the update (image dimensions and EXIF follow the new image list but are not edit history)
+    const imageFields = updates.images ? await getPostImageFields(updates.images) : {};
+
+    const { error: updateError } = await supabase
+      .from('posts')
+      .update({ ...updates, ...imageFields, edited_at: editedAt })
+      .eq('id', postId);
+
+    if (updateError) {
+      console.error('Database error updating post:', updateError);
+      // Drop the history entry for an edit that never happened
+      await supabase.from('post_edits').delete().eq('id', historyEntry.id);
+      return res.status(500).json({ success: false, error: 'Failed to update post' });
+    }
+
+    console.log(`✅ Post ${postId} updated - Fields: ${Object.keys(updates).join(', ')}`);
+
+    // Step 3: Queue images that are no longer part of the post for deletion from Cloudinary -
+    // only the author's own uploads that no other post shows; anything else is left to the orphaned asset collector
+    let deletableImages = [];
+    try {
+      deletableImages = await getDeletablePostImageUrls(removedImages, post.user_id, postId);
+    } catch (error) {
+      console.error('⚠️ Skipping image deletion for edited post:', error.message);
+    }
+
+    const cloudinaryJob = await enqueueCloudinaryDeletion({
+      imageUrls: deletableImages,
+      source: 'post_edit',
+      sourceId: postId,
+      requestedBy: userId
+    });
+
+    // Step 4: Return the post in the same format as GET /api/posts/:postId
+    const { data: updatedPost, error: refetchError } = await supabase
+      .from('posts_with_users')
+      .select(`
+        id,
+        user_id,
+        caption,
+        location,
+        tags,
+        images,
+        image_metadata,
+        created_at,
+        edited_at,
+        likes_count,
+        comments_count,
+        is_featured,
+        username,
+        display_name,
+        is_verified,
+        user_type
+      `)
+      .eq('id', postId)
+      .single();
+
+    if (refetchError || !updatedPost) {
+      console.error('Error fetching updated post:', refetchError);
+    }
+
+    const source = updatedPost || { ...post, ...updates, ...imageFields, edited_at: editedAt };
+
+    const response = {
+      success: true,
+      message: 'Post updated successfully',
+      post: {
+        id: source.id,
+        userId: source.user_id,
+        userName: source.username || source.display_name || 'Anonymous', // USERNAME FIRST
+        imageUrl: source.images?.[0] || '',
+        images: buildPostImages(source),
+        caption: source.caption || '',
+        location: source.location,
+        tags: source.tags || [],
+        createdAt: source.created_at,
+        editedAt: source.edited_at,
+        isVerified: source.is_verified || false,
+        userType: source.user_type || 'Photography Enthusiast',
+        likes: source.likes_count || 0,
+        commentCount: source.comments_count || 0,
+        isFeatured: source.is_featured || false
+      },
+      details: {
+        changed_fields: Object.keys(updates),
+        removed_images: removedImages.length,
+        cloudinary_job_id: cloudinaryJob.jobId,
+        is_admin_edit: isAdmin
+      }
+    };
+
+    res.json(response);
+
+  } catch (error) {
+    console.error('Edit post error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error editing post'
+    });
+  }
+});
+
+// GET /api/posts/:postId/edits - Edit history of a post (owner or admin)
+router.get('/:postId/edits', authenticateUser, async (req, res) => {
+  try {
+    const { postId } = req.params;
+    const userId = req.user.id;
+
+    const { data: post } = await supabase
+      .from('posts')
+      .select('id, user_id, edited_at')
+      .eq('id', postId)
+      .single();
+
+    if (!post) {
+      return res.status(404).json({ success: false, error: 'Post not found' });
+    }
+
+    const isOwner = post.user_id === userId;
+    const isAdmin = isOwner ? false : await isUserAdmin(userId);
+
+    if (!isOwner && !isAdmin) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to view this post history'
+      });
+    }
+
+    const { data: edits, error } = await supabase
+      .from('post_edits')
+      .select('id, editor_id, changed_fields, previous_values, new_values, is_admin_edit, edited_at')
+      .eq('post_id', postId)
+      .order('edited_at', { ascending: false });
+
+    if (error) {
+      console.error('Error fetching post edit history:', error);
+      return res.status(500).json({ success: false, error: 'Failed to fetch edit history' });
+    }
+
+    res.json({
+      success: true,
+      post_id: postId,
+      edited_at: post.edited_at || null,
+      edits: edits || []
+    });
+
+  } catch (error) {
+    console.error('Get post edit history error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error fetching edit history'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,11 @@
     const express = require('express');
     const multer = require('multer');
-    const cloudinary = require('cloudinary').v2;
     const { createClient } = require('@supabase/supabase-js');
     const rateLimit = require('express-rate-limit');
+    const { enqueueCloudinaryDeletion } = require('../delete/cloudinary_deletion_queue');
+    const { uploadImageAsset } = require('../storage/image_assets');
+    const { validateImageUploads } = require('../storage/upload_validation');
+    const { getAuditContext, recordAuditEvent } = require('../audit/audit_log_service');
 
     const router = express.Router();
 
@@ -34,13 +37,7 @@
     limits: {
         fileSize: 5 * 1024 * 1024, // 5MB limit for profile images
     },
-    fileFilter: (req, file, cb) => {
-        if (file.mimetype.startsWith('image/')) {
-        cb(null, true);
-        } else {
-        cb(new Error('Only image files are allowed for profile pictures!'), false);
-        }
-    },
+    // File types are checked from the file contents by validateImageUploads
     });
 
     // Authentication middleware
@@ -69,57 +66,31 @@
     }
     };
 
-    // Helper function to upload profile images to Cloudinary
-    const uploadProfileImageToCloudinary = (buffer, userId) => {
-    return new Promise((resolve, reject) => {
-        const uploadStream = cloudinary.uploader.upload_stream(
-        {
-            folder: 'profiles', // Dedicated folder for profile images
-            resource_type: 'image',
-            transformation: [
-            { quality: 'auto:good' },
-            { fetch_format: 'auto' },
-            { width: 400, height: 400, crop: 'fill', gravity: 'face' }, // Square crop focused on face
-            { radius: 'max' } // Make it circular
-            ],
-            public_id: `profile_${userId}_${Date.now()}`,
-            overwrite: true, // Allow overwriting previous profile images
-            invalidate: true // Invalidate CDN cache
-        },
-        (error, result) => {
-            if (error) {
-            console.error('Cloudinary profile upload error:', error);
-            reject(error);
-            } else {
-            console.log('Profile image uploaded successfully:', result.secure_url);
-            resolve(result.secure_url);
-            }
-        }
-        );
-        
-        uploadStream.end(buffer);
+    // Helper function to upload profile images to storage
+    const uploadProfileImage = async (file, userId) => {
+    const result = await uploadImageAsset(file, {
+        folder: 'profiles', // Dedicated folder for profile images
+        publicId: `profile_${userId}_${Date.now()}`,
+        resize: { width: 400, height: 400, crop: 'fill', gravity: 'face' }, // Square crop focused on face
+        circle: true, // Make it circular
+        overwrite: true, // Allow overwriting previous profile images
+        uploadedBy: userId
     });
+
+    console.log('Profile image uploaded successfully:', result.url);
+    return result.url;
     };
 
-    // Helper function to delete old profile image from Cloudinary
-    const deleteOldProfileImage = async (imageUrl) => {
-    try {
-        if (!imageUrl) return { success: true };
-        
-        // Extract public_id from the URL
-        const urlParts = imageUrl.split('/');
-        const filename = urlParts[urlParts.length - 1];
-        const publicId = `profiles/${filename.split('.')[0]}`;
-        
-        const result = await cloudinary.uploader.destroy(publicId);
-        console.log('Old profile image deletion result:', result);
-        
-        // Return success status
-        return { success: result.result === 'ok' || result.result === 'not found' };
-    } catch (error) {
-        console.error('Error deleting old profile image:', error);
-        return { success: false, error: error.message };
-    }
+    // Helper function to queue an old profile image for deletion from Cloudinary
+    const deleteOldProfileImage = async (imageUrl, userId) => {
+    if (!imageUrl) return { success: true, jobId: null };
+
+    return enqueueCloudinaryDeletion({
+        imageUrls: [imageUrl],
+        source: 'avatar',
+        sourceId: userId,
+        requestedBy: userId
+    });
     };
 
     // Helper function to get current profile
@@ -140,7 +111,7 @@
     // Routes
 
     // Upload profile image endpoint - IMPROVED VERSION
-    router.post('/upload', profileUploadLimiter, authenticateUser, upload.single('profileImage'), async (req, res) => {
+    router.post('/upload', profileUploadLimiter, authenticateUser, upload.single('profileImage'), validateImageUploads(['jpeg', 'png', 'webp']), async (req, res) => {
     try {
         if (!req.file) {
         return res.status(400).json({ error: 'No profile image provided' });
@@ -158,23 +129,23 @@
         // STEP 2: Delete old profile image BEFORE uploading new one
         if (currentAvatarUrl) {
         console.log(`🗑️ Deleting existing profile image: ${currentAvatarUrl}`);
-        const deletionResult = await deleteOldProfileImage(currentAvatarUrl);
+        const deletionResult = await deleteOldProfileImage(currentAvatarUrl, userId);
         
         if (!deletionResult.success) {
-            console.warn('⚠️ Failed to delete old profile image, but continuing with upload:', deletionResult.error);
+            console.warn('⚠️ Failed to queue old profile image deletion, but continuing with upload:', deletionResult.error);
             // Continue anyway - better to have a working new image than fail completely
         } else {
-            console.log('✅ Old profile image deleted successfully');
+            console.log('✅ Old profile image queued for deletion');
         }
         }
 
         // STEP 3: Upload new profile image
         let newImageUrl;
         try {
-        newImageUrl = await uploadProfileImageToCloudinary(req.file.buffer, userId);
+        newImageUrl = await uploadProfileImage(req.file, userId);
         console.log(`✅ New profile image uploaded: ${newImageUrl}`);
         } catch (uploadError) {
-        console.error('❌ Error uploading new profile image to Cloudinary:', uploadError);
+        console.error('❌ Error uploading new profile image to storage:', uploadError);
         
         // If we deleted the old image but failed to upload new one, we should clean up the profile
         if (currentAvatarUrl) {
@@ -210,13 +181,23 @@
         console.error('❌ Error updating profile with new avatar URL:', updateError);
         
         // Clean up the newly uploaded image since we couldn't update the database
-        await deleteOldProfileImage(newImageUrl);
+        await deleteOldProfileImage(newImageUrl, userId);
         
         return res.status(500).json({ error: 'Failed to update profile with new avatar' });
         }
 
         console.log('✅ Profile updated with new avatar URL');
 
+        await recordAuditEvent({
+        actorId: userId,
+        action: 'profile.avatar_replace',
+        targetType: 'profile',
+        targetId: userId,
+        before: { avatar_url: currentAvatarUrl || null },
+        after: { avatar_url: newImageUrl },
+        context: getAuditContext(req)
+        });
+
         res.json({
         success: true,
         avatarUrl: newImageUrl,
@@ -237,8 +218,9 @@
 
         const { data: profile, error } = await supabase
         .from('profiles')
-        .select('avatar_url, username, display_name')
+        .select('avatar_url, username, display_name, followers_count, following_count')
         .eq('id', userId)
+        .eq('is_hidden', false)
         .single();
 
         if (error || !profile) {
@@ -249,7 +231,9 @@
         success: true,
         avatarUrl: profile.avatar_url,
         username: profile.username,
-        displayName: profile.display_name
+        displayName: profile.display_name,
+        followersCount: profile.followers_count || 0,
+        followingCount: profile.following_count || 0
         });
 
     } catch (error) {
@@ -272,11 +256,11 @@
 
         const currentAvatarUrl = currentProfile.avatar_url;
 
-        // Delete from Cloudinary first
-        const deletionResult = await deleteOldProfileImage(currentAvatarUrl);
+        // Queue the Cloudinary deletion first
+        const deletionResult = await deleteOldProfileImage(currentAvatarUrl, userId);
         
         if (!deletionResult.success) {
-        console.warn('⚠️ Failed to delete image from Cloudinary:', deletionResult.error);
+        console.warn('⚠️ Failed to queue image deletion from Cloudinary:', deletionResult.error);
         // Continue anyway to clean up database
         }
 
@@ -296,10 +280,21 @@
 
         console.log(`✅ Profile image deleted for user: ${userId}`);
 
+        await recordAuditEvent({
+        actorId: userId,
+        action: 'profile.avatar_delete',
+        targetType: 'profile',
+        targetId: userId,
+        before: { avatar_url: currentAvatarUrl },
+        after: { avatar_url: null },
+        metadata: { cloudinary_job_id: deletionResult.jobId },
+        context: getAuditContext(req)
+        });
+
         res.json({
         success: true,
         message: 'Profile image deleted successfully',
-        cloudinaryDeleted: deletionResult.success
+        cloudinaryJobId: deletionResult.jobId
         });
 
     } catch (error) {
@@ -343,12 +338,19 @@
         if (bio !== undefined) updateData.bio = bio.trim();
         if (user_type !== undefined) updateData.user_type = user_type;
 
+        // Snapshot the fields being changed for the audit log
+        const { data: previousProfile } = await supabase
+        .from('profiles')
+        .select('username, display_name, bio, user_type')
+        .eq('id', userId)
+        .single();
+
         // Update profile
         const { data: updatedProfile, error: updateError } = await supabase
         .from('profiles')
         .update(updateData)
         .eq('id', userId)
-        .select('id, username, display_name, avatar_url, bio, user_type, is_verified')
+        .select('id, username, display_name, avatar_url, bio, user_type, is_verified, followers_count, following_count')
         .single();
 
         if (updateError) {
@@ -358,6 +360,18 @@
 
         console.log(`✅ Profile updated for user: ${userId}`);
 
+        const changedFields = Object.keys(updateData).filter(field => field !== 'updated_at');
+        await recordAuditEvent({
+        actorId: userId,
+        action: 'profile.update',
+        targetType: 'profile',
+        targetId: userId,
+        before: previousProfile ? Object.fromEntries(changedFields.map(field => [field, previousProfile[field]])) : null,
+        after: Object.fromEntries(changedFields.map(field => [field, updatedProfile[field]])),
+        metadata: { changed_fields: changedFields },
+        context: getAuditContext(req)
+        });
+
         res.json({
         success: true,
         profile: updatedProfile,
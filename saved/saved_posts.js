@@ -0,0 +1,508 @@
+const express = require('express');
+const { createClient } = require('@supabase/supabase-js');
+const { buildPostImages } = require('../storage/image_assets');
+
+const router = express.Router();
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY,
+  {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false
+    }
+  }
+);
+
+const MAX_COLLECTION_NAME_LENGTH = 50;
+const MAX_COLLECTIONS_PER_USER = 100;
+// Cursor parts go into an .or() filter string, so they must match these exactly
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})?$/;
+
+// Authentication middleware
+const authenticateUser = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({ error: 'Missing or invalid authorization header' });
+    }
+
+    const token = authHeader.split(' ')[1];
+
+    // Verify token with Supabase
+    const { data: { user }, error } = await supabase.auth.getUser(token);
+
+    if (error || !user) {
+      console.log('Authentication error:', error?.message);
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('Auth middleware error:', error);
+    res.status(401).json({ error: 'Authentication failed' });
+  }
+};
+
+// Helper function to encode an opaque cursor from the last saved row of a page
+const encodeCursor = (row) => {
+  return Buffer.from(JSON.stringify({ c: row.created_at, i: row.id })).toString('base64url');
+};
+
+// Helper function to decode a cursor - returns null if it was tampered with
+const decodeCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!TIMESTAMP_PATTERN.test(decoded.c) || isNaN(Date.parse(decoded.c)) || !UUID_PATTERN.test(decoded.i)) {
+      return null;
+    }
+    return { createdAt: decoded.c, id: decoded.i };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Transform a posts_with_users row into the Flutter app post format (same as GET /api/posts)
+const formatPost = (post) => ({
+  id: post.id,
+  userId: post.user_id,
+  userName: post.username || post.display_name || 'Anonymous', // USERNAME FIRST
+  imageUrl: post.images?.[0] || '',
+  images: buildPostImages(post),
+  caption: post.caption || '',
+  location: post.location,
+  tags: post.tags || [],
+  createdAt: post.created_at,
+  editedAt: post.edited_at || null,
+  isVerified: post.is_verified || false,
+  userType: post.user_type || 'Photography Enthusiast',
+  likes: post.likes_count || 0,
+  commentCount: post.comments_count || 0,
+  isFeatured: post.is_featured || false,
+  isSaved: true
+});
+
+// Helper function to validate a collection name
+const validateCollectionName = (name) => {
+  if (!name || typeof name !== 'string' || name.trim().length === 0) {
+    return 'Collection name is required';
+  }
+  if (name.trim().length > MAX_COLLECTION_NAME_LENGTH) {
+    return `Collection name is too long (max ${MAX_COLLECTION_NAME_LENGTH} characters)`;
+  }
+  return null;
+};
+
+// Helper function to fetch a collection owned by the user
+const getOwnCollection = async (collectionId, userId) => {
+  const { data: collection } = await supabase
+    .from('saved_collections')
+    .select('id, name, created_at, updated_at')
+    .eq('id', collectionId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  return collection;
+};
+
+/**
+ * @route   GET /api/saved
+ * @desc    List the current user's saved posts, most recently saved first
+ * @access  Private
+ * @query   { collection_id?: string, cursor?: string, limit?: number }
+ */
+router.get('/', authenticateUser, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const collectionId = req.query.collection_id;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+
+    let cursor = null;
+    if (req.query.cursor) {
+      cursor = decodeCursor(req.query.cursor);
+      if (!cursor) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+    }
+
+    if (collectionId && !(await getOwnCollection(collectionId, userId))) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    // Collection items and plain saves live in different tables but share the same columns
+    let query = supabase
+      .from(collectionId ? 'saved_collection_posts' : 'saved_posts')
+      .select('id, post_id, created_at')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: false })
+      .limit(limit + 1);
+
+    if (collectionId) {
+      query = query.eq('collection_id', collectionId);
+    }
+
+    if (cursor) {
+      query = query.or(
+        `created_at.lt."${cursor.createdAt}",and(created_at.eq."${cursor.createdAt}",id.lt.${cursor.id})`
+      );
+    }
+
+    const { data: rows, error } = await query;
+
+    if (error) {
+      console.error('Error fetching saved posts:', error);
+      return res.status(500).json({ error: 'Failed to fetch saved posts' });
+    }
+
+    const hasMore = rows.length > limit;
+    const pageRows = hasMore ? rows.slice(0, limit) : rows;
+    const postIds = pageRows.map(row => row.post_id);
+
+    let postMap = {};
+    if (postIds.length > 0) {
+      const { data: posts, error: postsError } = await supabase
+        .from('posts_with_users')
+        .select(`
+          id,
+          user_id,
+          caption,
+          location,
+          tags,
+          images,
+          image_metadata,
+          created_at,
+          edited_at,
+          likes_count,
+          comments_count,
+          is_featured,
+          username,
+          display_name,
+          avatar_url,
+          is_verified,
+          user_type
+        `)
+        .in('id', postIds)
+        .eq('is_hidden', false) // hidden by a moderator
+        .eq('author_is_hidden', false);
+
+      if (postsError) {
+        console.error('Error fetching saved post details:', postsError);
+        return res.status(500).json({ error: 'Failed to fetch saved posts' });
+      }
+
+      posts.forEach(post => {
+        postMap[post.id] = post;
+      });
+    }
+
+    // Keep saved order; posts deleted or hidden since saving are skipped
+    const savedPosts = pageRows
+      .filter(row => postMap[row.post_id])
+      .map(row => ({
+        ...formatPost(postMap[row.post_id]),
+        savedAt: row.created_at
+      }));
+
+    res.json({
+      success: true,
+      posts: savedPosts,
+      collectionId: collectionId || null,
+      pagination: {
+        limit: limit,
+        hasMore: hasMore,
+        nextCursor: hasMore ? encodeCursor(pageRows[pageRows.length - 1]) : null
+      }
+    });
+
+  } catch (error) {
+    console.error('Get saved posts error:', error);
+    res.status(500).json({ error: 'Server error fetching saved posts' });
+  }
+});
+
+/**
+ * @route   GET /api/saved/collections
+ * @desc    List the current user's collections with post counts and a cover image
+ * @access  Private
+ */
+router.get('/collections', authenticateUser, async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const { data: collections, error } = await supabase
+      .from('saved_collections')
+      .select('id, name, created_at, updated_at')
+      .eq('user_id', userId)
+      .order('updated_at', { ascending: false });
+
+    if (error) {
+      console.error('Error fetching collections:', error);
+      return res.status(500).json({ error: 'Failed to fetch collections' });
+    }
+
+    const collectionIds = collections.map(collection => collection.id);
+    const countsMap = {};
+    const coverPostMap = {};
+
+    if (collectionIds.length > 0) {
+      // Counted in the database - a collection can hold more rows than one query returns.
+      // The latest addition is the cover, like the app's saved screen.
+      const { data: summaries, error: summariesError } = await supabase
+        .rpc('get_saved_collection_summaries', { p_user_id: userId });
+
+      if (summariesError) {
+        console.error('Error fetching collection summaries:', summariesError);
+        return res.status(500).json({ error: 'Failed to fetch collections' });
+      }
+
+      (summaries || []).forEach(summary => {
+        countsMap[summary.collection_id] = summary.post_count || 0;
+        if (summary.cover_post_id) {
+          coverPostMap[summary.collection_id] = summary.cover_post_id;
+        }
+      });
+    }
+
+    const coverPostIds = [...new Set(Object.values(coverPostMap))];
+    const coverImages = {};
+    if (coverPostIds.length > 0) {
+      const { data: coverPosts } = await supabase
+        .from('posts_with_users')
+        .select('id, images')
+        .in('id', coverPostIds)
+        .eq('is_hidden', false)
+        .eq('author_is_hidden', false);
+
+      (coverPosts || []).forEach(post => {
+        coverImages[post.id] = post.images?.[0] || null;
+      });
+    }
+
+    res.json({
+      success: true,
+      collections: collections.map(collection => ({
+        id: collection.id,
+        name: collection.name,
+        postCount: countsMap[collection.id] || 0,
+        coverImageUrl: coverImages[coverPostMap[collection.id]] || null,
+        createdAt: collection.created_at,
+        updatedAt: collection.updated_at
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get collections error:', error);
+    res.status(500).json({ error: 'Server error fetching collections' });
+  }
+});
+
+/**
+ * @route   POST /api/saved/collections
+ * @desc    Create a private collection
+ * @access  Private
+ * @body    { name: string }
+ */
+router.post('/collections', authenticateUser, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { name } = req.body;
+
+    const nameError = validateCollectionName(name);
+    if (nameError) {
+      return res.status(400).json({ error: nameError });
+    }
+
+    const { count } = await supabase
+      .from('saved_collections')
+      .select('*', { count: 'exact', head: true })
+      .eq('user_id', userId);
+
+    if ((count || 0) >= MAX_COLLECTIONS_PER_USER) {
+      return res.status(400).json({ error: `You can have at most ${MAX_COLLECTIONS_PER_USER} collections` });
+    }
+
+    const now = new Date().toISOString();
+    const { data: collection, error } = await supabase
+      .from('saved_collections')
+      .insert([{
+        user_id: userId,
+        name: name.trim(),
+        created_at: now,
+        updated_at: now
+      }])
+      .select('id, name, created_at, updated_at')
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(400).json({ error: 'You already have a collection with this name' });
+      }
+      console.error('Error creating collection:', error);
+      return res.status(500).json({ error: 'Failed to create collection' });
+    }
+
+    console.log(`📁 Collection "${collection.name}" created by user: ${userId}`);
+
+    res.status(201).json({
+      success: true,
+      collection: {
+        id: collection.id,
+        name: collection.name,
+        postCount: 0,
+        coverImageUrl: null,
+        createdAt: collection.created_at,
+        updatedAt: collection.updated_at
+      },
+      message: 'Collection created'
+    });
+
+  } catch (error) {
+    console.error('Create collection error:', error);
+    res.status(500).json({ error: 'Server error creating collection' });
+  }
+});
+
+/**
+ * @route   PATCH /api/saved/collections/:collectionId
+ * @desc    Rename a collection
+ * @access  Private (collection owner)
+ * @body    { name: string }
+ */
+router.patch('/collections/:collectionId', authenticateUser, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { collectionId } = req.params;
+    const { name } = req.body;
+
+    const nameError = validateCollectionName(name);
+    if (nameError) {
+      return res.status(400).json({ error: nameError });
+    }
+
+    if (!(await getOwnCollection(collectionId, userId))) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    const { data: collection, error } = await supabase
+      .from('saved_collections')
+      .update({ name: name.trim(), updated_at: new Date().toISOString() })
+      .eq('id', collectionId)
+      .eq('user_id', userId)
+      .select('id, name, created_at, updated_at')
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(400).json({ error: 'You already have a collection with this name' });
+      }
+      console.error('Error renaming collection:', error);
+      return res.status(500).json({ error: 'Failed to rename collection' });
+    }
+
+    res.json({
+      success: true,
+      collection: {
+        id: collection.id,
+        name: collection.name,
+        createdAt: collection.created_at,
+        updatedAt: collection.updated_at
+      },
+      message: 'Collection renamed'
+    });
+
+  } catch (error) {
+    console.error('Rename collection error:', error);
+    res.status(500).json({ error: 'Server error renaming collection' });
+  }
+});
+
+/**
+ * @route   DELETE /api/saved/collections/:collectionId
+ * @desc    Delete a collection - its posts stay in the user's saved posts
+ * @access  Private (collection owner)
+ */
+router.delete('/collections/:collectionId', authenticateUser, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { collectionId } = req.params;
+
+    if (!(await getOwnCollection(collectionId, userId))) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    const { error: itemsError } = await supabase
+      .from('saved_collection_posts')
+      .delete()
+      .eq('collection_id', collectionId);
+
+    if (itemsError) {
+      console.error('Error clearing collection:', itemsError);
+      return res.status(500).json({ error: 'Failed to delete collection' });
+    }
+
+    const { error } = await supabase
+      .from('saved_collections')
+      .delete()
+      .eq('id', collectionId)
+      .eq('user_id', userId);
+
+    if (error) {
+      console.error('Error deleting collection:', error);
+      return res.status(500).json({ error: 'Failed to delete collection' });
+    }
+
+    console.log(`🗑️ Collection ${collectionId} deleted by user: ${userId}`);
+
+    res.json({
+      success: true,
+      message: 'Collection deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete collection error:', error);
+    res.status(500).json({ error: 'Server error deleting collection' });
+  }
+});
+
+/**
+ * @route   DELETE /api/saved/collections/:collectionId/posts/:postId
+ * @desc    Remove a post from a collection - it stays in the user's saved posts
+ * @access  Private (collection owner)
+ */
+router.delete('/collections/:collectionId/posts/:postId', authenticateUser, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { collectionId, postId } = req.params;
+
+    if (!(await getOwnCollection(collectionId, userId))) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    const { error } = await supabase
+      .from('saved_collection_posts')
+      .delete()
+      .eq('collection_id', collectionId)
+      .eq('post_id', postId);
+
+    if (error) {
+      console.error('Error removing post from collection:', error);
+      return res.status(500).json({ error: 'Failed to remove post from collection' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Post removed from collection'
+    });
+
+  } catch (error) {
+    console.error('Remove from collection error:', error);
+    res.status(500).json({ error: 'Server error removing post from collection' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,247 @@
+// Garbage-collect stored images that nothing references any more - mostly uploads from
+// POST /api/upload-images and POST /api/images/upload-text whose post or message was never
+// created. Assets younger than the grace period are left alone so in-flight uploads survive.
+// Usage: npm run gc:assets -- [--dry-run] [--grace-hours=24] [--folder=posts]
+// (server.js also runs this on a schedule, as a dry run unless ASSET_GC_DELETE=true)
+// Message columns that can hold image URLs are set with ASSET_GC_MESSAGE_COLUMNS (default: content).
+require('dotenv').config();
+const { createClient } = require('@supabase/supabase-js');
+const { storage } = require('../storage/storage');
+const { extractPublicIdFromUrl, enqueueCloudinaryDeletion } = require('../delete/cloudinary_deletion_queue');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY,
+  {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false
+    }
+  }
+);
+
+// Folders the upload routes write to
+const ASSET_FOLDERS = ['posts', 'chat_images', 'sent_images', 'profiles', 'featured_image'];
+const GRACE_HOURS = parseInt(process.env.ASSET_GC_GRACE_HOURS) || 24;
+const PAGE_SIZE = 1000;
+const LIST_PAGE_SIZE = 500;
+const DELETE_CHUNK_SIZE = 100;
+const MESSAGE_URL_COLUMNS = (process.env.ASSET_GC_MESSAGE_COLUMNS || 'content')
+  .split(',')
+  .map(column => column.trim())
+  .filter(Boolean);
+
+// Helper function to pass every row of a table to onRow, a page at a time, without keeping
+// the rows around. Returns the row count. Throws on error so a partial reference set can
+// never make live assets look orphaned.
+const scanRows = async (table, columns, onRow) => {
+  let count = 0;
+  let lastId = null;
+
+  while (true) {
+    let query = supabase
+      .from(table)
+      .select(columns)
+      .order('id', { ascending: true })
+      .limit(PAGE_SIZE);
+
+    if (lastId !== null) {
+      query = query.gt('id', lastId);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw new Error(`Failed to read ${table}: ${error.message}`);
+    }
+
+    data.forEach(onRow);
+    count += data.length;
+
+    if (data.length < PAGE_SIZE) {
+      return count;
+    }
+    lastId = data[data.length - 1].id;
+  }
+};
+
+// Collect the public_id of every asset the database still points at
+const collectReferencedPublicIds = async () => {
+  const referenced = new Set();
+  const addUrl = (url) => {
+    const publicId = extractPublicIdFromUrl(url);
+    if (publicId) referenced.add(publicId);
+  };
+
+  // Trashed posts are included - they can still be restored
+  const postCount = await scanRows('posts', 'id, images', post => {
+    (Array.isArray(post.images) ? post.images : [post.images]).forEach(addUrl);
+  });
+
+  const imageCount = await scanRows('images', 'id, image_url', image => addUrl(image.image_url));
+
+  const profileCount = await scanRows('profiles', 'id, avatar_url', profile => addUrl(profile.avatar_url));
+
+  const featuredCount = await scanRows('featured_items', 'id, image_url', item => addUrl(item.image_url));
+
+  // Chat clients write image URLs into the message itself, so search those columns for storage URLs
+  const messageCount = await scanRows('messages', ['id', ...MESSAGE_URL_COLUMNS].join(', '), message => {
+    MESSAGE_URL_COLUMNS.forEach(column => {
+      const value = message[column];
+      if (value === null || value === undefined) return;
+      const text = typeof value === 'string' ? value : JSON.stringify(value);
+      (text.match(storage.urlPattern) || []).forEach(addUrl);
+    });
+  });
+
+  // Assets already waiting in the deletion queue don't need a second job
+  const { data: queuedJobs, error } = await supabase
+    .from('cloudinary_deletion_jobs')
+    .select('public_ids')
+    .in('status', ['pending', 'processing']);
+
+  if (error) {
+    throw new Error(`Failed to read cloudinary_deletion_jobs: ${error.message}`);
+  }
+  (queuedJobs || []).forEach(job => (job.public_ids || []).forEach(publicId => referenced.add(publicId)));
+
+  console.log(`🔗 Referenced assets - posts: ${postCount}, images: ${imageCount}, profiles: ${profileCount}, featured: ${featuredCount}, messages: ${messageCount} row(s) scanned`);
+  return referenced;
+};
+
+// Helper function to list every uploaded image in a storage folder
+const listFolderAssets = async (folder) => {
+  const assets = [];
+  let nextCursor = null;
+
+  do {
+    const result = await storage.list({ prefix: `${folder}/`, cursor: nextCursor, limit: LIST_PAGE_SIZE });
+
+    assets.push(...result.assets);
+    nextCursor = result.nextCursor;
+  } while (nextCursor);
+
+  return assets;
+};
+
+/**
+ * Find unreferenced stored images and queue them for deletion.
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Only report what would be deleted
+ * @param {number} [options.graceHours] - Minimum asset age before it can be collected
+ * @param {string[]} [options.folders] - Folders to scan (defaults to every upload folder)
+ * @returns {Promise<Object>} Report with per-folder counts and the orphaned assets
+ */
+const collectOrphanedAssets = async ({ dryRun = false, graceHours = GRACE_HOURS, folders = ASSET_FOLDERS } = {}) => {
+  const cutoff = new Date(Date.now() - graceHours * 60 * 60 * 1000);
+  const report = {
+    dryRun: dryRun,
+    graceHours: graceHours,
+    cutoff: cutoff.toISOString(),
+    folders: {},
+    totals: { scanned: 0, referenced: 0, withinGracePeriod: 0, orphaned: 0, orphanedBytes: 0, queued: 0 },
+    jobIds: [],
+    errors: []
+  };
+
+  console.log(`🗑️ Collecting orphaned assets older than ${report.cutoff}${dryRun ? ' (dry run)' : ''}...`);
+
+  const referenced = await collectReferencedPublicIds();
+
+  for (const folder of folders) {
+    const folderReport = { scanned: 0, referenced: 0, withinGracePeriod: 0, orphaned: [] };
+    report.folders[folder] = folderReport;
+
+    let assets;
+    try {
+      assets = await listFolderAssets(folder);
+    } catch (error) {
+      const message = error.message || error.error?.message || String(error);
+      report.errors.push(`${folder}: ${message}`);
+      console.error(`❌ Failed to list storage folder ${folder}:`, message);
+      continue;
+    }
+
+    for (const asset of assets) {
+      folderReport.scanned++;
+
+      if (referenced.has(asset.publicId)) {
+        folderReport.referenced++;
+      } else if (new Date(asset.createdAt) > cutoff) {
+        folderReport.withinGracePeriod++;
+      } else {
+        folderReport.orphaned.push({
+          publicId: asset.publicId,
+          createdAt: asset.createdAt,
+          bytes: asset.bytes || 0,
+          url: asset.url
+        });
+      }
+    }
+
+    report.totals.scanned += folderReport.scanned;
+    report.totals.referenced += folderReport.referenced;
+    report.totals.withinGracePeriod += folderReport.withinGracePeriod;
+    report.totals.orphaned += folderReport.orphaned.length;
+    report.totals.orphanedBytes += folderReport.orphaned.reduce((sum, asset) => sum + asset.bytes, 0);
+
+    console.log(`📁 ${folder} - scanned: ${folderReport.scanned}, referenced: ${folderReport.referenced}, in grace period: ${folderReport.withinGracePeriod}, orphaned: ${folderReport.orphaned.length}`);
+
+    if (dryRun || folderReport.orphaned.length === 0) {
+      continue;
+    }
+
+    for (let i = 0; i < folderReport.orphaned.length; i += DELETE_CHUNK_SIZE) {
+      const chunk = folderReport.orphaned.slice(i, i + DELETE_CHUNK_SIZE);
+      const job = await enqueueCloudinaryDeletion({
+        publicIds: chunk.map(asset => asset.publicId),
+        source: 'orphan_gc',
+        sourceId: folder
+      });
+
+      if (job.success) {
+        report.totals.queued += job.queued;
+        if (job.jobId) report.jobIds.push(job.jobId);
+      } else {
+        report.errors.push(`${folder}: ${job.error}`);
+      }
+    }
+  }
+
+  const megabytes = (report.totals.orphanedBytes / (1024 * 1024)).toFixed(1);
+  console.log(`✅ Orphaned asset collection complete - scanned: ${report.totals.scanned}, orphaned: ${report.totals.orphaned} (${megabytes} MB), queued for deletion: ${report.totals.queued}`);
+  return report;
+};
+
+if (require.main === module) {
+  if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_KEY) {
+    console.error('❌ Missing SUPABASE_URL or SUPABASE_SERVICE_KEY');
+    process.exit(1);
+  }
+
+  const args = process.argv.slice(2);
+  const getArg = (name) => args.find(arg => arg.startsWith(`--${name}=`))?.split('=')[1];
+  const folderArg = getArg('folder');
+
+  collectOrphanedAssets({
+    dryRun: args.includes('--dry-run'),
+    graceHours: parseInt(getArg('grace-hours')) || GRACE_HOURS,
+    folders: folderArg ? folderArg.split(',') : ASSET_FOLDERS
+  })
+    .then(report => {
+      if (report.dryRun) {
+        Object.entries(report.folders).forEach(([folder, folderReport]) => {
+          folderReport.orphaned.forEach(asset => {
+            console.log(`  ${folder}\t${asset.publicId}\t${asset.createdAt}\t${asset.bytes} bytes`);
+          });
+        });
+      }
+      process.exit(report.errors.length > 0 ? 1 : 0);
+    })
+    .catch(error => {
+      console.error('❌', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { collectOrphanedAssets, ASSET_FOLDERS };
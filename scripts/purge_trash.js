@@ -0,0 +1,67 @@
+// Permanently delete posts that have been in the trash longer than TRASH_RETENTION_DAYS,
+// with their comments and likes. Their images are queued for deletion from Cloudinary.
+// Usage: npm run purge:trash (server.js also runs this on a schedule)
+require('dotenv').config();
+const { createClient } = require('@supabase/supabase-js');
+const { deletePostWithRelatedData, TRASH_RETENTION_DAYS } = require('../delete/post_deletion_service');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY,
+  {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false
+    }
+  }
+);
+
+const BATCH_SIZE = 50;
+
+const purgeExpiredTrash = async () => {
+  const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const summary = { purged: 0, failed: 0, errors: [] };
+
+  console.log(`🧹 Purging posts trashed before ${cutoff}...`);
+
+  const { data: posts, error } = await supabase
+    .from('posts')
+    .select('id, user_id, images')
+    .lt('deleted_at', cutoff)
+    .order('deleted_at', { ascending: true })
+    .limit(BATCH_SIZE);
+
+  if (error) {
+    throw new Error(`Failed to fetch expired trash: ${error.message}`);
+  }
+
+  for (const post of posts || []) {
+    const deletion = await deletePostWithRelatedData(post);
+
+    if (deletion.success) {
+      summary.purged++;
+    } else {
+      summary.failed++;
+      summary.errors.push(`${post.id}: ${deletion.error}`);
+    }
+  }
+
+  console.log(`✅ Trash purge complete - purged: ${summary.purged}, failed: ${summary.failed}`);
+  return summary;
+};
+
+if (require.main === module) {
+  if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_KEY) {
+    console.error('❌ Missing SUPABASE_URL or SUPABASE_SERVICE_KEY');
+    process.exit(1);
+  }
+
+  purgeExpiredTrash()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('❌', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { purgeExpiredTrash };
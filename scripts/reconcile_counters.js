@@ -0,0 +1,44 @@
+// Recompute likes_count and comments_count for all posts.
+// Usage: npm run reconcile:counters
+const { createClient } = require('@supabase/supabase-js');
+require('dotenv').config();
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY,
+  {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false
+    }
+  }
+);
+
+const reconcileCounters = async () => {
+  console.log('🔄 Reconciling post like and comment counters...');
+
+  const { data, error } = await supabase.rpc('reconcile_post_counters');
+
+  if (error) {
+    throw new Error(`Counter reconciliation failed: ${error.message}`);
+  }
+
+  console.log(`✅ Reconciliation complete - likes fixed: ${data.likes_fixed}, comments fixed: ${data.comments_fixed}`);
+  return data;
+};
+
+if (require.main === module) {
+  if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_KEY) {
+    console.error('❌ Missing SUPABASE_URL or SUPABASE_SERVICE_KEY');
+    process.exit(1);
+  }
+
+  reconcileCounters()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('❌', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { reconcileCounters };
@@ -0,0 +1,196 @@
+const express = require('express');
+const { createClient } = require('@supabase/supabase-js');
+const rateLimit = require('express-rate-limit');
+const { buildPostImages } = require('../storage/image_assets');
+
+const router = express.Router();
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY,
+  {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false
+    }
+  }
+);
+
+// Rate limiting for search - every request scores all matching posts
+const searchLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 30, // limit to 30 searches per minute
+  message: { error: 'Too many search requests, please try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+const MAX_TERMS = 5;
+
+// Helper function to split the free-text query into search terms
+// (punctuation is dropped; relevance weights live in search_posts, migration 020)
+const parseTerms = (q) => {
+  if (!q || typeof q !== 'string') {
+    return [];
+  }
+
+  const terms = q
+    .toLowerCase()
+    .replace(/[,()"'*%\\:.]/g, ' ')
+    .split(/\s+/)
+    .map(term => term.replace(/^#/, '').trim())
+    .filter(term => term.length >= 2);
+
+  return [...new Set(terms)].slice(0, MAX_TERMS);
+};
+
+// Helper function to read a tag list given as ?tags=a,b or ?tags=a&tags=b
+// (tags are stored lowercase without '#')
+const parseList = (value) => {
+  if (!value) {
+    return [];
+  }
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return [...new Set(values.map(v => String(v).trim().replace(/^#/, '').trim().toLowerCase()).filter(Boolean))];
+};
+
+// Transform a posts_with_users row into the Flutter app post format (same as GET /api/posts)
+const formatPost = (post) => ({
+  id: post.id,
+  userId: post.user_id,
+  userName: post.username || post.display_name || 'Anonymous', // USERNAME FIRST
+  imageUrl: post.images?.[0] || '',
+  images: buildPostImages(post),
+  caption: post.caption || '',
+  location: post.location,
+  tags: post.tags || [],
+  createdAt: post.created_at,
+  editedAt: post.edited_at || null,
+  isVerified: post.is_verified || false,
+  userType: post.user_type || 'Photography Enthusiast',
+  likes: post.likes_count || 0,
+  commentCount: post.comments_count || 0,
+  isFeatured: post.is_featured || false
+});
+
+/**
+ * @route   GET /api/search/posts
+ * @desc    Free-text post search across caption, location, tags and author names
+ * @access  Public
+ * @query   {
+ *            q?: string,            free text
+ *            tags?: string,         comma separated tag filter
+ *            tag_mode?: 'all'|'any' match every tag (default) or at least one
+ *            from?: string, to?: string  ISO date range on created_at
+ *            featured?: 'true',     featured posts only
+ *            page?: number, limit?: number
+ *          }
+ */
+router.get('/posts', searchLimiter, async (req, res) => {
+  try {
+    const { q, tag_mode = 'all', from, to, featured, page = 1, limit = 10 } = req.query;
+    const terms = parseTerms(q);
+    const tags = parseList(req.query.tags);
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 10, 1), 50);
+    const featuredOnly = featured === 'true' || featured === '1';
+
+    if (terms.length === 0 && tags.length === 0 && !featuredOnly && !from && !to) {
+      return res.status(400).json({ error: 'Provide a search query or at least one filter' });
+    }
+
+    if (tag_mode !== 'all' && tag_mode !== 'any') {
+      return res.status(400).json({ error: "tag_mode must be 'all' or 'any'" });
+    }
+
+    if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+      return res.status(400).json({ error: 'from and to must be valid dates' });
+    }
+
+    console.log(`🔍 Post search - Terms: [${terms.join(', ')}], Tags: [${tags.join(', ')}] (${tag_mode}), Featured: ${featuredOnly}`);
+
+    const offset = (pageNumber - 1) * pageSize;
+
+    // Ranked in Postgres over every matching post, newest first among equals
+    const { data: ranked, error: rankError } = await supabase.rpc('search_posts', {
+      p_terms: terms,
+      p_tags: tags,
+      p_tag_mode: tag_mode,
+      p_from: from ? new Date(from).toISOString() : null,
+      p_to: to ? new Date(to).toISOString() : null,
+      p_featured_only: featuredOnly,
+      p_limit: pageSize,
+      p_offset: offset
+    });
+
+    if (rankError) {
+      console.error('Search query error:', rankError);
+      return res.status(500).json({ error: 'Failed to search posts' });
+    }
+
+    let rows = [];
+    if (ranked.length > 0) {
+      const { data, error } = await supabase
+        .from('posts_with_users')
+        .select(`
+          id,
+          user_id,
+          caption,
+          location,
+          tags,
+          images,
+          image_metadata,
+          created_at,
+          edited_at,
+          likes_count,
+          comments_count,
+          is_featured,
+          username,
+          display_name,
+          avatar_url,
+          is_verified,
+          user_type
+        `)
+        .in('id', ranked.map(entry => entry.id));
+
+      if (error) {
+        console.error('Search query error:', error);
+        return res.status(500).json({ error: 'Failed to search posts' });
+      }
+      rows = data || [];
+    }
+
+    // Keep the ranking order
+    const postsById = new Map(rows.map(post => [post.id, post]));
+    const pagePosts = ranked.map(entry => postsById.get(entry.id)).filter(Boolean);
+    const total = ranked.length > 0 ? Number(ranked[0].total_count) : 0;
+
+    console.log(`✅ Search returned ${total} matches`);
+
+    res.json({
+      success: true,
+      query: {
+        terms: terms,
+        tags: tags,
+        tag_mode: tag_mode,
+        from: from || null,
+        to: to || null,
+        featured: featuredOnly
+      },
+      posts: pagePosts.map(formatPost),
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total: total,
+        hasMore: offset + pageSize < total
+      }
+    });
+
+  } catch (error) {
+    console.error('Search posts error:', error);
+    res.status(500).json({ error: 'Server error searching posts' });
+  }
+});
+
+module.exports = router;
@@ -1,12 +1,12 @@
 const express = require('express');
 const multer = require('multer');
 const { createClient } = require('@supabase/supabase-js');
-const cloudinary = require('cloudinary').v2;
 const cors = require('cors');
 const jwt = require('jsonwebtoken');
 const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
 const compression = require('compression');
+const crypto = require('crypto');
 require('dotenv').config();
 
 const app = express();
@@ -16,12 +16,13 @@ const PORT = process.env.PORT || 3000;
 app.set('trust proxy', 1); // Trust first proxy
 
 // Environment variables validation
+// Cloudinary credentials are only needed when it is the storage provider
 const requiredEnvVars = [
   'SUPABASE_URL',
   'SUPABASE_SERVICE_KEY',
-  'CLOUDINARY_CLOUD_NAME',
-  'CLOUDINARY_API_KEY',
-  'CLOUDINARY_API_SECRET'
+  ...((process.env.STORAGE_PROVIDER || 'cloudinary') === 'cloudinary'
+    ? ['CLOUDINARY_CLOUD_NAME', 'CLOUDINARY_API_KEY', 'CLOUDINARY_API_SECRET']
+    : [])
 ];
 
 for (const envVar of requiredEnvVars) {
@@ -43,23 +44,36 @@ const supabase = createClient(
   }
 );
 
-// Configure Cloudinary
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
-});
+// Image storage (Cloudinary, or local disk with STORAGE_PROVIDER=local)
+const { STORAGE_PROVIDER, storage: imageStorage } = require('./storage/storage');
+const { uploadImageAsset, getPostImageFields, getSharedPhotoLocation, filterOwnedImageUrls, buildPostImages } = require('./storage/image_assets');
+const { validateImageUploads } = require('./storage/upload_validation');
+const { normaliseMake } = require('./storage/exif');
+const {
+  hashUploadedFiles,
+  findDuplicatesWithinUpload,
+  findDuplicatesInUserPosts,
+  shouldRejectDuplicates
+} = require('./storage/duplicate_images');
+console.log(`🗄️ Image storage provider: ${STORAGE_PROVIDER}`);
 
 // Middleware
 app.use(helmet());
 app.use(compression());
 app.use(cors({
   origin: process.env.ALLOWED_ORIGINS?.split(',') || '*',
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-Id'],
+  exposedHeaders: ['X-Request-Id'],
   credentials: true
 }));
 
+// Locally stored images - mounted ahead of the rate limiter since feeds load many at once
+const staticRoute = imageStorage.getStaticRoute();
+if (staticRoute) {
+  app.use(staticRoute.path, staticRoute.handler);
+}
+
 // Rate limiting - Configured for proxy environment
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -81,6 +95,13 @@ app.use(limiter);
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
+// Request id - echoed back in X-Request-Id and recorded in the audit log
+app.use((req, res, next) => {
+  req.requestId = (req.get('X-Request-Id') || '').slice(0, 128) || crypto.randomUUID();
+  res.set('X-Request-Id', req.requestId);
+  next();
+});
+
 // Configure multer for file uploads (for posts)
 const storage = multer.memoryStorage();
 const upload = multer({
@@ -88,13 +109,7 @@ const upload = multer({
   limits: {
     fileSize: 10 * 1024 * 1024, // 10MB limit
   },
-  fileFilter: (req, file, cb) => {
-    if (file.mimetype.startsWith('image/')) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only image files are allowed!'), false);
-    }
-  },
+  // File types are checked from the file contents by validateImageUploads
 });
 
 // Authentication middleware
@@ -123,31 +138,100 @@ const authenticateUser = async (req, res, next) => {
   }
 };
 
-// Helper function to upload POST images to Cloudinary
-const uploadToCloudinary = (buffer, originalName) => {
-  return new Promise((resolve, reject) => {
-    const uploadStream = cloudinary.uploader.upload_stream(
-      {
-        folder: 'posts', // Keep posts in the posts folder
-        resource_type: 'image',
-        transformation: [
-          { quality: 'auto:good' },
-          { fetch_format: 'auto' },
-          { width: 1200, height: 1200, crop: 'limit' }
-        ],
-        public_id: `post_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
-      },
-      (error, result) => {
-        if (error) {
-          console.error('Cloudinary upload error:', error);
-          reject(error);
-        } else {
-          resolve(result.secure_url);
-        }
+// Optional authentication - sets req.user when a valid token is present, never rejects.
+// Used by public read endpoints that add per-viewer state (isLiked, isSaved).
+const optionalAuthenticateUser = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+      const token = authHeader.split(' ')[1];
+      const { data: { user } } = await supabase.auth.getUser(token);
+      if (user) {
+        req.user = user;
       }
-    );
-    
-    uploadStream.end(buffer);
+    }
+  } catch (error) {
+    console.log('Optional auth failed, continuing anonymously:', error.message);
+  }
+  next();
+};
+
+// Helper function to find which of the given posts the viewer has liked and saved
+const fetchViewerPostState = async (viewerId, postIds) => {
+  if (!viewerId || postIds.length === 0) {
+    return { likedIds: new Set(), savedIds: new Set() };
+  }
+
+  const [likesResult, savedResult] = await Promise.all([
+    supabase
+      .from('post_likes')
+      .select('post_id')
+      .eq('user_id', viewerId)
+      .in('post_id', postIds),
+    supabase
+      .from('saved_posts')
+      .select('post_id')
+      .eq('user_id', viewerId)
+      .in('post_id', postIds)
+  ]);
+
+  if (likesResult.error) {
+    console.error('Error fetching liked state:', likesResult.error);
+  }
+  if (savedResult.error) {
+    console.error('Error fetching saved state:', savedResult.error);
+  }
+
+  return {
+    likedIds: new Set((likesResult.data || []).map(row => row.post_id)),
+    savedIds: new Set((savedResult.data || []).map(row => row.post_id))
+  };
+};
+
+// Helper function to list the ids of profiles hidden by a moderator, in pages
+const fetchHiddenProfileIds = async () => {
+  const ids = [];
+  const pageSize = 1000;
+
+  for (let from = 0; ; from += pageSize) {
+    const { data, error } = await supabase
+      .from('profiles')
+      .select('id')
+      .eq('is_hidden', true)
+      .order('id', { ascending: true })
+      .range(from, from + pageSize - 1);
+
+    if (error) {
+      throw new Error(`Failed to fetch hidden profiles: ${error.message}`);
+    }
+
+    ids.push(...(data || []).map(profile => profile.id));
+
+    if (!data || data.length < pageSize) {
+      return ids;
+    }
+  }
+};
+
+// Helper function to normalise post tags - stored lowercase without '#', so #Sunset and sunset
+// are one tag for ?tag=, tag pages and trending (posts/edit_post.js does the same on edits)
+const normaliseTags = (tags) => {
+  if (!Array.isArray(tags)) return [];
+  const keys = tags
+    .filter(tag => typeof tag === 'string')
+    .map(tag => tag.trim().replace(/^#/, '').trim().toLowerCase())
+    .filter(Boolean);
+  return [...new Set(keys)];
+};
+
+// Helper function to upload POST images to storage
+const uploadPostImage = (file, userId, keepLocation = false) => {
+  return uploadImageAsset(file, {
+    folder: 'posts', // Keep posts in the posts folder
+    publicId: `post_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    resize: { width: 1200, height: 1200, crop: 'limit' },
+    uploadedBy: userId,
+    keepLocation: keepLocation
   });
 };
 
@@ -203,6 +287,126 @@ try {
   console.log('📝 Profile image functionality will be disabled');
 }
 
+// Load follow routes (follow/unfollow, followers and following lists)
+try {
+  const followRoutes = require('./follows/follows');
+  app.use('/api/profile', followRoutes);
+  console.log('✅ Follow routes loaded successfully');
+} catch (error) {
+  console.error('⚠️ Failed to load follow routes:', error.message);
+  console.log('📝 Follow functionality will be disabled');
+}
+
+// Load the following feed routes
+try {
+  const followingFeedRoutes = require('./follows/following_feed');
+  app.use('/api/feed', followingFeedRoutes);
+  console.log('✅ Following feed routes loaded successfully');
+} catch (error) {
+  console.error('⚠️ Failed to load following feed routes:', error.message);
+  console.log('📝 Following feed functionality will be disabled');
+}
+
+// Load search routes
+try {
+  const searchRoutes = require('./search/search');
+  app.use('/api/search', searchRoutes);
+  console.log('✅ Search routes loaded successfully');
+} catch (error) {
+  console.error('⚠️ Failed to load search routes:', error.message);
+  console.log('📝 Search functionality will be disabled');
+}
+
+// Load tag discovery routes (trending tags and per-tag stats)
+try {
+  const tagRoutes = require('./tags/tags');
+  app.use('/api/tags', tagRoutes);
+  console.log('✅ Tag routes loaded successfully');
+} catch (error) {
+  console.error('⚠️ Failed to load tag routes:', error.message);
+  console.log('📝 Tag discovery functionality will be disabled');
+}
+
+// Load saved posts routes (saved list and collections)
+try {
+  const savedPostsRoutes = require('./saved/saved_posts');
+  app.use('/api/saved', savedPostsRoutes);
+  console.log('✅ Saved posts routes loaded successfully');
+} catch (error) {
+  console.error('⚠️ Failed to load saved posts routes:', error.message);
+  console.log('📝 Saved posts functionality will be disabled');
+}
+
+// Load content reporting and moderation queue routes
+try {
+  const reportRoutes = require('./moderation/reports');
+  app.use('/api/reports', reportRoutes);
+  console.log('✅ Report routes loaded successfully');
+} catch (error) {
+  console.error('⚠️ Failed to load report routes:', error.message);
+  console.log('📝 Content reporting functionality will be disabled');
+}
+
+// Load repost report routes (admin: images reposted across accounts)
+try {
+  const repostRoutes = require('./moderation/reposts');
+  app.use('/api/reposts', repostRoutes);
+  console.log('✅ Repost report routes loaded successfully');
+} catch (error) {
+  console.error('⚠️ Failed to load repost report routes:', error.message);
+  console.log('📝 Repost report functionality will be disabled');
+}
+
+// Load Cloudinary deletion job routes (job status and admin dead-letter list)
+try {
+  const deletionJobRoutes = require('./delete/deletion_jobs');
+  app.use('/api/deletion-jobs', deletionJobRoutes);
+  console.log('✅ Deletion job routes loaded successfully');
+} catch (error) {
+  console.error('⚠️ Failed to load deletion job routes:', error.message);
+  console.log('📝 Deletion job status functionality will be disabled');
+}
+
+// Load audit log routes (admin query and CSV export)
+try {
+  const auditLogRoutes = require('./audit/audit_logs');
+  app.use('/api/audit-logs', auditLogRoutes);
+  console.log('✅ Audit log routes loaded successfully');
+} catch (error) {
+  console.error('⚠️ Failed to load audit log routes:', error.message);
+  console.log('📝 Audit log query functionality will be disabled');
+}
+
+// Load account routes (account deletion)
+try {
+  const accountRoutes = require('./account/account');
+  app.use('/api/account', accountRoutes);
+  console.log('✅ Account routes loaded successfully');
+} catch (error) {
+  console.error('⚠️ Failed to load account routes:', error.message);
+  console.log('📝 Account deletion functionality will be disabled');
+}
+
+// Load data export routes (personal data archive)
+try {
+  const dataExportRoutes = require('./exports/data_exports');
+  app.use('/api/exports', dataExportRoutes);
+  console.log('✅ Data export routes loaded successfully');
+} catch (error) {
+  console.error('⚠️ Failed to load data export routes:', error.message);
+  console.log('📝 Data export functionality will be disabled');
+}
+
+// Load direct upload routes (signed uploads straight to storage, then finalize)
+try {
+  const directUploadRoutes = require('./directupload/direct_uploads');
+  app.use('/api/direct-uploads', directUploadRoutes);
+  console.log('✅ Direct upload routes loaded successfully');
+} catch (error) {
+  console.error('⚠️ Failed to load direct upload routes:', error.message);
+  console.log('📝 Direct upload functionality will be disabled');
+}
+
 // Import the chat image upload routes
 try {
   const imageTextRoutes = require('./imagesend/imagetext');
@@ -213,6 +417,7 @@ try {
   console.log('📝 Chat image functionality will be disabled');
 }
 // Load delete post routes BEFORE main server routes to prevent conflicts
+// (single, bulk and admin deletes, trash and restore - see delete/post_deletion_service.js)
 try {
   const deletePostRoutes = require('./delete/delete_post');
   app.use('/api/posts', deletePostRoutes);
@@ -223,6 +428,26 @@ try {
 }
 
 
+// Load comment routes (threaded comments and comment likes on posts)
+try {
+  const commentRoutes = require('./comments/comments');
+  app.use('/api/posts', commentRoutes);
+  console.log('✅ Comment routes loaded successfully');
+} catch (error) {
+  console.error('⚠️ Failed to load comment routes:', error.message);
+  console.log('📝 Comment functionality will be disabled');
+}
+
+// Load post editing routes (PATCH /api/posts/:postId and edit history)
+try {
+  const editPostRoutes = require('./posts/edit_post');
+  app.use('/api/posts', editPostRoutes);
+  console.log('✅ Edit post routes loaded successfully');
+} catch (error) {
+  console.error('⚠️ Failed to load edit post routes:', error.message);
+  console.log('📝 Post editing functionality will be disabled');
+}
+
 // Load chat image deletion routes
 try {
   const deleteChatImageRoutes = require('./delete/delete_textimage');
@@ -273,50 +498,76 @@ try {
   console.log('📝 Image deletion functionality will be disabled');
 }
 
-// Load delete my posts routes AFTER existing delete routes
-try {
-  let deleteMyPostsRoutes;
-  try {
-    // Preferred correct filename
-    deleteMyPostsRoutes = require('./delete/delete_myposts');
-  } catch (innerError) {
-    // Fallback to current filename with typo in repo
-    deleteMyPostsRoutes = require('./delete/detete_myposts');
-  }
-  app.use('/api/posts', deleteMyPostsRoutes);
-  console.log('✅ Delete my posts routes loaded successfully');
-} catch (error) {
-  console.error('⚠️ Failed to load delete my posts routes:', error.message);
-  console.log('📝 Enhanced post deletion functionality will be disabled');
-}
-
-// Upload POST images endpoint (keeps using posts folder)
-app.post('/api/upload-images', uploadLimiter, authenticateUser, upload.array('images', 5), async (req, res) => {
+/**
+ * @route POST /api/upload-images
+ * @desc Upload post images (keeps using posts folder). GPS and identifying metadata are
+ *       removed from every file before it is stored.
+ * @access Private
+ * @body images - Up to 5 files
+ * @body share_location - 'true' to keep where each photo was taken (returned in `locations` and
+ *       usable as the post location via use_photo_location on POST /api/posts)
+ * @body allow_duplicates - 'true' to upload anyway when DUPLICATE_IMAGE_POLICY=reject finds
+ *       near-duplicates of each other or of the user's earlier posts (409 otherwise)
+ */
+app.post('/api/upload-images', uploadLimiter, authenticateUser, upload.array('images', 5), validateImageUploads(['jpeg', 'png', 'webp', 'heic']), async (req, res) => {
   try {
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({ error: 'No images provided' });
     }
 
+    const shareLocation = req.body.share_location === 'true' || req.body.share_location === true;
+
+    // Near-duplicate check against this upload and the user's earlier posts
+    await hashUploadedFiles(req.files);
+    const duplicates = [
+      ...findDuplicatesWithinUpload(req.files),
+      ...(await findDuplicatesInUserPosts(req.user.id, req.files))
+    ];
+
+    if (duplicates.length > 0 && shouldRejectDuplicates(req.body.allow_duplicates)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Some images look like duplicates. Send allow_duplicates=true to upload them anyway.',
+        duplicates: duplicates
+      });
+    }
+
     console.log(`📁 Uploading ${req.files.length} image(s) for user: ${req.user.id}`);
 
     const imageUrls = [];
+    const locations = [];
     
     for (const file of req.files) {
       try {
-        const imageUrl = await uploadToCloudinary(file.buffer, file.originalname);
-        imageUrls.push(imageUrl);
-        console.log(`✅ Image uploaded: ${imageUrl}`);
+        const result = await uploadPostImage(file, req.user.id, shareLocation);
+        imageUrls.push(result.url);
+        locations.push(result.location);
+        console.log(`✅ Image uploaded: ${result.url}`);
       } catch (error) {
-        console.error('Error uploading image to Cloudinary:', error);
+        console.error('Error uploading image to storage:', error);
+        if (error.status === 422) {
+          return res.status(422).json({ error: error.message, file: file.originalname });
+        }
         return res.status(500).json({ error: 'Failed to upload image to cloud storage' });
       }
     }
 
-    res.json({
+    const response = {
       success: true,
       imageUrls: imageUrls,
       message: `${imageUrls.length} image(s) uploaded successfully`
-    });
+    };
+
+    // Only present when the uploader opted in; null for images without GPS data
+    if (shareLocation) {
+      response.locations = locations;
+    }
+
+    if (duplicates.length > 0) {
+      response.duplicates = duplicates;
+    }
+
+    res.json(response);
 
   } catch (error) {
     console.error('Upload endpoint error:', error);
@@ -324,10 +575,12 @@ app.post('/api/upload-images', uploadLimiter, authenticateUser, upload.array('im
   }
 });
 
-// Create post endpoint
+// Create post endpoint. With use_photo_location and no location of its own, the post takes the
+// place of the first image uploaded with share_location.
 app.post('/api/posts', authenticateUser, async (req, res) => {
   try {
-    const { content, tags = [], images = [], location, userId } = req.body;
+    const { content, tags = [], images = [], userId, use_photo_location = false } = req.body;
+    let { location } = req.body;
 
     // Validation
     if (!content || content.trim().length === 0) {
@@ -348,11 +601,25 @@ app.post('/api/posts', authenticateUser, async (req, res) => {
       return res.status(403).json({ error: 'Cannot create post for another user' });
     }
 
+    // Only images this user uploaded (POST /api/upload-images) can be attached
+    const imageList = Array.isArray(images) ? images : [images];
+    const ownedImages = await filterOwnedImageUrls(imageList, actualUserId);
+    if (ownedImages.length !== imageList.length) {
+      return res.status(400).json({ error: 'Images must be uploaded image URLs' });
+    }
+
     console.log(`📝 Creating post for user: ${actualUserId}`);
 
     // First, ensure user has a profile (create if missing)
     await ensureUserProfile(actualUserId);
 
+    // Dimensions and EXIF recorded when the images were uploaded
+    const imageFields = await getPostImageFields(imageList);
+
+    if (use_photo_location === true && !location?.trim()) {
+      location = await getSharedPhotoLocation(imageList, actualUserId);
+    }
+
     // Insert post into database
     const { data: post, error } = await supabase
       .from('posts')
@@ -360,8 +627,9 @@ app.post('/api/posts', authenticateUser, async (req, res) => {
         user_id: actualUserId,
         caption: content.trim(),
         location: location?.trim() || null,
-        tags: Array.isArray(tags) ? tags.filter(tag => tag && tag.trim()) : [],
-        images: Array.isArray(images) ? images : [images],
+        tags: normaliseTags(tags),
+        images: imageList,
+        ...imageFields,
         created_at: new Date().toISOString()
       }])
       .select('id')
@@ -384,7 +652,9 @@ app.post('/api/posts', authenticateUser, async (req, res) => {
         location,
         tags,
         images,
+        image_metadata,
         created_at,
+        edited_at,
         likes_count,
         comments_count,
         is_featured,
@@ -408,11 +678,12 @@ app.post('/api/posts', authenticateUser, async (req, res) => {
           userId: actualUserId,
           userName: 'Anonymous',
           imageUrl: images[0],
-          images: images,
+          images: buildPostImages({ images: images, image_metadata: imageFields.image_metadata }),
           caption: content.trim(),
           location: location?.trim() || null,
-          tags: tags || [],
+          tags: normaliseTags(tags),
           createdAt: new Date().toISOString(),
+          editedAt: null,
           isVerified: false,
           userType: 'Photography Enthusiast',
           likes: 0,
@@ -431,11 +702,12 @@ app.post('/api/posts', authenticateUser, async (req, res) => {
         userId: completePost.user_id,
         userName: completePost.username || completePost.display_name || 'Anonymous',
         imageUrl: completePost.images[0],
-        images: completePost.images,
+        images: buildPostImages(completePost),
         caption: completePost.caption,
         location: completePost.location,
         tags: completePost.tags || [],
         createdAt: completePost.created_at,
+        editedAt: completePost.edited_at || null,
         isVerified: completePost.is_verified || false,
         userType: completePost.user_type || 'Photography Enthusiast',
         likes: completePost.likes_count || 0,
@@ -452,15 +724,115 @@ app.post('/api/posts', authenticateUser, async (req, res) => {
   }
 });
 
+// Helper function to encode an opaque cursor from the last row of a page (created_at, id)
+const encodePostCursor = (post) => {
+  return Buffer.from(JSON.stringify({ c: post.created_at, i: post.id })).toString('base64url');
+};
+
+// Cursor parts go into an .or() filter string, so they must match these exactly
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})?$/;
+
+// Helper function to decode a cursor - returns null if it was tampered with
+const decodePostCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!TIMESTAMP_PATTERN.test(decoded.c) || isNaN(Date.parse(decoded.c)) || !UUID_PATTERN.test(decoded.i)) {
+      return null;
+    }
+    return { createdAt: decoded.c, id: decoded.i };
+  } catch (error) {
+    return null;
+  }
+};
+
 // Get posts endpoint - CORRECTED to prioritize username over display_name
-app.get('/api/posts', async (req, res) => {
+// Supports keyset pagination via ?cursor= (preferred) and legacy ?page= offsets.
+// ?camera= and ?lens= filter on the EXIF of the post's images (case-insensitive; a brand
+// such as ?camera=nikon or ?camera=Nikon Corporation matches every body from that maker)
+app.get('/api/posts', optionalAuthenticateUser, async (req, res) => {
   try {
-      const { page = 1, limit = 10 } = req.query;
-      const offset = (page - 1) * limit;
+      const { page = 1, limit = 10, cursor } = req.query;
+      const pageSize = Math.min(Math.max(parseInt(limit) || 10, 1), 50);
       const userId = req.query.user_id;
-      const tag = req.query.tag;
+      const tag = typeof req.query.tag === 'string' ? req.query.tag.trim().replace(/^#/, '').trim().toLowerCase() : '';
+      const camera = typeof req.query.camera === 'string' ? normaliseMake(req.query.camera.trim()) : '';
+      const lens = typeof req.query.lens === 'string' ? normaliseMake(req.query.lens.trim()) : '';
+
+      let keyset = null;
+      if (cursor) {
+          keyset = decodePostCursor(cursor);
+          if (!keyset) {
+              return res.status(400).json({ error: 'Invalid cursor' });
+          }
+      }
+
+      const offset = keyset ? 0 : (parseInt(page) - 1) * pageSize;
       
-      console.log(`📥 Fetching posts - Page: ${page}, Limit: ${limit}, UserId: ${userId}, Tag: ${tag}`);
+      console.log(`📥 Fetching posts - ${keyset ? 'Cursor' : `Page: ${page}`}, Limit: ${pageSize}, UserId: ${userId}, Tag: ${tag}${camera ? `, Camera: ${camera}` : ''}${lens ? `, Lens: ${lens}` : ''}`);
+
+      // Filters shared by the page query and the total count
+      const applyFilters = (query) => {
+          // Posts hidden by a moderator or sitting in the trash never show up in feeds
+          query = query.eq('is_hidden', false).is('deleted_at', null);
+          if (userId) {
+              query = query.eq('user_id', userId);
+          }
+          if (tag) {
+              query = query.contains('tags', [tag]);
+          }
+          if (camera) {
+              query = query.contains('exif_cameras', [camera]);
+          }
+          if (lens) {
+              query = query.contains('exif_lenses', [lens]);
+          }
+          return query;
+      };
+
+      // Newest first with id as tie-breaker; one extra row tells us if there is more
+      const applyPage = (query) => {
+          query = query
+              .order('created_at', { ascending: false })
+              .order('id', { ascending: false });
+
+          if (keyset) {
+              return query
+                  .or(`created_at.lt."${keyset.createdAt}",and(created_at.eq."${keyset.createdAt}",id.lt.${keyset.id})`)
+                  .limit(pageSize + 1);
+          }
+          return query.range(offset, offset + pageSize);
+      };
+
+      // Leaves out posts by profiles hidden by a moderator, for queries on the posts table itself
+      const excludeAuthors = (query, authorIds) => {
+          return authorIds.length > 0 ? query.not('user_id', 'in', `(${authorIds.join(',')})`) : query;
+      };
+
+      // Counted through the view so posts by moderator-hidden profiles are left out;
+      // the manual-join fallback passes the hidden profile ids and counts on posts instead
+      const countPosts = async (hiddenAuthorIds = null) => {
+          const query = hiddenAuthorIds
+              ? excludeAuthors(supabase.from('posts').select('id', { count: 'exact', head: true }), hiddenAuthorIds)
+              : supabase.from('posts_with_users').select('id', { count: 'exact', head: true }).eq('author_is_hidden', false);
+          const { count } = await applyFilters(query);
+          return count || 0;
+      };
+
+      const buildPagination = (rows, total) => {
+          const hasMore = rows.length > pageSize;
+          const pageRows = hasMore ? rows.slice(0, pageSize) : rows;
+          return {
+              pageRows,
+              pagination: {
+                  page: keyset ? null : parseInt(page),
+                  limit: pageSize,
+                  total: total,
+                  hasMore: hasMore,
+                  nextCursor: hasMore ? encodePostCursor(pageRows[pageRows.length - 1]) : null
+              }
+          };
+      };
       
       // Try to use the posts_with_users view first
       try {
@@ -473,7 +845,9 @@ app.get('/api/posts', async (req, res) => {
                   location,
                   tags,
                   images,
+                  image_metadata,
                   created_at,
+                  edited_at,
                   likes_count,
                   comments_count,
                   is_featured,
@@ -483,21 +857,17 @@ app.get('/api/posts', async (req, res) => {
                   is_verified,
                   user_type
               `)
-              .order('created_at', { ascending: false });
-          
-          // Apply filters
-          if (userId) {
-              query = query.eq('user_id', userId);
-          }
-          if (tag) {
-              query = query.contains('tags', [tag]);
-          }
-          
-          const { data: posts, error } = await query
-              .range(offset, offset + parseInt(limit) - 1);
+              .eq('author_is_hidden', false); // profile hidden by a moderator
+
+          query = applyPage(applyFilters(query));
 
-          if (!error && posts) {
+          const [{ data: rows, error }, total] = await Promise.all([query, countPosts()]);
+
+          if (!error && rows) {
+              const { pageRows: posts, pagination } = buildPagination(rows, total);
               console.log(`✅ Successfully fetched ${posts.length} posts using view`);
+
+              const { likedIds, savedIds } = await fetchViewerPostState(req.user?.id, posts.map(post => post.id));
               
               // Transform posts for your Flutter app format - PRIORITIZE USERNAME
               const transformedPosts = posts.map(post => ({
@@ -505,28 +875,26 @@ app.get('/api/posts', async (req, res) => {
                   userId: post.user_id,
                   userName: post.username || post.display_name || 'Anonymous', // USERNAME FIRST
                   imageUrl: post.images?.[0] || '',
-                  images: post.images || [],
+                  images: buildPostImages(post),
                   caption: post.caption || '',
                   location: post.location,
                   tags: post.tags || [],
                   createdAt: post.created_at,
+                  editedAt: post.edited_at || null,
                   isVerified: post.is_verified || false,
                   userType: post.user_type || 'Photography Enthusiast',
                   likes: post.likes_count || 0,
                   commentCount: post.comments_count || 0,
-                  isFeatured: post.is_featured || false
+                  isFeatured: post.is_featured || false,
+                  isLiked: likedIds.has(post.id),
+                  isSaved: savedIds.has(post.id)
               }));
 
               return res.json({
                   success: true,
                   posts: transformedPosts,
-                  pagination: {
-                      page: parseInt(page),
-                      limit: parseInt(limit),
-                      total: posts.length,
-                      hasMore: posts.length === parseInt(limit)
-                  },
-                  total: posts.length,
+                  pagination: pagination,
+                  total: total,
                   offset: offset
               });
           }
@@ -534,7 +902,16 @@ app.get('/api/posts', async (req, res) => {
           console.log('View not available, falling back to manual join');
       }
       
-      // Manual approach using posts + profiles tables
+      // Manual approach using posts + profiles tables. Posts by hidden profiles are filtered
+      // out before the page is cut so pages stay full and the cursor skips nothing.
+      let hiddenAuthorIds;
+      try {
+          hiddenAuthorIds = await fetchHiddenProfileIds();
+      } catch (hiddenError) {
+          console.error('Error fetching hidden profiles:', hiddenError.message);
+          return res.status(500).json({ error: 'Failed to fetch posts' });
+      }
+
       let query = supabase
           .from('posts')
           .select(`
@@ -544,41 +921,32 @@ app.get('/api/posts', async (req, res) => {
               location,
               tags,
               images,
+              image_metadata,
               created_at,
+              edited_at,
               likes_count,
               comments_count,
               is_featured
-          `, { count: 'exact' })
-          .order('created_at', { ascending: false });
-      
-      // Apply filters
-      if (userId) {
-          query = query.eq('user_id', userId);
-      }
-      if (tag) {
-          query = query.contains('tags', [tag]);
-      }
-      
-      const { data: posts, error, count } = await query
-          .range(offset, offset + parseInt(limit) - 1);
+          `);
+
+      query = applyPage(applyFilters(excludeAuthors(query, hiddenAuthorIds)));
+
+      const [{ data: rows, error }, total] = await Promise.all([query, countPosts(hiddenAuthorIds)]);
 
       if (error) {
           console.error('Supabase posts fetch error:', error);
           return res.status(500).json({ error: 'Failed to fetch posts' });
       }
 
-      if (!posts || posts.length === 0) {
+      const { pageRows: posts, pagination } = buildPagination(rows || [], total);
+
+      if (posts.length === 0) {
           console.log('📭 No posts found');
           return res.json({
               success: true,
               posts: [],
-              pagination: {
-                  page: parseInt(page),
-                  limit: parseInt(limit),
-                  total: count || 0,
-                  hasMore: false
-              },
-              total: count || 0,
+              pagination: pagination,
+              total: total,
               offset: offset
           });
       }
@@ -643,6 +1011,8 @@ app.get('/api/posts', async (req, res) => {
           }
       }
 
+      const { likedIds, savedIds } = await fetchViewerPostState(req.user?.id, posts.map(post => post.id));
+
       // Transform posts with user information for Flutter app - PRIORITIZE USERNAME
       const formattedPosts = posts.map(post => {
           const userInfo = userMap[post.user_id] || {
@@ -661,16 +1031,19 @@ app.get('/api/posts', async (req, res) => {
               userId: post.user_id,
               userName: userName,
               imageUrl: post.images?.[0] || '',
-              images: post.images || [],
+              images: buildPostImages(post),
               caption: post.caption || '',
               location: post.location,
               tags: post.tags || [],
               createdAt: post.created_at,
+              editedAt: post.edited_at || null,
               isVerified: userInfo.is_verified,
               userType: userInfo.user_type,
               likes: post.likes_count || 0,
               commentCount: post.comments_count || 0,
-              isFeatured: post.is_featured || false
+              isFeatured: post.is_featured || false,
+              isLiked: likedIds.has(post.id),
+              isSaved: savedIds.has(post.id)
           };
       });
 
@@ -679,13 +1052,8 @@ app.get('/api/posts', async (req, res) => {
       const response = {
           success: true,
           posts: formattedPosts,
-          pagination: {
-              page: parseInt(page),
-              limit: parseInt(limit),
-              total: count || 0,
-              hasMore: (offset + parseInt(limit)) < (count || 0)
-          },
-          total: count || 0,
+          pagination: pagination,
+          total: total,
           offset: offset
       };
 
@@ -778,7 +1146,7 @@ async function ensureUserProfile(userId) {
 }
 
 // Get single post endpoint
-app.get('/api/posts/:postId', async (req, res) => {
+app.get('/api/posts/:postId', optionalAuthenticateUser, async (req, res) => {
   try {
     const { postId } = req.params;
 
@@ -791,7 +1159,9 @@ app.get('/api/posts/:postId', async (req, res) => {
         location,
         tags,
         images,
+        image_metadata,
         created_at,
+        edited_at,
         likes_count,
         comments_count,
         is_featured,
@@ -802,27 +1172,34 @@ app.get('/api/posts/:postId', async (req, res) => {
         user_type
       `)
       .eq('id', postId)
+      .eq('is_hidden', false)
+      .eq('author_is_hidden', false)
       .single();
 
     if (error || !post) {
       return res.status(404).json({ error: 'Post not found' });
     }
 
+    const { likedIds, savedIds } = await fetchViewerPostState(req.user?.id, [post.id]);
+
     const formattedPost = {
       id: post.id,
       userId: post.user_id,
       userName: post.username || post.display_name || 'Anonymous', // USERNAME FIRST
       imageUrl: post.images?.[0] || '',
-      images: post.images || [],
+      images: buildPostImages(post),
       caption: post.caption || '',
       location: post.location,
       tags: post.tags || [],
       createdAt: post.created_at,
+      editedAt: post.edited_at || null,
       isVerified: post.is_verified || false,
       userType: post.user_type || 'Photography Enthusiast',
       likes: post.likes_count || 0,
       commentCount: post.comments_count || 0,
-      isFeatured: post.is_featured || false
+      isFeatured: post.is_featured || false,
+      isLiked: likedIds.has(post.id),
+      isSaved: savedIds.has(post.id)
     };
 
     res.json({
@@ -836,78 +1213,282 @@ app.get('/api/posts/:postId', async (req, res) => {
   }
 });
 
-// Like/unlike post endpoint
-app.post('/api/posts/:postId/like', authenticateUser, async (req, res) => {
+// Helper function to like or unlike a post atomically.
+// The set_post_like / toggle_post_like database functions lock the post row,
+// insert or delete the post_likes row (unique on post_id + user_id) and adjust
+// likes_count in the same transaction, so concurrent taps cannot drift the count.
+const applyPostLike = async (postId, userId, liked) => {
+  const { data, error } = liked === 'toggle'
+    ? await supabase.rpc('toggle_post_like', { p_post_id: postId, p_user_id: userId })
+    : await supabase.rpc('set_post_like', { p_post_id: postId, p_user_id: userId, p_liked: liked });
+
+  if (error) {
+    // P0002 is raised by the functions when the post does not exist
+    if (error.code === 'P0002') {
+      return { notFound: true };
+    }
+    throw new Error(`Failed to update like: ${error.message}`);
+  }
+
+  return {
+    liked: data.liked,
+    likesCount: data.likes_count || 0,
+    changed: data.changed
+  };
+};
+
+// Shared handler for the like endpoints - desired is true, false or 'toggle'
+const handlePostLike = (desired) => async (req, res) => {
   try {
     const { postId } = req.params;
     const userId = req.user.id;
 
-    console.log(`👍 Toggle like for post: ${postId} by user: ${userId}`);
+    console.log(`👍 Like ${desired === 'toggle' ? 'toggle' : desired ? 'set' : 'unset'} for post: ${postId} by user: ${userId}`);
+
+    const result = await applyPostLike(postId, userId, desired);
+
+    if (result.notFound) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    console.log(`✅ Like updated - Liked: ${result.liked}, Changed: ${result.changed}, Total likes: ${result.likesCount}`);
+
+    res.json({
+      success: true,
+      liked: result.liked,
+      likes: result.likesCount,
+      changed: result.changed,
+      message: result.liked ? 'Post liked' : 'Post unliked'
+    });
+
+  } catch (error) {
+    console.error('Like post error:', error);
+    res.status(500).json({ error: 'Server error updating like' });
+  }
+};
+
+// Like/unlike post endpoint (toggle)
+app.post('/api/posts/:postId/like', authenticateUser, handlePostLike('toggle'));
+
+// Like post endpoint (idempotent - liking twice keeps a single like)
+app.put('/api/posts/:postId/like', authenticateUser, handlePostLike(true));
+
+// Unlike post endpoint (idempotent)
+app.delete('/api/posts/:postId/like', authenticateUser, handlePostLike(false));
+
+// List the users who liked a post (most recent first, cursor paginated)
+app.get('/api/posts/:postId/likes', async (req, res) => {
+  try {
+    const { postId } = req.params;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+
+    let keyset = null;
+    if (req.query.cursor) {
+      keyset = decodePostCursor(req.query.cursor);
+      if (!keyset) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+    }
+
+    const { data: post } = await supabase
+      .from('posts')
+      .select('id, likes_count')
+      .eq('id', postId)
+      .is('deleted_at', null)
+      .maybeSingle();
 
-    const { data: existingLike } = await supabase
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    let query = supabase
       .from('post_likes')
-      .select('id')
+      .select('id, user_id, created_at')
       .eq('post_id', postId)
-      .eq('user_id', userId)
-      .single();
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: false })
+      .limit(limit + 1);
+
+    if (keyset) {
+      query = query.or(`created_at.lt."${keyset.createdAt}",and(created_at.eq."${keyset.createdAt}",id.lt.${keyset.id})`);
+    }
+
+    const { data: rows, error } = await query;
+
+    if (error) {
+      console.error('Error fetching post likes:', error);
+      return res.status(500).json({ error: 'Failed to fetch likes' });
+    }
 
-    let liked = false;
-    let likesCount = 0;
+    const hasMore = rows.length > limit;
+    const likes = hasMore ? rows.slice(0, limit) : rows;
+    const userIds = likes.map(like => like.user_id);
 
-    if (existingLike) {
-      const { error: unlikeError } = await supabase
-        .from('post_likes')
-        .delete()
-        .eq('post_id', postId)
-        .eq('user_id', userId);
+    const userMap = {};
+    if (userIds.length > 0) {
+      const { data: profiles, error: profilesError } = await supabase
+        .from('profiles')
+        .select('id, username, display_name, avatar_url, is_verified, user_type')
+        .in('id', userIds);
 
-      if (unlikeError) {
-        console.error('Error removing like:', unlikeError);
-        return res.status(500).json({ error: 'Failed to unlike post' });
+      if (profilesError) {
+        console.error('Error fetching liker profiles:', profilesError);
       }
 
-      liked = false;
-    } else {
-      const { error: likeError } = await supabase
-        .from('post_likes')
-        .insert([{
+      (profiles || []).forEach(profile => {
+        userMap[profile.id] = profile;
+      });
+    }
+
+    res.json({
+      success: true,
+      likes: likes.map(like => {
+        const profile = userMap[like.user_id] || {};
+        return {
+          userId: like.user_id,
+          userName: profile.username || profile.display_name || 'Anonymous', // USERNAME FIRST
+          displayName: profile.display_name || null,
+          avatarUrl: profile.avatar_url || null,
+          isVerified: profile.is_verified || false,
+          userType: profile.user_type || 'Photography Enthusiast',
+          likedAt: like.created_at
+        };
+      }),
+      total: post.likes_count || 0,
+      pagination: {
+        limit: limit,
+        hasMore: hasMore,
+        nextCursor: hasMore ? encodePostCursor(likes[likes.length - 1]) : null
+      }
+    });
+
+  } catch (error) {
+    console.error('Get post likes error:', error);
+    res.status(500).json({ error: 'Server error fetching likes' });
+  }
+});
+
+// Save post endpoint (optionally straight into one of the user's collections)
+app.post('/api/posts/:postId/save', authenticateUser, async (req, res) => {
+  try {
+    const { postId } = req.params;
+    const { collectionId } = req.body || {};
+    const userId = req.user.id;
+
+    console.log(`🔖 Save post: ${postId} by user: ${userId}${collectionId ? ` into collection ${collectionId}` : ''}`);
+
+    const { data: post } = await supabase
+      .from('posts')
+      .select('id')
+      .eq('id', postId)
+      .is('deleted_at', null)
+      .maybeSingle();
+
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    if (collectionId) {
+      const { data: collection } = await supabase
+        .from('saved_collections')
+        .select('id')
+        .eq('id', collectionId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+      if (!collection) {
+        return res.status(404).json({ error: 'Collection not found' });
+      }
+    }
+
+    // Saving twice is a no-op thanks to the (user_id, post_id) unique key
+    const { error: saveError } = await supabase
+      .from('saved_posts')
+      .upsert({
+        user_id: userId,
+        post_id: postId,
+        created_at: new Date().toISOString()
+      }, {
+        onConflict: 'user_id,post_id',
+        ignoreDuplicates: true
+      });
+
+    if (saveError) {
+      console.error('Error saving post:', saveError);
+      return res.status(500).json({ error: 'Failed to save post' });
+    }
+
+    if (collectionId) {
+      const { error: collectionError } = await supabase
+        .from('saved_collection_posts')
+        .upsert({
+          collection_id: collectionId,
           post_id: postId,
           user_id: userId,
           created_at: new Date().toISOString()
-        }]);
-
-      if (likeError) {
-        console.error('Error adding like:', likeError);
-        return res.status(500).json({ error: 'Failed to like post' });
+        }, {
+          onConflict: 'collection_id,post_id',
+          ignoreDuplicates: true
+        });
+
+      if (collectionError) {
+        console.error('Error adding post to collection:', collectionError);
+        return res.status(500).json({ error: 'Failed to add post to collection' });
       }
-
-      liked = true;
     }
 
-    const { count } = await supabase
-      .from('post_likes')
-      .select('*', { count: 'exact', head: true })
+    res.json({
+      success: true,
+      saved: true,
+      collectionId: collectionId || null,
+      message: 'Post saved'
+    });
+
+  } catch (error) {
+    console.error('Save post error:', error);
+    res.status(500).json({ error: 'Server error saving post' });
+  }
+});
+
+// Unsave post endpoint - also removes the post from every collection
+app.delete('/api/posts/:postId/save', authenticateUser, async (req, res) => {
+  try {
+    const { postId } = req.params;
+    const userId = req.user.id;
+
+    console.log(`🔖 Unsave post: ${postId} by user: ${userId}`);
+
+    const { error: collectionError } = await supabase
+      .from('saved_collection_posts')
+      .delete()
+      .eq('user_id', userId)
       .eq('post_id', postId);
 
-    likesCount = count || 0;
+    if (collectionError) {
+      console.error('Error removing post from collections:', collectionError);
+      return res.status(500).json({ error: 'Failed to unsave post' });
+    }
 
-    await supabase
-      .from('posts')
-      .update({ likes_count: likesCount })
-      .eq('id', postId);
+    const { error: unsaveError } = await supabase
+      .from('saved_posts')
+      .delete()
+      .eq('user_id', userId)
+      .eq('post_id', postId);
 
-    console.log(`✅ Like toggled - Liked: ${liked}, Total likes: ${likesCount}`);
+    if (unsaveError) {
+      console.error('Error unsaving post:', unsaveError);
+      return res.status(500).json({ error: 'Failed to unsave post' });
+    }
 
     res.json({
       success: true,
-      liked: liked,
-      likes: likesCount,
-      message: liked ? 'Post liked' : 'Post unliked'
+      saved: false,
+      message: 'Post removed from saved'
     });
 
   } catch (error) {
-    console.error('Toggle like error:', error);
-    res.status(500).json({ error: 'Server error toggling like' });
+    console.error('Unsave post error:', error);
+    res.status(500).json({ error: 'Server error unsaving post' });
   }
 });
 
@@ -930,6 +1511,81 @@ app.use('*', (req, res) => {
   res.status(404).json({ error: 'Endpoint not found' });
 });
 
+// Start the Cloudinary deletion worker - retries queued deletions with backoff
+try {
+  const { startCloudinaryDeletionWorker } = require('./delete/cloudinary_deletion_queue');
+  const workerIntervalSeconds = parseInt(process.env.CLOUDINARY_DELETION_WORKER_INTERVAL_SECONDS) || 30;
+
+  startCloudinaryDeletionWorker(workerIntervalSeconds);
+  console.log(`✅ Cloudinary deletion worker polling every ${workerIntervalSeconds} seconds`);
+} catch (error) {
+  console.error('⚠️ Failed to start Cloudinary deletion worker:', error.message);
+  console.log('📝 Queued image deletions will not be processed');
+}
+
+// Schedule the trash purge - posts past the restore window are deleted for good
+try {
+  const { purgeExpiredTrash } = require('./scripts/purge_trash');
+  const purgeIntervalMinutes = parseInt(process.env.TRASH_PURGE_INTERVAL_MINUTES) || 60;
+
+  setInterval(() => {
+    purgeExpiredTrash().catch(error => console.error('⚠️ Trash purge failed:', error.message));
+  }, purgeIntervalMinutes * 60 * 1000).unref();
+
+  console.log(`✅ Trash purge scheduled every ${purgeIntervalMinutes} minutes`);
+} catch (error) {
+  console.error('⚠️ Failed to schedule trash purge:', error.message);
+  console.log('📝 Trashed posts will not be purged automatically');
+}
+
+// Schedule the repost report refresh - GET /api/reposts reads the stored result
+try {
+  const { refreshRepostedImages } = require('./storage/duplicate_images');
+  const repostReportIntervalHours = parseInt(process.env.REPOST_REPORT_INTERVAL_HOURS) || 6;
+
+  setInterval(() => {
+    refreshRepostedImages().catch(error => console.error('⚠️ Repost report refresh failed:', error.message));
+  }, repostReportIntervalHours * 60 * 60 * 1000).unref();
+
+  console.log(`✅ Repost report refresh scheduled every ${repostReportIntervalHours} hours`);
+} catch (error) {
+  console.error('⚠️ Failed to schedule repost report refresh:', error.message);
+  console.log('📝 The repost report will not be updated automatically');
+}
+
+// Schedule the orphaned asset collector. Scheduled runs only report unreferenced uploads
+// unless ASSET_GC_DELETE=true; npm run gc:assets deletes them on demand.
+try {
+  const { collectOrphanedAssets } = require('./scripts/collect_orphaned_assets');
+  const assetGcIntervalHours = parseInt(process.env.ASSET_GC_INTERVAL_HOURS) || 24;
+  const assetGcDryRun = process.env.ASSET_GC_DELETE !== 'true';
+
+  setInterval(() => {
+    collectOrphanedAssets({ dryRun: assetGcDryRun })
+      .catch(error => console.error('⚠️ Orphaned asset collection failed:', error.message));
+  }, assetGcIntervalHours * 60 * 60 * 1000).unref();
+
+  console.log(`✅ Orphaned asset collection scheduled every ${assetGcIntervalHours} hours${assetGcDryRun ? ' (dry run)' : ''}`);
+} catch (error) {
+  console.error('⚠️ Failed to schedule orphaned asset collection:', error.message);
+  console.log('📝 Abandoned uploads will not be cleaned up automatically');
+}
+
+// Schedule the data export cleanup - archives past their download window are deleted
+try {
+  const { purgeExpiredExports } = require('./exports/data_export_service');
+  const exportCleanupIntervalMinutes = parseInt(process.env.DATA_EXPORT_CLEANUP_INTERVAL_MINUTES) || 60;
+
+  setInterval(() => {
+    purgeExpiredExports().catch(error => console.error('⚠️ Data export cleanup failed:', error.message));
+  }, exportCleanupIntervalMinutes * 60 * 1000).unref();
+
+  console.log(`✅ Data export cleanup scheduled every ${exportCleanupIntervalMinutes} minutes`);
+} catch (error) {
+  console.error('⚠️ Failed to schedule data export cleanup:', error.message);
+  console.log('📝 Expired data exports will not be removed automatically');
+}
+
 // Start server
 app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
@@ -0,0 +1,274 @@
+// Cloudinary storage provider (STORAGE_PROVIDER=cloudinary, the default).
+// Resizing happens at upload time through Cloudinary transformations, and variant
+// URLs are built by adding a transformation segment to the delivery URL.
+const cloudinary = require('cloudinary').v2;
+const axios = require('axios');
+
+const URL_PATTERN = /https?:\/\/res\.cloudinary\.com\/[^\s"'\\)]+/g;
+// Cloudinary accepts a signed request for one hour after its timestamp
+const SIGNATURE_WINDOW_SECONDS = 60 * 60;
+const DOWNLOAD_TIMEOUT_MS = 30000;
+
+// Helper function to extract the Cloudinary public_id from an image URL
+// https://res.cloudinary.com/<cloud>/image/upload/[v1234567890/]<folder>/<public_id>.<ext>
+// Returns null for URLs that are not Cloudinary uploads.
+const extractPublicId = (imageUrl) => {
+  if (!imageUrl || typeof imageUrl !== 'string' || !imageUrl.includes('cloudinary.com')) {
+    return null;
+  }
+
+  const urlParts = imageUrl.split('?')[0].split('/');
+  const uploadIndex = urlParts.indexOf('upload');
+
+  if (uploadIndex === -1) {
+    return null;
+  }
+
+  let pathAfterUpload = urlParts.slice(uploadIndex + 1);
+
+  // Skip the version segment (v followed by digits only, so folders starting with v are kept)
+  if (pathAfterUpload.length > 0 && /^v\d+$/.test(pathAfterUpload[0])) {
+    pathAfterUpload = pathAfterUpload.slice(1);
+  }
+
+  if (pathAfterUpload.length === 0) {
+    return null;
+  }
+
+  // Remove file extension
+  return pathAfterUpload.join('/').replace(/\.[^/.]+$/, '');
+};
+
+// Helper function to turn the provider-neutral resize options into Cloudinary transformations
+const buildTransformation = ({ resize, circle }) => {
+  const transformation = [
+    { quality: 'auto:good' },
+    { fetch_format: 'auto' }
+  ];
+
+  if (resize) {
+    transformation.push({
+      width: resize.width,
+      height: resize.height,
+      crop: resize.crop || 'limit',
+      ...(resize.gravity ? { gravity: resize.gravity } : {})
+    });
+  }
+
+  if (circle) {
+    transformation.push({ radius: 'max' });
+  }
+
+  return transformation;
+};
+
+// Helper function to read a number from an exiftool-style value ("50.0 mm", "1/250", "2.8")
+const parseMetadataNumber = (value) => {
+  if (typeof value !== 'string' && typeof value !== 'number') return undefined;
+  const fraction = String(value).match(/^\s*(\d+(?:\.\d+)?)\s*\/\s*(\d+(?:\.\d+)?)/);
+  if (fraction) return parseFloat(fraction[2]) > 0 ? parseFloat(fraction[1]) / parseFloat(fraction[2]) : undefined;
+  const number = parseFloat(value);
+  return isFinite(number) ? number : undefined;
+};
+
+// Helper function to read an EXIF date ("2024:05:01 18:30:00") as local time, the way exifr does
+const parseMetadataDate = (value) => {
+  const match = typeof value === 'string' && value.match(/^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/);
+  return match ? new Date(match[1], match[2] - 1, match[3], match[4], match[5], match[6]) : undefined;
+};
+
+// Helper function to read a coordinate ("37 deg 46' 29.64\" N" or "37.7749") with its N/S/E/W reference
+const parseMetadataCoordinate = (value, ref) => {
+  if (typeof value !== 'string' && typeof value !== 'number') return null;
+  const [degrees = NaN, minutes = 0, seconds = 0] = (String(value).match(/\d+(?:\.\d+)?/g) || []).map(Number);
+  const hemisphere = `${value} ${ref || ''}`.match(/\b([NSEW])(?:orth|outh|ast|est)?\b/i);
+  const sign = String(value).trim().startsWith('-') || (hemisphere && /[SW]/i.test(hemisphere[1])) ? -1 : 1;
+  const coordinate = sign * (degrees + minutes / 60 + seconds / 3600);
+  return isFinite(coordinate) ? coordinate : null;
+};
+
+// Helper function to turn the image_metadata of the Admin API (exiftool strings, read from the
+// file as it was uploaded) into exifr-style tags and coordinates
+const parseImageMetadata = (imageMetadata) => {
+  if (!imageMetadata || typeof imageMetadata !== 'object') {
+    return null;
+  }
+
+  const latitude = parseMetadataCoordinate(imageMetadata.GPSLatitude, imageMetadata.GPSLatitudeRef);
+  const longitude = parseMetadataCoordinate(imageMetadata.GPSLongitude, imageMetadata.GPSLongitudeRef);
+
+  return {
+    tags: {
+      Make: imageMetadata.Make,
+      Model: imageMetadata.Model,
+      LensMake: imageMetadata.LensMake,
+      LensModel: imageMetadata.LensModel || imageMetadata.Lens,
+      FocalLength: parseMetadataNumber(imageMetadata.FocalLength),
+      FNumber: parseMetadataNumber(imageMetadata.FNumber),
+      ExposureTime: parseMetadataNumber(imageMetadata.ExposureTime),
+      ISO: parseMetadataNumber(imageMetadata.ISO),
+      DateTimeOriginal: parseMetadataDate(imageMetadata.DateTimeOriginal),
+      CreateDate: parseMetadataDate(imageMetadata.CreateDate)
+    },
+    coordinates: latitude !== null && longitude !== null ? { latitude, longitude } : null
+  };
+};
+
+const createCloudinaryStorage = () => {
+  cloudinary.config({
+    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+    api_key: process.env.CLOUDINARY_API_KEY,
+    api_secret: process.env.CLOUDINARY_API_SECRET,
+  });
+
+  const upload = (buffer, options) => {
+    return new Promise((resolve, reject) => {
+      const uploadStream = cloudinary.uploader.upload_stream(
+        {
+          folder: options.folder,
+          resource_type: 'image',
+          transformation: buildTransformation(options),
+          public_id: options.publicId,
+          ...(options.overwrite ? { overwrite: true, invalidate: true } : {})
+        },
+        (error, result) => {
+          if (error) {
+            console.error('Cloudinary upload error:', error);
+            reject(error);
+          } else {
+            resolve({
+              url: result.secure_url,
+              publicId: result.public_id,
+              bytes: result.bytes,
+              format: result.format,
+              width: result.width,
+              height: result.height,
+              originalFilename: result.original_filename
+            });
+          }
+        }
+      );
+
+      uploadStream.end(buffer);
+    });
+  };
+
+  // 'not found' counts as deleted so retries and repeated deletes are safe
+  const remove = async (publicId) => {
+    const result = await cloudinary.uploader.destroy(publicId, { resource_type: 'image', invalidate: true });
+
+    if (result.result === 'ok' || result.result === 'not found') {
+      return { success: true };
+    }
+    return { success: false, error: `Cloudinary deletion failed: ${result.result}` };
+  };
+
+  const getVariantUrl = (imageUrl, { width, height, crop = 'limit' } = {}) => {
+    if (!extractPublicId(imageUrl) || (!width && !height)) {
+      return imageUrl;
+    }
+
+    const segments = [`c_${crop}`, width && `w_${width}`, height && `h_${height}`, 'q_auto', 'f_auto'].filter(Boolean);
+    return imageUrl.replace('/image/upload/', `/image/upload/${segments.join(',')}/`);
+  };
+
+  const list = async ({ prefix, cursor = null, limit = 500 }) => {
+    const result = await cloudinary.api.resources({
+      type: 'upload',
+      resource_type: 'image',
+      prefix: prefix,
+      max_results: limit,
+      next_cursor: cursor || undefined
+    });
+
+    return {
+      assets: (result.resources || []).map(resource => ({
+        publicId: resource.public_id,
+        url: resource.secure_url,
+        bytes: resource.bytes || 0,
+        createdAt: resource.created_at
+      })),
+      nextCursor: result.next_cursor || null
+    };
+  };
+
+  // Signed fields for a browser/app upload straight to Cloudinary. The timestamp is backdated so
+  // Cloudinary's fixed one-hour window closes at expiresAt; overwrite=false keeps a leaked
+  // signature from replacing the asset once it exists. The signed incoming transformation makes
+  // Cloudinary store only the resized copy, which carries no EXIF or GPS; image_metadata keeps
+  // what the original said for fetchAsset.
+  const createSignedUpload = ({ folder, publicId, expiresAt, allowedFormats, resize, circle }) => {
+    const params = {
+      folder: folder,
+      public_id: publicId,
+      allowed_formats: allowedFormats.map(format => format === 'jpeg' ? 'jpg' : format).join(','),
+      transformation: cloudinary.utils.generate_transformation_string({ transformation: buildTransformation({ resize, circle }) }),
+      image_metadata: true,
+      overwrite: false,
+      timestamp: Math.floor(expiresAt.getTime() / 1000) - SIGNATURE_WINDOW_SECONDS
+    };
+
+    return {
+      url: `https://api.cloudinary.com/v1_1/${process.env.CLOUDINARY_CLOUD_NAME}/image/upload`,
+      method: 'POST',
+      fileField: 'file',
+      fields: {
+        ...params,
+        api_key: process.env.CLOUDINARY_API_KEY,
+        signature: cloudinary.utils.api_sign_request(params, process.env.CLOUDINARY_API_SECRET)
+      }
+    };
+  };
+
+  const fetchAsset = async (publicId, { maxBytes } = {}) => {
+    let resource;
+    try {
+      resource = await cloudinary.api.resource(publicId, { resource_type: 'image', image_metadata: true });
+    } catch (error) {
+      if ((error.error || error).http_code === 404) {
+        return null;
+      }
+      throw new Error(`Cloudinary lookup failed: ${(error.error || error).message}`);
+    }
+
+    const asset = {
+      url: resource.secure_url,
+      publicId: resource.public_id,
+      bytes: resource.bytes,
+      format: resource.format,
+      width: resource.width,
+      height: resource.height,
+      originalFilename: resource.original_filename || null,
+      // Direct uploads went through createSignedUpload's transformation
+      transformed: true,
+      metadata: parseImageMetadata(resource.image_metadata),
+      buffer: null
+    };
+
+    if (!maxBytes || resource.bytes <= maxBytes) {
+      const response = await axios.get(resource.secure_url, {
+        responseType: 'arraybuffer',
+        timeout: DOWNLOAD_TIMEOUT_MS,
+        maxContentLength: maxBytes || -1
+      });
+      asset.buffer = Buffer.from(response.data);
+    }
+
+    return asset;
+  };
+
+  return {
+    name: 'cloudinary',
+    urlPattern: URL_PATTERN,
+    upload,
+    delete: remove,
+    getVariantUrl,
+    list,
+    extractPublicId,
+    createSignedUpload,
+    fetchAsset,
+    getStaticRoute: () => null
+  };
+};
+
+module.exports = { createCloudinaryStorage };
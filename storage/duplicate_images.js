@@ -0,0 +1,176 @@
+// Duplicate and near-duplicate detection for uploads, using the perceptual hashes from
+// storage/perceptual_hash.js. Upload routes hash the files first, then check them against the
+// other files in the same request (a photo collection is created from one POST /api/images/send)
+// and, for posts, against the user's earlier posts. DUPLICATE_IMAGE_POLICY decides what a match
+// does: 'warn' (default) lists the duplicates in the response, 'reject' refuses the upload with
+// 409 unless the client confirms with allow_duplicates=true.
+const { createClient } = require('@supabase/supabase-js');
+const { computePerceptualHash, hashDistance } = require('./perceptual_hash');
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY,
+  {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false
+    }
+  }
+);
+
+// Hashes this many bits apart (of 64) or fewer count as the same photo
+const DUPLICATE_MAX_DISTANCE = parseInt(process.env.DUPLICATE_IMAGE_MAX_DISTANCE) || 6;
+const DUPLICATE_POLICY = process.env.DUPLICATE_IMAGE_POLICY === 'reject' ? 'reject' : 'warn';
+const PAGE_SIZE = 1000;
+
+// Hash every uploaded file (sets file.phash; null when the format is not hashed)
+const hashUploadedFiles = async (files) => {
+  for (const file of files) {
+    file.phash = await computePerceptualHash(file.buffer, file.detectedFormat);
+  }
+};
+
+/**
+ * Find files in one upload that repeat an earlier file of the same upload.
+ * @param {Object[]} files - multer files, already hashed
+ * @returns {Object[]} [{ file, index, duplicateOf: { type: 'upload', file, index }, distance }]
+ */
+const findDuplicatesWithinUpload = (files) => {
+  const duplicates = [];
+
+  files.forEach((file, index) => {
+    if (!file.phash) return;
+
+    for (let earlier = 0; earlier < index; earlier++) {
+      if (!files[earlier].phash) continue;
+
+      const distance = hashDistance(file.phash, files[earlier].phash);
+      if (distance <= DUPLICATE_MAX_DISTANCE) {
+        duplicates.push({
+          file: file.originalname,
+          index: index,
+          duplicateOf: { type: 'upload', file: files[earlier].originalname, index: earlier },
+          distance: distance
+        });
+        break;
+      }
+    }
+  });
+
+  return duplicates;
+};
+
+/**
+ * Find files that repeat an image from one of the user's existing posts.
+ * @param {string} userId
+ * @param {Object[]} files - multer files, already hashed
+ * @returns {Promise<Object[]>} [{ file, index, duplicateOf: { type: 'post', postId, imageUrl }, distance }]
+ */
+const findDuplicatesInUserPosts = async (userId, files) => {
+  if (!files.some(file => file.phash)) {
+    return [];
+  }
+
+  const posts = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('posts')
+      .select('id, images, image_hashes')
+      .eq('user_id', userId)
+      .is('deleted_at', null)
+      .neq('image_hashes', '{}')
+      .order('created_at', { ascending: false })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      // Duplicate checks are advisory - never block an upload because the lookup failed
+      console.error('⚠️ Failed to fetch post hashes for duplicate check:', error.message);
+      return [];
+    }
+
+    posts.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+
+  const duplicates = [];
+
+  files.forEach((file, index) => {
+    if (!file.phash) return;
+
+    let closest = null;
+    posts.forEach(post => {
+      (post.image_hashes || []).forEach((hash, imageIndex) => {
+        if (!hash) return;
+        const distance = hashDistance(file.phash, hash);
+        if (distance <= DUPLICATE_MAX_DISTANCE && (!closest || distance < closest.distance)) {
+          closest = { postId: post.id, imageUrl: post.images?.[imageIndex] || null, distance };
+        }
+      });
+    });
+
+    if (closest) {
+      duplicates.push({
+        file: file.originalname,
+        index: index,
+        duplicateOf: { type: 'post', postId: closest.postId, imageUrl: closest.imageUrl },
+        distance: closest.distance
+      });
+    }
+  });
+
+  return duplicates;
+};
+
+// Helper function for upload routes: true when duplicates should stop the upload
+const shouldRejectDuplicates = (allowDuplicates) => {
+  return DUPLICATE_POLICY === 'reject' && allowDuplicates !== true && allowDuplicates !== 'true';
+};
+
+/**
+ * Images reposted by a different account than the one that posted them first, from the
+ * precomputed report (026_reposted_images_report.sql), newest reposts first.
+ * @param {Object} [options]
+ * @param {number} [options.maxDistance] - At most 7 (see find_reposted_images)
+ * @param {number} [options.limit=50]
+ * @param {number} [options.offset=0]
+ * @returns {Promise<Object[]>} Rows of reposted_images (find_reposted_images columns plus computed_at)
+ */
+const getRepostedImages = async ({ maxDistance = DUPLICATE_MAX_DISTANCE, limit = 50, offset = 0 } = {}) => {
+  const { data, error } = await supabase
+    .from('reposted_images')
+    .select('*')
+    .lte('distance', Math.min(maxDistance, 7))
+    .order('repost_created_at', { ascending: false })
+    .order('distance', { ascending: true })
+    .range(offset, offset + limit - 1);
+
+  if (error) {
+    throw new Error(`Failed to fetch reposted images: ${error.message}`);
+  }
+
+  return data || [];
+};
+
+// Rebuild the repost report; comparing hashes across every post is too slow to run per request
+const refreshRepostedImages = async () => {
+  const startedAt = Date.now();
+  const { error } = await supabase.rpc('refresh_reposted_images');
+
+  if (error) {
+    throw new Error(`Failed to refresh reposted images: ${error.message}`);
+  }
+
+  console.log(`✅ Repost report refreshed in ${((Date.now() - startedAt) / 1000).toFixed(1)}s`);
+};
+
+module.exports = {
+  DUPLICATE_MAX_DISTANCE,
+  DUPLICATE_POLICY,
+  hashUploadedFiles,
+  findDuplicatesWithinUpload,
+  findDuplicatesInUserPosts,
+  shouldRejectDuplicates,
+  getRepostedImages,
+  refreshRepostedImages
+};
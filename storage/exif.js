@@ -0,0 +1,110 @@
+// EXIF reading for uploads. Cloudinary's transformations drop the original metadata, so the
+// camera and exposure details are read from the uploaded bytes before they are stored.
+const exifr = require('exifr');
+
+const EXIF_TAGS = [
+  'Make', 'Model', 'LensMake', 'LensModel',
+  'FocalLength', 'FNumber', 'ExposureTime', 'ISO', 'DateTimeOriginal', 'CreateDate'
+];
+
+// Helper function to tidy a free-text EXIF string (trailing NULs and padding are common)
+const cleanText = (value) => {
+  if (typeof value !== 'string') return null;
+  const cleaned = value.replace(/\0/g, '').replace(/\s+/g, ' ').trim();
+  return cleaned || null;
+};
+
+// Helper function to round EXIF rationals (e.g. 2.799999 -> 2.8)
+const roundNumber = (value, digits = 1) => {
+  if (typeof value !== 'number' || !isFinite(value) || value <= 0) return null;
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+};
+
+// Helper function to write an exposure time the way cameras show it: 1/250, 0.5s, 30s
+const formatShutterSpeed = (exposureTime) => {
+  if (typeof exposureTime !== 'number' || !isFinite(exposureTime) || exposureTime <= 0) return null;
+  if (exposureTime >= 0.3) return `${roundNumber(exposureTime)}s`;
+  return `1/${Math.round(1 / exposureTime)}`;
+};
+
+// Company suffixes EXIF makes carry ("NIKON CORPORATION", "OLYMPUS IMAGING CORP.",
+// "RICOH IMAGING COMPANY, LTD."); 025_exif_brand_keys.sql strips the same list
+const MAKE_SUFFIX_PATTERN = /([\s,.]+(corporation|corp|co|ltd|limited|inc|company|imaging|camera|optical|ag|gmbh))+[\s,.]*$/;
+
+// Helper function to reduce a make to its lower-cased brand ("NIKON CORPORATION" -> "nikon")
+const normaliseMake = (make) => make.toLowerCase().replace(MAKE_SUFFIX_PATTERN, '').trim();
+
+// Helper function to combine make and model without repeating the brand ("Canon Canon EOS R5")
+const formatCamera = (make, model) => {
+  if (!model) return make;
+  if (!make || model.toLowerCase().startsWith(make.split(' ')[0].toLowerCase())) return model;
+  return `${make} ${model}`;
+};
+
+/**
+ * Turn EXIF tags into the camera and exposure details that are stored.
+ * @param {Object} tags - Tags as exifr revives them: Make, Model, LensMake, LensModel as strings,
+ *        FocalLength, FNumber, ExposureTime, ISO as numbers, DateTimeOriginal/CreateDate as Dates
+ * @returns {Object|null} { camera, cameraMake, lens, focalLength, aperture, shutterSpeed, iso, capturedAt },
+ *          or null when none of them is usable
+ */
+const exifFromTags = (tags) => {
+  const make = cleanText(tags.Make);
+  const lensModel = cleanText(tags.LensModel);
+  const lensMake = cleanText(tags.LensMake);
+  const capturedAt = tags.DateTimeOriginal || tags.CreateDate;
+
+  const exif = {
+    camera: formatCamera(make, cleanText(tags.Model)),
+    cameraMake: make,
+    lens: lensModel ? formatCamera(lensMake, lensModel) : null,
+    lensMake: lensMake,
+    focalLength: roundNumber(tags.FocalLength),
+    aperture: roundNumber(tags.FNumber),
+    shutterSpeed: formatShutterSpeed(tags.ExposureTime),
+    iso: Number.isInteger(tags.ISO) ? tags.ISO : null,
+    capturedAt: capturedAt instanceof Date && !isNaN(capturedAt) ? capturedAt.toISOString() : null
+  };
+
+  return Object.values(exif).some(value => value !== null) ? exif : null;
+};
+
+/**
+ * Read the camera and exposure details from an image.
+ * @param {Buffer} buffer - Uploaded file
+ * @returns {Promise<Object|null>} See exifFromTags; null when the file has no usable EXIF
+ */
+const extractExif = async (buffer) => {
+  let tags;
+  try {
+    tags = await exifr.parse(buffer, { pick: EXIF_TAGS, gps: false, reviveValues: true });
+  } catch (error) {
+    return null;
+  }
+
+  return tags ? exifFromTags(tags) : null;
+};
+
+// Lower-cased camera and lens names for the GET /api/posts filters. The make is included on
+// its own as a brand key so ?camera=nikon matches every Nikon body.
+const getExifFilterKeys = (exifList) => {
+  const cameras = new Set();
+  const lenses = new Set();
+
+  exifList.filter(Boolean).forEach(exif => {
+    if (exif.camera) cameras.add(exif.camera.toLowerCase());
+    if (exif.cameraMake) cameras.add(normaliseMake(exif.cameraMake));
+    if (exif.lens) lenses.add(exif.lens.toLowerCase());
+    if (exif.lensMake) lenses.add(normaliseMake(exif.lensMake));
+  });
+
+  return { cameras: [...cameras], lenses: [...lenses] };
+};
+
+module.exports = {
+  exifFromTags,
+  extractExif,
+  getExifFilterKeys,
+  normaliseMake
+};
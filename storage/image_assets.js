@@ -0,0 +1,303 @@
+// Uploaded image bookkeeping and responsive variants. Every upload route goes through
+// uploadImageAsset, which strips location and identifying metadata (storage/image_privacy.js),
+// stores the file and records its dimensions and EXIF in image_assets so posts
+// (image_metadata) and photo collections (images.width/height) can report them.
+// API responses describe each image with buildImageSet: the original URL, width, height,
+// aspect ratio and a map of named variant URLs for srcset-style loading.
+const { createClient } = require('@supabase/supabase-js');
+const { STORAGE_PROVIDER, storage } = require('./storage');
+const { exifFromTags, extractExif, getExifFilterKeys } = require('./exif');
+const { describeLocation, stripImageMetadata } = require('./image_privacy');
+const { detectImageFormat } = require('./upload_validation');
+const { computePerceptualHash } = require('./perceptual_hash');
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY,
+  {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false
+    }
+  }
+);
+
+// Named renditions, smallest first; 'original' (the stored URL) is added to every set.
+// 'limit' never upscales, so small originals come back at their own size.
+const IMAGE_VARIANTS = {
+  thumb: { width: 200, height: 200, crop: 'fill' },
+  small: { width: 480, crop: 'limit' },
+  medium: { width: 800, crop: 'limit' },
+  full: { width: 1200, crop: 'limit' }
+};
+
+// Helper function for direct uploads: does the stored copy differ from what uploadImageAsset would store?
+const needsRewrite = (storedAsset, cleanedBuffer, originalBuffer, { resize, circle }) => {
+  if (!cleanedBuffer.equals(originalBuffer)) return true;
+  // The provider already resized it (and cut the circle) on upload
+  if (storedAsset.transformed) return false;
+  if (circle) return true;
+  if (!resize) return false;
+  if (resize.crop === 'fill') return storedAsset.width !== resize.width || storedAsset.height !== resize.height;
+  return storedAsset.width > resize.width || storedAsset.height > resize.height;
+};
+
+/**
+ * Store an uploaded image and record it in image_assets.
+ * @param {Object} file - multer file ({ buffer, originalname, mimetype, phash? - when the route already hashed it })
+ * @param {Object} options - storage upload options ({ folder, publicId, resize, circle, overwrite })
+ * @param {string} [options.uploadedBy] - User who uploaded the image
+ * @param {boolean} [options.keepLocation=false] - Uploader opted in to sharing where the photo was taken;
+ *        the coordinates are recorded in image_assets.location (the stored file never keeps them)
+ * @param {Object} [options.storedAsset] - A direct upload already in storage (storage.fetchAsset result without its buffer); it is
+ *        only written again, under the same public id, when the privacy pass or the resize options change it.
+ *        When the provider transformed it on upload, EXIF and location come from storedAsset.metadata.
+ * @returns {Promise<Object>} The storage upload result ({ url, publicId, bytes, format, width, height, originalFilename })
+ *          plus the extracted exif, location and perceptual hash (or null)
+ * @throws {Error} With status 422 when location data could not be removed from the file
+ */
+const uploadImageAsset = async (file, { uploadedBy = null, keepLocation = false, storedAsset = null, ...options }) => {
+  // Read EXIF from the original bytes - the stored copy may have been re-encoded. A direct upload the
+  // provider transformed has none left, so what the provider read from the original is used.
+  const transformed = !!storedAsset?.transformed;
+  const exif = transformed ? exifFromTags(storedAsset.metadata?.tags || {}) : await extractExif(file.buffer);
+  const { buffer, location: fileLocation } = await stripImageMetadata(file.buffer, { keepLocation });
+  const location = transformed && keepLocation ? describeLocation(storedAsset.metadata?.coordinates || null) : fileLocation;
+  const phash = file.phash !== undefined
+    ? file.phash
+    : await computePerceptualHash(file.buffer, detectImageFormat(file.buffer));
+
+  // The stored asset's fields, without the provider metadata (it still holds the original's GPS)
+  const result = storedAsset && !needsRewrite(storedAsset, buffer, file.buffer, options)
+    ? {
+      url: storedAsset.url,
+      publicId: storedAsset.publicId,
+      bytes: storedAsset.bytes,
+      format: storedAsset.format,
+      width: storedAsset.width,
+      height: storedAsset.height,
+      originalFilename: storedAsset.originalFilename
+    }
+    : await storage.upload(buffer, {
+      ...options,
+      overwrite: options.overwrite || !!storedAsset,
+      originalName: file.originalname,
+      mimeType: file.mimetype
+    });
+
+  // Bookkeeping only - a failed insert leaves the image without dimensions but never fails the upload
+  const { error } = await supabase
+    .from('image_assets')
+    .upsert([{
+      public_id: result.publicId,
+      url: result.url,
+      folder: options.folder,
+      provider: STORAGE_PROVIDER,
+      uploaded_by: uploadedBy,
+      width: result.width || null,
+      height: result.height || null,
+      bytes: result.bytes || null,
+      format: result.format || null,
+      exif: exif,
+      location: location,
+      phash: phash,
+      created_at: new Date().toISOString()
+    }], { onConflict: 'public_id' });
+
+  if (error) {
+    console.error(`⚠️ Failed to record image asset ${result.publicId}:`, error.message);
+  }
+
+  return { ...result, exif: exif, location: location, phash: phash };
+};
+
+/**
+ * Look up recorded dimensions, EXIF and perceptual hashes for a list of image URLs.
+ * @param {string[]} imageUrls
+ * @returns {Promise<Array<{url: string, width: number|null, height: number|null, exif: Object|null, phash: string|null}>>} One entry per URL, in order
+ */
+const getImageMetadata = async (imageUrls) => {
+  const urls = (Array.isArray(imageUrls) ? imageUrls : [imageUrls]).filter(Boolean);
+  let assets = [];
+
+  if (urls.length > 0) {
+    const { data, error } = await supabase
+      .from('image_assets')
+      .select('url, width, height, exif, phash')
+      .in('url', urls);
+
+    if (error) {
+      console.error('⚠️ Failed to fetch image metadata:', error.message);
+    }
+    assets = data || [];
+  }
+
+  const assetsByUrl = new Map(assets.map(asset => [asset.url, asset]));
+
+  return urls.map(url => ({
+    url: url,
+    width: assetsByUrl.get(url)?.width || null,
+    height: assetsByUrl.get(url)?.height || null,
+    exif: assetsByUrl.get(url)?.exif || null,
+    phash: assetsByUrl.get(url)?.phash || null
+  }));
+};
+
+// Helper function for creating and editing posts: the image-derived columns for a list of URLs
+const getPostImageFields = async (imageUrls) => {
+  const imageMetadata = await getImageMetadata(imageUrls);
+  const { cameras, lenses } = getExifFilterKeys(imageMetadata.map(entry => entry.exif));
+
+  return {
+    // Hashes are kept out of the metadata that API responses expose
+    image_metadata: imageMetadata.map(({ phash, ...entry }) => entry),
+    image_hashes: imageMetadata.map(entry => entry.phash),
+    exif_cameras: cameras,
+    exif_lenses: lenses
+  };
+};
+
+/**
+ * The location a user shared for one of their uploads, as text for posts.location.
+ * Only images uploaded by that user with the location opt-in count; the first one in order wins.
+ * @param {string[]} imageUrls
+ * @param {string} userId
+ * @returns {Promise<string|null>} "Place, Country", or the coordinates when no listed place is nearby
+ */
+const getSharedPhotoLocation = async (imageUrls, userId) => {
+  const urls = (Array.isArray(imageUrls) ? imageUrls : [imageUrls]).filter(Boolean);
+  if (urls.length === 0) return null;
+
+  const { data, error } = await supabase
+    .from('image_assets')
+    .select('url, location')
+    .in('url', urls)
+    .eq('uploaded_by', userId)
+    .not('location', 'is', null);
+
+  if (error) {
+    console.error('⚠️ Failed to fetch photo locations:', error.message);
+    return null;
+  }
+
+  const locationsByUrl = new Map((data || []).map(asset => [asset.url, asset.location]));
+  const location = urls.map(url => locationsByUrl.get(url)).find(Boolean);
+
+  if (!location) return null;
+  return location.place || `${location.latitude}, ${location.longitude}`;
+};
+
+/**
+ * The image URLs that a user uploaded themselves (an image_assets row with uploaded_by = userId).
+ * Posts only take images their author uploaded, so nobody can get another account's images
+ * deleted by adding them to a post (see getDeletablePostImageUrls).
+ * @param {string[]} imageUrls
+ * @param {string} userId
+ * @returns {Promise<string[]>} The owned URLs, in the order given
+ */
+const filterOwnedImageUrls = async (imageUrls, userId) => {
+  const urls = (Array.isArray(imageUrls) ? imageUrls : [imageUrls]).filter(url => typeof url === 'string' && url);
+  if (urls.length === 0 || !userId) return [];
+
+  const { data, error } = await supabase
+    .from('image_assets')
+    .select('url')
+    .in('url', [...new Set(urls)])
+    .eq('uploaded_by', userId);
+
+  if (error) {
+    throw new Error(`Failed to check image ownership: ${error.message}`);
+  }
+
+  const ownedUrls = new Set((data || []).map(asset => asset.url));
+  return urls.filter(url => ownedUrls.has(url));
+};
+
+/**
+ * The images that can be deleted from storage once they leave a post (edited out, or the post was purged).
+ * Images with an image_assets row only when the post's author uploaded them; images from before
+ * image_assets existed when they are on this storage provider. Either way an image that another
+ * post still shows is kept.
+ * @param {string[]} imageUrls
+ * @param {string} userId - The post's author
+ * @param {string} postId - The post the images left
+ * @returns {Promise<string[]>} The deletable URLs, in the order given
+ */
+const getDeletablePostImageUrls = async (imageUrls, userId, postId) => {
+  const urls = [...new Set((Array.isArray(imageUrls) ? imageUrls : [imageUrls]).filter(url => typeof url === 'string' && url))];
+  if (urls.length === 0) return [];
+
+  const { data: assets, error: assetsError } = await supabase
+    .from('image_assets')
+    .select('url, uploaded_by')
+    .in('url', urls);
+
+  if (assetsError) {
+    throw new Error(`Failed to check image ownership: ${assetsError.message}`);
+  }
+
+  const uploadersByUrl = new Map((assets || []).map(asset => [asset.url, asset.uploaded_by]));
+  const candidates = urls.filter(url => uploadersByUrl.has(url)
+    ? !!userId && uploadersByUrl.get(url) === userId
+    : !!storage.extractPublicId(url));
+  if (candidates.length === 0) return [];
+
+  const { data: posts, error: postsError } = await supabase
+    .from('posts')
+    .select('images')
+    .overlaps('images', candidates)
+    .neq('id', postId);
+
+  if (postsError) {
+    throw new Error(`Failed to check other posts for the images: ${postsError.message}`);
+  }
+
+  const stillUsed = new Set((posts || []).flatMap(post => post.images || []));
+  return candidates.filter(url => !stillUsed.has(url));
+};
+
+/**
+ * Describe one image for API responses.
+ * @param {string} url - Stored (original) image URL
+ * @param {Object} [dimensions] - { width, height } when known
+ * @returns {{url: string, width: number|null, height: number|null, aspectRatio: number|null, variants: Object}}
+ */
+const buildImageSet = (url, { width = null, height = null } = {}) => {
+  const variants = {};
+  Object.entries(IMAGE_VARIANTS).forEach(([name, transformation]) => {
+    variants[name] = storage.getVariantUrl(url, transformation);
+  });
+  variants.original = url;
+
+  return {
+    url: url,
+    width: width,
+    height: height,
+    aspectRatio: width && height ? Math.round((width / height) * 10000) / 10000 : null,
+    variants: variants
+  };
+};
+
+// Helper function to build the image sets of a post row (images plus image_metadata),
+// with the camera and exposure details of each image
+const buildPostImages = (post) => {
+  const urls = Array.isArray(post.images) ? post.images : [post.images].filter(Boolean);
+  const metadataByUrl = new Map((post.image_metadata || []).map(entry => [entry.url, entry]));
+
+  return urls.map(url => ({
+    ...buildImageSet(url, metadataByUrl.get(url)),
+    exif: metadataByUrl.get(url)?.exif || null
+  }));
+};
+
+module.exports = {
+  IMAGE_VARIANTS,
+  uploadImageAsset,
+  getPostImageFields,
+  getSharedPhotoLocation,
+  filterOwnedImageUrls,
+  getDeletablePostImageUrls,
+  buildImageSet,
+  buildPostImages
+};
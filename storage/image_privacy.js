@@ -0,0 +1,258 @@
+// Privacy pass for uploads: removes location and other identifying metadata from the file
+// before it reaches storage. Works on the bytes directly, without re-encoding:
+//   - JPEG: XMP, IPTC and comment segments are dropped; the EXIF block is kept for orientation
+//     and camera details, with its GPS directory and identifying tags wiped in place
+//   - PNG:  text, time and eXIf chunks are dropped
+//   - WebP: EXIF and XMP chunks are dropped
+//   - HEIC and anything else: EXIF blocks are wiped in place and XMP packets blanked
+// The result is checked again afterwards; a file that still carries GPS data is rejected.
+const exifr = require('exifr');
+const { reverseGeocode } = require('./places');
+const { detectImageFormat } = require('./upload_validation');
+
+const GPS_IFD_POINTER = 0x8825;
+const EXIF_IFD_POINTER = 0x8769;
+// Artist, HostComputer
+const IDENTIFYING_IFD0_TAGS = new Set([0x013b, 0x013c]);
+// MakerNote, UserComment, ImageUniqueID, CameraOwnerName, BodySerialNumber, LensSerialNumber
+const IDENTIFYING_EXIF_TAGS = new Set([0x927c, 0x9286, 0xa420, 0xa430, 0xa431, 0xa435]);
+const TIFF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const PNG_METADATA_CHUNKS = new Set(['eXIf', 'tEXt', 'zTXt', 'iTXt', 'tIME']);
+const EXIF_HEADER = Buffer.from('Exif\0\0', 'latin1');
+
+// Wipe the GPS directory and identifying tags of one TIFF (EXIF) structure, in place.
+// Offsets inside a TIFF block are relative to its header.
+const scrubTiff = (buffer, start) => {
+  const littleEndian = buffer.toString('latin1', start, start + 2) === 'II';
+  const u16 = (offset) => littleEndian ? buffer.readUInt16LE(start + offset) : buffer.readUInt16BE(start + offset);
+  const u32 = (offset) => littleEndian ? buffer.readUInt32LE(start + offset) : buffer.readUInt32BE(start + offset);
+  const zero = (offset, length) => {
+    if (offset > 0 && start + offset + length <= buffer.length) {
+      buffer.fill(0, start + offset, start + offset + length);
+    }
+  };
+
+  // Location of an entry's value: inline when it fits in 4 bytes, otherwise at the stored offset
+  const entryValue = (entryOffset) => {
+    const size = (TIFF_TYPE_SIZES[u16(entryOffset + 2)] || 1) * u32(entryOffset + 4);
+    return { size, offset: size <= 4 ? entryOffset + 8 : u32(entryOffset + 8) };
+  };
+
+  const forEachEntry = (ifdOffset, handler) => {
+    const count = u16(ifdOffset);
+    for (let i = 0; i < count; i++) {
+      handler(ifdOffset + 2 + i * 12, u16(ifdOffset + 2 + i * 12));
+    }
+    return count;
+  };
+
+  let exifIfdOffset = null;
+
+  forEachEntry(u32(4), (entryOffset, tag) => {
+    if (tag === GPS_IFD_POINTER) {
+      // Values first, then the entries; an IFD with zero entries is still valid
+      const gpsIfdOffset = u32(entryOffset + 8);
+      const count = forEachEntry(gpsIfdOffset, (gpsEntryOffset) => {
+        const value = entryValue(gpsEntryOffset);
+        zero(value.offset, value.size);
+      });
+      zero(gpsIfdOffset, 2 + count * 12);
+    } else if (tag === EXIF_IFD_POINTER) {
+      exifIfdOffset = u32(entryOffset + 8);
+    } else if (IDENTIFYING_IFD0_TAGS.has(tag)) {
+      const value = entryValue(entryOffset);
+      zero(value.offset, value.size);
+    }
+  });
+
+  if (exifIfdOffset) {
+    forEachEntry(exifIfdOffset, (entryOffset, tag) => {
+      if (IDENTIFYING_EXIF_TAGS.has(tag)) {
+        const value = entryValue(entryOffset);
+        zero(value.offset, value.size);
+      }
+    });
+  }
+};
+
+// Helper function to scrub every "Exif\0\0" block in a buffer (phones append secondary
+// images - depth maps, previews - that carry their own EXIF)
+const scrubExifBlocks = (buffer) => {
+  let index = buffer.indexOf(EXIF_HEADER);
+
+  while (index !== -1) {
+    const tiffStart = index + EXIF_HEADER.length;
+    const byteOrder = buffer.toString('latin1', tiffStart, tiffStart + 2);
+
+    if (byteOrder === 'II' || byteOrder === 'MM') {
+      try {
+        scrubTiff(buffer, tiffStart);
+      } catch (error) {
+        // Truncated or malformed block - the GPS check afterwards decides whether the file is usable
+      }
+    }
+    index = buffer.indexOf(EXIF_HEADER, tiffStart);
+  }
+};
+
+// Helper function to blank XMP packets in place (XMP is designed to be padded with whitespace)
+const blankXmpPackets = (buffer) => {
+  let start = buffer.indexOf('<x:xmpmeta');
+
+  while (start !== -1) {
+    const end = buffer.indexOf('</x:xmpmeta>', start);
+    if (end === -1) break;
+    buffer.fill(0x20, start, end + '</x:xmpmeta>'.length);
+    start = buffer.indexOf('<x:xmpmeta', end);
+  }
+};
+
+// JPEG: keep image data, JFIF, ICC, Adobe and EXIF segments; drop XMP, IPTC and comments
+const stripJpeg = (buffer) => {
+  const parts = [buffer.subarray(0, 2)];
+  let offset = 2;
+
+  while (offset + 4 <= buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+
+    const marker = buffer[offset + 1];
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+    // Start of scan: the rest is image data
+    if (marker === 0xda || marker === 0xd9) {
+      parts.push(buffer.subarray(offset));
+      break;
+    }
+
+    const segment = buffer.subarray(offset, offset + 2 + buffer.readUInt16BE(offset + 2));
+    const isExif = marker === 0xe1 && segment.indexOf(EXIF_HEADER) === 4;
+    const isDropped = (marker === 0xe1 && !isExif) || marker === 0xed || marker === 0xfe;
+
+    if (!isDropped) {
+      parts.push(segment);
+    }
+    offset += segment.length;
+  }
+
+  return Buffer.concat(parts);
+};
+
+// PNG: drop the metadata chunks, keep everything else byte for byte
+const stripPng = (buffer) => {
+  const parts = [PNG_SIGNATURE];
+  let offset = PNG_SIGNATURE.length;
+
+  while (offset + 12 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const chunk = buffer.subarray(offset, offset + 12 + length);
+
+    if (!PNG_METADATA_CHUNKS.has(type)) {
+      parts.push(chunk);
+    }
+    offset += chunk.length;
+  }
+
+  return Buffer.concat(parts);
+};
+
+// WebP: drop EXIF and XMP chunks, clear their flags in VP8X and fix the RIFF size
+const stripWebp = (buffer) => {
+  const chunks = [];
+  let offset = 12;
+
+  while (offset + 8 <= buffer.length) {
+    const type = buffer.toString('latin1', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const chunk = Buffer.from(buffer.subarray(offset, offset + 8 + size + (size % 2)));
+
+    if (type === 'VP8X') {
+      chunk[8] &= ~(0x08 | 0x04);
+    }
+    if (type !== 'EXIF' && type !== 'XMP ') {
+      chunks.push(chunk);
+    }
+    offset += 8 + size + (size % 2);
+  }
+
+  const body = Buffer.concat(chunks);
+  const header = Buffer.from('RIFF\0\0\0\0WEBP', 'latin1');
+  header.writeUInt32LE(body.length + 4, 4);
+  return Buffer.concat([header, body]);
+};
+
+// Helper function to read GPS coordinates, if any
+const readCoordinates = async (buffer) => {
+  try {
+    const gps = await exifr.gps(buffer);
+    if (gps && isFinite(gps.latitude) && isFinite(gps.longitude)) {
+      return { latitude: gps.latitude, longitude: gps.longitude };
+    }
+  } catch (error) {
+    // No readable metadata
+  }
+  return null;
+};
+
+/**
+ * The location recorded for an upload whose owner opted in to sharing it.
+ * @param {Object|null} coordinates - { latitude, longitude }
+ * @returns {Object|null} { latitude, longitude, place } rounded to about a metre, or null without coordinates
+ */
+const describeLocation = (coordinates) => {
+  if (!coordinates) {
+    return null;
+  }
+
+  const place = reverseGeocode(coordinates.latitude, coordinates.longitude);
+  return {
+    latitude: Math.round(coordinates.latitude * 100000) / 100000,
+    longitude: Math.round(coordinates.longitude * 100000) / 100000,
+    place: place ? `${place.name}, ${place.country}` : null
+  };
+};
+
+/**
+ * Remove location and identifying metadata from an upload.
+ * @param {Buffer} buffer - Uploaded file
+ * @param {Object} [options]
+ * @param {boolean} [options.keepLocation=false] - The uploader opted in to sharing where the photo was taken:
+ *        the coordinates (never the file's metadata) are returned with the nearest known place
+ * @returns {Promise<{buffer: Buffer, location: Object|null}>} Cleaned file, and { latitude, longitude, place } when opted in
+ * @throws {Error} With status 422 when location data could not be removed
+ */
+const stripImageMetadata = async (buffer, { keepLocation = false } = {}) => {
+  const coordinates = await readCoordinates(buffer);
+  const format = detectImageFormat(buffer);
+
+  let cleaned = null;
+  try {
+    if (format === 'jpeg') cleaned = stripJpeg(buffer);
+    if (format === 'png') cleaned = stripPng(buffer);
+    if (format === 'webp') cleaned = stripWebp(buffer);
+  } catch (error) {
+    cleaned = null;
+  }
+
+  // Unknown containers (and anything the parsers above gave up on) are scrubbed in place
+  cleaned = Buffer.from(cleaned || buffer);
+  scrubExifBlocks(cleaned);
+  blankXmpPackets(cleaned);
+
+  if (coordinates && await readCoordinates(cleaned)) {
+    const error = new Error('Location data could not be removed from this image. Please upload it as JPEG or PNG.');
+    error.status = 422;
+    throw error;
+  }
+
+  return { buffer: cleaned, location: keepLocation ? describeLocation(coordinates) : null };
+};
+
+module.exports = {
+  describeLocation,
+  stripImageMetadata
+};
@@ -0,0 +1,298 @@
+// Local filesystem storage provider (STORAGE_PROVIDER=local) for running the backend offline.
+// Files are written under LOCAL_STORAGE_DIR as <folder>/<name>.<ext> and served by Express
+// from /media. Public ids follow the Cloudinary shape (<folder>/<name>, no extension) so the
+// deletion queue and the orphaned asset collector work unchanged. Images are stored as
+// uploaded: resize options are ignored and every variant URL is the original.
+// Direct uploads go to POST /api/direct-uploads/local with HMAC-signed fields (receiveSignedUpload).
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const { imageSize } = require('image-size');
+const { IMAGE_FORMATS, detectImageFormat } = require('./upload_validation');
+
+const MEDIA_PATH = '/media';
+const STORAGE_DIR = path.resolve(process.env.LOCAL_STORAGE_DIR || path.join(__dirname, '..', 'uploads'));
+const PUBLIC_URL = (process.env.LOCAL_STORAGE_PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}${MEDIA_PATH}`)
+  .replace(/\/+$/, '');
+const UPLOAD_URL = process.env.LOCAL_STORAGE_UPLOAD_URL || `http://localhost:${process.env.PORT || 3000}/api/direct-uploads/local`;
+const SIGNING_SECRET = process.env.LOCAL_STORAGE_SIGNING_SECRET || process.env.SUPABASE_SERVICE_KEY;
+
+const EXTENSIONS_BY_MIME_TYPE = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'image/heic': 'heic',
+  'image/heif': 'heif'
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Helper function to keep public ids to safe path segments
+const sanitizeSegment = (segment) => String(segment).replace(/[^\w-]/g, '_');
+
+// Helper function to resolve a public id to its directory and file name prefix, refusing
+// anything that would escape the storage directory
+const resolvePublicId = (publicId) => {
+  const filePath = path.resolve(STORAGE_DIR, publicId);
+
+  if (!filePath.startsWith(STORAGE_DIR + path.sep)) {
+    throw new Error(`Invalid public id: ${publicId}`);
+  }
+  return { dir: path.dirname(filePath), baseName: path.basename(filePath) };
+};
+
+// Helper function to find the stored file(s) for a public id, whatever their extension
+const findFiles = async (publicId) => {
+  const { dir, baseName } = resolvePublicId(publicId);
+
+  let entries;
+  try {
+    entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  return entries
+    .filter(entry => entry.isFile() && path.parse(entry.name).name === baseName)
+    .map(entry => path.join(dir, entry.name));
+};
+
+// Helper function to list every file below a directory, relative to the storage root
+const walkFiles = async (dir) => {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await walkFiles(entryPath));
+    } else if (entry.isFile()) {
+      files.push(entryPath);
+    }
+  }
+  return files;
+};
+
+const getExtension = (mimeType, originalName) => {
+  if (EXTENSIONS_BY_MIME_TYPE[mimeType]) {
+    return EXTENSIONS_BY_MIME_TYPE[mimeType];
+  }
+
+  const extension = path.extname(originalName || '').slice(1).toLowerCase();
+  return /^[a-z0-9]{2,5}$/.test(extension) ? extension : 'jpg';
+};
+
+// Helper function to read width and height from the image header (null when unreadable).
+// EXIF orientations 5-8 are rotated a quarter turn, so width and height swap.
+const getDimensions = (buffer) => {
+  try {
+    const { width, height, orientation } = imageSize(buffer);
+    return orientation >= 5 ? { width: height, height: width } : { width, height };
+  } catch (error) {
+    return { width: null, height: null };
+  }
+};
+
+const toUrl = (relativePath) => `${PUBLIC_URL}/${relativePath.split(path.sep).join('/')}`;
+
+const extractPublicId = (imageUrl) => {
+  if (!imageUrl || typeof imageUrl !== 'string' || !imageUrl.startsWith(`${PUBLIC_URL}/`)) {
+    return null;
+  }
+
+  const relativePath = decodeURIComponent(imageUrl.slice(PUBLIC_URL.length + 1).split('?')[0]);
+  return relativePath ? relativePath.replace(/\.[^/.]+$/, '') : null;
+};
+
+// Helper function to sign the fields of a direct upload
+const signUploadFields = (fields) => {
+  return crypto
+    .createHmac('sha256', SIGNING_SECRET)
+    .update([fields.folder, fields.public_id, fields.expires_at, fields.max_bytes, fields.allowed_formats].join('\n'))
+    .digest('hex');
+};
+
+// Helper function for receiveSignedUpload errors (status is used as the HTTP status)
+const uploadError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const createLocalStorage = () => {
+  fs.mkdirSync(STORAGE_DIR, { recursive: true });
+
+  const upload = async (buffer, options) => {
+    const publicId = [options.folder, options.publicId].filter(Boolean).map(sanitizeSegment).join('/');
+    const format = getExtension(options.mimeType, options.originalName);
+    const { dir, baseName } = resolvePublicId(publicId);
+
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    // Replace any earlier upload under the same public id
+    for (const existing of await findFiles(publicId)) {
+      await fs.promises.rm(existing, { force: true });
+    }
+
+    const fileName = `${baseName}.${format}`;
+    await fs.promises.writeFile(path.join(dir, fileName), buffer);
+
+    const { width, height } = getDimensions(buffer);
+
+    return {
+      url: toUrl(path.relative(STORAGE_DIR, path.join(dir, fileName))),
+      publicId: publicId,
+      bytes: buffer.length,
+      format: format,
+      width: width,
+      height: height,
+      originalFilename: options.originalName ? path.parse(options.originalName).name : null
+    };
+  };
+
+  // Missing files count as deleted, matching Cloudinary's 'not found'
+  const remove = async (publicId) => {
+    try {
+      for (const filePath of await findFiles(publicId)) {
+        await fs.promises.rm(filePath, { force: true });
+      }
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  };
+
+  const list = async ({ prefix, cursor = null, limit = 500 }) => {
+    const files = (await walkFiles(path.join(STORAGE_DIR, prefix || ''))).sort();
+    const start = parseInt(cursor) || 0;
+    const page = files.slice(start, start + limit);
+
+    const assets = [];
+    for (const filePath of page) {
+      const stats = await fs.promises.stat(filePath);
+      const relativePath = path.relative(STORAGE_DIR, filePath);
+
+      assets.push({
+        publicId: relativePath.split(path.sep).join('/').replace(/\.[^/.]+$/, ''),
+        url: toUrl(relativePath),
+        bytes: stats.size,
+        createdAt: (stats.birthtimeMs ? stats.birthtime : stats.mtime).toISOString()
+      });
+    }
+
+    return {
+      assets: assets,
+      nextCursor: start + limit < files.length ? String(start + limit) : null
+    };
+  };
+
+  // Served cross-origin: helmet's default same-origin resource policy would block the app's <img> tags
+  const getStaticRoute = () => ({
+    path: MEDIA_PATH,
+    handler: express.static(STORAGE_DIR, {
+      immutable: true,
+      maxAge: '30d',
+      index: false,
+      setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+    })
+  });
+
+  const createSignedUpload = ({ folder, publicId, expiresAt, maxBytes, allowedFormats }) => {
+    const fields = {
+      folder: folder,
+      public_id: publicId,
+      expires_at: String(Math.floor(expiresAt.getTime() / 1000)),
+      max_bytes: String(maxBytes),
+      allowed_formats: allowedFormats.join(',')
+    };
+
+    return {
+      url: UPLOAD_URL,
+      method: 'POST',
+      fileField: 'file',
+      fields: { ...fields, signature: signUploadFields(fields) }
+    };
+  };
+
+  // Store a direct upload after checking the signed fields; each public id can be written once
+  const receiveSignedUpload = async (fields, file) => {
+    const expected = Buffer.from(signUploadFields(fields));
+    const given = Buffer.from(String(fields.signature || ''));
+
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      throw uploadError(403, 'Invalid upload signature');
+    }
+    if (Date.now() > parseInt(fields.expires_at) * 1000) {
+      throw uploadError(403, 'Upload signature has expired');
+    }
+    if (file.buffer.length > parseInt(fields.max_bytes)) {
+      throw uploadError(413, `File too large. Maximum size is ${Math.round(parseInt(fields.max_bytes) / 1024 / 1024)}MB.`);
+    }
+
+    const format = detectImageFormat(file.buffer);
+    if (!format || !fields.allowed_formats.split(',').includes(format)) {
+      throw uploadError(415, 'This file type is not accepted for this upload');
+    }
+
+    const publicId = [fields.folder, fields.public_id].map(sanitizeSegment).join('/');
+    if ((await findFiles(publicId)).length > 0) {
+      throw uploadError(409, 'This upload has already been used');
+    }
+
+    return upload(file.buffer, {
+      folder: fields.folder,
+      publicId: fields.public_id,
+      originalName: file.originalname,
+      mimeType: IMAGE_FORMATS[format].mimeType
+    });
+  };
+
+  const fetchAsset = async (publicId, { maxBytes } = {}) => {
+    const [filePath] = await findFiles(publicId);
+    if (!filePath) {
+      return null;
+    }
+
+    const stats = await fs.promises.stat(filePath);
+    const buffer = !maxBytes || stats.size <= maxBytes ? await fs.promises.readFile(filePath) : null;
+    const { width, height } = buffer ? getDimensions(buffer) : { width: null, height: null };
+
+    return {
+      url: toUrl(path.relative(STORAGE_DIR, filePath)),
+      publicId: publicId,
+      bytes: stats.size,
+      format: path.extname(filePath).slice(1),
+      width: width,
+      height: height,
+      originalFilename: null,
+      transformed: false,
+      metadata: null,
+      buffer: buffer
+    };
+  };
+
+  return {
+    name: 'local',
+    urlPattern: new RegExp(`${escapeRegExp(PUBLIC_URL)}/[^\\s"'\\\\)]+`, 'g'),
+    upload,
+    delete: remove,
+    getVariantUrl: (imageUrl) => imageUrl,
+    list,
+    extractPublicId,
+    createSignedUpload,
+    fetchAsset,
+    receiveSignedUpload,
+    getStaticRoute
+  };
+};
+
+module.exports = { createLocalStorage };
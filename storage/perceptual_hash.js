@@ -0,0 +1,161 @@
+// Perceptual hashing for duplicate detection (storage/duplicate_images.js). The hash is a
+// 64-bit difference hash (dHash): the image is reduced to a 9x9 grayscale grid, turned upright
+// using its EXIF orientation, and each bit records whether a cell is brighter than its right
+// neighbour. Re-encoding, resizing and light edits move only a few bits, so near-duplicates
+// are hashes within a small Hamming distance.
+//
+// JPEG and PNG are decoded in pure JS, which takes seconds for large photos, so the work runs
+// in a worker thread (this same file) to keep the event loop free. Other formats get no hash,
+// and neither do images above DUPLICATE_IMAGE_MAX_HASH_MEGAPIXELS: a full decode holds every
+// pixel in memory, and uploads may be up to 100 megapixels.
+const { Worker, isMainThread, workerData, parentPort } = require('worker_threads');
+const { imageSize } = require('image-size');
+
+const GRID_SIZE = 9;
+const HASH_TIMEOUT_MS = 30000;
+const MAX_DECODE_MEGAPIXELS = parseInt(process.env.DUPLICATE_IMAGE_MAX_HASH_MEGAPIXELS) || 24;
+const MAX_DECODE_MEMORY_MB = 256;
+
+// Helper function to decode JPEG/PNG into { width, height, data, channels }
+const decodePixels = (buffer, format) => {
+  if (format === 'jpeg') {
+    const jpeg = require('jpeg-js');
+    const image = jpeg.decode(buffer, {
+      useTArray: true,
+      formatAsRGBA: false,
+      maxResolutionInMP: MAX_DECODE_MEGAPIXELS,
+      maxMemoryUsageInMB: MAX_DECODE_MEMORY_MB
+    });
+    return { width: image.width, height: image.height, data: image.data, channels: 3 };
+  }
+
+  const { PNG } = require('pngjs');
+  const image = PNG.sync.read(buffer);
+  return { width: image.width, height: image.height, data: image.data, channels: 4 };
+};
+
+// Helper function to average the image into a GRID_SIZE x GRID_SIZE grid of luma values
+const reduceToGrid = ({ width, height, data, channels }) => {
+  const sums = new Float64Array(GRID_SIZE * GRID_SIZE);
+  const counts = new Uint32Array(GRID_SIZE * GRID_SIZE);
+
+  for (let y = 0; y < height; y++) {
+    const row = Math.floor(y * GRID_SIZE / height) * GRID_SIZE;
+    for (let x = 0; x < width; x++) {
+      const cell = row + Math.floor(x * GRID_SIZE / width);
+      const i = (y * width + x) * channels;
+      sums[cell] += 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+      counts[cell]++;
+    }
+  }
+
+  return Array.from({ length: GRID_SIZE }, (_, y) =>
+    Array.from({ length: GRID_SIZE }, (_, x) => sums[y * GRID_SIZE + x] / (counts[y * GRID_SIZE + x] || 1)));
+};
+
+// Helper function to turn the grid the way the EXIF orientation tells viewers to display the image,
+// so a photo and a copy with the rotation baked in hash the same
+const orientGrid = (grid, orientation) => {
+  const n = GRID_SIZE - 1;
+  const at = {
+    2: (x, y) => grid[y][n - x],
+    3: (x, y) => grid[n - y][n - x],
+    4: (x, y) => grid[n - y][x],
+    5: (x, y) => grid[x][y],
+    6: (x, y) => grid[n - x][y],
+    7: (x, y) => grid[n - x][n - y],
+    8: (x, y) => grid[x][n - y]
+  }[orientation];
+
+  if (!at) return grid;
+  return grid.map((row, y) => row.map((_, x) => at(x, y)));
+};
+
+// Runs inside the worker: decode, reduce, orient and compare neighbours (8 rows x 8 pairs = 64 bits)
+const hashPixels = async (buffer, format) => {
+  const exifr = require('exifr');
+  const orientation = await exifr.orientation(buffer).catch(() => null);
+  const grid = orientGrid(reduceToGrid(decodePixels(buffer, format)), orientation);
+
+  let bits = '';
+  for (let y = 0; y < GRID_SIZE - 1; y++) {
+    for (let x = 0; x < GRID_SIZE - 1; x++) {
+      bits += grid[y][x] > grid[y][x + 1] ? '1' : '0';
+    }
+  }
+  return BigInt(`0b${bits}`).toString(16).padStart(16, '0');
+};
+
+if (!isMainThread && workerData?.perceptualHash) {
+  hashPixels(Buffer.from(workerData.buffer), workerData.format)
+    .then(hash => parentPort.postMessage({ hash }))
+    .catch(error => parentPort.postMessage({ error: error.message }));
+}
+
+/**
+ * Compute the perceptual hash of an image.
+ * @param {Buffer} buffer
+ * @param {string} format - Detected format (storage/upload_validation.js detectImageFormat)
+ * @returns {Promise<string|null>} 16 hex characters, or null for formats that cannot be decoded here,
+ *          images above MAX_DECODE_MEGAPIXELS or files that fail to decode (hashing never fails an upload)
+ */
+const computePerceptualHash = (buffer, format) => {
+  if (format !== 'jpeg' && format !== 'png') {
+    return Promise.resolve(null);
+  }
+
+  // Check the size from the header before anything decodes the pixels
+  let dimensions;
+  try {
+    dimensions = imageSize(buffer);
+  } catch (error) {
+    return Promise.resolve(null);
+  }
+
+  if (!dimensions.width || !dimensions.height || dimensions.width * dimensions.height > MAX_DECODE_MEGAPIXELS * 1000 * 1000) {
+    console.warn(`⚠️ Skipping perceptual hash for ${dimensions.width}x${dimensions.height} image (limit ${MAX_DECODE_MEGAPIXELS} MP)`);
+    return Promise.resolve(null);
+  }
+
+  return new Promise((resolve) => {
+    const worker = new Worker(__filename, { workerData: { perceptualHash: true, buffer, format } });
+    const timer = setTimeout(() => {
+      console.warn('⚠️ Perceptual hash timed out');
+      worker.terminate();
+      resolve(null);
+    }, HASH_TIMEOUT_MS);
+
+    const finish = (hash) => {
+      clearTimeout(timer);
+      worker.terminate();
+      resolve(hash);
+    };
+
+    worker.once('message', (message) => {
+      if (message.error) {
+        console.warn('⚠️ Perceptual hash failed:', message.error);
+      }
+      finish(message.hash || null);
+    });
+    worker.once('error', (error) => {
+      console.warn('⚠️ Perceptual hash failed:', error.message);
+      finish(null);
+    });
+  });
+};
+
+// Number of differing bits between two hashes (0 = identical, 64 = opposite)
+const hashDistance = (a, b) => {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff > 0n) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+};
+
+module.exports = {
+  computePerceptualHash,
+  hashDistance
+};
@@ -0,0 +1,121 @@
+// Offline reverse geocoding for photo locations. Coordinates are matched against this
+// bundled place list (no third-party geocoding calls, so opted-in locations never leave
+// the server). Kenyan towns and parks first, then the region, then major world cities.
+// Entries: [name, country, latitude, longitude]
+const PLACES = [
+  ['Nairobi', 'Kenya', -1.2864, 36.8172],
+  ['Kiambu', 'Kenya', -1.1714, 36.8356],
+  ['Ruiru', 'Kenya', -1.1466, 36.9609],
+  ['Thika', 'Kenya', -1.0333, 37.0693],
+  ['Athi River', 'Kenya', -1.4560, 36.9780],
+  ['Machakos', 'Kenya', -1.5177, 37.2634],
+  ['Kajiado', 'Kenya', -1.8524, 36.7768],
+  ['Naivasha', 'Kenya', -0.7172, 36.4310],
+  ['Nakuru', 'Kenya', -0.3031, 36.0800],
+  ['Nyahururu', 'Kenya', 0.0421, 36.3673],
+  ['Narok', 'Kenya', -1.0783, 35.8601],
+  ['Maasai Mara', 'Kenya', -1.4900, 35.1439],
+  ['Amboseli', 'Kenya', -2.6527, 37.2606],
+  ['Nyeri', 'Kenya', -0.4201, 36.9476],
+  ['Nanyuki', 'Kenya', 0.0167, 37.0667],
+  ['Embu', 'Kenya', -0.5389, 37.4596],
+  ['Meru', 'Kenya', 0.0463, 37.6559],
+  ['Isiolo', 'Kenya', 0.3546, 37.5822],
+  ['Marsabit', 'Kenya', 2.3284, 37.9899],
+  ['Garissa', 'Kenya', -0.4532, 39.6461],
+  ['Lodwar', 'Kenya', 3.1191, 35.5973],
+  ['Kericho', 'Kenya', -0.3677, 35.2831],
+  ['Eldoret', 'Kenya', 0.5143, 35.2698],
+  ['Kitale', 'Kenya', 1.0157, 35.0062],
+  ['Kakamega', 'Kenya', 0.2827, 34.7519],
+  ['Bungoma', 'Kenya', 0.5635, 34.5606],
+  ['Busia', 'Kenya', 0.4608, 34.1115],
+  ['Kisumu', 'Kenya', -0.0917, 34.7680],
+  ['Kisii', 'Kenya', -0.6817, 34.7667],
+  ['Homa Bay', 'Kenya', -0.5273, 34.4571],
+  ['Voi', 'Kenya', -3.3961, 38.5561],
+  ['Mombasa', 'Kenya', -4.0435, 39.6682],
+  ['Diani Beach', 'Kenya', -4.3167, 39.5667],
+  ['Kilifi', 'Kenya', -3.6305, 39.8499],
+  ['Watamu', 'Kenya', -3.3540, 40.0240],
+  ['Malindi', 'Kenya', -3.2192, 40.1169],
+  ['Lamu', 'Kenya', -2.2717, 40.9020],
+
+  ['Kampala', 'Uganda', 0.3476, 32.5825],
+  ['Entebbe', 'Uganda', 0.0512, 32.4637],
+  ['Dar es Salaam', 'Tanzania', -6.7924, 39.2083],
+  ['Dodoma', 'Tanzania', -6.1630, 35.7516],
+  ['Arusha', 'Tanzania', -3.3869, 36.6830],
+  ['Moshi', 'Tanzania', -3.3349, 37.3404],
+  ['Zanzibar City', 'Tanzania', -6.1659, 39.2026],
+  ['Kigali', 'Rwanda', -1.9441, 30.0619],
+  ['Bujumbura', 'Burundi', -3.3614, 29.3599],
+  ['Addis Ababa', 'Ethiopia', 9.0300, 38.7400],
+  ['Mogadishu', 'Somalia', 2.0469, 45.3182],
+  ['Juba', 'South Sudan', 4.8594, 31.5713],
+  ['Kinshasa', 'DR Congo', -4.4419, 15.2663],
+  ['Lusaka', 'Zambia', -15.3875, 28.3228],
+  ['Harare', 'Zimbabwe', -17.8252, 31.0335],
+  ['Johannesburg', 'South Africa', -26.2041, 28.0473],
+  ['Cape Town', 'South Africa', -33.9249, 18.4241],
+  ['Lagos', 'Nigeria', 6.5244, 3.3792],
+  ['Accra', 'Ghana', 5.6037, -0.1870],
+  ['Cairo', 'Egypt', 30.0444, 31.2357],
+
+  ['Dubai', 'United Arab Emirates', 25.2048, 55.2708],
+  ['Doha', 'Qatar', 25.2854, 51.5310],
+  ['Istanbul', 'Turkey', 41.0082, 28.9784],
+  ['London', 'United Kingdom', 51.5074, -0.1278],
+  ['Paris', 'France', 48.8566, 2.3522],
+  ['Berlin', 'Germany', 52.5200, 13.4050],
+  ['New York', 'United States', 40.7128, -74.0060],
+  ['Los Angeles', 'United States', 34.0522, -118.2437],
+  ['Toronto', 'Canada', 43.6532, -79.3832],
+  ['São Paulo', 'Brazil', -23.5505, -46.6333],
+  ['Mumbai', 'India', 19.0760, 72.8777],
+  ['Singapore', 'Singapore', 1.3521, 103.8198],
+  ['Beijing', 'China', 39.9042, 116.4074],
+  ['Tokyo', 'Japan', 35.6762, 139.6503],
+  ['Sydney', 'Australia', -33.8688, 151.2093]
+];
+
+// Photos further than this from every listed place get coordinates but no place name
+const MAX_MATCH_DISTANCE_KM = parseInt(process.env.PHOTO_LOCATION_MAX_DISTANCE_KM) || 50;
+const EARTH_RADIUS_KM = 6371;
+
+// Helper function for the great-circle distance between two points
+const distanceKm = (lat1, lon1, lat2, lon2) => {
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Find the nearest listed place to a point.
+ * @param {number} latitude
+ * @param {number} longitude
+ * @returns {{name: string, country: string, distanceKm: number}|null} null when nothing is within range
+ */
+const reverseGeocode = (latitude, longitude) => {
+  let nearest = null;
+
+  PLACES.forEach(([name, country, placeLatitude, placeLongitude]) => {
+    const distance = distanceKm(latitude, longitude, placeLatitude, placeLongitude);
+    if (!nearest || distance < nearest.distanceKm) {
+      nearest = { name, country, distanceKm: distance };
+    }
+  });
+
+  if (!nearest || nearest.distanceKm > MAX_MATCH_DISTANCE_KM) {
+    return null;
+  }
+
+  return { ...nearest, distanceKm: Math.round(nearest.distanceKm * 10) / 10 };
+};
+
+module.exports = {
+  reverseGeocode
+};
@@ -0,0 +1,47 @@
+// Image storage used by every upload and delete path. STORAGE_PROVIDER picks the backend:
+// 'cloudinary' (default) or 'local' (files on disk served by Express, for offline development).
+// Further backends (e.g. S3-compatible) only need to return an object with the same shape.
+//
+// Provider interface:
+//   name                                    - 'cloudinary' | 'local'
+//   urlPattern                              - global RegExp matching this provider's asset URLs in free text
+//   upload(buffer, options)                 - store an image; options are
+//                                             { folder, publicId, originalName?, mimeType?, overwrite?,
+//                                               resize?: { width, height, crop: 'limit'|'fill', gravity? }, circle? }
+//                                             resolves { url, publicId, bytes, format, width, height, originalFilename }
+//   delete(publicId)                        - resolves { success, error? }; an asset that is already gone counts as deleted
+//   getVariantUrl(url, { width, height, crop }) - URL of a resized rendition (the original where unsupported)
+//   list({ prefix, cursor, limit })         - resolves { assets: [{ publicId, url, bytes, createdAt }], nextCursor }
+//   extractPublicId(url)                    - public id for one of this provider's URLs, or null
+//   createSignedUpload({ folder, publicId, expiresAt, maxBytes, allowedFormats, resize?, circle? })
+//                                           - fields for a client to upload one file straight to storage:
+//                                             { url, method, fileField, fields }; only that folder/public id,
+//                                             only until expiresAt. Providers that can transform on upload
+//                                             apply resize/circle and drop the file's metadata there.
+//   fetchAsset(publicId, { maxBytes? })     - resolves { url, publicId, bytes, format, width, height, originalFilename,
+//                                             transformed, metadata, buffer } (buffer null when larger than maxBytes),
+//                                             or null when missing. transformed: the upload options were applied on
+//                                             upload; metadata: { tags, coordinates } read from the original file
+//                                             (exifr-style tags), or null when the provider does not keep it
+//   receiveSignedUpload(fields, file)       - local only: stores a direct upload sent to this server
+//   getStaticRoute()                        - { path, handler } for server.js to mount, or null
+const { createCloudinaryStorage } = require('./cloudinary_storage');
+const { createLocalStorage } = require('./local_storage');
+
+const STORAGE_PROVIDERS = {
+  cloudinary: createCloudinaryStorage,
+  local: createLocalStorage
+};
+
+const STORAGE_PROVIDER = process.env.STORAGE_PROVIDER || 'cloudinary';
+
+if (!STORAGE_PROVIDERS[STORAGE_PROVIDER]) {
+  throw new Error(`Unknown STORAGE_PROVIDER "${STORAGE_PROVIDER}" (expected ${Object.keys(STORAGE_PROVIDERS).join(' or ')})`);
+}
+
+const storage = STORAGE_PROVIDERS[STORAGE_PROVIDER]();
+
+module.exports = {
+  STORAGE_PROVIDER,
+  storage
+};
@@ -0,0 +1,140 @@
+// Shared validation for image uploads. multer only sees the client-declared mimetype, so every
+// upload route runs validateImageUploads after multer: the real format is read from the file
+// signature and checked against the route's allowlist, files carrying markup or script are
+// refused, and the pixel dimensions are checked before anything decodes the image
+// (a few KB of PNG or JPEG can expand to gigabytes of pixels).
+const { imageSize } = require('image-size');
+
+const IMAGE_FORMATS = {
+  jpeg: { label: 'JPEG', mimeType: 'image/jpeg' },
+  png: { label: 'PNG', mimeType: 'image/png' },
+  webp: { label: 'WebP', mimeType: 'image/webp' },
+  heic: { label: 'HEIC', mimeType: 'image/heic' }
+};
+
+const MAX_IMAGE_PIXELS = parseInt(process.env.UPLOAD_MAX_IMAGE_PIXELS) || 100 * 1000 * 1000;
+const MAX_IMAGE_DIMENSION = parseInt(process.env.UPLOAD_MAX_IMAGE_DIMENSION) || 20000;
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const HEIC_BRANDS = new Set(['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis']);
+const AVIF_BRANDS = new Set(['avif', 'avis']);
+// Markup that browsers will execute or render if the file is ever served with the wrong type
+const SCRIPT_PATTERN = /<(script|svg|html|iframe|object|embed)[\s>/]|<\?php|javascript:/i;
+const MARKUP_START_PATTERN = /^\uFEFF?\s*<(\?xml|!doctype|svg|html|script)/i;
+
+// Helper function to read the brand of an ISO-BMFF (HEIF/AVIF) file from its ftyp box
+const detectIsoBmffFormat = (buffer) => {
+  const boxSize = Math.min(buffer.readUInt32BE(0), buffer.length);
+  const brands = [buffer.toString('latin1', 8, 12)];
+  for (let offset = 16; offset + 4 <= boxSize; offset += 4) {
+    brands.push(buffer.toString('latin1', offset, offset + 4));
+  }
+
+  if (AVIF_BRANDS.has(brands[0])) return 'avif';
+  if (HEIC_BRANDS.has(brands[0])) return 'heic';
+  // Generic image brands (mif1, msf1) - the compatible brands say which codec it is
+  if (brands.some(brand => AVIF_BRANDS.has(brand))) return 'avif';
+  if (brands.some(brand => HEIC_BRANDS.has(brand))) return 'heic';
+  return null;
+};
+
+/**
+ * Identify an image from its first bytes, ignoring name and declared type.
+ * @param {Buffer} buffer
+ * @returns {string|null} 'jpeg', 'png', 'webp', 'heic', 'avif', 'gif', 'svg', or null when unrecognised
+ */
+const detectImageFormat = (buffer) => {
+  if (!buffer || buffer.length < 12) return null;
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg';
+  if (buffer.subarray(0, 8).equals(PNG_SIGNATURE)) return 'png';
+  if (buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') return 'webp';
+  if (buffer.toString('latin1', 4, 8) === 'ftyp') return detectIsoBmffFormat(buffer);
+  if (buffer.toString('latin1', 0, 4) === 'GIF8') return 'gif';
+  if (MARKUP_START_PATTERN.test(buffer.toString('utf8', 0, 256))) return 'svg';
+  return null;
+};
+
+/**
+ * Check one file against a format allowlist (also used for direct uploads, which skip multer).
+ * @param {Object} file - { buffer, originalname, fieldname, mimetype }; mimetype is corrected on success
+ * @param {string[]} allowedFormats - Keys of IMAGE_FORMATS
+ * @returns {Object|null} The rejection ({ file, field, code, message }), or null when the file is fine
+ */
+const checkImageFile = (file, allowedFormats) => {
+  const reject = (code, message) => ({ file: file.originalname, field: file.fieldname, code, message });
+
+  if (!file.buffer || file.buffer.length === 0) {
+    return reject('EMPTY_FILE', 'The file is empty');
+  }
+
+  const format = detectImageFormat(file.buffer);
+
+  if (format === 'svg') {
+    return reject('SCRIPT_CONTENT', 'SVG and other markup files are not accepted');
+  }
+  if (!format || !allowedFormats.includes(format)) {
+    return reject('UNSUPPORTED_FORMAT', format
+      ? `${format.toUpperCase()} images are not accepted here`
+      : 'The file is not a recognised image');
+  }
+  if (SCRIPT_PATTERN.test(file.buffer.toString('latin1'))) {
+    return reject('SCRIPT_CONTENT', 'The file contains embedded markup or script');
+  }
+
+  let dimensions;
+  try {
+    dimensions = imageSize(file.buffer);
+  } catch (error) {
+    dimensions = null;
+  }
+
+  if (!dimensions || !dimensions.width || !dimensions.height) {
+    return reject('UNREADABLE_IMAGE', 'The image is corrupt or truncated');
+  }
+  if (dimensions.width > MAX_IMAGE_DIMENSION || dimensions.height > MAX_IMAGE_DIMENSION ||
+      dimensions.width * dimensions.height > MAX_IMAGE_PIXELS) {
+    return reject('IMAGE_TOO_LARGE', `The image is ${dimensions.width}x${dimensions.height}; ` +
+      `the limit is ${Math.round(MAX_IMAGE_PIXELS / 1000000)} megapixels and ${MAX_IMAGE_DIMENSION}px per side`);
+  }
+
+  // From here on the declared type is the real one (storage picks the extension from it)
+  file.mimetype = IMAGE_FORMATS[format].mimeType;
+  file.detectedFormat = format;
+  return null;
+};
+
+/**
+ * Middleware (after multer) that validates every uploaded file against a format allowlist.
+ * Rejects the whole request with 422 and one entry per rejected file:
+ * { success: false, error, allowedFormats, rejected: [{ file, field, code, message }] }
+ * Codes: EMPTY_FILE, UNSUPPORTED_FORMAT, SCRIPT_CONTENT, UNREADABLE_IMAGE, IMAGE_TOO_LARGE
+ * @param {string[]} allowedFormats - Keys of IMAGE_FORMATS
+ */
+const validateImageUploads = (allowedFormats) => (req, res, next) => {
+  const files = req.files
+    ? (Array.isArray(req.files) ? req.files : Object.values(req.files).flat())
+    : [req.file].filter(Boolean);
+
+  const rejected = files
+    .map(file => checkImageFile(file, allowedFormats))
+    .filter(Boolean);
+
+  if (rejected.length > 0) {
+    console.warn(`🚫 Rejected ${rejected.length} upload(s): ${rejected.map(entry => `${entry.file} (${entry.code})`).join(', ')}`);
+    return res.status(422).json({
+      success: false,
+      error: rejected.length === 1 ? rejected[0].message : `${rejected.length} files were rejected`,
+      allowedFormats: allowedFormats.map(format => IMAGE_FORMATS[format].label),
+      rejected: rejected
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  IMAGE_FORMATS,
+  detectImageFormat,
+  checkImageFile,
+  validateImageUploads
+};
@@ -0,0 +1,331 @@
+const express = require('express');
+const { createClient } = require('@supabase/supabase-js');
+const { buildPostImages } = require('../storage/image_assets');
+
+const router = express.Router();
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY,
+  {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false
+    }
+  }
+);
+
+const DEFAULT_WINDOW_DAYS = 7;
+const MAX_WINDOW_DAYS = 30;
+const HALF_LIFE_HOURS = 48; // a post's contribution halves every two days
+const MAX_POSTS_SCANNED = 5000;
+const PAGE_SIZE = 1000; // PostgREST returns at most this many rows per request
+const CACHE_TTL_MS = 5 * 60 * 1000; // 5 minutes
+
+// Engagement weights - comments signal more interest than likes
+const LIKE_WEIGHT = 1;
+const COMMENT_WEIGHT = 2;
+
+// In-memory cache of computed trending lists, keyed by window size
+const trendingCache = new Map();
+
+// In-memory cache of tag pages, keyed by tag; the oldest entry goes once there are too many
+const tagStatsCache = new Map();
+const MAX_CACHED_TAGS = 500;
+const MAX_TOP_POSTS = 50;
+
+// Transform a posts_with_users row into the Flutter app post format (same as GET /api/posts)
+const formatPost = (post) => ({
+  id: post.id,
+  userId: post.user_id,
+  userName: post.username || post.display_name || 'Anonymous', // USERNAME FIRST
+  imageUrl: post.images?.[0] || '',
+  images: buildPostImages(post),
+  caption: post.caption || '',
+  location: post.location,
+  tags: post.tags || [],
+  createdAt: post.created_at,
+  editedAt: post.edited_at || null,
+  isVerified: post.is_verified || false,
+  userType: post.user_type || 'Photography Enthusiast',
+  likes: post.likes_count || 0,
+  commentCount: post.comments_count || 0,
+  isFeatured: post.is_featured || false
+});
+
+// Helper function to normalise a tag for grouping (#Sunset and sunset are the same tag)
+const normaliseTag = (tag) => String(tag).trim().replace(/^#/, '').trim().toLowerCase();
+
+// Helper function to compute the engagement of a single post
+const engagementOf = (post) => (post.likes_count || 0) * LIKE_WEIGHT + (post.comments_count || 0) * COMMENT_WEIGHT;
+
+// Helper function to read up to MAX_POSTS_SCANNED rows of a query, newest first, in pages
+const fetchScannedPosts = async (buildQuery, description) => {
+  const rows = [];
+
+  for (let from = 0; from < MAX_POSTS_SCANNED; from += PAGE_SIZE) {
+    const to = Math.min(from + PAGE_SIZE, MAX_POSTS_SCANNED) - 1;
+    const { data, error } = await buildQuery()
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: false })
+      .range(from, to);
+
+    if (error) {
+      throw new Error(`Failed to fetch ${description}: ${error.message}`);
+    }
+
+    rows.push(...(data || []));
+
+    if (!data || data.length < to - from + 1) {
+      break;
+    }
+  }
+
+  return rows;
+};
+
+// Compute trending tags over a sliding window with exponential time decay
+const computeTrendingTags = async (windowDays) => {
+  const now = Date.now();
+  const windowStart = new Date(now - windowDays * 24 * 60 * 60 * 1000).toISOString();
+
+  const posts = await fetchScannedPosts(() => supabase
+    .from('posts_with_users')
+    .select('tags, likes_count, comments_count, created_at')
+    .gte('created_at', windowStart)
+    .eq('is_hidden', false)
+    .eq('author_is_hidden', false) // profile hidden by a moderator
+    .is('deleted_at', null), 'posts for trending tags');
+
+  const stats = {};
+
+  (posts || []).forEach(post => {
+    const ageHours = Math.max(0, (now - new Date(post.created_at).getTime()) / (60 * 60 * 1000));
+    const decay = Math.pow(0.5, ageHours / HALF_LIFE_HOURS);
+    const engagement = engagementOf(post);
+    const seen = new Set();
+
+    (post.tags || []).forEach(rawTag => {
+      const key = normaliseTag(rawTag);
+      if (!key || seen.has(key)) return;
+      seen.add(key);
+
+      if (!stats[key]) {
+        stats[key] = { tag: key, labels: {}, posts: 0, likes: 0, comments: 0, score: 0, lastUsedAt: post.created_at };
+      }
+
+      const entry = stats[key];
+      const label = String(rawTag).trim().replace(/^#/, '');
+      entry.labels[label] = (entry.labels[label] || 0) + 1;
+      entry.posts++;
+      entry.likes += post.likes_count || 0;
+      entry.comments += post.comments_count || 0;
+      // Every use counts once, engagement adds on top; both fade with age
+      entry.score += decay * (1 + engagement);
+      if (post.created_at > entry.lastUsedAt) {
+        entry.lastUsedAt = post.created_at;
+      }
+    });
+  });
+
+  return {
+    scannedPosts: posts?.length || 0,
+    tags: Object.values(stats)
+      .map(entry => ({
+        // Display the spelling people use most often
+        tag: Object.entries(entry.labels).sort((a, b) => b[1] - a[1])[0][0],
+        postsCount: entry.posts,
+        likesCount: entry.likes,
+        commentsCount: entry.comments,
+        score: Math.round(entry.score * 100) / 100,
+        lastUsedAt: entry.lastUsedAt
+      }))
+      .sort((a, b) => b.score - a.score)
+  };
+};
+
+/**
+ * @route   GET /api/tags/trending
+ * @desc    Trending tags by decayed usage and engagement over a sliding window
+ * @access  Public
+ * @query   { window_days?: number (1-30, default 7), limit?: number (default 20) }
+ */
+router.get('/trending', async (req, res) => {
+  try {
+    const windowDays = Math.min(Math.max(parseInt(req.query.window_days) || DEFAULT_WINDOW_DAYS, 1), MAX_WINDOW_DAYS);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    let cached = trendingCache.get(windowDays);
+    if (!cached || cached.expiresAt < Date.now()) {
+      console.log(`📈 Computing trending tags over ${windowDays} day(s)`);
+      const result = await computeTrendingTags(windowDays);
+      cached = { ...result, computedAt: new Date().toISOString(), expiresAt: Date.now() + CACHE_TTL_MS };
+      trendingCache.set(windowDays, cached);
+    }
+
+    res.json({
+      success: true,
+      window_days: windowDays,
+      computed_at: cached.computedAt,
+      scanned_posts: cached.scannedPosts,
+      tags: cached.tags.slice(0, limit)
+    });
+
+  } catch (error) {
+    console.error('Get trending tags error:', error);
+    res.status(500).json({ error: 'Server error fetching trending tags' });
+  }
+});
+
+// Compute usage statistics, top posts and related tags for one (normalised) tag; null if unused
+const computeTagStats = async (key) => {
+  const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString();
+
+  const [totalResult, recentResult, posts] = await Promise.all([
+    supabase
+      .from('posts_with_users')
+      .select('id', { count: 'exact', head: true })
+      .contains('tags', [key])
+      .eq('is_hidden', false)
+      .eq('author_is_hidden', false)
+      .is('deleted_at', null),
+    supabase
+      .from('posts_with_users')
+      .select('id', { count: 'exact', head: true })
+      .contains('tags', [key])
+      .eq('is_hidden', false)
+      .eq('author_is_hidden', false)
+      .is('deleted_at', null)
+      .gte('created_at', weekAgo),
+    fetchScannedPosts(() => supabase
+      .from('posts_with_users')
+      .select('id, user_id, tags, likes_count, comments_count, created_at')
+      .contains('tags', [key])
+      .eq('is_hidden', false)
+      .eq('author_is_hidden', false)
+      .is('deleted_at', null), 'tag posts')
+  ]);
+
+  if (posts.length === 0) {
+    return null;
+  }
+
+  const related = {};
+  let likesCount = 0;
+  let commentsCount = 0;
+  const contributors = new Set();
+
+  posts.forEach(post => {
+    likesCount += post.likes_count || 0;
+    commentsCount += post.comments_count || 0;
+    contributors.add(post.user_id);
+
+    (post.tags || []).forEach(other => {
+      const otherKey = normaliseTag(other);
+      if (otherKey && otherKey !== key) {
+        related[otherKey] = (related[otherKey] || 0) + 1;
+      }
+    });
+  });
+
+  const topIds = [...posts]
+    .sort((a, b) => engagementOf(b) - engagementOf(a) || new Date(b.created_at) - new Date(a.created_at))
+    .slice(0, MAX_TOP_POSTS)
+    .map(post => post.id);
+
+  const { data: topRows, error: topError } = await supabase
+    .from('posts_with_users')
+    .select(`
+      id,
+      user_id,
+      caption,
+      location,
+      tags,
+      images,
+      image_metadata,
+      created_at,
+      edited_at,
+      likes_count,
+      comments_count,
+      is_featured,
+      username,
+      display_name,
+      avatar_url,
+      is_verified,
+      user_type
+    `)
+    .in('id', topIds);
+
+  if (topError) {
+    throw new Error(`Failed to fetch top tag posts: ${topError.message}`);
+  }
+
+  const postsById = new Map((topRows || []).map(post => [post.id, post]));
+
+  return {
+    stats: {
+      postsCount: totalResult.count || posts.length,
+      postsLast7Days: recentResult.count || 0,
+      likesCount: likesCount,
+      commentsCount: commentsCount,
+      contributorsCount: contributors.size,
+      firstUsedAt: posts[posts.length - 1].created_at,
+      lastUsedAt: posts[0].created_at
+    },
+    topPosts: topIds.map(id => postsById.get(id)).filter(Boolean).map(formatPost),
+    relatedTags: Object.entries(related)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 10)
+      .map(([relatedTag, count]) => ({ tag: relatedTag, postsCount: count }))
+  };
+};
+
+/**
+ * @route   GET /api/tags/:tag
+ * @desc    Usage statistics, top posts and related tags for a single tag (case-insensitive, '#' optional)
+ * @access  Public
+ * @query   { limit?: number (top posts, default 10, max 50) }
+ */
+router.get('/:tag', async (req, res) => {
+  try {
+    const tag = normaliseTag(req.params.tag);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), MAX_TOP_POSTS);
+
+    if (!tag) {
+      return res.status(400).json({ error: 'Tag is required' });
+    }
+
+    let cached = tagStatsCache.get(tag);
+    if (!cached || cached.expiresAt < Date.now()) {
+      console.log(`🏷️ Computing stats for tag: ${tag}`);
+      const result = await computeTagStats(tag);
+      cached = { result, computedAt: new Date().toISOString(), expiresAt: Date.now() + CACHE_TTL_MS };
+
+      tagStatsCache.delete(tag);
+      tagStatsCache.set(tag, cached);
+      if (tagStatsCache.size > MAX_CACHED_TAGS) {
+        tagStatsCache.delete(tagStatsCache.keys().next().value);
+      }
+    }
+
+    if (!cached.result) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+
+    res.json({
+      success: true,
+      tag: tag,
+      computed_at: cached.computedAt,
+      stats: cached.result.stats,
+      topPosts: cached.result.topPosts.slice(0, limit),
+      relatedTags: cached.result.relatedTags
+    });
+
+  } catch (error) {
+    console.error('Get tag stats error:', error);
+    res.status(500).json({ error: 'Server error fetching tag statistics' });
+  }
+});
+
+module.exports = router;